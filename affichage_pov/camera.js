@@ -7,10 +7,13 @@
  * regardait réellement le ciel depuis le sol.
  * 
  * Caractéristiques :
- * - Projection gnomique modifiée pour vue réaliste
- * - Champ de vision ajustable (FOV)
+ * - Projection au choix : perspective (gnomonique), stéréographique,
+ *   fisheye équidistant, équivalente, orthographique ou panorama cylindrique
+ * - Champ de vision ajustable (FOV), dans des limites propres à chaque projection
  * - Rotation en azimut et altitude
  * - Effet de perspective naturel
+ * - Animations : déplacement le long d'un grand cercle, zoom progressif,
+ *   inertie après un glisser
  */
 
 class Camera {
@@ -31,10 +34,12 @@ class Camera {
         this.azimuth = 180;      // Direction horizontale (0=Nord, 90=Est, 180=Sud, 270=Ouest)
         this.altitude = isMobilePortrait ? 50 : 30;  // Plus haut sur mobile
         
-        // Champ de vision
-        this.fov = 90;           // Champ de vision horizontal en degrés
-        this.minFov = 20;        // Zoom maximum (jumelles)
-        this.maxFov = 140;       // Zoom minimum (grand angle)
+        // Projection (voir POV_PROJECTIONS) et champ de vision, dont les limites dépendent de la projection
+        this.projection = 'gnomonic';
+        const limits = POV_PROJECTIONS[this.projection];
+        this.fov = limits.defaultFov;    // Champ de vision horizontal en degrés
+        this.minFov = limits.minFov;     // Zoom maximum (jumelles)
+        this.maxFov = limits.maxFov;     // Zoom minimum (grand angle)
         
         // Limites de rotation
         this.minAltitude = -5;   // Légèrement sous l'horizon pour voir la ligne
@@ -43,7 +48,18 @@ class Camera {
         // Valeurs par défaut pour reset (adaptées au device)
         this.defaultAzimuth = 180;
         this.defaultAltitude = isMobilePortrait ? 50 : 30;
-        this.defaultFov = 90;
+        this.defaultFov = limits.defaultFov;
+        
+        // Animations (avancées image par image par update())
+        this.animation = null;           // Déplacement vers une direction et un champ de vision
+        this.animationDuration = 1200;   // Durée d'un déplacement en millisecondes
+        this.inertia = null;             // Vitesse de rotation après un lancer {azimuth, altitude} en °/s
+        this.inertiaTimeConstant = 325;  // Temps d'amortissement de l'inertie (ms)
+        this.minInertiaSpeed = 2;        // Vitesse (°/s) sous laquelle la rotation s'arrête
+        this.targetFov = null;           // Champ de vision visé par le zoom progressif
+        this.zoomAnchor = null;          // Point du ciel maintenu sous le curseur pendant le zoom
+        this.fovTimeConstant = 90;       // Temps de réponse du zoom progressif (ms)
+        this.lastUpdateTime = null;      // Horodatage de la dernière image animée
     }
     
     /**
@@ -56,98 +72,490 @@ class Camera {
         this.height = height;
     }
     
+    /**
+     * Change de projection (voir POV_PROJECTIONS) : les limites du champ de
+     * vision deviennent celles de la projection et la vue adopte son champ
+     * par défaut
+     * @param {string} name - Nom de la projection
+     * @returns {boolean} true si la projection a changé
+     * @throws {Error} Si la projection est inconnue
+     */
+    setProjection(name) {
+        const limits = POV_PROJECTIONS[name];
+        if (!limits) {
+            throw new Error(`Projection inconnue : ${name}`);
+        }
+        if (name === this.projection) {
+            return false;
+        }
+        
+        this.stopMotion();
+        this.targetFov = null;
+        this.projection = name;
+        this.minFov = limits.minFov;
+        this.maxFov = limits.maxFov;
+        this.defaultFov = limits.defaultFov;
+        this.fov = limits.defaultFov;
+        return true;
+    }
+    
     /**
      * Projette les coordonnées horizontales d'une étoile (azimut/altitude)
-     * vers les coordonnées écran (x, y) avec une projection perspective
+     * vers les coordonnées écran (x, y) avec la projection courante
      * 
      * @param {number} starAzimuth - Azimut de l'étoile en degrés
      * @param {number} starAltitude - Altitude de l'étoile en degrés
-     * @returns {Object|null} {x, y, visible, distanceFromCenter} ou null si hors champ
+     * @returns {Object|null} {x, y, visible, distanceFromCenter, angularDistance} ou null si hors champ
      */
     project(starAzimuth, starAltitude) {
-        // Convertir en radians
-        const starAzRad = degreesToRadians(starAzimuth);
-        const starAltRad = degreesToRadians(starAltitude);
-        const camAzRad = degreesToRadians(this.azimuth);
-        const camAltRad = degreesToRadians(this.altitude);
+        if (this.projection === 'cylindrical') {
+            return this.projectCylindrical(starAzimuth, starAltitude);
+        }
         
-        // Convertir les coordonnées sphériques en cartésiennes 3D
-        // (système où X=Est, Y=Nord, Z=Zénith)
-        const starX = Math.cos(starAltRad) * Math.sin(starAzRad);
-        const starY = Math.cos(starAltRad) * Math.cos(starAzRad);
-        const starZ = Math.sin(starAltRad);
+        // Direction de l'étoile dans le repère de la caméra (droite, haut, profondeur)
+        const point = this.toCameraSpace(starAzimuth, starAltitude);
+        
+        // Angle entre l'étoile et le centre de vue
+        const angularDistanceDeg = radiansToDegrees(Math.acos(Math.max(-1, Math.min(1, point.z))));
+        
+        // Hors du domaine de la projection (derrière la caméra en gnomonique)
+        // ou au-delà des coins de l'écran
+        if (angularDistanceDeg >= AZIMUTHAL_PROJECTIONS[this.projection].maxAngle ||
+            angularDistanceDeg > this.getVisibleAngle()) {
+            return null;
+        }
         
-        // Direction de la caméra en cartésien
-        const camX = Math.cos(camAltRad) * Math.sin(camAzRad);
-        const camY = Math.cos(camAltRad) * Math.cos(camAzRad);
-        const camZ = Math.sin(camAltRad);
+        const { x, y } = this.cameraSpaceToScreen(point);
         
-        // Calculer le produit scalaire (cosinus de l'angle entre étoile et direction de vue)
-        const dotProduct = starX * camX + starY * camY + starZ * camZ;
+        return {
+            x: x,
+            y: y,
+            visible: true,
+            // Distance normalisée depuis le centre (pour effets visuels)
+            distanceFromCenter: angularDistanceDeg / (this.fov / 2),
+            angularDistance: angularDistanceDeg
+        };
+    }
+    
+    /**
+     * Projection cylindrique équidistante (panorama) : l'azimut et la
+     * hauteur sont portés linéairement sur les axes de l'écran
+     * 
+     * @param {number} starAzimuth - Azimut de l'étoile en degrés
+     * @param {number} starAltitude - Altitude de l'étoile en degrés
+     * @returns {Object|null} Même résultat que project()
+     */
+    projectCylindrical(starAzimuth, starAltitude) {
+        const pixelScale = this.getPixelScale();
+        const deltaAzimuth = normalizeAngle(starAzimuth - this.azimuth + 180) - 180;
+        const deltaAltitude = starAltitude - this.altitude;
         
-        // Si l'étoile est derrière la caméra (angle > 90°), elle n'est pas visible
-        if (dotProduct <= 0) {
+        // Marge de 5° autour de l'écran pour les astres à cheval sur le bord
+        if (Math.abs(deltaAzimuth) > this.fov / 2 + 5 ||
+            Math.abs(deltaAltitude) > this.height / 2 / pixelScale + 5) {
             return null;
         }
         
-        // Calculer l'angle entre l'étoile et le centre de vue
-        const angularDistance = Math.acos(Math.max(-1, Math.min(1, dotProduct)));
-        const angularDistanceDeg = radiansToDegrees(angularDistance);
+        const star = horizontalToVector(starAzimuth, starAltitude);
+        const view = horizontalToVector(this.azimuth, this.altitude);
+        const dot = star.x * view.x + star.y * view.y + star.z * view.z;
+        const angularDistanceDeg = radiansToDegrees(Math.acos(Math.max(-1, Math.min(1, dot))));
         
-        // Vérifier si l'étoile est dans le champ de vision
-        // On utilise la diagonale du FOV pour ne pas couper les coins
-        const fovDiagonal = Math.sqrt(Math.pow(this.fov / 2, 2) + Math.pow(this.getVerticalFov() / 2, 2));
-        if (angularDistanceDeg > fovDiagonal) {
+        return {
+            x: this.width / 2 + deltaAzimuth * pixelScale,
+            y: this.height / 2 - deltaAltitude * pixelScale,
+            visible: true,
+            distanceFromCenter: angularDistanceDeg / (this.fov / 2),
+            angularDistance: angularDistanceDeg
+        };
+    }
+    
+    /**
+     * Calcule le facteur d'échelle de la projection : pixels pour une unité
+     * du plan de projection (pixels par degré en projection cylindrique),
+     * tel que le champ de vision horizontal couvre la largeur de l'écran
+     * @returns {number} Facteur d'échelle
+     */
+    getPixelScale() {
+        if (this.projection === 'cylindrical') {
+            return this.width / this.fov;
+        }
+        const radius = AZIMUTHAL_PROJECTIONS[this.projection].radius(degreesToRadians(this.fov) / 2);
+        return this.width / (2 * radius);
+    }
+    
+    /**
+     * Calcule l'écart angulaire maximal (degrés) d'un point dessiné au
+     * centre de vue : celui des coins de l'écran, avec une marge de 5° pour
+     * les astres à cheval sur le bord, dans la limite du domaine de la
+     * projection (projections azimutales)
+     * @returns {number} Écart maximal en degrés
+     */
+    getVisibleAngle() {
+        const projection = AZIMUTHAL_PROJECTIONS[this.projection];
+        const cornerRadius = Math.hypot(this.width, this.height) / 2 / this.getPixelScale();
+        if (cornerRadius >= projection.radius(degreesToRadians(projection.maxAngle))) {
+            return projection.maxAngle;
+        }
+        return Math.min(projection.maxAngle, radiansToDegrees(projection.angle(cornerRadius)) + 5);
+    }
+    
+    /**
+     * Calcule le rayon (pixels) du disque de l'écran où le ciel est dessiné
+     * (projections azimutales, voir getVisibleAngle)
+     * @returns {number} Rayon en pixels autour du centre de l'écran
+     */
+    getVisibleRadius() {
+        const radius = AZIMUTHAL_PROJECTIONS[this.projection].radius(degreesToRadians(this.getVisibleAngle()));
+        return radius * this.getPixelScale();
+    }
+    
+    /**
+     * Calcule les axes du repère de la caméra (sans roulis)
+     * @returns {Object} {forward (direction de vue), right (horizontal), up} vecteurs unitaires
+     */
+    getAxes() {
+        const camAzRad = degreesToRadians(this.azimuth);
+        const camAltRad = degreesToRadians(this.altitude);
+        
+        return {
+            forward: horizontalToVector(this.azimuth, this.altitude),
+            right: { x: Math.cos(camAzRad), y: -Math.sin(camAzRad), z: 0 },
+            up: {
+                x: -Math.sin(camAltRad) * Math.sin(camAzRad),
+                y: -Math.sin(camAltRad) * Math.cos(camAzRad),
+                z: Math.cos(camAltRad)
+            }
+        };
+    }
+
+    /**
+     * Exprime une direction horizontale dans le repère de la caméra
+     * @param {number} azimuth - Azimut en degrés
+     * @param {number} altitude - Altitude en degrés
+     * @returns {Object} {x (droite), y (haut), z (profondeur, > 0 devant la caméra)}
+     */
+    toCameraSpace(azimuth, altitude) {
+        const point = horizontalToVector(azimuth, altitude);
+        const { forward, right, up } = this.getAxes();
+
+        const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+        return { x: dot(point, right), y: dot(point, up), z: dot(point, forward) };
+    }
+    
+    /**
+     * Convertit une direction du repère de la caméra en coordonnées écran
+     * (projections azimutales : la direction est portée à la distance ρ(θ)
+     * du centre, θ étant son écart à la direction de vue)
+     * @param {Object} point - {x, y, z} dans le repère de la caméra (norme quelconque)
+     * @returns {Object} {x, y} en pixels
+     */
+    cameraSpaceToScreen(point) {
+        const sine = Math.hypot(point.x, point.y);
+        const theta = Math.atan2(sine, point.z);
+        const scale = sine > 0
+            ? AZIMUTHAL_PROJECTIONS[this.projection].radius(theta) / sine * this.getPixelScale()
+            : 0;
+        
+        return {
+            x: this.width / 2 + point.x * scale,
+            y: this.height / 2 - point.y * scale
+        };
+    }
+    
+    /**
+     * Inverse de cameraSpaceToScreen() : direction vue en un point de l'écran
+     * (projections azimutales)
+     * @param {number} x - Position X en pixels
+     * @param {number} y - Position Y en pixels
+     * @returns {Object|null} {x, y, z} unitaire dans le repère de la caméra, ou null hors du domaine de la projection
+     */
+    screenToCameraSpace(x, y) {
+        const projection = AZIMUTHAL_PROJECTIONS[this.projection];
+        const pixelScale = this.getPixelScale();
+        const dx = (x - this.width / 2) / pixelScale;
+        const dy = (this.height / 2 - y) / pixelScale;
+        const rho = Math.hypot(dx, dy);
+        
+        if (rho > projection.radius(degreesToRadians(projection.maxAngle))) {
+            return null;
+        }
+        if (rho === 0) {
+            return { x: 0, y: 0, z: 1 };
+        }
+        
+        const theta = projection.angle(rho);
+        return {
+            x: Math.sin(theta) * dx / rho,
+            y: Math.sin(theta) * dy / rho,
+            z: Math.cos(theta)
+        };
+    }
+
+    /**
+     * Projette un segment (arc de grand cercle) en projection gnomonique.
+     * La projection gnomique transforme les grands cercles en droites :
+     * seule la partie située derrière la caméra doit être retirée, en
+     * coupant le segment par un plan proche devant l'observateur.
+     * Les extrémités peuvent sortir de l'écran (le canvas les découpe).
+     * Les autres projections passent par projectArc().
+     *
+     * @param {number} fromAzimuth - Azimut de la première extrémité en degrés
+     * @param {number} fromAltitude - Altitude de la première extrémité en degrés
+     * @param {number} toAzimuth - Azimut de la seconde extrémité en degrés
+     * @param {number} toAltitude - Altitude de la seconde extrémité en degrés
+     * @returns {Array|null} [{x, y}, {x, y}] en pixels, ou null si le segment est derrière la caméra
+     */
+    projectSegment(fromAzimuth, fromAltitude, toAzimuth, toAltitude) {
+        const nearPlane = 0.01;
+        let a = this.toCameraSpace(fromAzimuth, fromAltitude);
+        let b = this.toCameraSpace(toAzimuth, toAltitude);
+
+        if (a.z < nearPlane && b.z < nearPlane) {
             return null;
         }
+
+        // Couper la partie du segment située derrière le plan proche
+        const clip = (inside, outside) => {
+            const t = (inside.z - nearPlane) / (inside.z - outside.z);
+            return {
+                x: inside.x + (outside.x - inside.x) * t,
+                y: inside.y + (outside.y - inside.y) * t,
+                z: nearPlane
+            };
+        };
+        if (a.z < nearPlane) a = clip(b, a);
+        if (b.z < nearPlane) b = clip(a, b);
+
+        const pixelScale = this.getPixelScale();
+        const toScreen = (point) => ({
+            x: this.width / 2 + (point.x / point.z) * pixelScale,
+            y: this.height / 2 - (point.y / point.z) * pixelScale
+        });
+
+        return [toScreen(a), toScreen(b)];
+    }
+    
+    /**
+     * Projette un arc de grand cercle vers l'écran avec la projection
+     * courante. Hors projection gnomonique, les grands cercles sont des
+     * courbes : l'arc est découpé en petits pas (voir projectCurve).
+     *
+     * @param {number} fromAzimuth - Azimut de la première extrémité en degrés
+     * @param {number} fromAltitude - Altitude de la première extrémité en degrés
+     * @param {number} toAzimuth - Azimut de la seconde extrémité en degrés
+     * @param {number} toAltitude - Altitude de la seconde extrémité en degrés
+     * @returns {Array} Lignes [[{x, y}, ...], ...] en pixels (vide si l'arc est hors champ)
+     */
+    projectArc(fromAzimuth, fromAltitude, toAzimuth, toAltitude) {
+        if (this.projection === 'gnomonic') {
+            const segment = this.projectSegment(fromAzimuth, fromAltitude, toAzimuth, toAltitude);
+            return segment ? [segment] : [];
+        }
+        return this.projectCurve(subdivideGreatCircle(
+            { azimut: fromAzimuth, altitude: fromAltitude },
+            { azimut: toAzimuth, altitude: toAltitude }));
+    }
+    
+    /**
+     * Projette une courbe du ciel donnée par des points rapprochés.
+     * La courbe est coupée là où elle quitte la partie dessinée du ciel
+     * (projections azimutales : au-delà de getVisibleAngle, le point de
+     * coupure étant cherché par dichotomie) et, en panorama, là où elle
+     * franchit le bord arrière du cylindre (azimut opposé à la visée).
+     *
+     * @param {Array} points - Points {azimut, altitude}, espacés de quelques degrés au plus
+     * @returns {Array} Lignes [[{x, y}, ...], ...] en pixels
+     */
+    projectCurve(points) {
+        const lines = [];
+        let current = null;
+        
+        if (this.projection === 'cylindrical') {
+            const pixelScale = this.getPixelScale();
+            const toScreen = (deltaAzimuth, altitude) => ({
+                x: this.width / 2 + deltaAzimuth * pixelScale,
+                y: this.height / 2 - (altitude - this.altitude) * pixelScale
+            });
+            let previous = null;
+            
+            for (const point of points) {
+                const deltaAzimuth = normalizeAngle(point.azimut - this.azimuth + 180) - 180;
+                
+                if (previous && Math.abs(deltaAzimuth - previous.deltaAzimuth) > 180) {
+                    // Passage d'un bord à l'autre : point de coupure interpolé à ±180°
+                    const edge = previous.deltaAzimuth > 0 ? 180 : -180;
+                    const unwrapped = deltaAzimuth + 2 * edge;
+                    const t = (edge - previous.deltaAzimuth) / (unwrapped - previous.deltaAzimuth);
+                    const altitude = previous.altitude + (point.altitude - previous.altitude) * t;
+                    current.push(toScreen(edge, altitude));
+                    current = [toScreen(-edge, altitude)];
+                    lines.push(current);
+                }
+                if (!current) {
+                    current = [];
+                    lines.push(current);
+                }
+                current.push(toScreen(deltaAzimuth, point.altitude));
+                previous = { deltaAzimuth, altitude: point.altitude };
+            }
+            return lines.filter(line => line.length > 1);
+        }
         
-        // Projection perspective (gnomique modifiée)
-        // Calculer les coordonnées dans le plan de vue
+        const minCosine = Math.cos(degreesToRadians(this.getVisibleAngle()));
+        const { forward, right, up } = this.getAxes();
+        const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+        const isInside = (vector) => dot(vector, forward) > minCosine * Math.sqrt(dot(vector, vector));
+        const toScreen = (vector) =>
+            this.cameraSpaceToScreen({ x: dot(vector, right), y: dot(vector, up), z: dot(vector, forward) });
+        
+        // Point de l'arc [inside, outside] situé sur la limite
+        const boundary = (inside, outside) => {
+            for (let i = 0; i < 20; i++) {
+                const middle = interpolateVectors(inside, outside, 0.5);
+                if (isInside(middle)) inside = middle; else outside = middle;
+            }
+            return inside;
+        };
         
-        // Construire un repère local autour de la direction de vue
-        // Vecteur "droite" de la caméra (perpendiculaire à la direction, horizontal)
-        const rightX = Math.cos(camAzRad);
-        const rightY = -Math.sin(camAzRad);
-        const rightZ = 0;
+        let previous = null;
+        for (const point of points) {
+            const vector = horizontalToVector(point.azimut, point.altitude);
+            const inside = isInside(vector);
+            
+            if (inside && !current) {
+                current = previous ? [toScreen(boundary(vector, previous))] : [];
+                lines.push(current);
+            }
+            if (inside) {
+                current.push(toScreen(vector));
+            } else if (current) {
+                current.push(toScreen(boundary(previous, vector)));
+                current = null;
+            }
+            previous = vector;
+        }
+        return lines.filter(line => line.length > 1);
+    }
+    
+    /**
+     * Projette la ligne d'horizon (ou un cercle de hauteur constante) avec
+     * la projection courante, quels que soient la visée, le champ et le
+     * format de l'écran. Le tracé part de l'azimut opposé à la visée : s'il
+     * est coupé, il ne l'est que derrière l'observateur et reste d'un seul
+     * tenant (l'écart à la visée croît avec l'écart en azimut).
+     * @param {number} altitude - Hauteur du cercle en degrés (0 = horizon)
+     * @returns {Object|null} {points: [{x, y}, ...], closed, altitude} ou null si le cercle est hors champ
+     */
+    projectHorizon(altitude = 0) {
+        const points = [];
+        for (let i = 0; i <= 180; i++) {
+            points.push({ azimut: normalizeAngle(this.azimuth + 180 + i * 2), altitude });
+        }
         
-        // Vecteur "haut" de la caméra (perpendiculaire à direction et droite)
-        const upX = -Math.sin(camAltRad) * Math.sin(camAzRad);
-        const upY = -Math.sin(camAltRad) * Math.cos(camAzRad);
-        const upZ = Math.cos(camAltRad);
+        const lines = this.projectCurve(points);
+        if (lines.length === 0) {
+            return null;
+        }
+        // Courbe fermée : le point du cercle le plus éloigné de la visée
+        // (à 180° - |hauteur de visée + hauteur du cercle|) est encore dessiné
+        const closed = this.projection !== 'cylindrical' &&
+            180 - Math.abs(this.altitude + altitude) < this.getVisibleAngle();
+        return { points: lines[0], closed, altitude };
+    }
+
+    /**
+     * Inverse de project() : direction du ciel vue en un point de l'écran
+     * @param {number} x - Position X en pixels
+     * @param {number} y - Position Y en pixels
+     * @returns {Object|null} {azimuth, altitude} en degrés, ou null hors du ciel dessiné
+     */
+    unproject(x, y) {
+        if (this.projection === 'cylindrical') {
+            const pixelScale = this.getPixelScale();
+            const altitude = this.altitude + (this.height / 2 - y) / pixelScale;
+            if (Math.abs(altitude) > 90) {
+                return null;
+            }
+            return { azimuth: normalizeAngle(this.azimuth + (x - this.width / 2) / pixelScale), altitude };
+        }
         
-        // Projeter l'étoile sur le plan de vue
-        // Vecteur de l'étoile par rapport à la direction de vue
-        const relX = starX - dotProduct * camX;
-        const relY = starY - dotProduct * camY;
-        const relZ = starZ - dotProduct * camZ;
+        const point = this.screenToCameraSpace(x, y);
+        if (!point) {
+            return null;
+        }
         
-        // Composantes dans le repère de la caméra
-        const screenX = relX * rightX + relY * rightY + relZ * rightZ;
-        const screenY = relX * upX + relY * upY + relZ * upZ;
+        // Retour au repère horizontal : direction de vue, droite et haut
+        const { forward, right, up } = this.getAxes();
+        const direction = vectorToHorizontal({
+            x: forward.x * point.z + right.x * point.x + up.x * point.y,
+            y: forward.y * point.z + right.y * point.x + up.y * point.y,
+            z: forward.z * point.z + right.z * point.x + up.z * point.y
+        });
         
-        // Normaliser par la distance (projection gnomique)
-        const scale = 1 / dotProduct;
-        const projX = screenX * scale;
-        const projY = screenY * scale;
+        return { azimuth: direction.azimut, altitude: direction.altitude };
+    }
+    
+    /**
+     * Oriente la caméra pour qu'une direction du ciel apparaisse en un point
+     * donné de l'écran, au champ de vision actuel (sans roulis : on cherche
+     * l'altitude de visée, puis l'azimut).
+     * @param {number} azimuth - Azimut de la direction en degrés
+     * @param {number} altitude - Altitude de la direction en degrés
+     * @param {number} x - Position X visée en pixels
+     * @param {number} y - Position Y visée en pixels
+     * @returns {boolean} false si aucune orientation ne convient (près du zénith)
+     */
+    placeAtScreenPoint(azimuth, altitude, x, y) {
+        if (this.projection === 'cylindrical') {
+            // Panorama : simple translation en azimut et en hauteur
+            const pixelScale = this.getPixelScale();
+            const camAltitude = altitude - (this.height / 2 - y) / pixelScale;
+            this.altitude = Math.max(this.minAltitude, Math.min(this.maxAltitude, camAltitude));
+            this.azimuth = normalizeAngle(azimuth - (x - this.width / 2) / pixelScale);
+            return true;
+        }
         
-        // Convertir en coordonnées pixel
-        // FOV horizontal → largeur de l'écran
-        const fovRadH = degreesToRadians(this.fov);
-        const pixelScale = this.width / (2 * Math.tan(fovRadH / 2));
+        // Direction dans le repère de la caméra (droite, haut, profondeur)
+        const point = this.screenToCameraSpace(x, y);
+        if (!point) {
+            return false;
+        }
         
-        const x = this.width / 2 + projX * pixelScale;
-        const y = this.height / 2 - projY * pixelScale; // Y inversé (écran)
+        // Hauteur de la direction : sin(h) = y·cos(a) + z·sin(a), a = altitude de visée
+        const rho = Math.hypot(point.y, point.z);
+        const ratio = Math.sin(degreesToRadians(altitude)) / rho;
+        if (Math.abs(ratio) > 1) {
+            return false;
+        }
+        // Deux solutions (de part et d'autre du zénith) : la plus proche de la visée actuelle
+        const phi = Math.atan2(point.y, point.z);
+        const current = degreesToRadians(this.altitude);
+        const candidates = [Math.asin(ratio) - phi, Math.PI - Math.asin(ratio) - phi];
+        const camAltRad = Math.abs(candidates[0] - current) <= Math.abs(candidates[1] - current)
+            ? candidates[0] : candidates[1];
         
-        // Calculer la distance normalisée depuis le centre (pour effets visuels)
-        const distanceFromCenter = angularDistanceDeg / (this.fov / 2);
+        // Azimut de la direction vue par une caméra tournée vers le Nord
+        const north = -point.y * Math.sin(camAltRad) + point.z * Math.cos(camAltRad);
+        const offset = radiansToDegrees(Math.atan2(point.x, north));
         
-        return {
-            x: x,
-            y: y,
-            visible: true,
-            distanceFromCenter: distanceFromCenter,
-            angularDistance: angularDistanceDeg
-        };
+        this.altitude = Math.max(this.minAltitude, Math.min(this.maxAltitude, radiansToDegrees(camAltRad)));
+        this.azimuth = normalizeAngle(azimuth - offset);
+        return true;
+    }
+    
+    /**
+     * Ajuste le zoom en gardant fixe le point du ciel situé sous le curseur
+     * @param {number} factor - Facteur de zoom (< 1 = zoom in, > 1 = zoom out)
+     * @param {number} x - Position X du curseur en pixels
+     * @param {number} y - Position Y du curseur en pixels
+     */
+    zoomAt(factor, x, y) {
+        const anchor = this.unproject(x, y);
+        this.zoom(factor);
+        if (anchor) {
+            this.placeAtScreenPoint(anchor.azimuth, anchor.altitude, x, y);
+        }
     }
     
     /**
@@ -159,6 +567,18 @@ class Camera {
         return this.fov / aspectRatio;
     }
     
+    /**
+     * Calcule l'échelle de la projection au centre de l'écran
+     * (pour dessiner des objets à leur taille angulaire réelle)
+     * @returns {number} Pixels par degré
+     */
+    getPixelsPerDegree() {
+        if (this.projection === 'cylindrical') {
+            return this.getPixelScale();
+        }
+        return this.getPixelScale() * AZIMUTHAL_PROJECTIONS[this.projection].radius(degreesToRadians(1));
+    }
+    
     /**
      * Fait pivoter la caméra (rotation de la direction de vue)
      * @param {number} deltaAz - Changement d'azimut en degrés
@@ -194,11 +614,228 @@ class Camera {
      * Réinitialise la caméra à sa position par défaut
      */
     reset() {
+        this.stopMotion();
+        this.targetFov = null;
         this.azimuth = this.defaultAzimuth;
         this.altitude = this.defaultAltitude;
         this.fov = this.defaultFov;
     }
     
+    /**
+     * Ramène la caméra à sa position par défaut par un déplacement animé
+     */
+    animateReset() {
+        this.animateTo({
+            azimuth: this.defaultAzimuth,
+            altitude: this.defaultAltitude,
+            fov: this.defaultFov
+        });
+    }
+    
+    /**
+     * Démarre un déplacement animé de la visée le long du grand cercle
+     * (le plus court chemin sur la sphère), avec accélération puis freinage.
+     * L'animation est avancée par update().
+     * @param {Object} target - {azimuth, altitude, fov} visés (champs omis : inchangés)
+     * @param {number} duration - Durée du déplacement en millisecondes
+     */
+    animateTo(target, duration = this.animationDuration) {
+        const toAzimuth = normalizeAngle(target.azimuth ?? this.azimuth);
+        const toAltitude = Math.max(this.minAltitude, Math.min(this.maxAltitude, target.altitude ?? this.altitude));
+        const toFov = target.fov === undefined ? (this.targetFov ?? this.fov)
+                                               : Math.max(this.minFov, Math.min(this.maxFov, target.fov));
+        
+        const from = horizontalToVector(this.azimuth, this.altitude);
+        const to = horizontalToVector(toAzimuth, toAltitude);
+        const cross = {
+            x: from.y * to.z - from.z * to.y,
+            y: from.z * to.x - from.x * to.z,
+            z: from.x * to.y - from.y * to.x
+        };
+        const sine = Math.hypot(cross.x, cross.y, cross.z);
+        const cosine = from.x * to.x + from.y * to.y + from.z * to.z;
+        
+        // Directions opposées : aucun grand cercle privilégié, on pivote autour du zénith
+        const axis = sine > 1e-9 ? { x: cross.x / sine, y: cross.y / sine, z: cross.z / sine }
+                                 : { x: 0, y: 0, z: 1 };
+        
+        this.inertia = null;
+        this.targetFov = null;
+        this.zoomAnchor = null;
+        this.animation = {
+            startTime: null,
+            duration,
+            from,
+            axis,
+            angle: Math.atan2(sine, cosine),
+            toAzimuth,
+            toAltitude,
+            fromFov: this.fov,
+            toFov
+        };
+    }
+    
+    /**
+     * Lance la rotation libre qui prolonge un glisser (inertie)
+     * @param {number} azimuthSpeed - Vitesse en azimut au relâchement (°/s)
+     * @param {number} altitudeSpeed - Vitesse en altitude au relâchement (°/s)
+     */
+    startInertia(azimuthSpeed, altitudeSpeed) {
+        this.animation = null;
+        this.inertia = Math.hypot(azimuthSpeed, altitudeSpeed) >= this.minInertiaSpeed
+            ? { azimuth: azimuthSpeed, altitude: altitudeSpeed }
+            : null;
+    }
+    
+    /**
+     * Zoom progressif : le champ de vision rejoint sa nouvelle valeur en
+     * quelques images. Les crans successifs s'accumulent.
+     * @param {number} factor - Facteur de zoom (< 1 = zoom in, > 1 = zoom out)
+     * @param {number} x - Position X du point de l'écran à garder fixe (centre si omis)
+     * @param {number} y - Position Y du point de l'écran à garder fixe
+     */
+    zoomSmoothly(factor, x = null, y = null) {
+        if (this.animation) {
+            // Pendant un déplacement, le zoom modifie le champ de vision visé
+            const toFov = this.animation.toFov * factor;
+            this.animation.toFov = Math.max(this.minFov, Math.min(this.maxFov, toFov));
+            return;
+        }
+        const targetFov = (this.targetFov ?? this.fov) * factor;
+        this.targetFov = Math.max(this.minFov, Math.min(this.maxFov, targetFov));
+        
+        // Le point du ciel sous le curseur reste en place pendant tout le zoom
+        this.inertia = null;
+        const anchor = x === null ? null : this.unproject(x, y);
+        this.zoomAnchor = anchor && { ...anchor, x, y };
+    }
+    
+    /**
+     * Interrompt le déplacement animé et l'inertie (l'utilisateur reprend la main)
+     */
+    stopMotion() {
+        this.animation = null;
+        this.inertia = null;
+        this.zoomAnchor = null;
+    }
+    
+    /**
+     * Indique si une animation est en cours
+     * @returns {boolean} true tant que update() doit être appelée
+     */
+    isAnimating() {
+        return this.animation !== null || this.inertia !== null || this.targetFov !== null;
+    }
+    
+    /**
+     * Avance les animations d'une image
+     * @param {number} timestamp - Horodatage de l'image en millisecondes (requestAnimationFrame)
+     * @returns {boolean} true si une animation n'est pas terminée
+     */
+    update(timestamp) {
+        // Durée écoulée depuis l'image précédente (bornée après une pause de l'onglet)
+        const elapsed = this.lastUpdateTime === null ? 0 : Math.min(100, timestamp - this.lastUpdateTime);
+        this.lastUpdateTime = timestamp;
+        
+        if (this.animation) this.updateAnimation(timestamp);
+        if (this.inertia) this.updateInertia(elapsed);
+        if (this.targetFov !== null) this.updateZoom(elapsed);
+        
+        const running = this.isAnimating();
+        if (!running) {
+            this.lastUpdateTime = null;
+        }
+        return running;
+    }
+    
+    /**
+     * Avance le déplacement animé : rotation d'un angle croissant autour de
+     * l'axe du grand cercle (formule de Rodrigues)
+     * @param {number} timestamp - Horodatage de l'image en millisecondes
+     */
+    updateAnimation(timestamp) {
+        const animation = this.animation;
+        if (animation.startTime === null) {
+            animation.startTime = timestamp;
+        }
+        const t = animation.duration > 0 ? Math.min(1, (timestamp - animation.startTime) / animation.duration) : 1;
+        const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(2 - 2 * t, 2) / 2;
+        
+        // Champ de vision interpolé en échelle logarithmique (grossissement régulier)
+        this.fov = animation.fromFov * Math.pow(animation.toFov / animation.fromFov, eased);
+        
+        if (t >= 1) {
+            this.azimuth = animation.toAzimuth;
+            this.altitude = animation.toAltitude;
+            this.animation = null;
+            return;
+        }
+        
+        const { from, axis } = animation;
+        const theta = animation.angle * eased;
+        const cos = Math.cos(theta);
+        const sin = Math.sin(theta);
+        const dot = axis.x * from.x + axis.y * from.y + axis.z * from.z;
+        const direction = vectorToHorizontal({
+            x: from.x * cos + (axis.y * from.z - axis.z * from.y) * sin + axis.x * dot * (1 - cos),
+            y: from.y * cos + (axis.z * from.x - axis.x * from.z) * sin + axis.y * dot * (1 - cos),
+            z: from.z * cos + (axis.x * from.y - axis.y * from.x) * sin + axis.z * dot * (1 - cos)
+        });
+        
+        // Au zénith, l'azimut n'est pas défini : on garde le précédent
+        if (direction.altitude < 90 - 1e-6) {
+            this.azimuth = direction.azimut;
+        }
+        this.altitude = Math.max(this.minAltitude, Math.min(this.maxAltitude, direction.altitude));
+    }
+    
+    /**
+     * Avance la rotation libre, freinée exponentiellement
+     * @param {number} elapsed - Durée écoulée depuis l'image précédente (ms)
+     */
+    updateInertia(elapsed) {
+        const decay = Math.exp(-elapsed / this.inertiaTimeConstant);
+        // Angle parcouru pendant l'image (intégrale de la vitesse amortie)
+        const travel = this.inertiaTimeConstant / 1000 * (1 - decay);
+        
+        this.rotate(this.inertia.azimuth * travel, this.inertia.altitude * travel);
+        
+        this.inertia.azimuth *= decay;
+        this.inertia.altitude *= decay;
+        
+        // Butée en altitude (zénith, horizon) : le mouvement vertical s'arrête
+        if ((this.altitude >= this.maxAltitude && this.inertia.altitude > 0) ||
+            (this.altitude <= this.minAltitude && this.inertia.altitude < 0)) {
+            this.inertia.altitude = 0;
+        }
+        
+        if (Math.hypot(this.inertia.azimuth, this.inertia.altitude) < this.minInertiaSpeed) {
+            this.inertia = null;
+        }
+    }
+    
+    /**
+     * Rapproche le champ de vision de sa valeur visée (zoom progressif)
+     * @param {number} elapsed - Durée écoulée depuis l'image précédente (ms)
+     */
+    updateZoom(elapsed) {
+        const decay = Math.exp(-elapsed / this.fovTimeConstant);
+        this.fov = this.targetFov * Math.pow(this.fov / this.targetFov, decay);
+        
+        if (Math.abs(this.fov / this.targetFov - 1) < 1e-3) {
+            this.fov = this.targetFov;
+            this.targetFov = null;
+        }
+        
+        if (this.zoomAnchor) {
+            const { azimuth, altitude, x, y } = this.zoomAnchor;
+            this.placeAtScreenPoint(azimuth, altitude, x, y);
+            if (this.targetFov === null) {
+                this.zoomAnchor = null;
+            }
+        }
+    }
+    
     /**
      * Obtient le nom de la direction cardinale actuelle
      * @returns {string} Direction (ex: "Sud", "Nord-Est")
@@ -255,38 +892,23 @@ class Camera {
      * @returns {boolean} true si l'horizon est visible
      */
     isHorizonVisible() {
-        // L'horizon est visible si l'altitude de la caméra moins la moitié du FOV vertical <= 0
-        const halfVerticalFov = this.getVerticalFov() / 2;
-        return (this.altitude - halfVerticalFov) <= 0;
+        // Un point de l'horizon projeté tombe dans l'écran
+        const horizon = this.projectHorizon();
+        return horizon !== null && horizon.points.some(point =>
+            point.x >= 0 && point.x <= this.width && point.y >= 0 && point.y <= this.height);
     }
     
     /**
-     * Calcule la position Y de l'horizon sur l'écran
+     * Calcule la position Y de l'horizon sur la verticale du centre de
+     * l'écran (point de l'horizon dans l'azimut de visée)
      * @returns {number|null} Position Y en pixels, ou null si hors écran
      */
     getHorizonY() {
-        if (!this.isHorizonVisible()) {
+        const point = this.project(this.azimuth, 0);
+        if (!point || point.y < 0 || point.y > this.height) {
             return null;
         }
-        
-        // L'horizon est à altitude 0
-        // Quand on regarde vers le haut (altitude > 0), l'horizon est EN BAS de l'écran
-        // Quand on regarde vers l'horizon (altitude = 0), l'horizon est AU CENTRE
-        const verticalFov = this.getVerticalFov();
-        
-        // Calcul simplifié et robuste : position proportionnelle dans le FOV
-        // L'horizon (altitude 0) est à "altitude" degrés en dessous du centre de vue
-        // Le bas de l'écran correspond à -verticalFov/2 par rapport au centre
-        // Le haut de l'écran correspond à +verticalFov/2 par rapport au centre
-        
-        // Position normalisée de l'horizon : 
-        // Si altitude = 0, horizon au centre (0.5)
-        // Si altitude = verticalFov/2, horizon tout en bas (1.0)
-        // Si altitude = -verticalFov/2, horizon tout en haut (0.0)
-        const normalizedPosition = 0.5 + (this.altitude / verticalFov);
-        
-        // Convertir en pixels
-        return normalizedPosition * this.height;
+        return point.y;
     }
     
     /**
@@ -4,8 +4,9 @@
  * ==========================================================================
  * 
  * Ce module gère :
- * - Le zoom avec la molette (changement de FOV)
- * - La rotation de la caméra (clic + glisser)
+ * - Le zoom avec la molette ou le pincement (changement de FOV vers le curseur)
+ * - La rotation de la caméra (clic + glisser), prolongée par l'inertie
+ * - La boucle d'animation de la caméra (aller à, réinitialisation, zoom progressif)
  * - Le rendu du ciel en vue POV réaliste
  * - Les effets visuels (horizon, atmosphère)
  */
@@ -15,11 +16,15 @@ class CanvasController {
      * Crée un nouveau contrôleur de canvas pour vue POV
      * @param {HTMLCanvasElement} canvas - L'élément canvas à contrôler
      * @param {Function} onRenderNeeded - Callback appelé quand un re-rendu est nécessaire
+     * @param {Function} onObjectClick - Callback appelé avec la position (x, y) d'un clic ou d'un toucher sans glisser
+     * @param {Function} onPointerMove - Callback appelé quand la souris se déplace sur le canvas ou le quitte
      */
-    constructor(canvas, onRenderNeeded) {
+    constructor(canvas, onRenderNeeded, onObjectClick = null, onPointerMove = null) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.onRenderNeeded = onRenderNeeded;
+        this.onObjectClick = onObjectClick;
+        this.onPointerMove = onPointerMove;
         
         // Caméra pour la vue POV
         this.camera = null; // Sera initialisée après le resize
@@ -31,14 +36,38 @@ class CanvasController {
         this.dragStartAzimuth = 0;
         this.dragStartAltitude = 0;
         
+        // Vitesse du glisser (pixels/ms), lissée, pour l'inertie au relâchement
+        this.dragVelocityX = 0;
+        this.dragVelocityY = 0;
+        this.lastDragX = 0;
+        this.lastDragY = 0;
+        this.lastDragTime = 0;
+        this.maxInertiaPause = 80;  // Immobile plus longtemps avant le relâchement : pas d'inertie (ms)
+        
         // Sensibilité des contrôles
         this.rotationSensitivity = 0.3;  // Degrés par pixel de déplacement
         this.zoomSensitivity = 0.1;      // Facteur de zoom par cran de molette
         
+        // Déplacement maximal (pixels) pour qu'un appui soit un clic et non un glisser
+        this.clickTolerance = 5;
+        this.isTap = false;         // Toucher à un doigt en cours (clic potentiel)
+        
+        // Position de la souris sur le canvas {x, y} (null en dehors)
+        this.pointer = null;
+        
         // État du pinch-to-zoom (mobile)
         this.isPinching = false;
         this.initialPinchDistance = 0;
         this.initialPinchFov = 60;
+        this.pinchAnchor = null;    // Point du ciel saisi entre les deux doigts
+        
+        // Boucle d'animation de la caméra
+        this.animationFrameId = null;
+        
+        // Image du Soleil (redessiner dès qu'elle est chargée)
+        this.sunImage = new Image();
+        this.sunImage.onload = () => this.requestRender();
+        this.sunImage.src = '../shared/assets/sun.png';
         
         // Initialiser la taille du canvas
         this.resizeCanvas();
@@ -81,6 +110,10 @@ class CanvasController {
         this.canvas.addEventListener('mouseup', (e) => this.handleDragEnd(e));
         this.canvas.addEventListener('mouseleave', (e) => this.handleDragEnd(e));
         
+        // Suivi de la souris (coordonnées sous le pointeur)
+        this.canvas.addEventListener('mousemove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('mouseleave', () => this.handlePointerLeave());
+        
         // Double-clic pour réinitialiser
         this.canvas.addEventListener('dblclick', (e) => this.handleReset(e));
         
@@ -108,23 +141,27 @@ class CanvasController {
         // Calculer le facteur de zoom
         const zoomFactor = event.deltaY > 0 ? (1 + this.zoomSensitivity) : (1 - this.zoomSensitivity);
         
-        // Appliquer le zoom à la caméra
-        this.camera.zoom(zoomFactor);
+        // Position de la souris sur le canvas
+        const rect = this.canvas.getBoundingClientRect();
+        const mouseX = event.clientX - rect.left;
+        const mouseY = event.clientY - rect.top;
         
-        // Mettre à jour l'affichage
-        this.updateUI();
-        this.requestRender();
+        // Zoom progressif de la caméra, le point visé par la souris restant fixe
+        this.camera.zoomSmoothly(zoomFactor, mouseX, mouseY);
+        this.startAnimation();
     }
     
     /**
      * Démarre la rotation de la caméra (clic)
      */
     handleDragStart(event) {
+        this.camera.stopMotion();
         this.isDragging = true;
         this.dragStartX = event.clientX;
         this.dragStartY = event.clientY;
         this.dragStartAzimuth = this.camera.azimuth;
         this.dragStartAltitude = this.camera.altitude;
+        this.resetDragVelocity(event.clientX, event.clientY);
         
         this.canvas.style.cursor = 'grabbing';
     }
@@ -148,6 +185,7 @@ class CanvasController {
         this.camera.altitude = Math.max(this.camera.minAltitude, 
                                         Math.min(this.camera.maxAltitude, 
                                                 this.dragStartAltitude + deltaAltitude));
+        this.trackDragVelocity(event.clientX, event.clientY);
         
         // Mettre à jour
         this.updateUI();
@@ -158,10 +196,84 @@ class CanvasController {
      * Termine la rotation
      */
     handleDragEnd(event) {
+        if (this.isDragging) {
+            if (event.type === 'mouseup') {
+                this.handleClick(event.clientX, event.clientY);
+            }
+            this.releaseDrag();
+        }
         this.isDragging = false;
         this.canvas.style.cursor = 'grab';
     }
     
+    /**
+     * Repart d'une vitesse de glisser nulle
+     * @param {number} clientX - Position X du pointeur
+     * @param {number} clientY - Position Y du pointeur
+     */
+    resetDragVelocity(clientX, clientY) {
+        this.dragVelocityX = 0;
+        this.dragVelocityY = 0;
+        this.lastDragX = clientX;
+        this.lastDragY = clientY;
+        this.lastDragTime = performance.now();
+    }
+    
+    /**
+     * Mesure la vitesse du glisser (moyenne glissante des derniers mouvements)
+     * @param {number} clientX - Position X du pointeur
+     * @param {number} clientY - Position Y du pointeur
+     */
+    trackDragVelocity(clientX, clientY) {
+        const now = performance.now();
+        const elapsed = now - this.lastDragTime;
+        if (elapsed <= 0) return;
+        
+        // Les mouvements récents comptent davantage
+        const weight = Math.min(1, elapsed / 40);
+        this.dragVelocityX += ((clientX - this.lastDragX) / elapsed - this.dragVelocityX) * weight;
+        this.dragVelocityY += ((clientY - this.lastDragY) / elapsed - this.dragVelocityY) * weight;
+        this.lastDragX = clientX;
+        this.lastDragY = clientY;
+        this.lastDragTime = now;
+    }
+    
+    /**
+     * Relâchement d'un glisser : la caméra continue sur sa lancée
+     */
+    releaseDrag() {
+        if (performance.now() - this.lastDragTime > this.maxInertiaPause) return;
+        
+        // Même conversion que le glisser : pixels/ms → degrés/s
+        const azimuthSpeed = -this.dragVelocityX * this.rotationSensitivity * 1000;
+        const altitudeSpeed = this.dragVelocityY * this.rotationSensitivity * 1000;
+        this.camera.startInertia(azimuthSpeed, altitudeSpeed);
+        if (this.camera.isAnimating()) {
+            this.startAnimation();
+        }
+    }
+    
+    /**
+     * Enregistre la position de la souris sur le canvas
+     */
+    handlePointerMove(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pointer = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        if (this.onPointerMove) {
+            this.onPointerMove();
+        }
+    }
+    
+    /**
+     * La souris quitte le canvas
+     */
+    handlePointerLeave() {
+        this.pointer = null;
+        if (this.onPointerMove) {
+            this.onPointerMove();
+        }
+    }
+    
     /**
      * Calcule la distance entre deux points de toucher
      * @param {Touch} touch1 - Premier point de toucher
@@ -174,6 +286,20 @@ class CanvasController {
         return Math.sqrt(dx * dx + dy * dy);
     }
     
+    /**
+     * Calcule le milieu de deux points de toucher sur le canvas
+     * @param {Touch} touch1 - Premier point de toucher
+     * @param {Touch} touch2 - Second point de toucher
+     * @returns {Object} {x, y} en pixels
+     */
+    getPinchCenter(touch1, touch2) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (touch1.clientX + touch2.clientX) / 2 - rect.left,
+            y: (touch1.clientY + touch2.clientY) / 2 - rect.top
+        };
+    }
+    
     /**
      * Gère le début d'un toucher (mobile)
      */
@@ -184,17 +310,25 @@ class CanvasController {
             // Début du pinch-to-zoom
             this.isPinching = true;
             this.isDragging = false;
+            this.isTap = false;
+            this.camera.stopMotion();
+            this.camera.targetFov = null;
             this.initialPinchDistance = this.getPinchDistance(event.touches[0], event.touches[1]);
             this.initialPinchFov = this.camera.fov;
+            const center = this.getPinchCenter(event.touches[0], event.touches[1]);
+            this.pinchAnchor = this.camera.unproject(center.x, center.y);
         } else if (event.touches.length === 1) {
             // Début de la rotation
+            this.camera.stopMotion();
             this.isDragging = true;
             this.isPinching = false;
+            this.isTap = true;
             const touch = event.touches[0];
             this.dragStartX = touch.clientX;
             this.dragStartY = touch.clientY;
             this.dragStartAzimuth = this.camera.azimuth;
             this.dragStartAltitude = this.camera.altitude;
+            this.resetDragVelocity(touch.clientX, touch.clientY);
         }
     }
     
@@ -209,14 +343,16 @@ class CanvasController {
             // Pinch-to-zoom (change le FOV)
             const currentDistance = this.getPinchDistance(event.touches[0], event.touches[1]);
             const scale = this.initialPinchDistance / currentDistance; // Inversé pour un comportement naturel
-            const newFov = this.initialPinchFov * scale;
+            this.camera.setFov(this.initialPinchFov * scale);
             
-            // Appliquer les limites de FOV
-            if (newFov >= this.camera.minFov && newFov <= this.camera.maxFov) {
-                this.camera.fov = newFov;
-                this.updateUI();
-                this.requestRender();
+            // Le point du ciel saisi suit le milieu des deux doigts
+            const center = this.getPinchCenter(event.touches[0], event.touches[1]);
+            if (this.pinchAnchor) {
+                this.camera.placeAtScreenPoint(this.pinchAnchor.azimuth, this.pinchAnchor.altitude, center.x, center.y);
             }
+            
+            this.updateUI();
+            this.requestRender();
         } else if (event.touches.length === 1 && this.isDragging && !this.isPinching) {
             // Rotation de la caméra
             const touch = event.touches[0];
@@ -230,6 +366,7 @@ class CanvasController {
             this.camera.altitude = Math.max(this.camera.minAltitude, 
                                             Math.min(this.camera.maxAltitude, 
                                                     this.dragStartAltitude + deltaAltitude));
+            this.trackDragVelocity(touch.clientX, touch.clientY);
             
             this.updateUI();
             this.requestRender();
@@ -244,18 +381,93 @@ class CanvasController {
             this.isPinching = false;
         }
         if (event.touches.length === 0) {
+            if (this.isTap && event.changedTouches.length > 0) {
+                const touch = event.changedTouches[0];
+                this.handleClick(touch.clientX, touch.clientY);
+            }
+            if (this.isDragging) {
+                this.releaseDrag();
+            }
             this.isDragging = false;
+            this.isTap = false;
         }
     }
     
     /**
-     * Réinitialise la vue (double-clic)
+     * Signale un clic (ou un toucher) resté sur place : le callback reçoit
+     * la position sur le canvas. Un glisser au-delà de la tolérance est ignoré.
+     * @param {number} clientX - Position X du relâchement dans la fenêtre
+     * @param {number} clientY - Position Y du relâchement dans la fenêtre
+     */
+    handleClick(clientX, clientY) {
+        const moved = Math.hypot(clientX - this.dragStartX, clientY - this.dragStartY);
+        if (moved > this.clickTolerance || !this.onObjectClick) return;
+        
+        const rect = this.canvas.getBoundingClientRect();
+        this.onObjectClick(clientX - rect.left, clientY - rect.top);
+    }
+    
+    /**
+     * Réinitialise la vue (double-clic) par un retour animé
      */
     handleReset(event) {
         event.preventDefault();
-        this.camera.reset();
+        this.camera.animateReset();
+        this.startAnimation();
+    }
+    
+    /**
+     * Change la projection de la vue (voir POV_PROJECTIONS)
+     * @param {string} name - Nom de la projection
+     */
+    setProjection(name) {
+        if (this.camera.setProjection(name)) {
+            this.updateUI();
+        }
+    }
+    
+    /**
+     * Amène la visée sur une direction par un déplacement animé
+     * @param {number} azimuth - Azimut visé en degrés
+     * @param {number} altitude - Altitude visée en degrés
+     */
+    goTo(azimuth, altitude) {
+        this.camera.animateTo({ azimuth, altitude });
+        this.startAnimation();
+    }
+    
+    /**
+     * Démarre la boucle d'animation de la caméra si elle est arrêtée
+     */
+    startAnimation() {
+        if (this.animationFrameId === null) {
+            this.animationFrameId = requestAnimationFrame((timestamp) => this.animate(timestamp));
+        }
+    }
+    
+    /**
+     * Avance les animations de la caméra d'une image
+     * @param {number} timestamp - Horodatage fourni par requestAnimationFrame (ms)
+     */
+    animate(timestamp) {
+        const running = this.camera.update(timestamp);
         this.updateUI();
         this.requestRender();
+        
+        this.animationFrameId = running ? requestAnimationFrame((t) => this.animate(t)) : null;
+    }
+    
+    /**
+     * Convertit des coordonnées écran en coordonnées horizontales
+     * (inverse de la projection de la caméra)
+     * 
+     * @param {number} x - Position X en pixels
+     * @param {number} y - Position Y en pixels
+     * @returns {Object|null} {azimut, altitude} en degrés, ou null hors du ciel dessiné
+     */
+    screenToWorld(x, y) {
+        const direction = this.camera.unproject(x, y);
+        return direction && { azimut: direction.azimuth, altitude: direction.altitude };
     }
     
     /**
@@ -297,15 +509,21 @@ class CanvasController {
     
     /**
      * Efface le canvas et dessine le fond de ciel
+     * @param {Object|null} sky - Aspect du ciel (calculateSkyState), null pour la nuit
      */
-    clearCanvas() {
+    clearCanvas(sky = null) {
         const ctx = this.ctx;
         const width = this.canvas.width;
         const height = this.canvas.height;
         
-        // Fond uni sombre (ciel nocturne profond)
-        ctx.fillStyle = '#000814';
-        ctx.fillRect(0, 0, width, height);
+        if (sky && sky.phase.id !== 'night') {
+            // Ciel éclairé par le Soleil (jour ou crépuscule)
+            this.drawSkyGradient(sky);
+        } else {
+            // Fond uni sombre (ciel nocturne profond)
+            ctx.fillStyle = '#000814';
+            ctx.fillRect(0, 0, width, height);
+        }
         
         // Dessiner l'horizon si visible
         this.drawHorizon();
@@ -315,49 +533,130 @@ class CanvasController {
     }
     
     /**
-     * Dessine la ligne d'horizon (désactivé sur mobile en portrait)
+     * Dessine le fond d'un ciel éclairé : dégradé de la couleur de l'horizon
+     * vers celle du zénith sur les 60 premiers degrés d'altitude. Le dégradé
+     * suit les cercles de hauteur projetés : la couleur du zénith est posée
+     * par couches de plus en plus opaques au-dessus de chaque cercle.
+     * @param {Object} sky - Aspect du ciel {zenithColor, horizonColor}
      */
-    drawHorizon() {
-        // Désactiver l'horizon sur mobile (écran en portrait) car le calcul pose problème
-        const isMobilePortrait = this.canvas.width < this.canvas.height;
-        if (isMobilePortrait) {
-            return;
-        }
+    drawSkyGradient(sky) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const bands = 20;
         
-        const horizonY = this.camera.getHorizonY();
+        ctx.fillStyle = sky.horizonColor;
+        ctx.fillRect(0, 0, width, height);
         
-        if (horizonY === null || horizonY > this.canvas.height) {
-            return; // Horizon hors écran
+        ctx.fillStyle = sky.zenithColor;
+        for (let i = 1; i <= bands; i++) {
+            const altitude = 60 * i / bands;
+            const circle = this.camera.projectHorizon(altitude);
+            if (!circle && this.camera.altitude < altitude) {
+                continue; // Cercle hors champ, tout l'écran est en dessous
+            }
+            
+            // Opacité choisie pour que la couleur du zénith couvre i/bands
+            // du mélange au-dessus du cercle i
+            ctx.globalAlpha = 1 / (bands - i + 1);
+            ctx.beginPath();
+            ctx.rect(0, 0, width, height);
+            if (circle) {
+                this.traceGround(circle);
+            }
+            ctx.fill('evenodd');
+        }
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * Dessine la ligne d'horizon projetée et le sol
+     */
+    drawHorizon() {
+        const horizon = this.camera.projectHorizon();
+        if (!horizon) {
+            return; // Horizon hors champ
         }
         
         const ctx = this.ctx;
+        const points = horizon.points;
         
         // Zone sous l'horizon (sol)
-        if (horizonY < this.canvas.height) {
-            const groundGradient = ctx.createLinearGradient(0, horizonY, 0, this.canvas.height);
-            groundGradient.addColorStop(0, 'rgba(10, 22, 40, 0.3)');
-            groundGradient.addColorStop(1, 'rgba(5, 10, 20, 0.8)');
-            
-            ctx.fillStyle = groundGradient;
-            ctx.fillRect(0, horizonY, this.canvas.width, this.canvas.height - horizonY);
-        }
+        ctx.beginPath();
+        this.traceGround(horizon);
+        ctx.fillStyle = 'rgba(5, 12, 25, 0.6)';
+        ctx.fill('evenodd');
         
-        // Ligne d'horizon
+        // Ligne d'horizon, avec un effet de lueur (pollution lumineuse subtile)
         ctx.beginPath();
-        ctx.moveTo(0, horizonY);
-        ctx.lineTo(this.canvas.width, horizonY);
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        if (horizon.closed) {
+            ctx.closePath();
+        }
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = 'rgba(74, 144, 217, 0.05)';
+        ctx.lineWidth = 40;
+        ctx.stroke();
         ctx.strokeStyle = 'rgba(74, 144, 217, 0.4)';
         ctx.lineWidth = 2;
         ctx.stroke();
+    }
+    
+    /**
+     * Trace le contour du sol, ou de la partie du ciel sous un cercle de
+     * hauteur (à remplir avec la règle pair-impair)
+     * - Horizon fermé : la courbe entoure la région qui ne contient pas le
+     *   point opposé à la visée (hauteur -hauteur de visée). Le sol est donc
+     *   à l'intérieur si l'on regarde sous l'horizon, sinon entre l'horizon
+     *   et le bord du ciel dessiné (de même pour un cercle de hauteur h,
+     *   selon le signe de hauteur de visée + h)
+     * - Horizon coupé : on referme par le bas (le nadir est toujours sous le
+     *   centre de l'écran), le long du bord du ciel dessiné en projection
+     *   azimutale, ou par le bas de l'écran en panorama
+     * @param {Object} horizon - Horizon projeté {points, closed, altitude} (Camera.projectHorizon)
+     */
+    traceGround(horizon) {
+        const ctx = this.ctx;
+        const points = horizon.points;
+        const first = points[0];
+        const last = points[points.length - 1];
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+        
+        ctx.moveTo(first.x, first.y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
         
-        // Effet de lueur à l'horizon (pollution lumineuse subtile)
-        const glowGradient = ctx.createLinearGradient(0, horizonY - 100, 0, horizonY + 20);
-        glowGradient.addColorStop(0, 'rgba(74, 144, 217, 0)');
-        glowGradient.addColorStop(0.8, 'rgba(74, 144, 217, 0.05)');
-        glowGradient.addColorStop(1, 'rgba(74, 144, 217, 0.1)');
+        if (this.camera.projection === 'cylindrical') {
+            const bottom = Math.max(this.canvas.height, first.y, last.y);
+            ctx.lineTo(last.x, bottom);
+            ctx.lineTo(first.x, bottom);
+            ctx.closePath();
+            return;
+        }
         
-        ctx.fillStyle = glowGradient;
-        ctx.fillRect(0, horizonY - 100, this.canvas.width, 120);
+        const radius = this.camera.getVisibleRadius();
+        if (horizon.closed) {
+            ctx.closePath();
+            if (this.camera.altitude + horizon.altitude >= 0) {
+                ctx.moveTo(centerX + radius, centerY);
+                ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+            }
+            return;
+        }
+        
+        // Arc du bord, de la fin de l'horizon à son début en passant par le bas (angle π/2)
+        const fullTurn = 2 * Math.PI;
+        const endAngle = Math.atan2(last.y - centerY, last.x - centerX);
+        const startAngle = Math.atan2(first.y - centerY, first.x - centerX);
+        const toBottom = ((Math.PI / 2 - endAngle) % fullTurn + fullTurn) % fullTurn;
+        const toStart = ((startAngle - endAngle) % fullTurn + fullTurn) % fullTurn;
+        ctx.arc(centerX, centerY, radius, endAngle, startAngle, toBottom > toStart);
+        ctx.closePath();
     }
     
     /**
@@ -378,15 +677,22 @@ class CanvasController {
         
         ctx.font = 'bold 16px Arial';
         ctx.textAlign = 'center';
-        ctx.textBaseline = 'bottom';
+        ctx.textBaseline = 'middle';
         
         for (const cardinal of cardinals) {
             const pos = this.camera.projectCardinalPoint(cardinal.azimuth);
             
             if (pos && pos.visible) {
+                // Étiquette décalée vers le ciel, perpendiculairement à l'horizon
+                // (vers le haut de l'écran, ou vers le centre en vue du zénith)
+                const above = this.camera.project(cardinal.azimuth, 5);
+                const length = above ? Math.hypot(above.x - pos.x, above.y - pos.y) : 0;
+                const labelX = pos.x + (length > 0 ? (above.x - pos.x) / length * 18 : 0);
+                const labelY = pos.y + (length > 0 ? (above.y - pos.y) / length * 18 : -18);
+                
                 // Vérifier si le point est dans l'écran
-                if (pos.x >= -20 && pos.x <= this.canvas.width + 20 && 
-                    pos.y >= 0 && pos.y <= this.canvas.height + 30) {
+                if (labelX >= -20 && labelX <= this.canvas.width + 20 && 
+                    labelY >= -10 && labelY <= this.canvas.height + 10) {
                     
                     // Points cardinaux principaux plus visibles
                     const isPrimary = cardinal.label.length === 1;
@@ -398,24 +704,118 @@ class CanvasController {
                     
                     ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
                     ctx.shadowBlur = 4;
-                    ctx.fillText(cardinal.label, pos.x, pos.y - 10);
+                    ctx.fillText(cardinal.label, labelX, labelY);
                     ctx.shadowBlur = 0;
                 }
             }
         }
     }
     
+    /**
+     * Dessine des lignes brisées (tracés ou limites des constellations)
+     * @param {Array} lines - Lignes [[{x, y}, ...], ...] en pixels
+     * @param {Object} style - Style du tracé {color, width, dash}
+     */
+    drawLines(lines, style) {
+        const ctx = this.ctx;
+        
+        ctx.beginPath();
+        for (const points of lines) {
+            ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) {
+                ctx.lineTo(points[i].x, points[i].y);
+            }
+        }
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.width;
+        ctx.setLineDash(style.dash || []);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    /**
+     * Dessine le nom d'une constellation, centré sur sa position
+     * @param {number} x - Position X du centre
+     * @param {number} y - Position Y du centre
+     * @param {string} name - Nom principal
+     * @param {string|null} secondaryName - Nom secondaire (latin), écrit dessous
+     * @param {Object} style - Style {color, font, secondaryFont}
+     */
+    drawConstellationName(x, y, name, secondaryName, style) {
+        const ctx = this.ctx;
+        
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = style.color;
+        ctx.font = style.font;
+        ctx.fillText(name, x, y);
+        
+        if (secondaryName) {
+            ctx.font = style.secondaryFont;
+            ctx.fillText(secondaryName, x, y + 13);
+        }
+    }
+    
+    /**
+     * Dessine le libellé d'une ligne de grille de coordonnées, décalé de la
+     * ligne : au-dessus pour un méridien, au-dessous pour un parallèle
+     * @param {number} x - Position X du point de la ligne
+     * @param {number} y - Position Y du point de la ligne
+     * @param {string} text - Libellé
+     * @param {string} kind - 'meridian' ou 'parallel'
+     * @param {string} color - Couleur du texte
+     */
+    drawGridLabel(x, y, text, kind, color) {
+        const ctx = this.ctx;
+        
+        ctx.textAlign = 'left';
+        ctx.textBaseline = kind === 'meridian' ? 'bottom' : 'top';
+        ctx.fillStyle = color;
+        ctx.font = '11px Arial';
+        ctx.fillText(text, x + 3, kind === 'meridian' ? y - 3 : y + 3);
+    }
+    
+    /**
+     * Dessine un point de repère (zénith, nadir, pôle céleste) : une croix
+     * cerclée et son nom
+     * @param {number} x - Position X en pixels
+     * @param {number} y - Position Y en pixels
+     * @param {string} label - Nom du repère
+     * @param {Object} style - Style {color, size}
+     */
+    drawReferenceMarker(x, y, label, style) {
+        const ctx = this.ctx;
+        const size = style.size;
+        
+        ctx.beginPath();
+        ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+        ctx.moveTo(x - size, y);
+        ctx.lineTo(x + size, y);
+        ctx.moveTo(x, y - size);
+        ctx.lineTo(x, y + size);
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = style.color;
+        ctx.font = '11px Arial';
+        ctx.fillText(label, x + size + 4, y);
+    }
+    
     /**
      * Dessine une étoile sur le canvas avec effets POV
      * @param {number} x - Position X en pixels
      * @param {number} y - Position Y en pixels
      * @param {number} size - Taille de base de l'étoile
-     * @param {string} color - Couleur de l'étoile
+     * @param {string} color - Couleur de l'étoile (#rrggbb)
      * @param {number} magnitude - Magnitude pour l'opacité
      * @param {number} distanceFromCenter - Distance depuis le centre de vue (0-1+)
      * @param {number} altitude - Altitude de l'étoile (pour extinction atmosphérique)
+     * @param {number} fade - Visibilité sur le fond de ciel (0-1, 1 = nuit noire)
      */
-    drawStar(x, y, size, color, magnitude, distanceFromCenter, altitude) {
+    drawStar(x, y, size, color, magnitude, distanceFromCenter, altitude, fade = 1) {
         const ctx = this.ctx;
         
         // Effet de perspective : étoiles légèrement plus petites vers les bords
@@ -432,15 +832,15 @@ class CanvasController {
         
         // Calculer l'opacité
         const baseOpacity = Math.max(0.3, Math.min(1, (6 - magnitude) / 6));
-        const opacity = baseOpacity * atmosphericDimming;
+        const opacity = baseOpacity * atmosphericDimming * fade;
         
         // Dessiner le halo pour les étoiles brillantes
         if (size > 1.5 && magnitude < 3) {
             const glowRadius = adjustedSize * 4;
             const glow = ctx.createRadialGradient(x, y, 0, x, y, glowRadius);
-            glow.addColorStop(0, `rgba(255, 255, 240, ${opacity * 0.4})`);
-            glow.addColorStop(0.5, `rgba(255, 255, 240, ${opacity * 0.1})`);
-            glow.addColorStop(1, 'rgba(255, 255, 240, 0)');
+            glow.addColorStop(0, colorWithAlpha(color, opacity * 0.4));
+            glow.addColorStop(0.5, colorWithAlpha(color, opacity * 0.1));
+            glow.addColorStop(1, colorWithAlpha(color, 0));
             
             ctx.fillStyle = glow;
             ctx.beginPath();
@@ -467,6 +867,219 @@ class CanvasController {
         }
     }
     
+    /**
+     * Dessine une planète : disque coloré cerclé, accompagné de son nom
+     * @param {number} x - Position X en pixels
+     * @param {number} y - Position Y en pixels
+     * @param {number} radius - Rayon du disque en pixels
+     * @param {string} color - Couleur de la planète
+     * @param {string} label - Nom affiché à côté du disque
+     * @param {number} fade - Visibilité sur le fond de ciel (0-1, 1 = nuit noire)
+     */
+    drawPlanet(x, y, radius, color, label, fade = 1) {
+        const ctx = this.ctx;
+        
+        // Halo léger, de la couleur de la planète
+        const glowRadius = radius * 3;
+        const glow = ctx.createRadialGradient(x, y, radius, x, y, glowRadius);
+        glow.addColorStop(0, color);
+        glow.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.globalAlpha = fade * 0.35;
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(x, y, glowRadius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Disque cerclé (se distingue des étoiles, qui sont de simples points)
+        ctx.globalAlpha = fade;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        // Nom de la planète
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = color;
+        ctx.fillText(label, x + radius + 5, y);
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * Mesure la largeur d'une étiquette
+     * @param {string} text - Texte de l'étiquette
+     * @param {number} fontSize - Taille du texte en pixels
+     * @returns {number} Largeur en pixels
+     */
+    measureLabel(text, fontSize = STAR_LABEL_CONFIG.fontSize) {
+        this.ctx.font = `${fontSize}px Arial`;
+        return this.ctx.measureText(text).width;
+    }
+    
+    /**
+     * Dessine l'étiquette d'une étoile
+     * @param {number} x - Point d'ancrage X
+     * @param {number} y - Point d'ancrage Y (ligne médiane du texte)
+     * @param {string} text - Texte de l'étiquette
+     * @param {string} align - Alignement du texte ('left', 'right' ou 'center')
+     * @param {number} fade - Opacité (0-1), la même que celle de l'étoile
+     */
+    drawStarLabel(x, y, text, align, fade = 1) {
+        const ctx = this.ctx;
+        
+        ctx.font = `${STAR_LABEL_CONFIG.fontSize}px Arial`;
+        ctx.textAlign = align;
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = `rgba(210, 220, 235, ${0.8 * fade})`;
+        ctx.fillText(text, x, y);
+    }
+    
+    /**
+     * Entoure l'objet sélectionné d'un cercle
+     * @param {number} x - Position X de l'objet
+     * @param {number} y - Position Y de l'objet
+     * @param {number} radius - Rayon du cercle en pixels
+     */
+    drawSelectionMarker(x, y, radius) {
+        const ctx = this.ctx;
+        
+        ctx.strokeStyle = 'rgba(255, 200, 80, 0.9)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    
+    /**
+     * Dessine le Soleil (image sun.png entourée d'un halo)
+     * @param {number} x - Position X en pixels
+     * @param {number} y - Position Y en pixels
+     * @param {number} radius - Rayon apparent en pixels
+     */
+    drawSun(x, y, radius) {
+        const ctx = this.ctx;
+        
+        // Halo lumineux
+        const glowRadius = radius * 4;
+        const glow = ctx.createRadialGradient(x, y, radius * 0.5, x, y, glowRadius);
+        glow.addColorStop(0, 'rgba(255, 240, 200, 0.6)');
+        glow.addColorStop(1, 'rgba(255, 240, 200, 0)');
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(x, y, glowRadius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        if (this.sunImage.complete && this.sunImage.naturalWidth > 0) {
+            ctx.drawImage(this.sunImage, x - radius, y - radius, radius * 2, radius * 2);
+        } else {
+            // Image pas encore chargée : simple disque
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = '#fff4c2';
+            ctx.fill();
+        }
+    }
+    
+    /**
+     * Dessine la Lune avec sa phase (partie éclairée orientée vers le Soleil)
+     * @param {number} x - Position X en pixels
+     * @param {number} y - Position Y en pixels
+     * @param {number} radius - Rayon apparent en pixels
+     * @param {number} illuminatedFraction - Fraction éclairée du disque (0-1)
+     * @param {number} brightLimbAngle - Direction du limbe éclairé à l'écran (radians)
+     */
+    drawMoon(x, y, radius, illuminatedFraction, brightLimbAngle) {
+        const ctx = this.ctx;
+        
+        // Halo (clarté lunaire), proportionnel à la fraction éclairée
+        const glowRadius = radius * 4;
+        const glow = ctx.createRadialGradient(x, y, radius, x, y, glowRadius);
+        glow.addColorStop(0, `rgba(220, 225, 240, ${0.3 * illuminatedFraction})`);
+        glow.addColorStop(1, 'rgba(220, 225, 240, 0)');
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(x, y, glowRadius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Partie non éclairée (légèrement visible : lumière cendrée)
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(40, 44, 56, 0.9)';
+        ctx.fill();
+        
+        // Partie éclairée, dans un repère où le limbe éclairé est vers +X :
+        // demi-disque côté Soleil fermé par le terminateur (demi-ellipse)
+        const terminatorRadius = radius * Math.abs(2 * illuminatedFraction - 1);
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(brightLimbAngle);
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, -Math.PI / 2, Math.PI / 2, false);
+        ctx.ellipse(0, 0, terminatorRadius, radius, 0, Math.PI / 2, -Math.PI / 2, illuminatedFraction < 0.5);
+        ctx.closePath();
+        ctx.fillStyle = '#f4f1e6';
+        ctx.fill();
+        ctx.restore();
+    }
+    
+    /**
+     * Projette une ligne brisée du ciel (points {azimut, altitude}) vers
+     * l'écran : chaque arc est limité à l'horizon puis projeté par la caméra,
+     * qui le coupe s'il sort du ciel dessiné (derrière l'observateur,
+     * bord du panorama)
+     * 
+     * @param {Array} points - Points {azimut, altitude}
+     * @returns {Array} Lignes visibles [[{x, y}, ...], ...] en pixels
+     */
+    projectPolyline(points) {
+        const lines = [];
+        let current = null;
+        
+        for (let i = 1; i < points.length; i++) {
+            const clipped = clipSegmentToHorizon(points[i - 1], points[i]);
+            const arcs = clipped ? this.camera.projectArc(
+                clipped[0].azimut, clipped[0].altitude, clipped[1].azimut, clipped[1].altitude) : [];
+            
+            if (arcs.length === 0) {
+                current = null;
+                continue;
+            }
+            
+            for (const [index, arc] of arcs.entries()) {
+                // Prolonger la ligne courante si l'arc la continue
+                const last = index === 0 && current && current[current.length - 1];
+                if (last && Math.abs(last.x - arc[0].x) < 0.5 && Math.abs(last.y - arc[0].y) < 0.5) {
+                    current.push(...arc.slice(1));
+                } else {
+                    current = arc;
+                    lines.push(current);
+                }
+            }
+        }
+        return lines;
+    }
+    
+    /**
+     * Calcule la calotte du ciel couvrant l'écran (pour ne préparer que les
+     * lignes de grille proches du champ affiché)
+     * @returns {Object} {azimut, altitude, radius} : centre et rayon en degrés
+     */
+    getViewCap() {
+        const camera = this.camera;
+        let radius;
+        if (camera.projection === 'cylindrical') {
+            // Demi-largeur plus demi-hauteur : majore la distance au coin
+            radius = camera.fov / 2 + camera.height / 2 / camera.getPixelScale();
+        } else {
+            radius = camera.getVisibleAngle();
+        }
+        return { azimut: camera.azimuth, altitude: camera.altitude, radius: Math.min(180, radius + 5) };
+    }
+    
     /**
      * Vérifie si un point est visible dans l'écran
      */
@@ -18,7 +18,10 @@ const APP_CONFIG = {
     csvPath: '../shared/hygdata_v40.csv',  // Chemin vers le fichier de données partagé
     magnitudeLimit: 6,                   // Magnitude maximale (visibilité à l'œil nu)
     csvSeparator: ';',                   // Séparateur utilisé dans le CSV
-    updateInterval: null                  // Intervalle de mise à jour (null = pas d'auto-update)
+    updateInterval: 10000,                // Intervalle de recalcul des positions en mode direct (ms, null = pas d'auto-update)
+    sunMinRadius: 12,                     // Rayon minimal du Soleil à l'écran (pixels)
+    moonMinRadius: 10,                    // Rayon minimal de la Lune à l'écran (pixels)
+    planetMinRadius: 2.5                  // Rayon minimal d'une planète à l'écran (pixels)
 };
 
 // ============================================================================
@@ -28,7 +31,26 @@ const APP_CONFIG = {
 let allStars = [];              // Toutes les étoiles chargées (mag < 6)
 let visibleStars = [];          // Étoiles actuellement visibles au-dessus de l'horizon
 let canvasController = null;     // Instance du contrôleur de canvas
+let locationController = null;   // Instance du contrôleur de position
+let atmosphereController = null; // Instance du contrôleur de réfraction
+let objectInfoController = null; // Instance du panneau d'informations sur un objet
+let objectDetailsController = null; // Instance de la fiche de l'objet cliqué
+let searchController = null;     // Instance du champ de recherche d'objet
+let coordinateReadoutController = null; // Instance de l'affichage des coordonnées sous le pointeur
+let displaySettingsController = null; // Instance du contrôleur des calques affichés
+let timeController = null;       // Instance du contrôleur de temps
 let currentDate = null;          // Date et heure d'observation
+let currentSun = null;           // Position du Soleil à la date d'observation
+let currentMoon = null;          // Position et phase de la Lune à la date d'observation
+let currentPlanets = [];         // Positions, magnitudes et phases des planètes
+let currentSky = null;           // Aspect du ciel (jour, crépuscules, nuit)
+let constellationFigures = null; // Figures des constellations reliées au catalogue
+let constellationSegments = [];  // Segments des figures en coordonnées horizontales
+let boundaryEdges = null;        // Côtés des limites des constellations (B1875.0)
+let constellationBoundaryLines = []; // Limites des constellations en coordonnées horizontales
+let constellationLabels = [];    // Positions des noms des constellations
+let referenceLayer = null;       // Lignes et points de repère en coordonnées horizontales
+let pickableObjects = [];        // Objets dessinés {type, object, x, y, radius}, pour la sélection au clic
 
 // ============================================================================
 // Fonctions de chargement des données
@@ -82,6 +104,8 @@ function parseCSV(csvText) {
     // Trouver les indices des colonnes nécessaires
     const columnIndices = {
         id: headers.indexOf('id'),
+        hip: headers.indexOf('hip'),            // Numéro Hipparcos
+        hd: headers.indexOf('hd'),              // Numéro Henry Draper
         proper: headers.indexOf('proper'),      // Nom propre de l'étoile
         ra: headers.indexOf('ra'),              // Ascension droite (en heures décimales)
         dec: headers.indexOf('dec'),            // Déclinaison (en degrés)
@@ -89,7 +113,12 @@ function parseCSV(csvText) {
         ci: headers.indexOf('ci'),              // Indice de couleur
         con: headers.indexOf('con'),            // Constellation
         dist: headers.indexOf('dist'),          // Distance en parsecs
-        spect: headers.indexOf('spect')         // Type spectral
+        spect: headers.indexOf('spect'),        // Type spectral
+        bayer: headers.indexOf('bayer'),        // Lettre de Bayer (ex : Alp)
+        flam: headers.indexOf('flam'),          // Numéro de Flamsteed
+        pmra: headers.indexOf('pmra'),          // Mouvement propre en RA (mas/an)
+        pmdec: headers.indexOf('pmdec'),        // Mouvement propre en Dec (mas/an)
+        rv: headers.indexOf('rv')               // Vitesse radiale (km/s)
     };
     
     // Vérifier que les colonnes essentielles existent
@@ -111,6 +140,7 @@ function parseCSV(csvText) {
         const ra = parseFloat(values[columnIndices.ra]);
         const dec = parseFloat(values[columnIndices.dec]);
         const mag = parseFloat(values[columnIndices.mag]);
+        const colorIndex = parseFloat(values[columnIndices.ci]);
         
         // Vérifier la validité des données essentielles
         if (isNaN(ra) || isNaN(dec) || isNaN(mag)) {
@@ -126,14 +156,21 @@ function parseCSV(csvText) {
         // Créer l'objet étoile
         const star = {
             id: values[columnIndices.id] || i.toString(),
+            hip: parseInt(values[columnIndices.hip]) || null,       // Numéro Hipparcos (null si absent)
+            hd: parseInt(values[columnIndices.hd]) || null,         // Numéro Henry Draper (null si absent)
             name: values[columnIndices.proper] || null,
             ra: ra,                              // En heures décimales (0-24)
             dec: dec,                            // En degrés (-90 à +90)
             mag: mag,                            // Magnitude apparente
-            ci: parseFloat(values[columnIndices.ci]) || 0,  // Indice de couleur
+            ci: isNaN(colorIndex) ? null : colorIndex,  // Indice de couleur B-V (null si inconnu)
+            bayer: values[columnIndices.bayer] || null,
+            flamsteed: parseInt(values[columnIndices.flam]) || null,
             constellation: values[columnIndices.con] || null,
             distance: parseFloat(values[columnIndices.dist]) || null,
-            spectralType: values[columnIndices.spect] || null
+            spectralType: values[columnIndices.spect] || null,
+            pmra: parseFloat(values[columnIndices.pmra]) || 0,      // mas/an (μα·cos δ)
+            pmdec: parseFloat(values[columnIndices.pmdec]) || 0,    // mas/an
+            radialVelocity: parseFloat(values[columnIndices.rv]) || null  // km/s
         };
         
         stars.push(star);
@@ -150,24 +187,56 @@ function parseCSV(csvText) {
 // ============================================================================
 
 /**
- * Calcule les étoiles visibles pour la date/heure actuelle
- * et les prépare pour le rendu
+ * Calcule les étoiles visibles pour la date/heure d'observation
+ * (donnée par le contrôleur de temps) et les prépare pour le rendu
  */
 function updateVisibleStars() {
-    currentDate = new Date();
+    currentDate = timeController ? timeController.getDate() : new Date();
     
     // Mettre à jour l'affichage de la date/heure
     updateDateTimeDisplay();
     
+    // Position du Soleil et de la Lune, aspect du ciel (fond, magnitude limite)
+    currentSun = calculateSunPosition(currentDate);
+    currentMoon = calculateMoonPosition(currentDate);
+    currentSky = calculateSkyState(currentSun.trueAltitude, calculateMoonGlare(currentMoon));
+    
+    // Point décalé vers le limbe éclairé, pour orienter la phase à l'écran
+    const limb = offsetByPositionAngle(currentMoon.ra, currentMoon.dec, currentMoon.brightLimbAngle, 0.5);
+    currentMoon.limb = calculateHorizontalPosition(limb.ra, limb.dec, currentDate);
+    
+    // Planètes (les plus faibles d'abord, comme les étoiles)
+    currentPlanets = calculatePlanetPositions(currentDate);
+    currentPlanets.sort((a, b) => b.magnitude - a.magnitude);
+    
+    updateSkyPhaseDisplay();
+    
+    if (objectInfoController) {
+        objectInfoController.update(currentDate);
+    }
+    if (objectDetailsController) {
+        objectDetailsController.update(currentDate);
+    }
+    
     // Calculer les positions horizontales et filtrer les étoiles visibles
     visibleStars = calculateVisibleStars(allStars, currentDate);
     
+    // Calques des constellations affichés (extrémités éventuellement sous l'horizon)
+    if (constellationFigures && DISPLAY_CONFIG.constellationLines) {
+        constellationSegments = calculateConstellationSegments(constellationFigures, currentDate);
+    }
+    if (boundaryEdges && DISPLAY_CONFIG.constellationBoundaries) {
+        constellationBoundaryLines = calculateBoundaryLines(boundaryEdges, currentDate);
+    }
+    if (DISPLAY_CONFIG.constellationNames) {
+        constellationLabels = calculateConstellationLabels(currentDate);
+    }
+    referenceLayer = calculateReferenceLayer(currentDate);
+    
     // Trier par magnitude (étoiles les moins brillantes d'abord)
     // pour que les étoiles brillantes soient dessinées par-dessus
     visibleStars.sort((a, b) => b.mag - a.mag);
     
-    console.log(`👁️ ${visibleStars.length} étoiles visibles au-dessus de l'horizon`);
-    
     // Mettre à jour le compteur
     updateStarCount();
 }
@@ -178,13 +247,30 @@ function updateVisibleStars() {
 function renderSkyMap() {
     if (!canvasController) return;
     
-    // Effacer et préparer le canvas
-    canvasController.clearCanvas();
+    // Effacer et préparer le canvas (fond selon l'heure)
+    canvasController.clearCanvas(currentSky);
+    
+    // Objets sélectionnables, enregistrés au fil du rendu
+    pickableObjects = [];
+    
+    // Grilles de coordonnées, puis limites, tracés et noms des constellations, sous les étoiles
+    drawCoordinateGrids();
+    drawConstellationBoundaries();
+    drawConstellationLines();
+    drawConstellationNames();
+    
+    // Lignes et points de repère
+    drawReferenceLayer();
     
     // Dessiner chaque étoile visible
     let renderedCount = 0;
+    const labelCandidates = [];
     
     for (const star of visibleStars) {
+        // Étoiles noyées dans la clarté du ciel (jour, crépuscule)
+        const fade = currentSky ? calculateStarFade(star.mag, currentSky.limitingMagnitude) : 1;
+        if (fade <= 0) continue;
+        
         // Convertir les coordonnées monde en coordonnées écran
         const screenPos = canvasController.worldToScreen(star.azimut, star.altitude);
         
@@ -202,20 +288,279 @@ function renderSkyMap() {
         const color = getStarColor(star.ci);
         
         // Dessiner l'étoile
-        canvasController.drawStar(screenPos.x, screenPos.y, size, color, star.mag);
+        canvasController.drawStar(screenPos.x, screenPos.y, size, color, star.mag, fade);
+        
+        pickableObjects.push({ type: 'star', object: star, x: screenPos.x, y: screenPos.y, radius: size });
+        if (DISPLAY_CONFIG.starLabels) {
+            labelCandidates.push({ star, x: screenPos.x, y: screenPos.y, radius: size, fade });
+        }
         renderedCount++;
     }
     
+    // Dessiner les planètes, la Lune puis le Soleil par-dessus les étoiles
+    const labelPlacer = new LabelPlacer();
+    drawPlanets(labelPlacer);
+    drawMoon();
+    drawSun();
+    
+    // Étiquettes des étoiles, sans chevauchement
+    drawStarLabels(labelCandidates, labelPlacer);
+    
+    // Cercle autour de l'objet cliqué
+    drawSelectionMarker();
+    
     // Dessiner les indicateurs de direction sur le cercle de l'horizon
     drawCardinalIndicators();
+    
+    // Constellation au centre de la vue
+    updateConstellationDisplay();
+    
+    // Le ciel a bougé sous le pointeur (temps, zoom, déplacement)
+    updateCoordinateReadout();
+}
+
+/**
+ * Dessine les tracés des constellations (partie au-dessus de l'horizon)
+ */
+function drawConstellationLines() {
+    if (!DISPLAY_CONFIG.constellationLines) return;
+    
+    const lines = constellationSegments.flatMap(segment => canvasController.projectPolyline([segment.from, segment.to]));
+    canvasController.drawLines(lines, CONSTELLATION_LINE_STYLES[DISPLAY_CONFIG.constellationLineStyle]);
+}
+
+/**
+ * Dessine les grilles de coordonnées activées et leurs libellés, limités à
+ * leur partie au-dessus de l'horizon
+ */
+function drawCoordinateGrids() {
+    const view = { ...canvasController.getViewCap(), pixelsPerDegree: canvasController.getPixelsPerDegree() };
+    
+    for (const [name, grid] of Object.entries(COORDINATE_GRIDS)) {
+        if (!DISPLAY_CONFIG[grid.setting]) continue;
+        
+        const { lines, labels } = calculateGridLines(name, currentDate, view);
+        canvasController.drawLines(lines.flatMap(line => canvasController.projectPolyline(line)), grid.style);
+        
+        for (const label of labels) {
+            if (label.altitude < 0) continue;
+            
+            const screenPos = canvasController.worldToScreen(label.azimut, label.altitude);
+            if (!screenPos) continue;
+            if (!canvasController.isPointVisible(screenPos.x, screenPos.y, 0)) continue;
+            
+            canvasController.drawGridLabel(screenPos.x, screenPos.y, label.text, label.kind, grid.style.labelColor);
+        }
+    }
+}
+
+/**
+ * Dessine les limites officielles des constellations (tirets)
+ */
+function drawConstellationBoundaries() {
+    if (!DISPLAY_CONFIG.constellationBoundaries) return;
+    
+    const lines = constellationBoundaryLines.flatMap(line => canvasController.projectPolyline(line));
+    canvasController.drawLines(lines, CONSTELLATION_BOUNDARY_STYLE);
+}
+
+/**
+ * Dessine les noms des constellations au-dessus de l'horizon
+ */
+function drawConstellationNames() {
+    if (!DISPLAY_CONFIG.constellationNames) return;
+    
+    const language = DISPLAY_CONFIG.constellationNameLanguage;
+    
+    for (const label of constellationLabels) {
+        const screenPos = canvasController.worldToScreen(label.azimut, label.altitude);
+        if (!screenPos) continue;
+        if (!canvasController.isPointVisible(screenPos.x, screenPos.y, 40)) continue;
+        
+        canvasController.drawConstellationName(
+            screenPos.x,
+            screenPos.y,
+            language === 'latin' ? label.latin : label.french,
+            language === 'both' && label.latin !== label.french ? label.latin : null,
+            CONSTELLATION_NAME_STYLE
+        );
+    }
+}
+
+/**
+ * Dessine les lignes et les points de repère activés, au-dessus de
+ * l'horizon (le nadir n'est jamais sur la carte)
+ */
+function drawReferenceLayer() {
+    if (!referenceLayer) return;
+    
+    // Position à l'écran d'une direction, ou null si elle n'est pas affichée
+    const toScreen = (azimut, altitude) => {
+        const screenPos = canvasController.worldToScreen(azimut, altitude);
+        return screenPos && canvasController.isPointVisible(screenPos.x, screenPos.y, 0) ? screenPos : null;
+    };
+    
+    for (const [name, line] of Object.entries(REFERENCE_LINES)) {
+        if (!DISPLAY_CONFIG[line.setting]) continue;
+        
+        const { points, labels } = referenceLayer.lines[name];
+        canvasController.drawLines(canvasController.projectPolyline(points), line.style);
+        for (const label of labels) {
+            const screenPos = label.altitude >= 0 && toScreen(label.azimut, label.altitude);
+            if (screenPos) {
+                canvasController.drawGridLabel(screenPos.x, screenPos.y, label.text, 'meridian', line.style.labelColor);
+            }
+        }
+    }
+    
+    // Longitude écliptique du Soleil, avec l'écliptique
+    const sun = referenceLayer.sun;
+    const sunPos = DISPLAY_CONFIG.eclipticLine && sun.altitude >= 0 && toScreen(sun.azimut, sun.altitude);
+    if (sunPos) {
+        canvasController.drawGridLabel(sunPos.x, sunPos.y, sun.text, 'parallel', REFERENCE_LINES.ecliptic.style.labelColor);
+    }
+    
+    for (const [name, point] of Object.entries(REFERENCE_POINTS)) {
+        if (!DISPLAY_CONFIG[point.setting]) continue;
+        
+        const position = referenceLayer.points[name];
+        const screenPos = toScreen(position.azimut, position.altitude);
+        if (screenPos) {
+            canvasController.drawReferenceMarker(screenPos.x, screenPos.y, point.label, REFERENCE_POINT_STYLE);
+        }
+    }
+}
+
+/**
+ * Dessine les planètes au-dessus de l'horizon
+ */
+function drawPlanets(labelPlacer) {
+    for (const planet of currentPlanets) {
+        if (planet.altitude < 0) continue;
+        
+        // Planètes noyées dans la clarté du ciel (Vénus et Jupiter restent visibles au crépuscule)
+        const fade = currentSky ? calculateStarFade(planet.magnitude, currentSky.limitingMagnitude) : 1;
+        if (fade <= 0) continue;
+        
+        const screenPos = canvasController.worldToScreen(planet.azimut, planet.altitude);
+        if (!screenPos) continue;
+        if (!canvasController.isPointVisible(screenPos.x, screenPos.y)) continue;
+        
+        const radius = Math.max(APP_CONFIG.planetMinRadius,
+                                calculateStarSize(planet.magnitude, canvasController.zoomLevel) * 0.8);
+        canvasController.drawPlanet(screenPos.x, screenPos.y, radius, planet.color, planet.name, fade);
+        pickableObjects.push({ type: 'planet', object: planet, x: screenPos.x, y: screenPos.y, radius });
+        
+        // Le disque et le nom de la planète ne doivent pas être recouverts par les étiquettes
+        labelPlacer.reserve({
+            left: screenPos.x - radius,
+            top: screenPos.y - Math.max(radius, 7),
+            right: screenPos.x + radius + 5 + canvasController.measureLabel(planet.name, 12),
+            bottom: screenPos.y + Math.max(radius, 7)
+        });
+    }
+}
+
+/**
+ * Dessine les étiquettes des étoiles, des plus brillantes aux plus faibles,
+ * sans chevauchement entre elles ni avec les planètes
+ * @param {Array} candidates - Étoiles dessinées {star, x, y, radius, fade}
+ * @param {LabelPlacer} labelPlacer - Placeur contenant déjà les zones occupées
+ */
+function drawStarLabels(candidates, labelPlacer) {
+    if (!DISPLAY_CONFIG.starLabels) return;
+    
+    const zoomLevel = canvasController.zoomLevel;
+    candidates.sort((a, b) => a.star.mag - b.star.mag);
+    
+    for (const candidate of candidates) {
+        if (labelPlacer.count >= STAR_LABEL_CONFIG.maxLabels) break;
+        
+        const text = getStarLabel(candidate.star, zoomLevel);
+        if (!text) continue;
+        
+        const width = canvasController.measureLabel(text);
+        const position = labelPlacer.place(candidate.x, candidate.y, candidate.radius, width, STAR_LABEL_CONFIG.fontSize);
+        if (position) {
+            canvasController.drawStarLabel(position.x, position.y, text, position.align, candidate.fade);
+        }
+    }
+}
+
+/**
+ * Dessine la Lune (avec sa phase) si elle est au-dessus de l'horizon
+ */
+function drawMoon() {
+    if (!currentMoon) return;
+    
+    const screenPos = canvasController.worldToScreen(currentMoon.azimut, currentMoon.altitude);
+    if (!screenPos) return;
+    
+    const pixelsPerDegree = canvasController.getPixelsPerDegree();
+    const radius = Math.max(APP_CONFIG.moonMinRadius, currentMoon.angularDiameter / 2 * pixelsPerDegree);
+    if (!canvasController.isPointVisible(screenPos.x, screenPos.y, radius * 3)) return;
+    
+    // Orientation du limbe éclairé à l'écran (le point décalé peut passer sous l'horizon)
+    const limb = canvasController.worldToScreen(currentMoon.limb.azimut, Math.max(0, currentMoon.limb.altitude));
+    const brightLimbAngle = limb ? Math.atan2(limb.y - screenPos.y, limb.x - screenPos.x) : 0;
+    
+    canvasController.drawMoon(screenPos.x, screenPos.y, radius,
+                              currentMoon.illuminatedFraction, brightLimbAngle);
+    pickableObjects.push({ type: 'moon', object: currentMoon, x: screenPos.x, y: screenPos.y, radius });
+}
+
+/**
+ * Dessine le Soleil s'il est au-dessus de l'horizon
+ */
+function drawSun() {
+    if (!currentSun) return;
+    
+    const screenPos = canvasController.worldToScreen(currentSun.azimut, currentSun.altitude);
+    if (!screenPos) return;
+    
+    // Taille angulaire réelle (échelle de la projection), agrandie si trop petite
+    const pixelsPerDegree = canvasController.getPixelsPerDegree();
+    const radius = Math.max(APP_CONFIG.sunMinRadius, currentSun.angularDiameter / 2 * pixelsPerDegree);
+    
+    if (canvasController.isPointVisible(screenPos.x, screenPos.y, radius * 3)) {
+        canvasController.drawSun(screenPos.x, screenPos.y, radius);
+        pickableObjects.push({ type: 'sun', object: currentSun, x: screenPos.x, y: screenPos.y, radius });
+    }
 }
 
 /**
- * Dessine les indicateurs de direction (N, S, E, O) sur le canvas
+ * Entoure l'objet sélectionné s'il est dessiné
+ */
+function drawSelectionMarker() {
+    if (!objectDetailsController) return;
+    
+    const selected = pickableObjects.find(entry => objectDetailsController.isSelected(entry.type, entry.object));
+    if (selected) {
+        canvasController.drawSelectionMarker(selected.x, selected.y, selected.radius + OBJECT_PICK_CONFIG.markerGap);
+    }
+}
+
+/**
+ * Identifie l'objet dessiné le plus proche d'un clic et ouvre sa fiche
+ * (un clic dans le vide ferme la fiche)
+ * @param {number} x - Position X du clic sur le canvas
+ * @param {number} y - Position Y du clic sur le canvas
+ */
+function pickObjectAt(x, y) {
+    const picked = pickNearestObject(pickableObjects, x, y);
+    if (picked) {
+        objectDetailsController.select(picked.type, picked.object, currentDate);
+    } else {
+        objectDetailsController.clear();
+    }
+}
+
+/**
+ * Dessine les indicateurs de direction (N, S, E, O) sur le canvas,
+ * à l'extérieur de l'horizon dans le prolongement de chaque direction
  */
 function drawCardinalIndicators() {
     const ctx = canvasController.ctx;
-    const radius = canvasController.projectionRadius * canvasController.zoomLevel + 15;
     
     ctx.font = 'bold 16px Arial';
     ctx.textAlign = 'center';
@@ -230,9 +575,12 @@ function drawCardinalIndicators() {
     ];
     
     for (const dir of directions) {
-        const angleRad = degreesToRadians(dir.azimut - 90);
-        const x = canvasController.centerX + canvasController.offsetX + radius * Math.cos(angleRad);
-        const y = canvasController.centerY + canvasController.offsetY + radius * Math.sin(angleRad);
+        // Écarter le libellé du point de l'horizon, à l'opposé du ciel
+        const horizon = canvasController.worldToScreen(dir.azimut, 0);
+        const above = canvasController.worldToScreen(dir.azimut, 5);
+        const length = Math.hypot(horizon.x - above.x, horizon.y - above.y);
+        const x = horizon.x + (horizon.x - above.x) / length * 15;
+        const y = horizon.y + (horizon.y - above.y) / length * 15;
         
         // Vérifier si le texte est visible
         if (canvasController.isPointVisible(x, y, 30)) {
@@ -241,6 +589,39 @@ function drawCardinalIndicators() {
     }
 }
 
+/**
+ * Centre la vue sur le résultat de recherche choisi et affiche sa fiche
+ * @param {Object} entry - Entrée de l'index de recherche
+ */
+function goToSearchResult(entry) {
+    const position = calculateSearchResultPosition(entry, currentDate);
+    
+    if (entry.type === 'constellation') {
+        objectDetailsController.clear();
+    } else {
+        objectDetailsController.select(entry.type, entry.object, currentDate);
+    }
+    if (position.altitude < 0) {
+        searchController.showStatus(`⚠️ ${entry.label} est sous l'horizon (${position.altitude.toFixed(1)}°)`, true);
+    }
+    
+    // Centrer la vue (sur l'horizon si l'objet est couché) en grossissant au besoin
+    canvasController.centerOn(position.azimut, position.altitude,
+        Math.max(canvasController.zoomLevel, SEARCH_CONFIG.telescopeZoom));
+}
+
+/**
+ * Recalcule les positions et redessine le ciel après un changement
+ * de position ou de date d'observation (à chaque image pendant la lecture)
+ */
+function refreshSky() {
+    if (!canvasController) return;
+    
+    canvasController.setProjection(DISPLAY_CONFIG.telescopeProjection);
+    updateVisibleStars();
+    renderSkyMap();
+}
+
 // ============================================================================
 // Fonctions de mise à jour de l'interface
 // ============================================================================
@@ -255,6 +636,61 @@ function updateDateTimeDisplay() {
     }
 }
 
+/**
+ * Met à jour l'affichage de la phase du ciel (jour, crépuscules, nuit)
+ * et de la phase de la Lune
+ */
+function updateSkyPhaseDisplay() {
+    const phaseElement = document.getElementById('skyPhase');
+    if (phaseElement && currentSky) {
+        phaseElement.textContent = `${currentSky.phase.icon} ${currentSky.phase.label} · Soleil ${currentSun.altitude.toFixed(1)}°`;
+    }
+    
+    const moonElement = document.getElementById('moonInfo');
+    if (moonElement && currentMoon) {
+        const percent = Math.round(currentMoon.illuminatedFraction * 100);
+        moonElement.textContent = `${currentMoon.phaseName.icon} ${currentMoon.phaseName.label} (${percent} %) · ` +
+            `Lune ${currentMoon.altitude.toFixed(1)}°`;
+    }
+}
+
+/**
+ * Initialise le curseur de saturation des couleurs d'étoiles
+ */
+function initColorSaturationControl() {
+    const input = document.getElementById('colorSaturationInput');
+    const valueElement = document.getElementById('colorSaturationValue');
+    if (!input) return;
+    
+    const showValue = () => {
+        if (valueElement) {
+            valueElement.textContent = `${Math.round(STAR_COLOR_CONFIG.saturation * 100)} %`;
+        }
+    };
+    
+    input.min = STAR_COLOR_CONFIG.minSaturation;
+    input.max = STAR_COLOR_CONFIG.maxSaturation;
+    input.value = STAR_COLOR_CONFIG.saturation;
+    showValue();
+    
+    input.addEventListener('input', () => {
+        STAR_COLOR_CONFIG.saturation = parseFloat(input.value);
+        showValue();
+        if (canvasController) {
+            canvasController.requestRender();
+        }
+    });
+}
+
+/**
+ * Fait avancer l'horloge affichée en mode direct (sans recalculer les positions)
+ * @param {Date} date - Date courante
+ */
+function updateClock(date) {
+    currentDate = date;
+    updateDateTimeDisplay();
+}
+
 /**
  * Met à jour le compteur d'étoiles visibles
  */
@@ -265,6 +701,30 @@ function updateStarCount() {
     }
 }
 
+/**
+ * Affiche la constellation située au centre de la vue
+ */
+function updateConstellationDisplay() {
+    const element = document.getElementById('constellationDisplay');
+    if (!element || !currentDate) return;
+    
+    const center = canvasController.screenToWorld(canvasController.centerX, canvasController.centerY);
+    const constellation = center ? findConstellationAt(center.azimut, center.altitude, currentDate) : null;
+    element.textContent = constellation ? getConstellationName(constellation) : '—';
+}
+
+/**
+ * Affiche les coordonnées du point du ciel situé sous la souris
+ * (masquées au-delà du cercle de l'horizon)
+ */
+function updateCoordinateReadout() {
+    if (!coordinateReadoutController || !canvasController) return;
+    
+    const pointer = canvasController.pointer;
+    const direction = pointer ? canvasController.screenToWorld(pointer.x, pointer.y) : null;
+    coordinateReadoutController.update(direction && direction.altitude >= 0 ? direction : null, currentDate);
+}
+
 /**
  * Met à jour le message de chargement
  * @param {string} message - Message à afficher
@@ -319,26 +779,60 @@ async function initApp() {
         allStars = await loadStarData();
         updateLoadingMessage(`${allStars.length} étoiles chargées. Calcul des positions...`);
         
-        // Étape 2 : Initialiser le canvas
+        // Étape 2 : Restaurer la position d'observation et initialiser les contrôles
+        loadSavedLocation();
+        locationController = new LocationController(refreshSky);
+        
+        // Restaurer les réglages de réfraction atmosphérique
+        loadSavedRefractionConfig();
+        atmosphereController = new AtmosphereController(refreshSky);
+        
+        // Panneau d'informations (lever, passage, coucher) sur les objets et étoiles nommées
+        objectInfoController = new ObjectInfoController();
+        objectInfoController.setStars(allStars);
+        
+        // Fiche de l'objet cliqué sur la carte (redessine le marqueur de sélection)
+        objectDetailsController = new ObjectDetailsController(renderSkyMap);
+        
+        // Recherche d'objet par nom, désignation ou constellation
+        searchController = new SearchController(goToSearchResult);
+        searchController.setStars(allStars);
+        
+        // Coordonnées du point du ciel sous la souris
+        coordinateReadoutController = new CoordinateReadoutController();
+        
+        // Calques affichés (tracés, limites et noms des constellations)
+        loadSavedDisplaySettings();
+        displaySettingsController = new DisplaySettingsController(refreshSky);
+        constellationFigures = buildConstellationFigures(allStars);
+        boundaryEdges = buildBoundaryEdges();
+        
+        // Saturation des couleurs d'étoiles (B-V → corps noir)
+        initColorSaturationControl();
+        
+        // Initialiser les contrôles du temps (mode direct, date d'observation, lecture, pas)
+        timeController = new TimeController(refreshSky, {
+            updateInterval: APP_CONFIG.updateInterval,
+            onClockTick: updateClock
+        });
+        
+        // Étape 3 : Initialiser le canvas
         const canvas = document.getElementById('skyCanvas');
         if (!canvas) {
             throw new Error('Canvas non trouvé dans le DOM');
         }
         
-        // Créer le contrôleur de canvas avec callback de rendu
-        canvasController = new CanvasController(canvas, renderSkyMap);
-        
-        // Étape 3 : Calculer les étoiles visibles
-        updateVisibleStars();
+        // Créer le contrôleur de canvas avec callbacks de rendu, de clic et de survol
+        canvasController = new CanvasController(canvas, renderSkyMap, pickObjectAt, updateCoordinateReadout);
         
-        // Étape 4 : Premier rendu
-        renderSkyMap();
+        // Étape 4 : Démarrer le mode direct (calcul des étoiles visibles et premier rendu)
+        timeController.startLive();
         
         // Étape 5 : Cacher le loader
         hideLoadingOverlay();
         
         console.log('✅ Application initialisée avec succès !');
-        console.log(`📍 Position : Lyon, France (${OBSERVER_CONFIG.latitude}°N, ${OBSERVER_CONFIG.longitude}°E)`);
+        console.log(`📍 Position : ${OBSERVER_CONFIG.locationName} (${formatCoordinates(OBSERVER_CONFIG.latitude, OBSERVER_CONFIG.longitude)})`);
         console.log(`📅 Date : ${formatDateTime(currentDate)}`);
         console.log(`⭐ Étoiles visibles : ${visibleStars.length}`);
         
@@ -6,8 +6,12 @@
  * Ce module gère :
  * - Le zoom avec la molette de la souris
  * - Le déplacement (pan) avec clic + glisser
+ * - La rotation de la carte (deux doigts, touches [ et ], boutons) et
+ *   l'inversion miroir (renvoi coudé)
  * - La transformation des coordonnées monde → écran
- * - La projection azimutale équidistante
+ * - La projection de la carte (voir TELESCOPE_PROJECTIONS) : azimutale
+ *   équidistante, stéréographique, orthographique, équivalente de Lambert
+ *   ou équatoriale polaire
  */
 
 class CanvasController {
@@ -15,11 +19,15 @@ class CanvasController {
      * Crée un nouveau contrôleur de canvas
      * @param {HTMLCanvasElement} canvas - L'élément canvas à contrôler
      * @param {Function} onRenderNeeded - Callback appelé quand un re-rendu est nécessaire
+     * @param {Function} onObjectClick - Callback appelé avec la position (x, y) d'un clic ou d'un toucher sans glisser
+     * @param {Function} onPointerMove - Callback appelé quand la souris se déplace sur le canvas ou le quitte
      */
-    constructor(canvas, onRenderNeeded) {
+    constructor(canvas, onRenderNeeded, onObjectClick = null, onPointerMove = null) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.onRenderNeeded = onRenderNeeded;
+        this.onObjectClick = onObjectClick;
+        this.onPointerMove = onPointerMove;
         
         // État du zoom et du déplacement
         this.zoomLevel = 1.0;       // Niveau de zoom (0.5x à 10x)
@@ -30,6 +38,15 @@ class CanvasController {
         this.minZoom = 0.5;
         this.maxZoom = 10;
         
+        // Projection de la carte (clé de TELESCOPE_PROJECTIONS)
+        this.projection = 'equidistant';
+        
+        // Orientation de la carte : rotation à l'écran (degrés, sens horaire,
+        // 0 = Nord en haut) et inversion Est/Ouest (vue par un renvoi coudé)
+        this.rotation = 0;
+        this.mirrored = false;
+        this.rotationStep = 15;     // Pas des boutons et du clavier (degrés)
+        
         // État du drag (glisser)
         this.isDragging = false;
         this.dragStartX = 0;
@@ -37,10 +54,26 @@ class CanvasController {
         this.dragStartOffsetX = 0;
         this.dragStartOffsetY = 0;
         
+        // Déplacement maximal (pixels) pour qu'un appui soit un clic et non un glisser
+        this.clickTolerance = 5;
+        this.isTap = false;         // Toucher à un doigt en cours (clic potentiel)
+        
+        // Position de la souris sur le canvas {x, y} (null en dehors)
+        this.pointer = null;
+        
         // État du pinch-to-zoom (mobile)
         this.isPinching = false;
         this.initialPinchDistance = 0;
         this.initialPinchZoom = 1;
+        this.initialTwistAngle = 0;
+        this.initialTwistRotation = 0;
+        this.isTwisting = false;    // Rotation à deux doigts engagée
+        this.twistThreshold = 10;   // Torsion (degrés) à dépasser pour tourner la carte
+        
+        // Image du Soleil (redessiner dès qu'elle est chargée)
+        this.sunImage = new Image();
+        this.sunImage.onload = () => this.requestRender();
+        this.sunImage.src = '../shared/assets/sun.png';
         
         // Redimensionner le canvas pour s'adapter à l'écran
         this.resizeCanvas();
@@ -94,6 +127,10 @@ class CanvasController {
         this.canvas.addEventListener('mouseup', (e) => this.handlePanEnd(e));
         this.canvas.addEventListener('mouseleave', (e) => this.handlePanEnd(e));
         
+        // Suivi de la souris (coordonnées sous le pointeur)
+        this.canvas.addEventListener('mousemove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('mouseleave', () => this.handlePointerLeave());
+        
         // Double-clic pour réinitialiser la vue
         this.canvas.addEventListener('dblclick', (e) => this.resetView(e));
         
@@ -101,6 +138,46 @@ class CanvasController {
         this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
         this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
         this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+        
+        // Orientation : boutons de rotation, d'orientation face à un point
+        // cardinal (data-map-facing="180") et de miroir
+        const rotateLeftBtn = document.getElementById('rotateLeftBtn');
+        const rotateRightBtn = document.getElementById('rotateRightBtn');
+        const mirrorBtn = document.getElementById('mirrorBtn');
+        if (rotateLeftBtn) {
+            rotateLeftBtn.addEventListener('click', () => this.rotateBy(-this.rotationStep));
+        }
+        if (rotateRightBtn) {
+            rotateRightBtn.addEventListener('click', () => this.rotateBy(this.rotationStep));
+        }
+        if (mirrorBtn) {
+            mirrorBtn.addEventListener('click', () => this.setMirrored(!this.mirrored));
+        }
+        document.querySelectorAll('[data-map-facing]').forEach(button => {
+            button.addEventListener('click', () => this.setFacing(parseFloat(button.dataset.mapFacing)));
+        });
+        
+        // Raccourcis clavier (hors des champs de saisie)
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        
+        this.updateOrientationDisplay();
+    }
+    
+    /**
+     * Gère les raccourcis clavier d'orientation : [ et ] tournent la carte
+     * (les lettres sont laissées aux mots secrets de easter-eggs.js)
+     * @param {KeyboardEvent} event - Événement clavier
+     */
+    handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const target = event.target;
+        if (target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) return;
+        
+        if (event.key === '[') {
+            this.rotateBy(-this.rotationStep);
+        } else if (event.key === ']') {
+            this.rotateBy(this.rotationStep);
+        }
     }
     
     /**
@@ -182,10 +259,34 @@ class CanvasController {
      * @param {MouseEvent} event - Événement de souris
      */
     handlePanEnd(event) {
+        if (this.isDragging && event.type === 'mouseup') {
+            this.handleClick(event.clientX, event.clientY);
+        }
         this.isDragging = false;
         this.canvas.style.cursor = 'grab';
     }
     
+    /**
+     * Enregistre la position de la souris sur le canvas
+     */
+    handlePointerMove(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pointer = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        if (this.onPointerMove) {
+            this.onPointerMove();
+        }
+    }
+    
+    /**
+     * La souris quitte le canvas
+     */
+    handlePointerLeave() {
+        this.pointer = null;
+        if (this.onPointerMove) {
+            this.onPointerMove();
+        }
+    }
+    
     /**
      * Calcule la distance entre deux points de toucher
      * @param {Touch} touch1 - Premier point de toucher
@@ -198,6 +299,16 @@ class CanvasController {
         return Math.sqrt(dx * dx + dy * dy);
     }
     
+    /**
+     * Calcule l'angle de la droite passant par deux points de toucher
+     * @param {Touch} touch1 - Premier point de toucher
+     * @param {Touch} touch2 - Second point de toucher
+     * @returns {number} Angle en degrés (sens de l'écran)
+     */
+    getTwistAngle(touch1, touch2) {
+        return radiansToDegrees(Math.atan2(touch2.clientY - touch1.clientY, touch2.clientX - touch1.clientX));
+    }
+    
     /**
      * Gère le début d'un toucher (mobile)
      * @param {TouchEvent} event - Événement tactile
@@ -206,15 +317,20 @@ class CanvasController {
         event.preventDefault();
         
         if (event.touches.length === 2) {
-            // Début du pinch-to-zoom
+            // Début du pinch-to-zoom et de la rotation à deux doigts
             this.isPinching = true;
             this.isDragging = false;
+            this.isTap = false;
             this.initialPinchDistance = this.getPinchDistance(event.touches[0], event.touches[1]);
             this.initialPinchZoom = this.zoomLevel;
+            this.initialTwistAngle = this.getTwistAngle(event.touches[0], event.touches[1]);
+            this.initialTwistRotation = this.rotation;
+            this.isTwisting = false;
         } else if (event.touches.length === 1) {
             // Début du déplacement
             this.isDragging = true;
             this.isPinching = false;
+            this.isTap = true;
             const touch = event.touches[0];
             this.dragStartX = touch.clientX;
             this.dragStartY = touch.clientY;
@@ -240,6 +356,22 @@ class CanvasController {
             if (newZoom >= this.minZoom && newZoom <= this.maxZoom) {
                 this.zoomLevel = newZoom;
                 this.updateZoomDisplay();
+            }
+            
+            // La carte tourne comme la droite passant par les deux doigts, une
+            // fois la torsion franche (l'angle entre les doigts dérive toujours
+            // un peu pendant un simple pincement), à partir du seuil pour éviter
+            // un à-coup
+            const twistAngle = this.getTwistAngle(event.touches[0], event.touches[1]);
+            const twist = normalizeAngle(twistAngle - this.initialTwistAngle + 180) - 180;
+            if (!this.isTwisting && Math.abs(twist) >= this.twistThreshold) {
+                this.isTwisting = true;
+                this.initialTwistAngle = twistAngle;
+            }
+            
+            if (this.isTwisting) {
+                this.setRotation(this.initialTwistRotation + normalizeAngle(twistAngle - this.initialTwistAngle));
+            } else {
                 this.requestRender();
             }
         } else if (event.touches.length === 1 && this.isDragging && !this.isPinching) {
@@ -264,10 +396,29 @@ class CanvasController {
             this.isPinching = false;
         }
         if (event.touches.length === 0) {
+            if (this.isTap && event.changedTouches.length > 0) {
+                const touch = event.changedTouches[0];
+                this.handleClick(touch.clientX, touch.clientY);
+            }
             this.isDragging = false;
+            this.isTap = false;
         }
     }
     
+    /**
+     * Signale un clic (ou un toucher) resté sur place : le callback reçoit
+     * la position sur le canvas. Un glisser au-delà de la tolérance est ignoré.
+     * @param {number} clientX - Position X du relâchement dans la fenêtre
+     * @param {number} clientY - Position Y du relâchement dans la fenêtre
+     */
+    handleClick(clientX, clientY) {
+        const moved = Math.hypot(clientX - this.dragStartX, clientY - this.dragStartY);
+        if (moved > this.clickTolerance || !this.onObjectClick) return;
+        
+        const rect = this.canvas.getBoundingClientRect();
+        this.onObjectClick(clientX - rect.left, clientY - rect.top);
+    }
+    
     /**
      * Réinitialise la vue (zoom et position)
      * @param {Event} event - Événement (optionnel)
@@ -283,6 +434,129 @@ class CanvasController {
         this.requestRender();
     }
     
+    /**
+     * Centre la vue sur une direction du ciel
+     * @param {number} azimut - Azimut en degrés
+     * @param {number} altitude - Altitude en degrés (au-dessus de l'horizon)
+     * @param {number} zoomLevel - Niveau de zoom souhaité (limité à minZoom/maxZoom)
+     */
+    centerOn(azimut, altitude, zoomLevel = this.zoomLevel) {
+        this.zoomLevel = Math.max(this.minZoom, Math.min(this.maxZoom, zoomLevel));
+        this.offsetX = 0;
+        this.offsetY = 0;
+        
+        // Décaler la vue de la position du point à ce zoom, sans décalage
+        const position = this.worldToScreen(azimut, Math.max(0, altitude));
+        this.offsetX = this.centerX - position.x;
+        this.offsetY = this.centerY - position.y;
+        
+        this.updateZoomDisplay();
+        this.requestRender();
+    }
+    
+    /**
+     * Change la projection de la carte. Si la vue a été déplacée, la
+     * direction du ciel visée au centre de l'écran y reste.
+     * @param {string} name - Nom de la projection (clé de TELESCOPE_PROJECTIONS)
+     * @returns {boolean} true si la projection a changé
+     * @throws {Error} Si la projection est inconnue
+     */
+    setProjection(name) {
+        if (!TELESCOPE_PROJECTIONS[name]) {
+            throw new Error(`Projection inconnue : ${name}`);
+        }
+        if (name === this.projection) {
+            return false;
+        }
+        
+        const center = this.offsetX !== 0 || this.offsetY !== 0
+            ? this.screenToWorld(this.centerX, this.centerY) : null;
+        this.projection = name;
+        
+        if (center && center.altitude >= 0) {
+            this.centerOn(center.azimut, center.altitude);
+        } else {
+            this.offsetX = 0;
+            this.offsetY = 0;
+        }
+        return true;
+    }
+    
+    /**
+     * Tourne la carte autour du centre de l'écran
+     * @param {number} rotation - Rotation à l'écran en degrés (sens horaire, 0 = Nord en haut)
+     */
+    setRotation(rotation) {
+        Object.assign(this, rotateChartView(this, rotation));
+        
+        this.updateOrientationDisplay();
+        this.requestRender();
+    }
+    
+    /**
+     * Tourne la carte d'un angle donné
+     * @param {number} delta - Angle en degrés (positif = sens horaire)
+     */
+    rotateBy(delta) {
+        this.setRotation(this.rotation + delta);
+    }
+    
+    /**
+     * Oriente la carte pour un observateur tourné vers une direction :
+     * l'horizon de cette direction passe en haut de l'écran, comme une carte
+     * posée au sol devant soi, le bord supérieur vers cette direction
+     * @param {number} azimut - Azimut de la direction regardée en degrés (0 = Nord, 180 = Sud)
+     */
+    setFacing(azimut) {
+        this.setRotation(getFacingRotation(azimut, this.projection, OBSERVER_CONFIG.latitude, this.mirrored));
+    }
+    
+    /**
+     * Inverse la carte en miroir (Est et Ouest échangés), autour de l'axe
+     * vertical de l'écran : le haut et le bas de la carte ne changent pas
+     * @param {boolean} mirrored - true pour l'image vue par un renvoi coudé
+     */
+    setMirrored(mirrored) {
+        Object.assign(this, mirrorChartView(this, mirrored));
+        
+        this.updateOrientationDisplay();
+        this.requestRender();
+    }
+    
+    /**
+     * Décrit la vue de la carte pour les fonctions de projection
+     * (chartPointToScreen, screenToChartPoint)
+     * @returns {Object} {projection, latitude, scale, centerX, centerY, offsetX, offsetY, rotation, mirrored}
+     */
+    getChartView() {
+        return {
+            projection: this.projection,
+            latitude: OBSERVER_CONFIG.latitude,
+            scale: this.projectionRadius * this.zoomLevel,
+            centerX: this.centerX,
+            centerY: this.centerY,
+            offsetX: this.offsetX,
+            offsetY: this.offsetY,
+            rotation: this.rotation,
+            mirrored: this.mirrored
+        };
+    }
+    
+    /**
+     * Met à jour l'affichage de l'orientation dans l'interface
+     */
+    updateOrientationDisplay() {
+        const orientationDisplay = document.getElementById('orientationDisplay');
+        if (orientationDisplay) {
+            const mirror = this.mirrored ? ' (miroir)' : '';
+            orientationDisplay.textContent = `${Math.round(this.rotation) % 360}°${mirror}`;
+        }
+        const mirrorBtn = document.getElementById('mirrorBtn');
+        if (mirrorBtn) {
+            mirrorBtn.classList.toggle('active', this.mirrored);
+        }
+    }
+    
     /**
      * Met à jour l'affichage du niveau de zoom dans l'interface
      */
@@ -304,13 +578,17 @@ class CanvasController {
     
     /**
      * Convertit les coordonnées monde (azimut, altitude) en coordonnées écran (pixels)
-     * Utilise une projection azimutale équidistante
+     * avec la projection de la carte (projectChartPoint)
      * 
-     * Dans cette projection :
+     * Pour les projections centrées sur le zénith :
      * - Le zénith (altitude = 90°) est au centre
      * - L'horizon (altitude = 0°) est sur le bord du cercle
      * - Le Nord (azimut = 0°) est en haut
-     * - L'Est (azimut = 90°) est à droite (inversé car on regarde vers le ciel)
+     * - L'Est (azimut = 90°) est à droite
+     * En projection équatoriale polaire, le pôle céleste visible est au
+     * centre et l'horizon est une courbe inscrite dans le cercle.
+     * La carte est ensuite inversée en miroir et tournée selon l'orientation
+     * choisie (chartPointToScreen).
      * 
      * @param {number} azimut - Azimut en degrés (0-360, 0 = Nord)
      * @param {number} altitude - Altitude en degrés (0-90)
@@ -322,26 +600,132 @@ class CanvasController {
             return null;
         }
         
-        // Distance angulaire depuis le zénith (90° - altitude)
-        // Normalisée pour que le zénith soit au centre et l'horizon au bord
-        const zenithDistance = (90 - altitude) / 90;
+        return chartPointToScreen(azimut, altitude, this.getChartView());
+    }
+    
+    /**
+     * Calcule l'échelle de la carte en son centre
+     * (pour dessiner le Soleil et la Lune à leur taille angulaire)
+     * @returns {number} Pixels par degré
+     */
+    getPixelsPerDegree() {
+        const projection = TELESCOPE_PROJECTIONS[this.projection];
+        const edge = AZIMUTHAL_PROJECTIONS[projection.radial]
+            .radius(degreesToRadians(getChartEdgeAngle(projection, OBSERVER_CONFIG.latitude)));
+        return this.projectionRadius * this.zoomLevel / edge * degreesToRadians(1);
+    }
+    
+    /**
+     * Projette un segment (arc de grand cercle) vers l'écran, limité à la
+     * partie au-dessus de l'horizon. L'arc est découpé en petits pas car les
+     * projections de la carte courbent les grands cercles.
+     * 
+     * @param {Object} from - Première extrémité {azimut, altitude}
+     * @param {Object} to - Seconde extrémité {azimut, altitude}
+     * @returns {Array|null} Points {x, y} en pixels, ou null si le segment est sous l'horizon
+     */
+    projectSegment(from, to) {
+        const clipped = clipSegmentToHorizon(from, to);
+        if (!clipped) {
+            return null;
+        }
         
-        // Distance radiale en pixels (avec zoom)
-        const r = zenithDistance * this.projectionRadius * this.zoomLevel;
+        return subdivideGreatCircle(clipped[0], clipped[1])
+            .map(point => this.worldToScreen(point.azimut, Math.max(0, point.altitude)));
+    }
+    
+    /**
+     * Projette une ligne brisée du ciel (points {azimut, altitude}) vers
+     * l'écran, limitée à la partie au-dessus de l'horizon
+     * 
+     * @param {Array} points - Points {azimut, altitude}
+     * @returns {Array} Lignes visibles [[{x, y}, ...], ...] en pixels
+     */
+    projectPolyline(points) {
+        const lines = [];
+        let current = null;
         
-        // Convertir l'azimut en angle pour le dessin
-        // Azimut 0° = Nord = haut de l'écran
-        // On soustrait 90° car en maths, 0° est à droite
-        // On inverse le signe car l'azimut va dans le sens horaire
-        const angleRad = degreesToRadians(azimut - 90);
+        for (let i = 1; i < points.length; i++) {
+            const projected = this.projectSegment(points[i - 1], points[i]);
+            
+            if (!projected) {
+                current = null;
+                continue;
+            }
+            
+            // Prolonger la ligne courante si l'arc la continue
+            const last = current && current[current.length - 1];
+            if (last && Math.abs(last.x - projected[0].x) < 0.5 && Math.abs(last.y - projected[0].y) < 0.5) {
+                current.push(...projected.slice(1));
+            } else {
+                current = projected;
+                lines.push(current);
+            }
+        }
+        return lines;
+    }
+    
+    /**
+     * Projette un parallèle de hauteur (cercle de hauteur constante)
+     * @param {number} altitude - Hauteur en degrés
+     * @returns {Array} Lignes visibles [[{x, y}, ...], ...] en pixels
+     */
+    projectAltitudeCircle(altitude) {
+        const points = [];
+        for (let azimut = 0; azimut <= 360; azimut += 2) {
+            points.push({ azimut, altitude });
+        }
+        return this.projectPolyline(points);
+    }
+    
+    /**
+     * Convertit des coordonnées écran en coordonnées horizontales
+     * (inverse de worldToScreen)
+     * 
+     * @param {number} x - Position X en pixels
+     * @param {number} y - Position Y en pixels
+     * @returns {Object|null} {azimut, altitude} en degrés (altitude négative au-delà de l'horizon),
+     *                        ou null hors du domaine de la projection
+     */
+    screenToWorld(x, y) {
+        return screenToChartPoint(x, y, this.getChartView());
+    }
+    
+    /**
+     * Calcule la calotte du ciel couvrant le canvas (pour ne préparer que les
+     * lignes de grille proches du champ affiché) : distance angulaire du
+     * centre aux coins et aux milieux des bords, tout le ciel si l'un d'eux
+     * sort du domaine de la projection
+     * @returns {Object} {azimut, altitude, radius} : centre et rayon en degrés
+     */
+    getViewCap() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const center = this.screenToWorld(width / 2, height / 2);
+        if (!center) {
+            return { azimut: 0, altitude: 90, radius: 180 };
+        }
         
-        // Calculer les coordonnées cartésiennes
-        // Note : Pour une vue depuis le sol regardant vers le haut,
-        // l'Est doit être à gauche (comme quand on regarde le ciel allongé)
-        const x = this.centerX + r * Math.cos(angleRad) + this.offsetX;
-        const y = this.centerY + r * Math.sin(angleRad) + this.offsetY;
+        const toVector = (point) => {
+            const az = degreesToRadians(point.azimut);
+            const alt = degreesToRadians(point.altitude);
+            return [Math.cos(alt) * Math.cos(az), Math.cos(alt) * Math.sin(az), Math.sin(alt)];
+        };
+        const centerVector = toVector(center);
         
-        return { x, y };
+        let radius = 0;
+        for (const x of [0, width / 2, width]) {
+            for (const y of [0, height / 2, height]) {
+                const point = this.screenToWorld(x, y);
+                if (!point) {
+                    return { ...center, radius: 180 };
+                }
+                const vector = toVector(point);
+                const cosine = vector[0] * centerVector[0] + vector[1] * centerVector[1] + vector[2] * centerVector[2];
+                radius = Math.max(radius, radiansToDegrees(Math.acos(Math.max(-1, Math.min(1, cosine)))));
+            }
+        }
+        return { ...center, radius: Math.min(180, radius + 5) };
     }
     
     /**
@@ -360,31 +744,34 @@ class CanvasController {
     
     /**
      * Efface le canvas et dessine le fond
+     * @param {Object|null} sky - Aspect du ciel (calculateSkyState), null pour la nuit
      */
-    clearCanvas() {
+    clearCanvas(sky = null) {
         const ctx = this.ctx;
         const width = this.canvas.width;
         const height = this.canvas.height;
         
-        // Fond dégradé radial (ciel nocturne)
         const gradient = ctx.createRadialGradient(
             this.centerX, this.centerY, 0,
             this.centerX, this.centerY, this.projectionRadius
         );
-        gradient.addColorStop(0, '#0a0a20');
-        gradient.addColorStop(0.7, '#050510');
-        gradient.addColorStop(1, '#000005');
+        
+        if (sky && sky.phase.id !== 'night') {
+            // Ciel éclairé : du zénith (centre) vers l'horizon (bord)
+            gradient.addColorStop(0, sky.zenithColor);
+            gradient.addColorStop(1, sky.horizonColor);
+        } else {
+            // Fond dégradé radial (ciel nocturne)
+            gradient.addColorStop(0, '#0a0a20');
+            gradient.addColorStop(0.7, '#050510');
+            gradient.addColorStop(1, '#000005');
+        }
         
         ctx.fillStyle = gradient;
         ctx.fillRect(0, 0, width, height);
         
         // Dessiner le cercle de l'horizon
-        ctx.beginPath();
-        ctx.arc(this.centerX + this.offsetX, this.centerY + this.offsetY, 
-                this.projectionRadius * this.zoomLevel, 0, Math.PI * 2);
-        ctx.strokeStyle = 'rgba(74, 144, 217, 0.3)';
-        ctx.lineWidth = 2;
-        ctx.stroke();
+        this.drawLines(this.projectAltitudeCircle(0), { color: 'rgba(74, 144, 217, 0.3)', width: 2 });
         
         // Dessiner les cercles d'altitude (tous les 30°)
         this.drawAltitudeCircles();
@@ -397,41 +784,112 @@ class CanvasController {
      * Dessine les cercles d'altitude (guides visuels)
      */
     drawAltitudeCircles() {
-        const ctx = this.ctx;
-        
-        ctx.strokeStyle = 'rgba(74, 144, 217, 0.1)';
-        ctx.lineWidth = 1;
-        
         // Cercles à 30° et 60° d'altitude
-        [30, 60].forEach(alt => {
-            const r = ((90 - alt) / 90) * this.projectionRadius * this.zoomLevel;
-            ctx.beginPath();
-            ctx.arc(this.centerX + this.offsetX, this.centerY + this.offsetY, r, 0, Math.PI * 2);
-            ctx.stroke();
-        });
+        const lines = [30, 60].flatMap(alt => this.projectAltitudeCircle(alt));
+        this.drawLines(lines, { color: 'rgba(74, 144, 217, 0.1)', width: 1 });
     }
     
     /**
      * Dessine les lignes d'azimut (N, E, S, O)
      */
     drawAzimuthLines() {
+        // Lignes cardinales : arcs de l'horizon au zénith
+        const lines = [0, 90, 180, 270].flatMap(az =>
+            this.projectPolyline([{ azimut: az, altitude: 0 }, { azimut: az, altitude: 90 }]));
+        this.drawLines(lines, { color: 'rgba(74, 144, 217, 0.15)', width: 1 });
+    }
+    
+    /**
+     * Dessine des lignes brisées (tracés ou limites des constellations)
+     * @param {Array} lines - Lignes [[{x, y}, ...], ...] en pixels
+     * @param {Object} style - Style du tracé {color, width, dash}
+     */
+    drawLines(lines, style) {
+        const ctx = this.ctx;
+        
+        ctx.beginPath();
+        for (const points of lines) {
+            ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) {
+                ctx.lineTo(points[i].x, points[i].y);
+            }
+        }
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.width;
+        ctx.setLineDash(style.dash || []);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    /**
+     * Dessine le nom d'une constellation, centré sur sa position
+     * @param {number} x - Position X du centre
+     * @param {number} y - Position Y du centre
+     * @param {string} name - Nom principal
+     * @param {string|null} secondaryName - Nom secondaire (latin), écrit dessous
+     * @param {Object} style - Style {color, font, secondaryFont}
+     */
+    drawConstellationName(x, y, name, secondaryName, style) {
+        const ctx = this.ctx;
+        
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = style.color;
+        ctx.font = style.font;
+        ctx.fillText(name, x, y);
+        
+        if (secondaryName) {
+            ctx.font = style.secondaryFont;
+            ctx.fillText(secondaryName, x, y + 13);
+        }
+    }
+    
+    /**
+     * Dessine le libellé d'une ligne de grille de coordonnées, décalé de la
+     * ligne : au-dessus pour un méridien, au-dessous pour un parallèle
+     * @param {number} x - Position X du point de la ligne
+     * @param {number} y - Position Y du point de la ligne
+     * @param {string} text - Libellé
+     * @param {string} kind - 'meridian' ou 'parallel'
+     * @param {string} color - Couleur du texte
+     */
+    drawGridLabel(x, y, text, kind, color) {
+        const ctx = this.ctx;
+        
+        ctx.textAlign = 'left';
+        ctx.textBaseline = kind === 'meridian' ? 'bottom' : 'top';
+        ctx.fillStyle = color;
+        ctx.font = '11px Arial';
+        ctx.fillText(text, x + 3, kind === 'meridian' ? y - 3 : y + 3);
+    }
+    
+    /**
+     * Dessine un point de repère (zénith, nadir, pôle céleste) : une croix
+     * cerclée et son nom
+     * @param {number} x - Position X en pixels
+     * @param {number} y - Position Y en pixels
+     * @param {string} label - Nom du repère
+     * @param {Object} style - Style {color, size}
+     */
+    drawReferenceMarker(x, y, label, style) {
         const ctx = this.ctx;
-        const radius = this.projectionRadius * this.zoomLevel;
+        const size = style.size;
         
-        ctx.strokeStyle = 'rgba(74, 144, 217, 0.15)';
+        ctx.beginPath();
+        ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+        ctx.moveTo(x - size, y);
+        ctx.lineTo(x + size, y);
+        ctx.moveTo(x, y - size);
+        ctx.lineTo(x, y + size);
+        ctx.strokeStyle = style.color;
         ctx.lineWidth = 1;
+        ctx.stroke();
         
-        // Lignes cardinales
-        [0, 90, 180, 270].forEach(az => {
-            const angleRad = degreesToRadians(az - 90);
-            const endX = this.centerX + this.offsetX + radius * Math.cos(angleRad);
-            const endY = this.centerY + this.offsetY + radius * Math.sin(angleRad);
-            
-            ctx.beginPath();
-            ctx.moveTo(this.centerX + this.offsetX, this.centerY + this.offsetY);
-            ctx.lineTo(endX, endY);
-            ctx.stroke();
-        });
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = style.color;
+        ctx.font = '11px Arial';
+        ctx.fillText(label, x + size + 4, y);
     }
     
     /**
@@ -439,21 +897,22 @@ class CanvasController {
      * @param {number} x - Position X en pixels
      * @param {number} y - Position Y en pixels
      * @param {number} size - Taille (rayon) de l'étoile
-     * @param {string} color - Couleur de l'étoile
+     * @param {string} color - Couleur de l'étoile (#rrggbb)
      * @param {number} magnitude - Magnitude pour ajuster l'opacité
+     * @param {number} fade - Visibilité sur le fond de ciel (0-1, 1 = nuit noire)
      */
-    drawStar(x, y, size, color, magnitude) {
+    drawStar(x, y, size, color, magnitude, fade = 1) {
         const ctx = this.ctx;
         
         // Calculer l'opacité basée sur la magnitude
         // Étoiles plus brillantes = plus opaques
-        const opacity = Math.max(0.4, Math.min(1, (6 - magnitude) / 6));
+        const opacity = Math.max(0.4, Math.min(1, (6 - magnitude) / 6)) * fade;
         
         // Dessiner le halo (lueur autour de l'étoile)
         if (size > 1.5) {
             const glow = ctx.createRadialGradient(x, y, 0, x, y, size * 3);
-            glow.addColorStop(0, `rgba(255, 255, 240, ${opacity * 0.3})`);
-            glow.addColorStop(1, 'rgba(255, 255, 240, 0)');
+            glow.addColorStop(0, colorWithAlpha(color, opacity * 0.3));
+            glow.addColorStop(1, colorWithAlpha(color, 0));
             ctx.fillStyle = glow;
             ctx.beginPath();
             ctx.arc(x, y, size * 3, 0, Math.PI * 2);
@@ -469,6 +928,165 @@ class CanvasController {
         ctx.globalAlpha = 1;
     }
     
+    /**
+     * Dessine une planète : disque coloré cerclé, accompagné de son nom
+     * @param {number} x - Position X en pixels
+     * @param {number} y - Position Y en pixels
+     * @param {number} radius - Rayon du disque en pixels
+     * @param {string} color - Couleur de la planète
+     * @param {string} label - Nom affiché à côté du disque
+     * @param {number} fade - Visibilité sur le fond de ciel (0-1, 1 = nuit noire)
+     */
+    drawPlanet(x, y, radius, color, label, fade = 1) {
+        const ctx = this.ctx;
+        
+        // Halo léger, de la couleur de la planète
+        const glowRadius = radius * 3;
+        const glow = ctx.createRadialGradient(x, y, radius, x, y, glowRadius);
+        glow.addColorStop(0, color);
+        glow.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.globalAlpha = fade * 0.35;
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(x, y, glowRadius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Disque cerclé (se distingue des étoiles, qui sont de simples points)
+        ctx.globalAlpha = fade;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        // Nom de la planète
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = color;
+        ctx.fillText(label, x + radius + 5, y);
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * Mesure la largeur d'une étiquette
+     * @param {string} text - Texte de l'étiquette
+     * @param {number} fontSize - Taille du texte en pixels
+     * @returns {number} Largeur en pixels
+     */
+    measureLabel(text, fontSize = STAR_LABEL_CONFIG.fontSize) {
+        this.ctx.font = `${fontSize}px Arial`;
+        return this.ctx.measureText(text).width;
+    }
+    
+    /**
+     * Dessine l'étiquette d'une étoile
+     * @param {number} x - Point d'ancrage X
+     * @param {number} y - Point d'ancrage Y (ligne médiane du texte)
+     * @param {string} text - Texte de l'étiquette
+     * @param {string} align - Alignement du texte ('left', 'right' ou 'center')
+     * @param {number} fade - Opacité (0-1), la même que celle de l'étoile
+     */
+    drawStarLabel(x, y, text, align, fade = 1) {
+        const ctx = this.ctx;
+        
+        ctx.font = `${STAR_LABEL_CONFIG.fontSize}px Arial`;
+        ctx.textAlign = align;
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = `rgba(210, 220, 235, ${0.8 * fade})`;
+        ctx.fillText(text, x, y);
+    }
+    
+    /**
+     * Entoure l'objet sélectionné d'un cercle
+     * @param {number} x - Position X de l'objet
+     * @param {number} y - Position Y de l'objet
+     * @param {number} radius - Rayon du cercle en pixels
+     */
+    drawSelectionMarker(x, y, radius) {
+        const ctx = this.ctx;
+        
+        ctx.strokeStyle = 'rgba(255, 200, 80, 0.9)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    
+    /**
+     * Dessine le Soleil (image sun.png entourée d'un halo)
+     * @param {number} x - Position X en pixels
+     * @param {number} y - Position Y en pixels
+     * @param {number} radius - Rayon apparent en pixels
+     */
+    drawSun(x, y, radius) {
+        const ctx = this.ctx;
+        
+        // Halo lumineux
+        const glowRadius = radius * 3;
+        const glow = ctx.createRadialGradient(x, y, radius * 0.5, x, y, glowRadius);
+        glow.addColorStop(0, 'rgba(255, 240, 200, 0.5)');
+        glow.addColorStop(1, 'rgba(255, 240, 200, 0)');
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(x, y, glowRadius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        if (this.sunImage.complete && this.sunImage.naturalWidth > 0) {
+            ctx.drawImage(this.sunImage, x - radius, y - radius, radius * 2, radius * 2);
+        } else {
+            // Image pas encore chargée : simple disque
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = '#fff4c2';
+            ctx.fill();
+        }
+    }
+    
+    /**
+     * Dessine la Lune avec sa phase (partie éclairée orientée vers le Soleil)
+     * @param {number} x - Position X en pixels
+     * @param {number} y - Position Y en pixels
+     * @param {number} radius - Rayon apparent en pixels
+     * @param {number} illuminatedFraction - Fraction éclairée du disque (0-1)
+     * @param {number} brightLimbAngle - Direction du limbe éclairé à l'écran (radians)
+     */
+    drawMoon(x, y, radius, illuminatedFraction, brightLimbAngle) {
+        const ctx = this.ctx;
+        
+        // Halo (clarté lunaire), proportionnel à la fraction éclairée
+        const glowRadius = radius * 3;
+        const glow = ctx.createRadialGradient(x, y, radius, x, y, glowRadius);
+        glow.addColorStop(0, `rgba(220, 225, 240, ${0.3 * illuminatedFraction})`);
+        glow.addColorStop(1, 'rgba(220, 225, 240, 0)');
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(x, y, glowRadius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Partie non éclairée (légèrement visible : lumière cendrée)
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(40, 44, 56, 0.9)';
+        ctx.fill();
+        
+        // Partie éclairée, dans un repère où le limbe éclairé est vers +X :
+        // demi-disque côté Soleil fermé par le terminateur (demi-ellipse)
+        const terminatorRadius = radius * Math.abs(2 * illuminatedFraction - 1);
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(brightLimbAngle);
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, -Math.PI / 2, Math.PI / 2, false);
+        ctx.ellipse(0, 0, terminatorRadius, radius, 0, Math.PI / 2, -Math.PI / 2, illuminatedFraction < 0.5);
+        ctx.closePath();
+        ctx.fillStyle = '#f4f1e6';
+        ctx.fill();
+        ctx.restore();
+    }
+    
     /**
      * Obtient l'état actuel du contrôleur (pour la sauvegarde)
      * @returns {Object} État actuel
@@ -476,6 +1094,8 @@ class CanvasController {
     getState() {
         return {
             zoomLevel: this.zoomLevel,
+            rotation: this.rotation,
+            mirrored: this.mirrored,
             offsetX: this.offsetX,
             offsetY: this.offsetY
         };
@@ -487,10 +1107,14 @@ class CanvasController {
      */
     setState(state) {
         if (state.zoomLevel !== undefined) this.zoomLevel = state.zoomLevel;
+        // Orientation d'abord : les décalages sont exprimés dans celle de l'état
+        if (state.rotation !== undefined) this.rotation = state.rotation;
+        if (state.mirrored !== undefined) this.mirrored = state.mirrored;
         if (state.offsetX !== undefined) this.offsetX = state.offsetX;
         if (state.offsetY !== undefined) this.offsetY = state.offsetY;
         
         this.updateZoomDisplay();
+        this.updateOrientationDisplay();
         this.requestRender();
     }
 }
@@ -5,17 +5,35 @@
  * 
  * Ce module contient toutes les fonctions nécessaires pour :
  * - Calculer le temps sidéral local (LST)
- * - Convertir les coordonnées équatoriales en coordonnées horizontales
+ * - Propager les positions J2000.0 à la date (mouvement propre)
+ * - Appliquer la précession (IAU 2006) et la nutation aux coordonnées J2000.0
+ * - Convertir les coordonnées équatoriales en coordonnées horizontales,
+ *   écliptiques et galactiques
+ * - Corriger les altitudes de la réfraction atmosphérique
+ * - Calculer la position du Soleil et l'aspect du ciel (jour, crépuscules, nuit)
+ * - Calculer la position, la distance et la phase de la Lune
+ * - Calculer les heures de lever, de passage au méridien et de coucher
+ * - Calculer la couleur des étoiles à partir de leur indice B-V
  * - Déterminer la visibilité des étoiles depuis une position donnée
  */
 
-// Configuration de la position d'observation (Lyon, France)
+// Configuration de la position d'observation (par défaut : Lyon, France)
+// Modifiable à l'exécution via setObserverLocation (location.js)
 const OBSERVER_CONFIG = {
     latitude: 45.757814,      // Latitude en degrés
     longitude: 4.832011,      // Longitude en degrés
+    elevation: 173,           // Altitude en mètres
     locationName: "Lyon, France"
 };
 
+// Configuration de la réfraction atmosphérique
+// Modifiable à l'exécution via setRefractionConfig (atmosphere.js)
+const REFRACTION_CONFIG = {
+    enabled: true,            // Appliquer la réfraction aux positions affichées
+    temperature: 10,          // Température de l'air en °C
+    pressure: 1010            // Pression atmosphérique en hPa (mbar)
+};
+
 /**
  * Convertit des degrés en radians
  * @param {number} degrees - Angle en degrés
@@ -129,6 +147,389 @@ function calculateLST(date, longitude = OBSERVER_CONFIG.longitude) {
     return LST;
 }
 
+// ==========================================================================
+// Précession et nutation (J2000.0 → équinoxe vrai de la date)
+// ==========================================================================
+
+// Jour Julien de l'époque J2000.0 (1er janvier 2000 à 12h TT)
+const J2000 = 2451545.0;
+
+// Secondes d'arc → degrés
+const ARCSEC_TO_DEG = 1 / 3600;
+
+/**
+ * Calcule le nombre de siècles juliens écoulés depuis J2000.0
+ *
+ * @param {number} jd - Jour Julien
+ * @returns {number} Siècles juliens (T)
+ */
+function julianCenturiesSinceJ2000(jd) {
+    return (jd - J2000) / 36525;
+}
+
+/**
+ * Construit une matrice de rotation 3×3 autour d'un axe (convention IERS)
+ *
+ * @param {number} axis - Axe de rotation (1 = X, 2 = Y, 3 = Z)
+ * @param {number} angle - Angle en degrés
+ * @returns {Array<Array<number>>} Matrice de rotation
+ */
+function rotationMatrix(axis, angle) {
+    const c = Math.cos(degreesToRadians(angle));
+    const s = Math.sin(degreesToRadians(angle));
+
+    if (axis === 1) {
+        return [[1, 0, 0], [0, c, s], [0, -s, c]];
+    }
+    if (axis === 2) {
+        return [[c, 0, -s], [0, 1, 0], [s, 0, c]];
+    }
+    return [[c, s, 0], [-s, c, 0], [0, 0, 1]];
+}
+
+/**
+ * Multiplie deux matrices 3×3 (A × B)
+ *
+ * @param {Array<Array<number>>} a - Matrice de gauche
+ * @param {Array<Array<number>>} b - Matrice de droite
+ * @returns {Array<Array<number>>} Produit A × B
+ */
+function multiplyMatrices(a, b) {
+    const result = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            result[i][j] = a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j];
+        }
+    }
+    return result;
+}
+
+/**
+ * Transpose une matrice 3×3 (inverse d'une matrice de rotation)
+ *
+ * @param {Array<Array<number>>} m - Matrice à transposer
+ * @returns {Array<Array<number>>} Matrice transposée
+ */
+function transposeMatrix(m) {
+    return [
+        [m[0][0], m[1][0], m[2][0]],
+        [m[0][1], m[1][1], m[2][1]],
+        [m[0][2], m[1][2], m[2][2]]
+    ];
+}
+
+/**
+ * Applique une matrice 3×3 à des coordonnées sphériques
+ *
+ * @param {Array<Array<number>>} m - Matrice de rotation
+ * @param {number} lon - Longitude (ou ascension droite) en degrés
+ * @param {number} lat - Latitude (ou déclinaison) en degrés
+ * @returns {Object} {lon, lat} en degrés, lon entre 0 et 360
+ */
+function rotateSpherical(m, lon, lat) {
+    const lonRad = degreesToRadians(lon);
+    const latRad = degreesToRadians(lat);
+
+    const x = Math.cos(latRad) * Math.cos(lonRad);
+    const y = Math.cos(latRad) * Math.sin(lonRad);
+    const z = Math.sin(latRad);
+
+    const rx = m[0][0] * x + m[0][1] * y + m[0][2] * z;
+    const ry = m[1][0] * x + m[1][1] * y + m[1][2] * z;
+    const rz = m[2][0] * x + m[2][1] * y + m[2][2] * z;
+
+    return {
+        lon: normalizeAngle(radiansToDegrees(Math.atan2(ry, rx))),
+        lat: radiansToDegrees(Math.asin(Math.max(-1, Math.min(1, rz))))
+    };
+}
+
+/**
+ * Calcule les angles de précession équatoriaux ζA, zA et θA
+ * Modèle IAU 2006 (Capitaine et al. 2003, P03)
+ *
+ * @param {number} jd - Jour Julien
+ * @returns {Object} {zeta, z, theta} en degrés
+ */
+function calculatePrecessionAngles(jd) {
+    const T = julianCenturiesSinceJ2000(jd);
+
+    const zeta = 2.650545 + T * (2306.083227 + T * (0.2988499 + T * (0.01801828 +
+                 T * (-0.000005971 + T * -0.0000003173))));
+    const z = -2.650545 + T * (2306.077181 + T * (1.0927348 + T * (0.01826837 +
+              T * (-0.000028596 + T * -0.0000002904))));
+    const theta = T * (2004.191903 + T * (-0.4294934 + T * (-0.04182264 +
+                  T * (-0.000007089 + T * -0.0000001274))));
+
+    return {
+        zeta: zeta * ARCSEC_TO_DEG,
+        z: z * ARCSEC_TO_DEG,
+        theta: theta * ARCSEC_TO_DEG
+    };
+}
+
+/**
+ * Calcule la matrice de précession J2000.0 → équateur moyen de la date
+ * P = R3(-zA) · R2(θA) · R3(-ζA)
+ *
+ * @param {number} jd - Jour Julien
+ * @returns {Array<Array<number>>} Matrice de précession
+ */
+function calculatePrecessionMatrix(jd) {
+    const { zeta, z, theta } = calculatePrecessionAngles(jd);
+
+    return multiplyMatrices(
+        rotationMatrix(3, -z),
+        multiplyMatrices(rotationMatrix(2, theta), rotationMatrix(3, -zeta))
+    );
+}
+
+/**
+ * Applique la précession à des coordonnées J2000.0
+ *
+ * @param {number} ra - Ascension droite J2000.0 en degrés
+ * @param {number} dec - Déclinaison J2000.0 en degrés
+ * @param {number} jd - Jour Julien de l'époque d'observation
+ * @returns {Object} {ra, dec} moyens de la date, en degrés
+ */
+function precessEquatorial(ra, dec, jd) {
+    const result = rotateSpherical(calculatePrecessionMatrix(jd), ra, dec);
+    return { ra: result.lon, dec: result.lat };
+}
+
+/**
+ * Calcule l'obliquité moyenne de l'écliptique (IAU 2006)
+ *
+ * @param {number} jd - Jour Julien
+ * @returns {number} Obliquité moyenne en degrés
+ */
+function calculateMeanObliquity(jd) {
+    const T = julianCenturiesSinceJ2000(jd);
+
+    const epsilon = 84381.406 + T * (-46.836769 + T * (-0.0001831 + T * (0.00200340 +
+                    T * (-0.000000576 + T * -0.0000000434))));
+
+    return epsilon * ARCSEC_TO_DEG;
+}
+
+// Termes principaux de la série de nutation IAU 1980
+// [D, M, M', F, Ω, Δψ (sin), Δψ·T, Δε (cos), Δε·T] en 0.0001"
+const NUTATION_TERMS = [
+    [0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+    [-2, 0, 0, 2, 2, -13187, -1.6, 5736, -3.1],
+    [0, 0, 0, 2, 2, -2274, -0.2, 977, -0.5],
+    [0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+    [0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+    [0, 0, 1, 0, 0, 712, 0.1, -7, 0],
+    [-2, 1, 0, 2, 2, -517, 1.2, 224, -0.6],
+    [0, 0, 0, 2, 1, -386, -0.4, 200, 0],
+    [0, 0, 1, 2, 2, -301, 0, 129, -0.1],
+    [-2, -1, 0, 2, 2, 217, -0.5, -95, 0.3],
+    [-2, 0, 1, 0, 0, -158, 0, 0, 0],
+    [-2, 0, 0, 2, 1, 129, 0.1, -70, 0],
+    [0, 0, -1, 2, 2, 123, 0, -53, 0],
+    [2, 0, 0, 0, 0, 63, 0, 0, 0],
+    [0, 0, 1, 0, 1, 63, 0.1, -33, 0],
+    [2, 0, -1, 2, 2, -59, 0, 26, 0],
+    [0, 0, -1, 0, 1, -58, -0.1, 32, 0],
+    [0, 0, 1, 2, 1, -51, 0, 27, 0]
+];
+
+/**
+ * Calcule la nutation en longitude (Δψ) et en obliquité (Δε)
+ * Série IAU 1980 réduite à ses 18 termes principaux (précision ~0.1")
+ *
+ * @param {number} jd - Jour Julien
+ * @returns {Object} {deltaPsi, deltaEpsilon, meanObliquity, trueObliquity} en degrés
+ */
+function calculateNutation(jd) {
+    const T = julianCenturiesSinceJ2000(jd);
+
+    // Arguments fondamentaux (Soleil, Lune) en degrés
+    const D = 297.85036 + 445267.111480 * T - 0.0019142 * T * T + T * T * T / 189474;
+    const M = 357.52772 + 35999.050340 * T - 0.0001603 * T * T - T * T * T / 300000;
+    const Mp = 134.96298 + 477198.867398 * T + 0.0086972 * T * T + T * T * T / 56250;
+    const F = 93.27191 + 483202.017538 * T - 0.0036825 * T * T + T * T * T / 327270;
+    const omega = 125.04452 - 1934.136261 * T + 0.0020708 * T * T + T * T * T / 450000;
+
+    let deltaPsi = 0;
+    let deltaEpsilon = 0;
+
+    for (const [d, m, mp, f, om, psi, psiT, eps, epsT] of NUTATION_TERMS) {
+        const argument = degreesToRadians(d * D + m * M + mp * Mp + f * F + om * omega);
+        deltaPsi += (psi + psiT * T) * Math.sin(argument);
+        deltaEpsilon += (eps + epsT * T) * Math.cos(argument);
+    }
+
+    // Conversion 0.0001" → degrés
+    deltaPsi *= 0.0001 * ARCSEC_TO_DEG;
+    deltaEpsilon *= 0.0001 * ARCSEC_TO_DEG;
+
+    const meanObliquity = calculateMeanObliquity(jd);
+
+    return {
+        deltaPsi: deltaPsi,
+        deltaEpsilon: deltaEpsilon,
+        meanObliquity: meanObliquity,
+        trueObliquity: meanObliquity + deltaEpsilon
+    };
+}
+
+/**
+ * Calcule la matrice de nutation (équateur moyen → équateur vrai de la date)
+ * N = R1(-ε) · R3(-Δψ) · R1(ε0)
+ *
+ * @param {Object} nutation - Résultat de calculateNutation
+ * @returns {Array<Array<number>>} Matrice de nutation
+ */
+function calculateNutationMatrix(nutation) {
+    return multiplyMatrices(
+        rotationMatrix(1, -nutation.trueObliquity),
+        multiplyMatrices(rotationMatrix(3, -nutation.deltaPsi), rotationMatrix(1, nutation.meanObliquity))
+    );
+}
+
+/**
+ * Applique la nutation à des coordonnées moyennes de la date
+ *
+ * @param {number} ra - Ascension droite moyenne en degrés
+ * @param {number} dec - Déclinaison moyenne en degrés
+ * @param {number} jd - Jour Julien
+ * @returns {Object} {ra, dec} vrais de la date, en degrés
+ */
+function applyNutation(ra, dec, jd) {
+    const result = rotateSpherical(calculateNutationMatrix(calculateNutation(jd)), ra, dec);
+    return { ra: result.lon, dec: result.lat };
+}
+
+/**
+ * Calcule la matrice complète J2000.0 → équateur et équinoxe vrais de la date
+ * (nutation × précession), à calculer une seule fois par date
+ *
+ * @param {Date} date - Date d'observation
+ * @returns {Array<Array<number>>} Matrice de passage
+ */
+function calculateJ2000ToDateMatrix(date) {
+    const jd = dateToJulianDay(date);
+    return multiplyMatrices(calculateNutationMatrix(calculateNutation(jd)), calculatePrecessionMatrix(jd));
+}
+
+/**
+ * Convertit des coordonnées J2000.0 en coordonnées vraies de la date
+ * (précession IAU 2006 puis nutation)
+ *
+ * @param {number} ra - Ascension droite J2000.0 en degrés
+ * @param {number} dec - Déclinaison J2000.0 en degrés
+ * @param {Date} date - Date d'observation
+ * @returns {Object} {ra, dec} vrais de la date, en degrés
+ */
+function j2000ToDate(ra, dec, date) {
+    const result = rotateSpherical(calculateJ2000ToDateMatrix(date), ra, dec);
+    return { ra: result.lon, dec: result.lat };
+}
+
+/**
+ * Convertit des coordonnées vraies de la date en coordonnées J2000.0
+ * (transformation inverse de j2000ToDate)
+ *
+ * @param {number} ra - Ascension droite vraie de la date en degrés
+ * @param {number} dec - Déclinaison vraie de la date en degrés
+ * @param {Date} date - Date d'observation
+ * @returns {Object} {ra, dec} J2000.0, en degrés
+ */
+function dateToJ2000(ra, dec, date) {
+    const result = rotateSpherical(transposeMatrix(calculateJ2000ToDateMatrix(date)), ra, dec);
+    return { ra: result.lon, dec: result.lat };
+}
+
+/**
+ * Calcule le Temps Sidéral Local apparent (LST corrigé de l'équation
+ * des équinoxes Δψ·cos ε), cohérent avec des coordonnées vraies de la date
+ *
+ * @param {Date} date - Date et heure d'observation
+ * @param {number} longitude - Longitude de l'observateur en degrés (Est positif)
+ * @returns {number} LST apparent en degrés (0-360)
+ */
+function calculateApparentLST(date, longitude = OBSERVER_CONFIG.longitude) {
+    const nutation = calculateNutation(dateToJulianDay(date));
+    const equationOfEquinoxes = nutation.deltaPsi * Math.cos(degreesToRadians(nutation.trueObliquity));
+
+    return normalizeAngle(calculateLST(date, longitude) + equationOfEquinoxes);
+}
+
+// ==========================================================================
+// Mouvement propre (époque du catalogue → date d'observation)
+// ==========================================================================
+
+// Distance HYG indiquant une parallaxe inconnue (parsecs)
+const UNKNOWN_DISTANCE_PC = 100000;
+
+// 1 km/s exprimé en parsecs par année julienne
+const KM_S_TO_PC_PER_YEAR = 365.25 * 86400 / 3.0856775814913673e13;
+
+// Milliseconde d'arc → radians
+const MAS_TO_RAD = Math.PI / (180 * 3600 * 1000);
+
+/**
+ * Calcule le nombre d'années juliennes écoulées depuis J2000.0
+ * (époque des positions du catalogue HYG)
+ *
+ * @param {Date} date - Date d'observation
+ * @returns {number} Années juliennes (négatif avant 2000)
+ */
+function julianYearsSinceJ2000(date) {
+    return (dateToJulianDay(date) - J2000) / 365.25;
+}
+
+/**
+ * Propage une position stellaire dans le temps à partir de son mouvement propre
+ *
+ * L'étoile est supposée se déplacer en ligne droite à vitesse constante
+ * (mouvement spatial). Si la distance et la vitesse radiale sont connues,
+ * l'effet de perspective (accélération apparente à l'approche) est pris
+ * en compte ; sinon seul le déplacement tangentiel est appliqué.
+ *
+ * @param {number} ra - Ascension droite à l'époque du catalogue en degrés
+ * @param {number} dec - Déclinaison à l'époque du catalogue en degrés
+ * @param {number} pmra - Mouvement propre en RA, μα·cos(δ), en mas/an
+ * @param {number} pmdec - Mouvement propre en Dec en mas/an
+ * @param {number} years - Intervalle de temps en années juliennes
+ * @param {number|null} distance - Distance en parsecs (null si inconnue)
+ * @param {number|null} radialVelocity - Vitesse radiale en km/s (null si inconnue)
+ * @returns {Object} {ra, dec} à la date, en degrés
+ */
+function applyProperMotion(ra, dec, pmra, pmdec, years, distance = null, radialVelocity = null) {
+    if ((!pmra && !pmdec && !radialVelocity) || !years) {
+        return { ra, dec };
+    }
+
+    const raRad = degreesToRadians(ra);
+    const decRad = degreesToRadians(dec);
+    const cosRa = Math.cos(raRad);
+    const sinRa = Math.sin(raRad);
+    const cosDec = Math.cos(decRad);
+    const sinDec = Math.sin(decRad);
+
+    // Sans parallaxe, on travaille sur la sphère unité (pas d'effet de perspective)
+    const hasDistance = distance > 0 && distance < UNKNOWN_DISTANCE_PC;
+    const r = hasDistance ? distance : 1;
+
+    // Vitesses tangentielles (unités de r par an) et radiale
+    const vRa = (pmra || 0) * MAS_TO_RAD * r;
+    const vDec = (pmdec || 0) * MAS_TO_RAD * r;
+    const vRad = hasDistance && radialVelocity ? radialVelocity * KM_S_TO_PC_PER_YEAR : 0;
+
+    // Position et vitesse dans le repère équatorial (vecteurs p, q, u)
+    const x = r * cosDec * cosRa + years * (-sinRa * vRa - sinDec * cosRa * vDec + cosDec * cosRa * vRad);
+    const y = r * cosDec * sinRa + years * (cosRa * vRa - sinDec * sinRa * vDec + cosDec * sinRa * vRad);
+    const z = r * sinDec + years * (cosDec * vDec + sinDec * vRad);
+
+    return {
+        ra: normalizeAngle(radiansToDegrees(Math.atan2(y, x))),
+        dec: radiansToDegrees(Math.atan2(z, Math.sqrt(x * x + y * y)))
+    };
+}
+
 /**
  * Convertit les coordonnées équatoriales (RA, Dec) en coordonnées horizontales (Alt, Az)
  * 
@@ -191,10 +592,133 @@ function equatorialToHorizontal(ra, dec, lst, latitude = OBSERVER_CONFIG.latitud
     };
 }
 
+/**
+ * Convertit des coordonnées horizontales en coordonnées équatoriales
+ * (inverse de equatorialToHorizontal)
+ * 
+ * Formules utilisées :
+ * - sin(Dec) = sin(Alt) × sin(Lat) + cos(Alt) × cos(Lat) × cos(Az)
+ * - tan(H) = -sin(Az) × cos(Alt) / (sin(Alt) × cos(Lat) - cos(Alt) × sin(Lat) × cos(Az))
+ * - RA = LST - H
+ * 
+ * @param {number} azimut - Azimut en degrés (0 = Nord, 90 = Est)
+ * @param {number} altitude - Altitude géométrique en degrés
+ * @param {number} lst - Temps sidéral local en degrés
+ * @param {number} latitude - Latitude de l'observateur en degrés
+ * @returns {Object} {ra, dec, hourAngle} en degrés (ra et hourAngle entre 0 et 360)
+ */
+function horizontalToEquatorial(azimut, altitude, lst, latitude = OBSERVER_CONFIG.latitude) {
+    const azRad = degreesToRadians(azimut);
+    const altRad = degreesToRadians(altitude);
+    const latRad = degreesToRadians(latitude);
+    
+    const sinDec = Math.sin(altRad) * Math.sin(latRad) +
+                   Math.cos(altRad) * Math.cos(latRad) * Math.cos(azRad);
+    const dec = radiansToDegrees(Math.asin(Math.max(-1, Math.min(1, sinDec))));
+    
+    const hourAngle = normalizeAngle(radiansToDegrees(Math.atan2(
+        -Math.sin(azRad) * Math.cos(altRad),
+        Math.sin(altRad) * Math.cos(latRad) - Math.cos(altRad) * Math.sin(latRad) * Math.cos(azRad)
+    )));
+    
+    return {
+        ra: normalizeAngle(lst - hourAngle),
+        dec,
+        hourAngle
+    };
+}
+
+// ==========================================================================
+// Réfraction atmosphérique (altitude géométrique ↔ altitude apparente)
+// ==========================================================================
+
+// En dessous de cette altitude vraie (degrés), la réfraction est gelée :
+// les formules divergent et l'objet est de toute façon sous l'horizon
+const REFRACTION_MIN_ALTITUDE = -1;
+
+/**
+ * Calcule le facteur de correction de la réfraction pour la température
+ * et la pression (les formules sont établies pour 10 °C et 1010 hPa)
+ *
+ * @param {number} temperature - Température en °C
+ * @param {number} pressure - Pression en hPa
+ * @returns {number} Facteur multiplicatif
+ */
+function refractionCorrectionFactor(temperature, pressure) {
+    return (pressure / 1010) * (283 / (273 + temperature));
+}
+
+/**
+ * Calcule la réfraction à partir de l'altitude vraie (formule de Saemundsson)
+ * R = 1.02' / tan(h + 10.3 / (h + 5.11))
+ *
+ * @param {number} trueAltitude - Altitude géométrique en degrés
+ * @param {number} temperature - Température en °C
+ * @param {number} pressure - Pression en hPa
+ * @returns {number} Réfraction en degrés (à ajouter à l'altitude vraie)
+ */
+function calculateRefraction(trueAltitude, temperature = REFRACTION_CONFIG.temperature, pressure = REFRACTION_CONFIG.pressure) {
+    const h = Math.max(trueAltitude, REFRACTION_MIN_ALTITUDE);
+    const arcminutes = 1.02 / Math.tan(degreesToRadians(h + 10.3 / (h + 5.11)));
+
+    return Math.max(0, arcminutes / 60 * refractionCorrectionFactor(temperature, pressure));
+}
+
+/**
+ * Calcule la réfraction à partir de l'altitude apparente (formule de Bennett)
+ * R = 1' / tan(h0 + 7.31 / (h0 + 4.4))
+ *
+ * @param {number} apparentAltitude - Altitude apparente en degrés
+ * @param {number} temperature - Température en °C
+ * @param {number} pressure - Pression en hPa
+ * @returns {number} Réfraction en degrés (à retrancher de l'altitude apparente)
+ */
+function calculateInverseRefraction(apparentAltitude, temperature = REFRACTION_CONFIG.temperature, pressure = REFRACTION_CONFIG.pressure) {
+    // Sous l'altitude apparente de REFRACTION_MIN_ALTITUDE, même valeur gelée qu'à l'aller
+    const minRefraction = calculateRefraction(REFRACTION_MIN_ALTITUDE, temperature, pressure);
+    if (apparentAltitude < REFRACTION_MIN_ALTITUDE + minRefraction) {
+        return minRefraction;
+    }
+
+    const h0 = apparentAltitude;
+    const arcminutes = 1 / Math.tan(degreesToRadians(h0 + 7.31 / (h0 + 4.4)));
+
+    return Math.max(0, arcminutes / 60 * refractionCorrectionFactor(temperature, pressure));
+}
+
+/**
+ * Convertit une altitude vraie en altitude apparente (telle que vue à travers l'atmosphère)
+ *
+ * @param {number} altitude - Altitude géométrique en degrés
+ * @param {Object} config - Configuration {enabled, temperature, pressure}
+ * @returns {number} Altitude apparente en degrés
+ */
+function trueToApparentAltitude(altitude, config = REFRACTION_CONFIG) {
+    if (!config.enabled) {
+        return altitude;
+    }
+    return Math.min(90, altitude + calculateRefraction(altitude, config.temperature, config.pressure));
+}
+
+/**
+ * Convertit une altitude apparente (lue sur la carte) en altitude vraie
+ *
+ * @param {number} altitude - Altitude apparente en degrés
+ * @param {Object} config - Configuration {enabled, temperature, pressure}
+ * @returns {number} Altitude géométrique en degrés
+ */
+function apparentToTrueAltitude(altitude, config = REFRACTION_CONFIG) {
+    if (!config.enabled) {
+        return altitude;
+    }
+    return altitude - calculateInverseRefraction(altitude, config.temperature, config.pressure);
+}
+
 /**
  * Vérifie si une étoile est visible (au-dessus de l'horizon)
  * 
- * @param {number} altitude - Altitude de l'étoile en degrés
+ * @param {number} altitude - Altitude apparente de l'étoile en degrés
+ *                            (corrigée de la réfraction si elle est activée)
  * @returns {boolean} true si l'étoile est visible (altitude > 0)
  */
 function isStarVisible(altitude) {
@@ -203,35 +727,969 @@ function isStarVisible(altitude) {
 
 /**
  * Calcule les positions horizontales pour une liste d'étoiles
- * et filtre celles qui sont visibles
+ * 
+ * Les coordonnées J2000.0 du catalogue sont d'abord propagées à la date
+ * (mouvement propre), ramenées à l'équateur et l'équinoxe vrais de la date
+ * (précession + nutation), puis converties avec le temps sidéral apparent.
+ * L'altitude retournée est l'altitude apparente (réfraction comprise) ;
+ * l'altitude géométrique est conservée dans trueAltitude.
  * 
  * @param {Array} stars - Tableau d'étoiles avec propriétés ra, dec, mag
+ *                        (et optionnellement pmra, pmdec, distance, radialVelocity)
  * @param {Date} date - Date et heure d'observation
- * @returns {Array} Tableau d'étoiles visibles avec leurs coordonnées horizontales
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Array} Tableau d'étoiles (au-dessus ou sous l'horizon) avec leurs coordonnées horizontales
  */
-function calculateVisibleStars(stars, date) {
-    const lst = calculateLST(date);
-    const visibleStars = [];
+function calculateStarPositions(stars, date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const lst = calculateApparentLST(date, observer.longitude);
+    const toDateMatrix = calculateJ2000ToDateMatrix(date);
+    const years = julianYearsSinceJ2000(date);
     
-    for (const star of stars) {
+    return stars.map(star => {
         // Convertir RA de heures en degrés si nécessaire
         // Dans hygdata, ra est déjà en degrés décimaux (0-24 heures converties)
         // En fait, vérifions : ra semble être en heures décimales (0-24)
         // Convertissons en degrés (× 15)
         const raInDegrees = star.ra * 15; // Convertir heures en degrés
         
-        const horizontal = equatorialToHorizontal(raInDegrees, star.dec, lst);
+        // Mouvement propre : position J2000.0 propagée à la date d'observation
+        const moved = applyProperMotion(raInDegrees, star.dec, star.pmra, star.pmdec,
+                                        years, star.distance, star.radialVelocity);
+        
+        // Précession et nutation : J2000.0 → coordonnées vraies de la date
+        const ofDate = rotateSpherical(toDateMatrix, moved.ra, moved.dec);
+        
+        const horizontal = equatorialToHorizontal(ofDate.lon, ofDate.lat, lst, observer.latitude);
         
-        if (isStarVisible(horizontal.altitude)) {
-            visibleStars.push({
-                ...star,
-                altitude: horizontal.altitude,
-                azimut: horizontal.azimut
-            });
+        return {
+            ...star,
+            raOfDate: ofDate.lon,        // Ascension droite vraie de la date (degrés)
+            decOfDate: ofDate.lat,       // Déclinaison vraie de la date (degrés)
+            altitude: trueToApparentAltitude(horizontal.altitude, refraction),
+            trueAltitude: horizontal.altitude,
+            azimut: horizontal.azimut
+        };
+    });
+}
+
+/**
+ * Calcule les positions horizontales pour une liste d'étoiles
+ * et filtre celles qui sont visibles (voir calculateStarPositions)
+ * 
+ * @param {Array} stars - Tableau d'étoiles avec propriétés ra, dec, mag
+ *                        (et optionnellement pmra, pmdec, distance, radialVelocity)
+ * @param {Date} date - Date et heure d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Array} Tableau d'étoiles visibles avec leurs coordonnées horizontales
+ */
+function calculateVisibleStars(stars, date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    return calculateStarPositions(stars, date, observer, refraction)
+        .filter(star => isStarVisible(star.altitude));
+}
+
+// ==========================================================================
+// Soleil et crépuscule
+// ==========================================================================
+
+// Diamètre apparent du Soleil à 1 unité astronomique (degrés)
+const SUN_ANGULAR_DIAMETER_AU = 0.5330;
+
+// Phases du ciel selon l'altitude géométrique du centre du Soleil (degrés)
+// Le jour commence au lever : bord supérieur à l'horizon, réfraction comprise
+const TWILIGHT_PHASES = [
+    { id: 'day', label: 'Jour', icon: '☀️', minAltitude: -0.833 },
+    { id: 'civil', label: 'Crépuscule civil', icon: '🌇', minAltitude: -6 },
+    { id: 'nautical', label: 'Crépuscule nautique', icon: '🌆', minAltitude: -12 },
+    { id: 'astronomical', label: 'Crépuscule astronomique', icon: '🌌', minAltitude: -18 },
+    { id: 'night', label: 'Nuit', icon: '🌙', minAltitude: -90 }
+];
+
+// Aspect du ciel selon l'altitude du Soleil : couleurs (RGB) au zénith et
+// à l'horizon, et magnitude limite des étoiles encore perceptibles.
+// Les valeurs sont interpolées linéairement entre deux paliers.
+const SKY_STATES = [
+    { sunAltitude: -18, zenith: [0, 8, 20], horizon: [0, 8, 20], limitingMagnitude: 6.5 },
+    { sunAltitude: -12, zenith: [4, 14, 36], horizon: [12, 28, 60], limitingMagnitude: 4.5 },
+    { sunAltitude: -6, zenith: [18, 38, 84], horizon: [96, 84, 120], limitingMagnitude: 2 },
+    { sunAltitude: -2, zenith: [40, 80, 150], horizon: [220, 140, 100], limitingMagnitude: 0 },
+    { sunAltitude: 5, zenith: [60, 120, 200], horizon: [200, 190, 180], limitingMagnitude: -3 },
+    { sunAltitude: 20, zenith: [50, 120, 210], horizon: [170, 205, 235], limitingMagnitude: -4 }
+];
+
+// Écart de magnitude sur lequel une étoile s'estompe près de la magnitude limite
+const STAR_FADE_RANGE = 0.5;
+
+/**
+ * Convertit des coordonnées écliptiques en coordonnées équatoriales
+ *
+ * @param {number} longitude - Longitude écliptique λ en degrés
+ * @param {number} latitude - Latitude écliptique β en degrés
+ * @param {number} obliquity - Obliquité de l'écliptique ε en degrés
+ * @returns {Object} {ra, dec} en degrés
+ */
+function eclipticToEquatorial(longitude, latitude, obliquity) {
+    const lambda = degreesToRadians(longitude);
+    const beta = degreesToRadians(latitude);
+    const epsilon = degreesToRadians(obliquity);
+
+    const ra = Math.atan2(
+        Math.sin(lambda) * Math.cos(epsilon) - Math.tan(beta) * Math.sin(epsilon),
+        Math.cos(lambda)
+    );
+    const dec = Math.asin(
+        Math.sin(beta) * Math.cos(epsilon) + Math.cos(beta) * Math.sin(epsilon) * Math.sin(lambda)
+    );
+
+    return {
+        ra: normalizeAngle(radiansToDegrees(ra)),
+        dec: radiansToDegrees(dec)
+    };
+}
+
+/**
+ * Convertit des coordonnées équatoriales en coordonnées écliptiques
+ * (transformation inverse de eclipticToEquatorial)
+ *
+ * @param {number} ra - Ascension droite en degrés
+ * @param {number} dec - Déclinaison en degrés
+ * @param {number} obliquity - Obliquité de l'écliptique ε en degrés
+ * @returns {Object} {longitude, latitude} en degrés, longitude entre 0 et 360
+ */
+function equatorialToEcliptic(ra, dec, obliquity) {
+    const result = rotateSpherical(rotationMatrix(1, obliquity), ra, dec);
+    return { longitude: result.lon, latitude: result.lat };
+}
+
+/**
+ * Calcule la matrice de passage des coordonnées vraies de la date à
+ * l'écliptique vraie de la date (rotation de l'obliquité vraie)
+ *
+ * @param {Date} date - Date d'observation
+ * @returns {Array<Array<number>>} Matrice de passage (sa transposée fait l'inverse)
+ */
+function calculateDateToEclipticMatrix(date) {
+    return rotationMatrix(1, calculateNutation(dateToJulianDay(date)).trueObliquity);
+}
+
+// Matrice de passage de l'équateur J2000.0 au repère galactique
+// (pôle Nord galactique et origine des longitudes de Hipparcos, ESA 1997)
+const GALACTIC_MATRIX = [
+    [-0.0548755604162154, -0.8734370902348850, -0.4838350155487132],
+    [0.4941094278755837, -0.4448296299600112, 0.7469822444972189],
+    [-0.8676661490190047, -0.1980763734312015, 0.4559837761750669]
+];
+
+/**
+ * Calcule la matrice de passage des coordonnées vraies de la date aux
+ * coordonnées galactiques (retour à J2000.0 puis repère galactique)
+ *
+ * @param {Date} date - Date d'observation
+ * @returns {Array<Array<number>>} Matrice de passage (sa transposée fait l'inverse)
+ */
+function calculateDateToGalacticMatrix(date) {
+    return multiplyMatrices(GALACTIC_MATRIX, transposeMatrix(calculateJ2000ToDateMatrix(date)));
+}
+
+/**
+ * Convertit des coordonnées équatoriales vraies de la date en coordonnées galactiques
+ *
+ * @param {number} ra - Ascension droite de la date en degrés
+ * @param {number} dec - Déclinaison de la date en degrés
+ * @param {Date} date - Date d'observation
+ * @returns {Object} {longitude, latitude} galactiques en degrés
+ */
+function equatorialToGalactic(ra, dec, date) {
+    const result = rotateSpherical(calculateDateToGalacticMatrix(date), ra, dec);
+    return { longitude: result.lon, latitude: result.lat };
+}
+
+/**
+ * Convertit des coordonnées galactiques en coordonnées équatoriales vraies de la date
+ * (transformation inverse de equatorialToGalactic)
+ *
+ * @param {number} longitude - Longitude galactique l en degrés
+ * @param {number} latitude - Latitude galactique b en degrés
+ * @param {Date} date - Date d'observation
+ * @returns {Object} {ra, dec} de la date, en degrés
+ */
+function galacticToEquatorial(longitude, latitude, date) {
+    const result = rotateSpherical(transposeMatrix(calculateDateToGalacticMatrix(date)), longitude, latitude);
+    return { ra: result.lon, dec: result.lat };
+}
+
+/**
+ * Convertit des coordonnées équatoriales vraies de la date en
+ * coordonnées horizontales apparentes pour un observateur
+ *
+ * @param {number} ra - Ascension droite de la date en degrés
+ * @param {number} dec - Déclinaison de la date en degrés
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Object} {altitude (apparente), trueAltitude, azimut} en degrés
+ */
+function calculateHorizontalPosition(ra, dec, date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const lst = calculateApparentLST(date, observer.longitude);
+    const horizontal = equatorialToHorizontal(ra, dec, lst, observer.latitude);
+
+    return {
+        altitude: trueToApparentAltitude(horizontal.altitude, refraction),
+        trueAltitude: horizontal.altitude,
+        azimut: horizontal.azimut
+    };
+}
+
+/**
+ * Calcule les coordonnées équatoriales vraies de la date d'une direction
+ * du ciel (inverse de calculateHorizontalPosition)
+ *
+ * @param {number} azimut - Azimut en degrés
+ * @param {number} altitude - Altitude apparente en degrés (lue sur la carte)
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Object} {ra, dec, hourAngle} vrais de la date, en degrés
+ */
+function calculateEquatorialPosition(azimut, altitude, date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const lst = calculateApparentLST(date, observer.longitude);
+    return horizontalToEquatorial(azimut, apparentToTrueAltitude(altitude, refraction), lst, observer.latitude);
+}
+
+/**
+ * Calcule la position géocentrique apparente du Soleil
+ * (Meeus, Astronomical Algorithms, chap. 25 — précision ~0.01°)
+ *
+ * @param {Date} date - Date d'observation
+ * @returns {Object} {ra, dec, eclipticLongitude, distance} — angles en degrés
+ *                   (équinoxe vrai de la date), distance en unités astronomiques
+ */
+function calculateSunEquatorial(date) {
+    const jd = dateToJulianDay(date);
+    const T = julianCenturiesSinceJ2000(jd);
+
+    // Longitude moyenne et anomalie moyenne
+    const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+    const M = 357.52911 + 35999.05029 * T - 0.0001537 * T * T;
+    const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+    const mRad = degreesToRadians(M);
+
+    // Équation du centre
+    const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(mRad)
+            + (0.019993 - 0.000101 * T) * Math.sin(2 * mRad)
+            + 0.000289 * Math.sin(3 * mRad);
+
+    const trueLongitude = L0 + C;
+    const trueAnomaly = degreesToRadians(M + C);
+    const distance = 1.000001018 * (1 - e * e) / (1 + e * Math.cos(trueAnomaly));
+
+    // Longitude apparente : nutation et aberration (-20.4898" / R)
+    const nutation = calculateNutation(jd);
+    const eclipticLongitude = normalizeAngle(trueLongitude + nutation.deltaPsi - 20.4898 / 3600 / distance);
+
+    const equatorial = eclipticToEquatorial(eclipticLongitude, 0, nutation.trueObliquity);
+
+    return {
+        ra: equatorial.ra,
+        dec: equatorial.dec,
+        eclipticLongitude,
+        distance
+    };
+}
+
+/**
+ * Calcule la position du Soleil dans le ciel de l'observateur
+ *
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Object} {ra, dec, eclipticLongitude, distance, angularDiameter,
+ *                    altitude (apparente), trueAltitude, azimut}
+ */
+function calculateSunPosition(date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const sun = calculateSunEquatorial(date);
+    const horizontal = calculateHorizontalPosition(sun.ra, sun.dec, date, observer, refraction);
+
+    return {
+        ...sun,
+        angularDiameter: SUN_ANGULAR_DIAMETER_AU / sun.distance,
+        ...horizontal
+    };
+}
+
+/**
+ * Détermine la phase du ciel (jour, crépuscules, nuit)
+ *
+ * @param {number} sunAltitude - Altitude géométrique du centre du Soleil en degrés
+ * @returns {Object} Phase {id, label, icon, minAltitude}
+ */
+function getTwilightPhase(sunAltitude) {
+    return TWILIGHT_PHASES.find(phase => sunAltitude >= phase.minAltitude)
+        || TWILIGHT_PHASES[TWILIGHT_PHASES.length - 1];
+}
+
+/**
+ * Interpole linéairement deux couleurs RGB
+ *
+ * @param {Array<number>} from - Couleur de départ [r, g, b]
+ * @param {Array<number>} to - Couleur d'arrivée [r, g, b]
+ * @param {number} t - Facteur d'interpolation (0-1)
+ * @returns {string} Couleur CSS "rgb(r, g, b)"
+ */
+function interpolateColor(from, to, t) {
+    const channels = from.map((value, i) => Math.round(value + (to[i] - value) * t));
+    return `rgb(${channels.join(', ')})`;
+}
+
+/**
+ * Calcule l'aspect du ciel pour une altitude du Soleil donnée
+ *
+ * @param {number} sunAltitude - Altitude géométrique du Soleil en degrés
+ * @param {number} moonGlare - Perte de magnitude due à la Lune (calculateMoonGlare)
+ * @returns {Object} {phase, zenithColor, horizonColor, limitingMagnitude}
+ */
+function calculateSkyState(sunAltitude, moonGlare = 0) {
+    const first = SKY_STATES[0];
+    const last = SKY_STATES[SKY_STATES.length - 1];
+
+    // Trouver les deux paliers encadrant l'altitude du Soleil
+    let lower = first;
+    let upper = first;
+    if (sunAltitude >= last.sunAltitude) {
+        lower = upper = last;
+    } else if (sunAltitude > first.sunAltitude) {
+        const index = SKY_STATES.findIndex(state => state.sunAltitude > sunAltitude);
+        lower = SKY_STATES[index - 1];
+        upper = SKY_STATES[index];
+    }
+
+    const span = upper.sunAltitude - lower.sunAltitude;
+    const t = span > 0 ? (sunAltitude - lower.sunAltitude) / span : 0;
+
+    return {
+        phase: getTwilightPhase(sunAltitude),
+        zenithColor: interpolateColor(lower.zenith, upper.zenith, t),
+        horizonColor: interpolateColor(lower.horizon, upper.horizon, t),
+        limitingMagnitude: Math.min(
+            lower.limitingMagnitude + (upper.limitingMagnitude - lower.limitingMagnitude) * t,
+            first.limitingMagnitude - moonGlare
+        )
+    };
+}
+
+/**
+ * Calcule le facteur de visibilité d'une étoile sur un ciel éclairé
+ * (1 = pleinement visible, 0 = noyée dans la clarté du ciel)
+ *
+ * @param {number} magnitude - Magnitude apparente de l'étoile
+ * @param {number} limitingMagnitude - Magnitude limite du ciel
+ * @returns {number} Facteur entre 0 et 1
+ */
+function calculateStarFade(magnitude, limitingMagnitude) {
+    return Math.max(0, Math.min(1, (limitingMagnitude - magnitude) / STAR_FADE_RANGE));
+}
+
+// ==========================================================================
+// Lune
+// ==========================================================================
+
+// Rayon équatorial terrestre et rayon lunaire (km)
+const EARTH_RADIUS_KM = 6378.14;
+const MOON_RADIUS_KM = 1737.4;
+
+// Unité astronomique (km)
+const ASTRONOMICAL_UNIT_KM = 149597870.7;
+
+// Perte maximale de magnitude limite due à la clarté de la pleine Lune haute
+const MOON_GLARE_MAX_LOSS = 2;
+
+// Termes périodiques de la longitude et de la distance de la Lune
+// (Meeus, table 47.A) : [D, M, M', F, Σl (1e-6 °), Σr (1e-3 km)]
+const MOON_LONGITUDE_DISTANCE_TERMS = [
+    [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403], [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884],
+    [0, 1, 2, 0, -2120, 5751], [0, 2, 0, 0, -2069, 0],
+    [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958],
+    [0, 0, 2, 2, -1110, 0], [3, 0, -1, 0, -892, 3258],
+    [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354],
+    [2, 1, -2, 0, 691, 0], [2, -1, 0, -2, 596, 0],
+    [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739],
+    [2, 1, 0, -2, -399, 0], [0, 0, 2, -2, -381, -4421],
+    [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0],
+    [0, 2, 1, 0, -323, 1165], [1, 1, -1, 0, 299, 0],
+    [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+];
+
+// Termes périodiques de la latitude de la Lune
+// (Meeus, table 47.B) : [D, M, M', F, Σb (1e-6 °)]
+const MOON_LATITUDE_TERMS = [
+    [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198], [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211], [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794], [0, 0, 0, 3, -1749],
+    [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335],
+    [0, 0, 3, 1, 1107], [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833],
+    [0, 0, 1, -3, 777], [4, 0, -2, 1, 671], [2, 0, 0, -3, 607],
+    [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421],
+    [2, 1, -1, 1, -366], [2, 1, 0, 1, -351], [4, 0, 0, 1, 331],
+    [2, -1, 1, 1, 315], [2, -2, 0, -1, 302], [0, 0, 1, 3, -283],
+    [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185],
+    [2, -1, -2, -1, 181], [0, 1, 2, 1, -177], [4, 0, -2, -1, 176],
+    [4, -1, -1, -1, 166], [1, 0, 1, -1, -164], [4, 0, 1, -1, 132],
+    [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+];
+
+// Noms des phases de la Lune (par huitième de lunaison)
+const MOON_PHASE_NAMES = [
+    { label: 'Nouvelle lune', icon: '🌑' },
+    { label: 'Premier croissant', icon: '🌒' },
+    { label: 'Premier quartier', icon: '🌓' },
+    { label: 'Gibbeuse croissante', icon: '🌔' },
+    { label: 'Pleine lune', icon: '🌕' },
+    { label: 'Gibbeuse décroissante', icon: '🌖' },
+    { label: 'Dernier quartier', icon: '🌗' },
+    { label: 'Dernier croissant', icon: '🌘' }
+];
+
+/**
+ * Calcule la position géocentrique apparente de la Lune
+ * (Meeus, Astronomical Algorithms, chap. 47 — précision ~10")
+ *
+ * @param {Date} date - Date d'observation
+ * @returns {Object} {ra, dec, eclipticLongitude, eclipticLatitude, distance}
+ *                   angles en degrés (équinoxe vrai de la date), distance en km
+ */
+function calculateMoonEquatorial(date) {
+    const jd = dateToJulianDay(date);
+    const T = julianCenturiesSinceJ2000(jd);
+    const T2 = T * T;
+    const T3 = T2 * T;
+    const T4 = T3 * T;
+
+    // Arguments fondamentaux (degrés)
+    const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000;
+    const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000;
+    const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000;
+    const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000;
+    const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000;
+
+    const A1 = 119.75 + 131.849 * T;
+    const A2 = 53.09 + 479264.290 * T;
+    const A3 = 313.45 + 481266.484 * T;
+
+    // Excentricité de l'orbite terrestre (pondère les termes en M)
+    const E = 1 - 0.002516 * T - 0.0000074 * T2;
+
+    const sin = (angle) => Math.sin(degreesToRadians(angle));
+    const cos = (angle) => Math.cos(degreesToRadians(angle));
+
+    let sumL = 0;
+    let sumR = 0;
+    for (const [d, m, mp, f, l, r] of MOON_LONGITUDE_DISTANCE_TERMS) {
+        const argument = d * D + m * M + mp * Mp + f * F;
+        const eccentricity = Math.pow(E, Math.abs(m));
+        sumL += l * eccentricity * sin(argument);
+        sumR += r * eccentricity * cos(argument);
+    }
+
+    let sumB = 0;
+    for (const [d, m, mp, f, b] of MOON_LATITUDE_TERMS) {
+        const argument = d * D + m * M + mp * Mp + f * F;
+        sumB += b * Math.pow(E, Math.abs(m)) * sin(argument);
+    }
+
+    // Termes additionnels (Vénus, Jupiter, aplatissement terrestre)
+    sumL += 3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(A2);
+    sumB += -2235 * sin(Lp) + 382 * sin(A3) + 175 * sin(A1 - F) + 175 * sin(A1 + F)
+          + 127 * sin(Lp - Mp) - 115 * sin(Lp + Mp);
+
+    // Longitude apparente (nutation) et conversion en équatoriales
+    const nutation = calculateNutation(jd);
+    const eclipticLongitude = normalizeAngle(Lp + sumL / 1e6 + nutation.deltaPsi);
+    const eclipticLatitude = sumB / 1e6;
+    const equatorial = eclipticToEquatorial(eclipticLongitude, eclipticLatitude, nutation.trueObliquity);
+
+    return {
+        ra: equatorial.ra,
+        dec: equatorial.dec,
+        eclipticLongitude,
+        eclipticLatitude,
+        distance: 385000.56 + sumR / 1000
+    };
+}
+
+/**
+ * Convertit une position géocentrique en position topocentrique
+ * (correction de parallaxe pour un observateur à la surface de la Terre)
+ *
+ * @param {number} ra - Ascension droite géocentrique en degrés
+ * @param {number} dec - Déclinaison géocentrique en degrés
+ * @param {number} distance - Distance géocentrique en km
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude, elevation}
+ * @returns {Object} {ra, dec, distance} topocentriques (degrés, km)
+ */
+function geocentricToTopocentric(ra, dec, distance, date, observer = OBSERVER_CONFIG) {
+    const latitude = degreesToRadians(observer.latitude);
+    const heightRatio = (observer.elevation || 0) / (EARTH_RADIUS_KM * 1000);
+
+    // Coordonnées géocentriques de l'observateur (ellipsoïde, Meeus chap. 11)
+    const u = Math.atan(0.99664719 * Math.tan(latitude));
+    const rhoSinPhi = 0.99664719 * Math.sin(u) + heightRatio * Math.sin(latitude);
+    const rhoCosPhi = Math.cos(u) + heightRatio * Math.cos(latitude);
+
+    const lst = degreesToRadians(calculateApparentLST(date, observer.longitude));
+    const raRad = degreesToRadians(ra);
+    const decRad = degreesToRadians(dec);
+
+    // Vecteur observateur → astre dans le repère équatorial de la date (km)
+    const x = distance * Math.cos(decRad) * Math.cos(raRad) - EARTH_RADIUS_KM * rhoCosPhi * Math.cos(lst);
+    const y = distance * Math.cos(decRad) * Math.sin(raRad) - EARTH_RADIUS_KM * rhoCosPhi * Math.sin(lst);
+    const z = distance * Math.sin(decRad) - EARTH_RADIUS_KM * rhoSinPhi;
+
+    const topocentricDistance = Math.sqrt(x * x + y * y + z * z);
+
+    return {
+        ra: normalizeAngle(radiansToDegrees(Math.atan2(y, x))),
+        dec: radiansToDegrees(Math.asin(z / topocentricDistance)),
+        distance: topocentricDistance
+    };
+}
+
+/**
+ * Calcule l'angle de position d'un point vu depuis un autre
+ * (compté depuis le nord céleste vers l'est)
+ *
+ * @param {number} ra - Ascension droite de l'objet en degrés
+ * @param {number} dec - Déclinaison de l'objet en degrés
+ * @param {number} targetRa - Ascension droite du point visé en degrés
+ * @param {number} targetDec - Déclinaison du point visé en degrés
+ * @returns {number} Angle de position en degrés (0-360)
+ */
+function calculatePositionAngle(ra, dec, targetRa, targetDec) {
+    const deltaRa = degreesToRadians(targetRa - ra);
+    const decRad = degreesToRadians(dec);
+    const targetDecRad = degreesToRadians(targetDec);
+
+    return normalizeAngle(radiansToDegrees(Math.atan2(
+        Math.cos(targetDecRad) * Math.sin(deltaRa),
+        Math.sin(targetDecRad) * Math.cos(decRad) - Math.cos(targetDecRad) * Math.sin(decRad) * Math.cos(deltaRa)
+    )));
+}
+
+/**
+ * Calcule le point situé à une distance angulaire donnée d'une position,
+ * dans la direction d'un angle de position (utile pour orienter un dessin)
+ *
+ * @param {number} ra - Ascension droite de départ en degrés
+ * @param {number} dec - Déclinaison de départ en degrés
+ * @param {number} positionAngle - Angle de position (nord vers est) en degrés
+ * @param {number} distance - Distance angulaire en degrés
+ * @returns {Object} {ra, dec} du point d'arrivée en degrés
+ */
+function offsetByPositionAngle(ra, dec, positionAngle, distance) {
+    const decRad = degreesToRadians(dec);
+    const pa = degreesToRadians(positionAngle);
+    const d = degreesToRadians(distance);
+
+    const targetDec = Math.asin(Math.sin(decRad) * Math.cos(d) + Math.cos(decRad) * Math.sin(d) * Math.cos(pa));
+    const deltaRa = Math.atan2(
+        Math.sin(pa) * Math.sin(d) * Math.cos(decRad),
+        Math.cos(d) - Math.sin(decRad) * Math.sin(targetDec)
+    );
+
+    return {
+        ra: normalizeAngle(ra + radiansToDegrees(deltaRa)),
+        dec: radiansToDegrees(targetDec)
+    };
+}
+
+/**
+ * Détermine le nom de la phase de la Lune
+ *
+ * @param {number} elongation - Élongation en longitude Lune − Soleil en degrés (0-360)
+ * @returns {Object} {label, icon}
+ */
+function getMoonPhaseName(elongation) {
+    const index = Math.round(normalizeAngle(elongation) / 45) % MOON_PHASE_NAMES.length;
+    return MOON_PHASE_NAMES[index];
+}
+
+/**
+ * Calcule la position et l'aspect de la Lune pour un observateur
+ *
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude, elevation}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Object} {ra, dec, distance (topocentriques), angularDiameter,
+ *                    illuminatedFraction, phaseAngle, elongation, brightLimbAngle,
+ *                    phaseName, altitude (apparente), trueAltitude, azimut}
+ */
+function calculateMoonPosition(date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const geocentric = calculateMoonEquatorial(date);
+    const sun = calculateSunEquatorial(date);
+    const topocentric = geocentricToTopocentric(geocentric.ra, geocentric.dec, geocentric.distance, date, observer);
+
+    // Élongation géocentrique et angle de phase (Meeus chap. 48)
+    const decRad = degreesToRadians(geocentric.dec);
+    const sunDecRad = degreesToRadians(sun.dec);
+    const cosPsi = Math.sin(sunDecRad) * Math.sin(decRad)
+                 + Math.cos(sunDecRad) * Math.cos(decRad) * Math.cos(degreesToRadians(sun.ra - geocentric.ra));
+    const psi = Math.acos(Math.max(-1, Math.min(1, cosPsi)));
+    const sunDistance = sun.distance * ASTRONOMICAL_UNIT_KM;
+    const phaseAngle = Math.atan2(sunDistance * Math.sin(psi), geocentric.distance - sunDistance * Math.cos(psi));
+
+    const horizontal = calculateHorizontalPosition(topocentric.ra, topocentric.dec, date, observer, refraction);
+    const elongation = normalizeAngle(geocentric.eclipticLongitude - sun.eclipticLongitude);
+
+    return {
+        ra: topocentric.ra,
+        dec: topocentric.dec,
+        distance: topocentric.distance,
+        angularDiameter: 2 * radiansToDegrees(Math.asin(MOON_RADIUS_KM / topocentric.distance)),
+        illuminatedFraction: (1 + Math.cos(phaseAngle)) / 2,
+        phaseAngle: radiansToDegrees(phaseAngle),
+        elongation,
+        brightLimbAngle: calculatePositionAngle(geocentric.ra, geocentric.dec, sun.ra, sun.dec),
+        phaseName: getMoonPhaseName(elongation),
+        ...horizontal
+    };
+}
+
+/**
+ * Calcule la perte de magnitude limite due à la clarté de la Lune
+ * (maximale pour une pleine Lune haute dans le ciel, nulle sous l'horizon)
+ *
+ * @param {Object} moon - Position de la Lune {altitude, illuminatedFraction}
+ * @returns {number} Perte de magnitude (0 à MOON_GLARE_MAX_LOSS)
+ */
+function calculateMoonGlare(moon) {
+    if (!moon || moon.altitude <= 0) {
+        return 0;
+    }
+    const heightFactor = Math.min(1, Math.sin(degreesToRadians(moon.altitude)) * 2);
+    return MOON_GLARE_MAX_LOSS * Math.pow(moon.illuminatedFraction, 1.5) * heightFactor;
+}
+
+// ==========================================================================
+// Lever, passage au méridien et coucher
+// ==========================================================================
+
+// Pas d'échantillonnage de l'altitude sur la nuit d'observation (minutes)
+const RISE_SET_SAMPLE_MINUTES = 10;
+
+// Durée de la fenêtre de recherche (heures), de midi à midi (temps solaire moyen local)
+const RISE_SET_WINDOW_HOURS = 24;
+
+// Nombre de dichotomies pour affiner un événement (10 min / 2^14 ≈ 0.04 s)
+const RISE_SET_REFINE_STEPS = 14;
+
+/**
+ * Calcule le début de la nuit d'observation contenant une date :
+ * le midi (temps solaire moyen local) qui la précède
+ *
+ * @param {Date} date - Date d'observation
+ * @param {number} longitude - Longitude de l'observateur en degrés (Est positif)
+ * @returns {Date} Début de la fenêtre de 24 h
+ */
+function getObservingNightStart(date, longitude = OBSERVER_CONFIG.longitude) {
+    const offset = longitude / 15 * 3600000;
+    const localMean = new Date(date.getTime() + offset);
+
+    const noon = Date.UTC(localMean.getUTCFullYear(), localMean.getUTCMonth(), localMean.getUTCDate(), 12);
+    const start = localMean.getUTCHours() >= 12 ? noon : noon - 86400000;
+
+    return new Date(start - offset);
+}
+
+/**
+ * Calcule la position vraie de la date d'une étoile du catalogue
+ * (mouvement propre, précession et nutation)
+ *
+ * @param {Object} star - Étoile {ra (heures), dec, pmra, pmdec, distance, radialVelocity}
+ * @param {Date} date - Date d'observation
+ * @returns {Object} {ra, dec} en degrés
+ */
+function calculateStarPositionOfDate(star, date) {
+    const moved = applyProperMotion(star.ra * 15, star.dec, star.pmra, star.pmdec,
+                                    julianYearsSinceJ2000(date), star.distance, star.radialVelocity);
+    const ofDate = rotateSpherical(calculateJ2000ToDateMatrix(date), moved.ra, moved.dec);
+
+    return { ra: ofDate.lon, dec: ofDate.lat };
+}
+
+/**
+ * Calcule les heures de lever, de passage au méridien (culmination) et de
+ * coucher d'un objet sur la nuit d'observation (de midi à midi).
+ *
+ * La recherche échantillonne l'altitude géométrique toutes les 10 minutes
+ * puis affine chaque changement de signe par dichotomie, ce qui convient
+ * aussi aux objets mobiles (Lune, planètes). Seul le premier événement de
+ * chaque type est retenu.
+ *
+ * @param {Object|Function} positionAt - Position {ra, dec} vraie de la date en degrés,
+ *                                       ou fonction (date) → {ra, dec} pour un objet mobile
+ * @param {Date} date - Date dans la nuit d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} options - {altitude: hauteur apparente de l'horizon en degrés (ex : cime des arbres),
+ *                            semidiameter: demi-diamètre en degrés (lever du bord supérieur),
+ *                            refraction: configuration de la réfraction}
+ * @returns {Object} {rise, transit, set (Date ou null), transitAltitude, maxAltitude
+ *                    (altitudes apparentes en degrés), circumpolar, neverRises, start, end}
+ */
+function calculateRiseTransitSet(positionAt, date, observer = OBSERVER_CONFIG, options = {}) {
+    const { altitude = 0, semidiameter = 0, refraction = REFRACTION_CONFIG } = options;
+    const getPosition = typeof positionAt === 'function' ? positionAt : () => positionAt;
+
+    // Altitude géométrique du centre quand le bord supérieur apparaît à la hauteur demandée
+    const threshold = apparentToTrueAltitude(altitude, refraction) - semidiameter;
+
+    const sampleAt = (time) => {
+        const sampleDate = new Date(time);
+        const position = getPosition(sampleDate);
+        const lst = calculateApparentLST(sampleDate, observer.longitude);
+        const horizontal = equatorialToHorizontal(position.ra, position.dec, lst, observer.latitude);
+
+        return {
+            time,
+            altitude: horizontal.altitude,
+            hourAngle: normalizeAngle(lst - position.ra + 180) - 180
+        };
+    };
+
+    // Affine l'instant où la fonction change de signe entre deux échantillons
+    const refine = (before, after, value) => {
+        const beforeSign = value(before) >= 0;
+        for (let i = 0; i < RISE_SET_REFINE_STEPS; i++) {
+            const middle = sampleAt((before.time + after.time) / 2);
+            if ((value(middle) >= 0) === beforeSign) {
+                before = middle;
+            } else {
+                after = middle;
+            }
+        }
+        return sampleAt((before.time + after.time) / 2);
+    };
+
+    const start = getObservingNightStart(date, observer.longitude).getTime();
+    const stepMs = RISE_SET_SAMPLE_MINUTES * 60000;
+    const sampleCount = RISE_SET_WINDOW_HOURS * 60 / RISE_SET_SAMPLE_MINUTES;
+
+    const aboveThreshold = (sample) => sample.altitude - threshold;
+    let rise = null;
+    let transit = null;
+    let set = null;
+    let maxAltitude = -90;
+    let previous = sampleAt(start);
+
+    for (let i = 1; i <= sampleCount; i++) {
+        const current = sampleAt(start + i * stepMs);
+        maxAltitude = Math.max(maxAltitude, previous.altitude, current.altitude);
+
+        if (!rise && previous.altitude < threshold && current.altitude >= threshold) {
+            rise = refine(previous, current, aboveThreshold);
         }
+        if (!set && previous.altitude >= threshold && current.altitude < threshold) {
+            set = refine(previous, current, aboveThreshold);
+        }
+        // Passage supérieur : l'angle horaire passe de négatif à positif (et non de +180° à -180°)
+        if (!transit && previous.hourAngle < 0 && current.hourAngle >= 0 &&
+            current.hourAngle - previous.hourAngle < 90) {
+            transit = refine(previous, current, sample => sample.hourAngle);
+            maxAltitude = Math.max(maxAltitude, transit.altitude);
+        }
+
+        previous = current;
     }
-    
-    return visibleStars;
+
+    const alwaysAbove = !rise && !set && maxAltitude >= threshold;
+
+    return {
+        rise: rise ? new Date(rise.time) : null,
+        transit: transit ? new Date(transit.time) : null,
+        set: set ? new Date(set.time) : null,
+        transitAltitude: transit ? trueToApparentAltitude(transit.altitude, refraction) : null,
+        maxAltitude: trueToApparentAltitude(maxAltitude, refraction),
+        circumpolar: alwaysAbove,
+        neverRises: !rise && !set && !alwaysAbove,
+        start: new Date(start),
+        end: new Date(start + sampleCount * stepMs)
+    };
+}
+
+/**
+ * Lever, passage et coucher d'une étoile du catalogue
+ *
+ * @param {Object} star - Étoile {ra (heures), dec, pmra, pmdec, ...}
+ * @param {Date} date - Date dans la nuit d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} options - Voir calculateRiseTransitSet
+ * @returns {Object} Voir calculateRiseTransitSet
+ */
+function calculateStarRiseTransitSet(star, date, observer = OBSERVER_CONFIG, options = {}) {
+    // La position de l'étoile varie de façon négligeable en une nuit
+    return calculateRiseTransitSet(calculateStarPositionOfDate(star, date), date, observer, options);
+}
+
+/**
+ * Lever, passage et coucher du Soleil (bord supérieur)
+ *
+ * @param {Date} date - Date dans la nuit d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} options - Voir calculateRiseTransitSet
+ * @returns {Object} Voir calculateRiseTransitSet
+ */
+function calculateSunRiseTransitSet(date, observer = OBSERVER_CONFIG, options = {}) {
+    return calculateRiseTransitSet(calculateSunEquatorial, date, observer, {
+        semidiameter: SUN_ANGULAR_DIAMETER_AU / 2,
+        ...options
+    });
+}
+
+/**
+ * Lever, passage et coucher de la Lune (bord supérieur, position topocentrique)
+ *
+ * @param {Date} date - Date dans la nuit d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude, elevation}
+ * @param {Object} options - Voir calculateRiseTransitSet
+ * @returns {Object} Voir calculateRiseTransitSet
+ */
+function calculateMoonRiseTransitSet(date, observer = OBSERVER_CONFIG, options = {}) {
+    const topocentricAt = (time) => {
+        const moon = calculateMoonEquatorial(time);
+        return geocentricToTopocentric(moon.ra, moon.dec, moon.distance, time, observer);
+    };
+    const distance = calculateMoonEquatorial(date).distance;
+
+    return calculateRiseTransitSet(topocentricAt, date, observer, {
+        semidiameter: radiansToDegrees(Math.asin(MOON_RADIUS_KM / distance)),
+        ...options
+    });
+}
+
+// ==========================================================================
+// Tracés sur la sphère céleste (segments de lignes)
+// ==========================================================================
+
+/**
+ * Convertit une direction horizontale en vecteur unitaire
+ * (repère X = Est, Y = Nord, Z = Zénith)
+ *
+ * @param {number} azimut - Azimut en degrés
+ * @param {number} altitude - Altitude en degrés
+ * @returns {Object} {x, y, z}
+ */
+function horizontalToVector(azimut, altitude) {
+    const az = degreesToRadians(azimut);
+    const alt = degreesToRadians(altitude);
+
+    return {
+        x: Math.cos(alt) * Math.sin(az),
+        y: Math.cos(alt) * Math.cos(az),
+        z: Math.sin(alt)
+    };
+}
+
+/**
+ * Convertit un vecteur (non nécessairement unitaire) en direction horizontale
+ *
+ * @param {Object} vector - {x, y, z} (X = Est, Y = Nord, Z = Zénith)
+ * @returns {Object} {azimut, altitude} en degrés
+ */
+function vectorToHorizontal(vector) {
+    const length = Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+
+    return {
+        azimut: normalizeAngle(radiansToDegrees(Math.atan2(vector.x, vector.y))),
+        altitude: radiansToDegrees(Math.asin(Math.max(-1, Math.min(1, vector.z / length))))
+    };
+}
+
+/**
+ * Point d'un arc de grand cercle entre deux vecteurs unitaires
+ * (interpolation linéaire renormalisée : le point reste sur l'arc)
+ */
+function interpolateVectors(from, to, t) {
+    return {
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t,
+        z: from.z + (to.z - from.z) * t
+    };
+}
+
+/**
+ * Limite un arc de grand cercle à la partie située au-dessus de l'horizon
+ *
+ * @param {Object} from - Extrémité {azimut, altitude}
+ * @param {Object} to - Extrémité {azimut, altitude}
+ * @returns {Array|null} [from, to] ramenés à l'horizon si besoin, null si l'arc est sous l'horizon
+ */
+function clipSegmentToHorizon(from, to) {
+    if (from.altitude < 0 && to.altitude < 0) {
+        return null;
+    }
+    if (from.altitude >= 0 && to.altitude >= 0) {
+        return [from, to];
+    }
+
+    // Intersection avec le plan de l'horizon (z = 0)
+    const a = horizontalToVector(from.azimut, from.altitude);
+    const b = horizontalToVector(to.azimut, to.altitude);
+    const crossing = vectorToHorizontal(interpolateVectors(a, b, a.z / (a.z - b.z)));
+    crossing.altitude = 0;
+
+    return from.altitude >= 0 ? [from, crossing] : [crossing, to];
+}
+
+/**
+ * Découpe un arc de grand cercle en points intermédiaires
+ * (pour les projections où les grands cercles sont des courbes)
+ *
+ * @param {Object} from - Extrémité {azimut, altitude}
+ * @param {Object} to - Extrémité {azimut, altitude}
+ * @param {number} maxStep - Écart angulaire maximal entre deux points (degrés)
+ * @returns {Array} Points {azimut, altitude}, extrémités comprises
+ */
+function subdivideGreatCircle(from, to, maxStep = 2) {
+    const a = horizontalToVector(from.azimut, from.altitude);
+    const b = horizontalToVector(to.azimut, to.altitude);
+    const dot = Math.max(-1, Math.min(1, a.x * b.x + a.y * b.y + a.z * b.z));
+    const angle = Math.acos(dot);
+    const steps = Math.max(1, Math.ceil(radiansToDegrees(angle) / maxStep));
+
+    // Pas angulaires réguliers le long de l'arc (interpolation sphérique)
+    const points = [from];
+    for (let i = 1; i < steps; i++) {
+        const t = Math.tan(angle * (i / steps - 0.5)) / Math.tan(angle / 2);
+        points.push(vectorToHorizontal(interpolateVectors(a, b, (t + 1) / 2)));
+    }
+    points.push(to);
+    return points;
 }
 
 /**
@@ -255,6 +1713,36 @@ function formatDateTime(date) {
     return date.toLocaleDateString('fr-FR', options);
 }
 
+/**
+ * Formate une ascension droite en heures, minutes et secondes
+ *
+ * @param {number} ra - Ascension droite en degrés
+ * @returns {string} Ex : "18h 36m 56.3s"
+ */
+function formatRightAscension(ra) {
+    // Arrondi au dixième de seconde avant le découpage (évite "60.0s")
+    const tenths = Math.round(normalizeAngle(ra) / 15 * 36000) % (24 * 36000);
+    const hours = Math.floor(tenths / 36000);
+    const minutes = Math.floor(tenths / 600) % 60;
+    const seconds = (tenths % 600) / 10;
+    return `${hours}h ${String(minutes).padStart(2, '0')}m ${seconds.toFixed(1).padStart(4, '0')}s`;
+}
+
+/**
+ * Formate une déclinaison (ou une hauteur) en degrés, minutes et secondes d'arc
+ *
+ * @param {number} dec - Déclinaison en degrés
+ * @returns {string} Ex : "+38° 47′ 01″"
+ */
+function formatDeclination(dec) {
+    const totalSeconds = Math.round(Math.abs(dec) * 3600);
+    const degrees = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = totalSeconds % 60;
+    const sign = dec < 0 && totalSeconds > 0 ? '-' : '+';
+    return `${sign}${degrees}° ${String(minutes).padStart(2, '0')}′ ${String(seconds).padStart(2, '0')}″`;
+}
+
 /**
  * Calcule la taille d'affichage d'une étoile basée sur sa magnitude
  * Les étoiles plus brillantes (magnitude plus basse) sont plus grandes
@@ -285,32 +1773,233 @@ function calculateStarSize(magnitude, zoomLevel = 1) {
     return size;
 }
 
+// ==========================================================================
+// Couleur des étoiles (indice B-V → corps noir → sRGB)
+// ==========================================================================
+
+// Configuration du rendu des couleurs (saturation : 0 = blanc, 1 = couleur physique)
+// Modifiable à l'exécution (curseur « Saturation des couleurs »)
+const STAR_COLOR_CONFIG = {
+    saturation: 1,
+    minSaturation: 0,
+    maxSaturation: 2
+};
+
+// Couleur utilisée quand l'indice B-V est inconnu
+const DEFAULT_STAR_COLOR = '#FFFEF0';
+
+// Deuxième constante de rayonnement hc/k (nm·K)
+const PLANCK_C2_NM_K = 1.4388e7;
+
+// Domaine visible intégré pour la couleur (nm)
+const VISIBLE_SPECTRUM = { min: 380, max: 780, step: 5 };
+
+// Couleurs déjà calculées, par indice B-V arrondi et saturation
+const starColorCache = new Map();
+
 /**
- * Obtient la couleur d'une étoile basée sur son indice de couleur (B-V)
- * Pour cette version, on utilise simplement blanc/jaune
- * 
+ * Estime la température effective d'une étoile à partir de son indice B-V
+ * (formule de Ballesteros, 2012, fondée sur un corps noir)
+ *
  * @param {number} colorIndex - Indice de couleur B-V
- * @returns {string} Couleur CSS
+ * @returns {number} Température en kelvins
+ */
+function colorIndexToTemperature(colorIndex) {
+    const bv = Math.max(-0.4, Math.min(2.0, colorIndex));
+    return 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+}
+
+/**
+ * Fonction gaussienne asymétrique utilisée par l'ajustement des fonctions
+ * colorimétriques CIE 1931 (Wyman, Sloan et Shirley, 2013)
+ */
+function piecewiseGaussian(wavelength, mean, sigmaLow, sigmaHigh) {
+    const t = (wavelength - mean) / (wavelength < mean ? sigmaLow : sigmaHigh);
+    return Math.exp(-0.5 * t * t);
+}
+
+/**
+ * Fonctions colorimétriques CIE 1931 (observateur 2°), ajustement analytique
+ *
+ * @param {number} wavelength - Longueur d'onde en nm
+ * @returns {Object} {x, y, z}
+ */
+function cieColorMatching(wavelength) {
+    return {
+        x: 1.056 * piecewiseGaussian(wavelength, 599.8, 37.9, 31.0)
+         + 0.362 * piecewiseGaussian(wavelength, 442.0, 16.0, 26.7)
+         - 0.065 * piecewiseGaussian(wavelength, 501.1, 20.4, 26.2),
+        y: 0.821 * piecewiseGaussian(wavelength, 568.8, 46.9, 40.5)
+         + 0.286 * piecewiseGaussian(wavelength, 530.9, 16.3, 31.1),
+        z: 1.217 * piecewiseGaussian(wavelength, 437.0, 11.8, 36.0)
+         + 0.681 * piecewiseGaussian(wavelength, 459.0, 26.0, 13.8)
+    };
+}
+
+/**
+ * Calcule la couleur d'un corps noir en RGB linéaire (primaires sRGB, D65),
+ * normalisée pour que la composante la plus forte vaille 1
+ *
+ * @param {number} temperature - Température en kelvins
+ * @returns {Array<number>} [r, g, b] linéaires (0-1)
+ */
+function blackbodyToLinearRGB(temperature) {
+    let X = 0, Y = 0, Z = 0;
+
+    // Spectre de Planck pondéré par les fonctions colorimétriques
+    for (let wavelength = VISIBLE_SPECTRUM.min; wavelength <= VISIBLE_SPECTRUM.max; wavelength += VISIBLE_SPECTRUM.step) {
+        const radiance = Math.pow(wavelength, -5) / (Math.exp(PLANCK_C2_NM_K / (wavelength * temperature)) - 1);
+        const cmf = cieColorMatching(wavelength);
+        X += radiance * cmf.x;
+        Y += radiance * cmf.y;
+        Z += radiance * cmf.z;
+    }
+
+    // XYZ → sRGB linéaire (hors gamut ramené à 0)
+    const rgb = [
+        3.2406 * X - 1.5372 * Y - 0.4986 * Z,
+        -0.9689 * X + 1.8758 * Y + 0.0415 * Z,
+        0.0557 * X - 0.2040 * Y + 1.0570 * Z
+    ].map(channel => Math.max(0, channel));
+
+    const max = Math.max(...rgb);
+    return rgb.map(channel => channel / max);
+}
+
+/**
+ * Applique la courbe de transfert sRGB à une composante linéaire
+ *
+ * @param {number} linear - Composante linéaire (0-1)
+ * @returns {number} Composante encodée (0-255)
+ */
+function linearToSRGB(linear) {
+    const encoded = linear <= 0.0031308 ? 12.92 * linear : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+    return Math.round(Math.max(0, Math.min(1, encoded)) * 255);
+}
+
+/**
+ * Obtient la couleur d'une étoile à partir de son indice de couleur (B-V) :
+ * température du corps noir équivalent, puis couleur sRGB.
+ * Rigel (B-V ≈ -0.03) est bleutée, Bételgeuse (B-V ≈ 1.85) orangée.
+ * 
+ * @param {number|null} colorIndex - Indice de couleur B-V (null si inconnu)
+ * @param {number} saturation - Saturation (0 = blanc, 1 = couleur physique, 2 = accentuée)
+ * @returns {string} Couleur CSS hexadécimale "#rrggbb"
+ */
+function getStarColor(colorIndex, saturation = STAR_COLOR_CONFIG.saturation) {
+    if (colorIndex === null || colorIndex === undefined || isNaN(colorIndex)) {
+        return DEFAULT_STAR_COLOR;
+    }
+
+    const key = `${colorIndex.toFixed(2)}|${saturation}`;
+    if (starColorCache.has(key)) {
+        return starColorCache.get(key);
+    }
+
+    const rgb = blackbodyToLinearRGB(colorIndexToTemperature(colorIndex));
+
+    // Saturation : écart à la luminance, puis renormalisation
+    const luminance = 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+    const saturated = rgb.map(channel => Math.max(0, luminance + (channel - luminance) * saturation));
+    const max = Math.max(...saturated);
+
+    const hex = saturated
+        .map(channel => linearToSRGB(channel / max).toString(16).padStart(2, '0'))
+        .join('');
+    const color = `#${hex}`;
+
+    starColorCache.set(key, color);
+    return color;
+}
+
+/**
+ * Convertit une couleur hexadécimale "#rrggbb" en couleur CSS avec transparence
+ *
+ * @param {string} hex - Couleur "#rrggbb"
+ * @param {number} alpha - Opacité (0-1)
+ * @returns {string} Couleur CSS "rgba(r, g, b, a)"
  */
-function getStarColor(colorIndex) {
-    // Version simplifiée : toutes les étoiles en blanc/jaune pâle
-    // Les étoiles plus brillantes apparaîtront plus blanches
-    return '#FFFEF0';
+function colorWithAlpha(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
 }
 
 // Exposé global (compatible avec l'usage existant non-modulaire)
 window.Astronomy = {
     OBSERVER_CONFIG,
+    REFRACTION_CONFIG,
     degreesToRadians,
     radiansToDegrees,
     normalizeAngle,
     dateToJulianDay,
     calculateGST,
     calculateLST,
+    calculateApparentLST,
+    julianCenturiesSinceJ2000,
+    rotationMatrix,
+    multiplyMatrices,
+    transposeMatrix,
+    rotateSpherical,
+    calculatePrecessionAngles,
+    calculatePrecessionMatrix,
+    precessEquatorial,
+    calculateMeanObliquity,
+    calculateNutation,
+    calculateNutationMatrix,
+    applyNutation,
+    calculateJ2000ToDateMatrix,
+    j2000ToDate,
+    dateToJ2000,
+    julianYearsSinceJ2000,
+    applyProperMotion,
     equatorialToHorizontal,
+    horizontalToEquatorial,
+    calculateRefraction,
+    calculateInverseRefraction,
+    trueToApparentAltitude,
+    apparentToTrueAltitude,
     isStarVisible,
+    calculateStarPositions,
     calculateVisibleStars,
+    TWILIGHT_PHASES,
+    eclipticToEquatorial,
+    equatorialToEcliptic,
+    calculateDateToEclipticMatrix,
+    GALACTIC_MATRIX,
+    calculateDateToGalacticMatrix,
+    equatorialToGalactic,
+    galacticToEquatorial,
+    calculateHorizontalPosition,
+    calculateEquatorialPosition,
+    calculateSunEquatorial,
+    calculateSunPosition,
+    getTwilightPhase,
+    calculateSkyState,
+    calculateStarFade,
+    calculateMoonEquatorial,
+    geocentricToTopocentric,
+    calculatePositionAngle,
+    offsetByPositionAngle,
+    getMoonPhaseName,
+    calculateMoonPosition,
+    calculateMoonGlare,
+    getObservingNightStart,
+    calculateStarPositionOfDate,
+    calculateRiseTransitSet,
+    calculateStarRiseTransitSet,
+    calculateSunRiseTransitSet,
+    calculateMoonRiseTransitSet,
+    horizontalToVector,
+    vectorToHorizontal,
+    clipSegmentToHorizon,
+    subdivideGreatCircle,
     formatDateTime,
+    formatRightAscension,
+    formatDeclination,
     calculateStarSize,
-    getStarColor
+    STAR_COLOR_CONFIG,
+    colorIndexToTemperature,
+    blackbodyToLinearRGB,
+    getStarColor,
+    colorWithAlpha
 };
@@ -0,0 +1,208 @@
+/**
+ * ==========================================================================
+ * Atmosphere.js - Réglages de la réfraction atmosphérique
+ * ==========================================================================
+ *
+ * Ce module permet de régler la réfraction appliquée aux positions :
+ * - Activation / désactivation de la correction
+ * - Température de l'air (°C) et pression atmosphérique (hPa)
+ *
+ * Les réglages sont appliqués à REFRACTION_CONFIG (astronomy.js), qui
+ * alimente trueToApparentAltitude et calculateVisibleStars. Ils sont
+ * mémorisés dans le localStorage, partagé entre les deux modes d'affichage.
+ */
+
+// Clé de sauvegarde dans le localStorage
+const ATMOSPHERE_STORAGE_KEY = 'carteDuCiel.atmosphere';
+
+/**
+ * Valide et normalise des réglages de réfraction
+ *
+ * @param {Object} settings - Réglages {enabled, temperature, pressure}
+ * @returns {Object} Réglages validés (valeurs numériques)
+ * @throws {Error} Si la température ou la pression est invalide
+ */
+function validateRefractionSettings(settings) {
+    const temperature = parseFloat(settings.temperature);
+    const pressure = parseFloat(settings.pressure);
+
+    if (isNaN(temperature) || temperature < -60 || temperature > 60) {
+        throw new Error('Température invalide (doit être comprise entre -60 et 60 °C)');
+    }
+    if (isNaN(pressure) || pressure < 300 || pressure > 1100) {
+        throw new Error('Pression invalide (doit être comprise entre 300 et 1100 hPa)');
+    }
+
+    return {
+        enabled: settings.enabled !== false,
+        temperature,
+        pressure
+    };
+}
+
+/**
+ * Applique des réglages de réfraction à la configuration globale
+ *
+ * @param {Object} settings - Réglages {enabled, temperature, pressure}
+ * @returns {Object} La configuration mise à jour (REFRACTION_CONFIG)
+ */
+function setRefractionConfig(settings) {
+    const validated = validateRefractionSettings({ ...REFRACTION_CONFIG, ...settings });
+
+    REFRACTION_CONFIG.enabled = validated.enabled;
+    REFRACTION_CONFIG.temperature = validated.temperature;
+    REFRACTION_CONFIG.pressure = validated.pressure;
+
+    return REFRACTION_CONFIG;
+}
+
+/**
+ * Sauvegarde les réglages de réfraction dans le localStorage
+ */
+function saveRefractionConfig() {
+    try {
+        localStorage.setItem(ATMOSPHERE_STORAGE_KEY, JSON.stringify({
+            enabled: REFRACTION_CONFIG.enabled,
+            temperature: REFRACTION_CONFIG.temperature,
+            pressure: REFRACTION_CONFIG.pressure
+        }));
+    } catch (error) {
+        console.warn('Impossible de sauvegarder les réglages atmosphériques:', error);
+    }
+}
+
+/**
+ * Restaure les réglages de réfraction sauvegardés (s'ils existent)
+ *
+ * @returns {boolean} true si des réglages ont été restaurés
+ */
+function loadSavedRefractionConfig() {
+    try {
+        const saved = localStorage.getItem(ATMOSPHERE_STORAGE_KEY);
+        if (!saved) {
+            return false;
+        }
+        setRefractionConfig(JSON.parse(saved));
+        return true;
+    } catch (error) {
+        console.warn('Réglages atmosphériques invalides, utilisation des valeurs par défaut:', error);
+        return false;
+    }
+}
+
+/**
+ * Contrôleur de l'interface des réglages atmosphériques
+ *
+ * Relie les éléments du DOM (s'ils existent dans la page) :
+ * - #refractionToggle (case à cocher)
+ * - #temperatureInput, #pressureInput, #atmosphereStatus
+ */
+class AtmosphereController {
+    /**
+     * Crée le contrôleur des réglages atmosphériques
+     * @param {Function} onAtmosphereChange - Callback appelé après un changement de réglage
+     */
+    constructor(onAtmosphereChange) {
+        this.onAtmosphereChange = onAtmosphereChange;
+
+        this.refractionToggle = document.getElementById('refractionToggle');
+        this.temperatureInput = document.getElementById('temperatureInput');
+        this.pressureInput = document.getElementById('pressureInput');
+        this.statusElement = document.getElementById('atmosphereStatus');
+
+        this.initEventListeners();
+        this.updateDisplay();
+    }
+
+    /**
+     * Initialise les écouteurs d'événements
+     */
+    initEventListeners() {
+        const inputs = [this.refractionToggle, this.temperatureInput, this.pressureInput];
+
+        for (const input of inputs) {
+            if (input) {
+                input.addEventListener('change', () => this.applyFromInputs());
+            }
+        }
+
+        // Synchronisation avec l'autre mode d'affichage (autre onglet ou iframe)
+        window.addEventListener('storage', (event) => {
+            if (event.key === ATMOSPHERE_STORAGE_KEY && loadSavedRefractionConfig()) {
+                this.updateDisplay();
+                this.notifyChange();
+            }
+        });
+    }
+
+    /**
+     * Lit le formulaire et applique les réglages
+     */
+    applyFromInputs() {
+        this.applySettings({
+            enabled: this.refractionToggle ? this.refractionToggle.checked : REFRACTION_CONFIG.enabled,
+            temperature: this.temperatureInput ? this.temperatureInput.value : REFRACTION_CONFIG.temperature,
+            pressure: this.pressureInput ? this.pressureInput.value : REFRACTION_CONFIG.pressure
+        });
+    }
+
+    /**
+     * Applique de nouveaux réglages et prévient l'application
+     * @param {Object} settings - Réglages {enabled, temperature, pressure}
+     */
+    applySettings(settings) {
+        try {
+            setRefractionConfig(settings);
+            saveRefractionConfig();
+            this.showStatus('');
+            this.updateDisplay();
+            this.notifyChange();
+        } catch (error) {
+            this.showStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Affiche un message d'état sous le formulaire
+     * @param {string} message - Message à afficher (vide pour effacer)
+     * @param {boolean} isError - true pour un message d'erreur
+     */
+    showStatus(message, isError = false) {
+        if (!this.statusElement) return;
+        this.statusElement.textContent = message;
+        this.statusElement.classList.toggle('error', isError);
+    }
+
+    /**
+     * Synchronise le formulaire avec la configuration courante
+     */
+    updateDisplay() {
+        if (this.refractionToggle) this.refractionToggle.checked = REFRACTION_CONFIG.enabled;
+        if (this.temperatureInput) {
+            this.temperatureInput.value = REFRACTION_CONFIG.temperature;
+            this.temperatureInput.disabled = !REFRACTION_CONFIG.enabled;
+        }
+        if (this.pressureInput) {
+            this.pressureInput.value = REFRACTION_CONFIG.pressure;
+            this.pressureInput.disabled = !REFRACTION_CONFIG.enabled;
+        }
+    }
+
+    /**
+     * Prévient l'application du changement de réglage
+     */
+    notifyChange() {
+        if (this.onAtmosphereChange) {
+            this.onAtmosphereChange(REFRACTION_CONFIG);
+        }
+    }
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.Atmosphere = {
+    validateRefractionSettings,
+    setRefractionConfig,
+    saveRefractionConfig,
+    loadSavedRefractionConfig,
+    AtmosphereController
+};
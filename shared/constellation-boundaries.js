@@ -0,0 +1,202 @@
+/**
+ * ==========================================================================
+ * Constellation-boundaries.js - Limites et noms des constellations
+ * ==========================================================================
+ *
+ * Limites officielles des 88 constellations (UAI, Delporte 1930), dans
+ * leur époque de définition B1875.0 : pour chaque abréviation, un ou
+ * plusieurs polygones [ascension droite (heures), déclinaison (degrés)].
+ * Chaque côté suit un cercle horaire ou un parallèle de B1875.0.
+ *
+ * Noms français et latins, avec la position de leur étiquette
+ * (J2000.0, ascension droite en heures, déclinaison en degrés).
+ *
+ * Source : données de d3-celestial (Olaf Frohn, licence BSD-3-Clause),
+ * sommets ramenés en B1875.0.
+ */
+
+const CONSTELLATION_BOUNDARIES = {
+    And: [[[22.86667, 34.5], [22.86667, 52.5], [23.33333, 52.5], [23.33333, 50], [23.58333, 50], [23.58333, 48], [0.16667, 48], [0.16667, 46], [0.86667, 46], [0.86667, 48], [1.11667, 48], [1.11667, 50], [1.36667, 50], [1.66667, 50], [1.66667, 47], [2.04167, 47], [2.04167, 50.5], [2.51667, 50.5], [2.51667, 36.75], [2, 36.75], [2, 35], [1.40833, 35], [1.40833, 33], [0.71667, 33], [0.71667, 23.75], [0.85, 23.75], [0.85, 21], [0.14167, 21], [0.14167, 22], [0.06667, 22], [0.06667, 28], [0, 28], [0, 31.3333], [23.75, 31.3333], [23.75, 32.0833], [23.5, 32.0833], [23.5, 34.5]]],
+    Ant: [[[9.36667, -24], [9.36667, -36.75], [9.36667, -39.75], [11, -39.75], [11, -35], [10.83333, -35], [10.83333, -31.1667], [10.58333, -31.1667], [10.58333, -29.1667], [10.25, -29.1667], [10.25, -26.5], [9.75, -26.5], [9.75, -24]]],
+    Aps: [[[13.66667, -82.5], [18, -82.5], [18, -75], [18, -67.5], [17.5, -67.5], [17, -67.5], [17, -70], [14.75, -70], [13.66667, -70], [13.66667, -75]]],
+    Aql: [[[18.58333, 0], [18.58333, 2], [18.86667, 2], [18.86667, 6.25], [18.66222, 6.25], [18.66222, 12], [18.86667, 12], [18.86667, 18.5], [19, 18.5], [19, 16.1667], [19.83333, 16.1667], [19.83333, 15.75], [20.14167, 15.75], [20.14167, 8.5], [20.3, 8.5], [20.3, 2], [20.53333, 2], [20.53333, 0], [20.53333, -9], [20, -9], [20, -12.0333], [18.86667, -12.0333], [18.86667, -4], [18.58333, -4]]],
+    Aqr: [[[20.53333, 0], [20.53333, 2], [20.83333, 2], [21.33333, 2], [21.46667, 2], [21.46667, 2.75], [21.66667, 2.75], [21.66667, 1.75], [22, 1.75], [22, 2], [22.75, 2], [22.75, 0], [22.75, -4], [23.83333, -4], [23.83333, -7], [23.83333, -25.5], [23, -25.5], [21.86667, -25.5], [21.86667, -9], [21.33333, -9], [21.33333, -15], [20.53333, -15], [20.53333, -9]]],
+    Ara: [[[16.42083, -60], [16.42083, -45.5], [17.83333, -45.5], [18, -45.5], [18, -57], [17.5, -57], [17.5, -67.5], [17, -67.5], [16.83333, -67.5], [16.83333, -65], [16.75, -65], [16.75, -63.5833], [16.58333, -63.5833], [16.58333, -61], [16.42083, -61]]],
+    Ari: [[[2, 9.9167], [1.66667, 9.9167], [1.66667, 25], [1.91667, 25], [1.91667, 27.25], [2.41667, 27.25], [2.41667, 30.6667], [2.71667, 30.6667], [3.36667, 30.6667], [3.36667, 19], [3.28333, 19], [3.28333, 9.9167]]],
+    Aur: [[[4.5, 30.6667], [4.5, 36], [4.69167, 36], [4.69167, 52.5], [5, 52.5], [5, 56], [6.1, 56], [6.1, 54], [6.5, 54], [6.5, 50], [6.8, 50], [6.8, 44.5], [7.36667, 44.5], [7.36667, 35.5], [6.53333, 35.5], [6.53333, 28], [5.88333, 28], [5.88333, 28.5], [4.75, 28.5], [4.75, 30], [4.5, 30]]],
+    Boo: [[[15.08333, 8], [13.5, 8], [13.5, 15], [13.5, 28.5], [13.95833, 28.5], [13.95833, 30.75], [14.03333, 30.75], [14.03333, 48.5], [14.03333, 55.5], [14.41667, 55.5], [15.25, 55.5], [15.25, 53], [15.75, 53], [15.75, 51.5], [15.75, 40], [15.43333, 40], [15.43333, 33], [15.18333, 33], [15.18333, 26], [15.08333, 26]]],
+    Cae: [[[4.26667, -40], [4.26667, -49], [4.5, -49], [4.5, -46.5], [4.83333, -46.5], [4.83333, -43], [5, -43], [5, -27.25], [4.83333, -27.25], [4.7, -27.25], [4.7, -30], [4.58333, -30], [4.58333, -37], [4.26667, -37]]],
+    Cam: [[[6.1, 56], [5, 56], [5, 52.5], [4.69167, 52.5], [3.33333, 52.5], [3.33333, 55], [3.16667, 55], [3.16667, 57], [3.1, 57], [3.1, 68], [3.41667, 68], [3.41667, 77], [3.50833, 77], [3.50833, 80], [5, 80], [5, 85], [8, 85], [8, 86.5], [14.5, 86.5], [14.5, 80], [13.58333, 80], [13.58333, 77], [13, 77], [11.5, 77], [11.5, 80], [10.66667, 80], [10.66667, 82], [9.16667, 82], [9.16667, 73.5], [7.96667, 73.5], [7.96667, 60], [7, 60], [7, 62], [6.1, 62]]],
+    Cap: [[[20.53333, -9], [20, -9], [20, -12.0333], [20, -28], [20.33333, -28], [21.33333, -28], [21.33333, -25.5], [21.86667, -25.5], [21.86667, -9], [21.33333, -9], [21.33333, -15], [20.53333, -15]]],
+    Car: [[[11.25, -56.5], [11, -56.5], [8.83333, -56.5], [8.83333, -54.5], [8.45, -54.5], [8.45, -53], [8.16667, -53], [8.16667, -50.75], [8, -50.75], [6, -50.75], [6, -52.5], [6.16667, -52.5], [6.16667, -55], [6.5, -55], [6.5, -58], [6.83333, -58], [6.83333, -64], [9.03333, -64], [9.03333, -75], [11.25, -75], [11.25, -64]]],
+    Cas: [[[22.86667, 52.5], [22.86667, 56.25], [22.86667, 59.0833], [23.16667, 59.0833], [23.16667, 63], [23.58333, 63], [23.58333, 66], [0.33333, 66], [0.33333, 77], [3.41667, 77], [3.41667, 68], [3.1, 68], [3.1, 57], [2.43333, 57], [2.43333, 58.5], [1.90833, 58.5], [1.90833, 57.5], [1.7, 57.5], [1.7, 54], [1.36667, 54], [1.36667, 50], [1.11667, 50], [1.11667, 48], [0.86667, 48], [0.86667, 46], [0.16667, 46], [0.16667, 48], [23.58333, 48], [23.58333, 50], [23.33333, 50], [23.33333, 52.5]]],
+    Cen: [[[11, -35], [11, -39.75], [11, -56.5], [11.25, -56.5], [11.25, -64], [11.83333, -64], [11.83333, -55], [12.83333, -55], [12.83333, -64], [13.5, -64], [14.53333, -64], [14.53333, -55], [14.16667, -55], [14.16667, -42], [14.91667, -42], [14.91667, -29.5], [12.58333, -29.5], [12.58333, -33], [12.25, -33], [12.25, -35]]],
+    Cep: [[[20, 59.5], [20, 61.5], [20.41667, 61.5], [20.41667, 67], [20.66667, 67], [20.66667, 75], [20.16667, 75], [20.16667, 80], [21, 80], [21, 86], [21, 86.1667], [23, 86.1667], [23, 88], [8, 88], [8, 86.5], [8, 85], [5, 85], [5, 80], [3.50833, 80], [3.50833, 77], [3.41667, 77], [0.33333, 77], [0.33333, 66], [23.58333, 66], [23.58333, 63], [23.16667, 63], [23.16667, 59.0833], [22.86667, 59.0833], [22.86667, 56.25], [22.31667, 56.25], [22.31667, 55], [22.13333, 55], [22.13333, 52.75], [21.96667, 52.75], [21.96667, 54.8333], [20.6, 54.8333], [20.6, 60.9167], [20.53667, 60.9167], [20.53667, 59.5]]],
+    Cet: [[[0.33333, 0], [0.33333, 2], [2, 2], [2, 9.9167], [3.28333, 9.9167], [3.28333, 0], [3.28333, -1.75], [2.65, -1.75], [2.65, -24.3833], [1.66667, -24.3833], [1.66667, -25.5], [23.83333, -25.5], [23.83333, -7], [0.33333, -7]]],
+    Cha: [[[7.66667, -82.5], [13.66667, -82.5], [13.66667, -75], [11.25, -75], [9.03333, -75], [7.66667, -75]]],
+    Cir: [[[13.5, -64], [13.5, -65], [13.66667, -65], [13.66667, -70], [14.75, -70], [14.75, -67.5], [14.91667, -67.5], [14.91667, -63.5833], [15.16667, -63.5833], [15.16667, -61], [15.33333, -61], [15.33333, -60], [15.33333, -55], [15.05, -55], [14.53333, -55], [14.53333, -64]]],
+    CMa: [[[6.11667, -11], [7.36667, -11], [7.36667, -33], [6.58333, -33], [6.11667, -33], [6.11667, -27.25]]],
+    CMi: [[[8.08333, 0], [7.2, 0], [7.2, 1.5], [7.01667, 1.5], [7.01667, 5.5], [7, 5.5], [7, 10], [7, 12.5], [7.5, 12.5], [7.5, 13.5], [7.80833, 13.5], [7.80833, 10], [7.925, 10], [7.925, 7], [8.08333, 7]]],
+    Cnc: [[[9.25, 7], [8.08333, 7], [7.925, 7], [7.925, 10], [7.80833, 10], [7.80833, 13.5], [7.80833, 20], [7.88333, 20], [7.88333, 28], [8, 28], [8, 33.5], [9.25, 33.5]]],
+    Col: [[[5, -43], [5, -27.25], [6.11667, -27.25], [6.11667, -33], [6.58333, -33], [6.58333, -43], [6, -43]]],
+    Com: [[[11.86667, 14], [11.86667, 29], [12, 29], [12, 34], [12.33333, 34], [12.33333, 32], [13.25, 32], [13.25, 28.5], [13.5, 28.5], [13.5, 15], [12.83333, 15], [12.83333, 14]]],
+    CrA: [[[17.83333, -37], [19.16667, -37], [19.16667, -45.5], [18, -45.5], [17.83333, -45.5]]],
+    CrB: [[[15.18333, 26], [15.18333, 33], [15.43333, 33], [15.43333, 40], [15.75, 40], [16.33333, 40], [16.33333, 27], [16.16667, 27], [16.16667, 26], [16.03333, 26]]],
+    Crt: [[[10.75, -6], [10.75, -11], [10.75, -19], [10.83333, -19], [10.83333, -24.5], [11.83333, -24.5], [11.83333, -11], [11.83333, -6], [11.51667, -6]]],
+    Cru: [[[11.83333, -55], [11.83333, -64], [12.83333, -64], [12.83333, -55]]],
+    Crv: [[[12.83333, -11], [11.83333, -11], [11.83333, -24.5], [12.58333, -24.5], [12.58333, -22], [12.83333, -22]]],
+    CVn: [[[12, 34], [12, 45], [12.08333, 45], [12.08333, 53], [13.5, 53], [13.5, 48.5], [14.03333, 48.5], [14.03333, 30.75], [13.95833, 30.75], [13.95833, 28.5], [13.5, 28.5], [13.25, 28.5], [13.25, 32], [12.33333, 32], [12.33333, 34]]],
+    Cyg: [[[19.25833, 27.5], [19.25833, 30], [19.35833, 30], [19.35833, 36.5], [19.4, 36.5], [19.4, 43.5], [19.16667, 43.5], [19.16667, 47.5], [19.08333, 47.5], [19.08333, 55.5], [19.41667, 55.5], [19.41667, 58], [19.76667, 58], [19.76667, 59.5], [20, 59.5], [20.53667, 59.5], [20.53667, 60.9167], [20.6, 60.9167], [20.6, 54.8333], [21.96667, 54.8333], [21.96667, 52.75], [21.96667, 44], [21.90833, 44], [21.90833, 43.75], [21.875, 43.75], [21.875, 36], [21.73333, 36], [21.73333, 28], [21.41667, 28], [20.91667, 28], [20.91667, 29], [19.66667, 29], [19.66667, 27.5]]],
+    Del: [[[20.53333, 2], [20.3, 2], [20.3, 8.5], [20.14167, 8.5], [20.14167, 15.75], [20.25, 15.75], [20.25, 20.5], [20.56667, 20.5], [20.56667, 19.5], [21.05, 19.5], [21.05, 11.8333], [20.875, 11.8333], [20.875, 6], [20.83333, 6], [20.83333, 2]]],
+    Dor: [[[3.83333, -53.1667], [4, -53.1667], [4, -56.5], [4.33333, -56.5], [4.33333, -59], [4.58333, -59], [4.58333, -67.5], [4.58333, -70], [6.58333, -70], [6.58333, -64], [6, -64], [6, -61], [5.5, -61], [5.5, -57.5], [5, -57.5], [5, -54], [4.5, -54], [4.5, -49], [4.26667, -49], [4.08333, -49], [4.08333, -51], [3.83333, -51]]],
+    Dra: [[[9.16667, 73.5], [9.16667, 82], [10.66667, 82], [10.66667, 80], [11.5, 80], [11.5, 77], [13, 77], [13, 70], [14, 70], [14, 66], [15.66667, 66], [15.66667, 70], [16.53333, 70], [16.53333, 75], [17.5, 75], [17.5, 80], [18, 80], [18, 86], [21, 86], [21, 80], [20.16667, 80], [20.16667, 75], [20.66667, 75], [20.66667, 67], [20.41667, 67], [20.41667, 61.5], [20, 61.5], [20, 59.5], [19.76667, 59.5], [19.76667, 58], [19.41667, 58], [19.41667, 55.5], [19.08333, 55.5], [19.08333, 47.5], [18.23333, 47.5], [18.23333, 50.5], [17, 50.5], [17, 51.5], [15.75, 51.5], [15.75, 53], [15.25, 53], [15.25, 55.5], [14.41667, 55.5], [14.41667, 63], [13.5, 63], [13.5, 64], [12, 64], [12, 66.5], [11.33333, 66.5], [11.33333, 73.5]]],
+    Equ: [[[20.83333, 2], [20.83333, 6], [20.875, 6], [20.875, 11.8333], [21.05, 11.8333], [21.11667, 11.8333], [21.11667, 12.5], [21.33333, 12.5], [21.33333, 2]]],
+    Eri: [[[3.58333, 0], [4.61667, 0], [4.66667, 0], [4.66667, -4], [5.08333, -4], [5.08333, -11], [4.91667, -11], [4.91667, -14.5], [4.83333, -14.5], [4.83333, -27.25], [4.7, -27.25], [4.7, -30], [4.58333, -30], [4.58333, -37], [4.26667, -37], [4.26667, -40], [3.86667, -40], [3.86667, -44], [3.41667, -44], [3.41667, -46], [3, -46], [3, -49], [2.66667, -49], [2.66667, -51], [2.41667, -51], [2.41667, -54], [2.16667, -54], [2.16667, -58.5], [1.33333, -58.5], [1.33333, -53.5], [1.58333, -53.5], [1.58333, -51.5], [1.83333, -51.5], [1.83333, -48.1667], [2.33333, -48.1667], [2.33333, -40], [3, -40], [3, -39.5833], [3.5, -39.5833], [3.5, -36], [3.75, -36], [3.75, -24.3833], [2.65, -24.3833], [2.65, -1.75], [3.28333, -1.75], [3.58333, -1.75]]],
+    For: [[[1.66667, -24.3833], [2.65, -24.3833], [3.75, -24.3833], [3.75, -36], [3.5, -36], [3.5, -39.5833], [3, -39.5833], [3, -40], [2.33333, -40], [1.66667, -40], [1.66667, -25.5]]],
+    Gem: [[[6.30833, 12], [6.30833, 17.5], [6.21667, 17.5], [6.21667, 21.5], [5.88333, 21.5], [5.88333, 22.8333], [5.88333, 28], [6.53333, 28], [6.53333, 35.5], [7.36667, 35.5], [7.75, 35.5], [7.75, 33.5], [8, 33.5], [8, 28], [7.88333, 28], [7.88333, 20], [7.80833, 20], [7.80833, 13.5], [7.5, 13.5], [7.5, 12.5], [7, 12.5], [7, 10], [6.93333, 10], [6.93333, 12]]],
+    Gru: [[[21.33333, -37], [21.33333, -45.5], [21.33333, -50], [22, -50], [22, -57], [23.33333, -57], [23.33333, -40], [23.33333, -37], [23, -37]]],
+    Her: [[[16.26667, 4], [16.08333, 4], [16.08333, 16], [15.91667, 16], [15.91667, 22], [16.03333, 22], [16.03333, 26], [16.16667, 26], [16.16667, 27], [16.33333, 27], [16.33333, 40], [15.75, 40], [15.75, 51.5], [17, 51.5], [17, 50.5], [18.23333, 50.5], [18.23333, 47.5], [18.175, 47.5], [18.175, 30], [18.36667, 30], [18.36667, 26], [18.86667, 26], [18.86667, 25.5], [18.86667, 21.0833], [18.86667, 18.5], [18.86667, 12], [18.66222, 12], [18.25, 12], [18.25, 14.3333], [17.25, 14.3333], [17.25, 12.8333], [16.75, 12.8333], [16.75, 4]]],
+    Hor: [[[4.26667, -40], [4.26667, -49], [4.08333, -49], [4.08333, -51], [3.83333, -51], [3.83333, -53.1667], [3.5, -53.1667], [3.5, -57.5], [3.2, -57.5], [3.2, -67.5], [2.16667, -67.5], [2.16667, -58.5], [2.16667, -54], [2.41667, -54], [2.41667, -51], [2.66667, -51], [2.66667, -49], [3, -49], [3, -46], [3.41667, -46], [3.41667, -44], [3.86667, -44], [3.86667, -40]]],
+    Hya: [[[8.08333, 0], [8.08333, 7], [9.25, 7], [9.58333, 7], [9.58333, 0], [9.58333, -11], [10.75, -11], [10.75, -19], [10.83333, -19], [10.83333, -24.5], [11.83333, -24.5], [12.58333, -24.5], [12.58333, -22], [12.83333, -22], [14.25, -22], [14.25, -24.5], [14.91667, -24.5], [14.91667, -29.5], [12.58333, -29.5], [12.58333, -33], [12.25, -33], [12.25, -35], [11, -35], [10.83333, -35], [10.83333, -31.1667], [10.58333, -31.1667], [10.58333, -29.1667], [10.25, -29.1667], [10.25, -26.5], [9.75, -26.5], [9.75, -24], [9.36667, -24], [9.08333, -24], [9.08333, -19], [8.58333, -19], [8.58333, -17], [8.36667, -17], [8.36667, -11], [8.08333, -11]]],
+    Hyi: [[[4.58333, -67.5], [4.58333, -70], [4.58333, -75], [3.5, -75], [3.5, -82.5], [0, -82.5], [0, -75], [0.75, -75], [0.75, -76], [1.33333, -76], [1.33333, -58.5], [2.16667, -58.5], [2.16667, -67.5], [3.2, -67.5]]],
+    Ind: [[[21.33333, -75], [23.33333, -75], [23.33333, -67.5], [22, -67.5], [22, -57], [22, -50], [21.33333, -50], [21.33333, -45.5], [20.33333, -45.5], [20.33333, -57], [20.33333, -60], [21.33333, -60]]],
+    Lac: [[[21.875, 36], [21.875, 43.75], [21.90833, 43.75], [21.90833, 44], [21.96667, 44], [21.96667, 52.75], [22.13333, 52.75], [22.13333, 55], [22.31667, 55], [22.31667, 56.25], [22.86667, 56.25], [22.86667, 52.5], [22.86667, 34.5], [22.81667, 34.5], [22.81667, 35], [22, 35], [22, 36]]],
+    Leo: [[[10.75, 0], [10.75, 7], [9.58333, 7], [9.25, 7], [9.25, 33.5], [9.88333, 33.5], [9.88333, 28.5], [10.5, 28.5], [10.5, 23.5], [10.75, 23.5], [10.75, 25.5], [11, 25.5], [11, 29], [11.86667, 29], [11.86667, 14], [11.86667, 11], [11.51667, 11], [11.51667, 0], [11.51667, -6], [10.75, -6]]],
+    Lep: [[[4.83333, -27.25], [5, -27.25], [6.11667, -27.25], [6.11667, -11], [5.83333, -11], [5.08333, -11], [4.91667, -11], [4.91667, -14.5], [4.83333, -14.5]]],
+    Lib: [[[15.08333, 0], [14.66667, 0], [14.66667, -8], [14.25, -8], [14.25, -22], [14.25, -24.5], [14.91667, -24.5], [14.91667, -29.5], [15.66667, -29.5], [15.66667, -20], [15.91667, -20], [15.91667, -8], [15.91667, -3.25], [15.08333, -3.25]]],
+    LMi: [[[9.25, 33.5], [9.25, 39.75], [9.58333, 39.75], [9.58333, 42], [10.16667, 42], [10.16667, 40], [10.78333, 40], [10.78333, 34], [11, 34], [11, 29], [11, 25.5], [10.75, 25.5], [10.75, 23.5], [10.5, 23.5], [10.5, 28.5], [9.88333, 28.5], [9.88333, 33.5]]],
+    Lup: [[[14.16667, -55], [14.53333, -55], [15.05, -55], [15.05, -54], [15.33333, -54], [15.33333, -48], [15.66667, -48], [15.66667, -42], [16, -42], [16, -29.5], [15.66667, -29.5], [14.91667, -29.5], [14.91667, -42], [14.16667, -42]]],
+    Lyn: [[[7.36667, 35.5], [7.36667, 44.5], [6.8, 44.5], [6.8, 50], [6.5, 50], [6.5, 54], [6.1, 54], [6.1, 56], [6.1, 62], [7, 62], [7, 60], [7.96667, 60], [8.41667, 60], [8.41667, 47], [9.16667, 47], [9.16667, 42], [9.58333, 42], [9.58333, 39.75], [9.25, 39.75], [9.25, 33.5], [8, 33.5], [7.75, 33.5], [7.75, 35.5]]],
+    Lyr: [[[18.86667, 25.5], [18.86667, 26], [18.36667, 26], [18.36667, 30], [18.175, 30], [18.175, 47.5], [18.23333, 47.5], [19.08333, 47.5], [19.16667, 47.5], [19.16667, 43.5], [19.4, 43.5], [19.4, 36.5], [19.35833, 36.5], [19.35833, 30], [19.25833, 30], [19.25833, 27.5], [19.25833, 25.5]]],
+    Men: [[[7.66667, -85], [3.5, -85], [3.5, -82.5], [3.5, -75], [4.58333, -75], [4.58333, -70], [6.58333, -70], [6.58333, -75], [7.66667, -75], [7.66667, -82.5]]],
+    Mic: [[[20.33333, -28], [21.33333, -28], [21.33333, -37], [21.33333, -45.5], [20.33333, -45.5]]],
+    Mon: [[[6.24167, 0], [6.24167, 10], [6.30833, 10], [6.30833, 12], [6.93333, 12], [6.93333, 10], [7, 10], [7, 5.5], [7.01667, 5.5], [7.01667, 1.5], [7.2, 1.5], [7.2, 0], [8.08333, 0], [8.08333, -11], [7.36667, -11], [6.11667, -11], [5.83333, -11], [5.83333, -4], [6.24167, -4]]],
+    Mus: [[[11.25, -64], [11.25, -75], [13.66667, -75], [13.66667, -70], [13.66667, -65], [13.5, -65], [13.5, -64], [12.83333, -64], [11.83333, -64]]],
+    Nor: [[[15.33333, -60], [16.42083, -60], [16.42083, -45.5], [16.42083, -42], [16, -42], [15.66667, -42], [15.66667, -48], [15.33333, -48], [15.33333, -54], [15.05, -54], [15.05, -55], [15.33333, -55]]],
+    Oct: [[[0, -82.5], [3.5, -82.5], [3.5, -85], [7.66667, -85], [7.66667, -82.5], [13.66667, -82.5], [18, -82.5], [18, -75], [21.33333, -75], [23.33333, -75], [0, -75]]],
+    Oph: [[[16.26667, 0], [16.26667, 4], [16.75, 4], [16.75, 12.8333], [17.25, 12.8333], [17.25, 14.3333], [18.25, 14.3333], [18.25, 12], [18.66222, 12], [18.66222, 6.25], [18.25, 6.25], [18.25, 4.5], [18.425, 4.5], [18.425, 3], [18.25, 3], [18.25, 0], [17.83333, 0], [17.83333, -4], [17.96667, -4], [17.96667, -10], [17.66667, -10], [17.66667, -11.6667], [17.58333, -11.6667], [17.58333, -10], [17.16667, -10], [17.16667, -16], [17.6, -16], [17.6, -30], [16.75, -30], [16.75, -24.5833], [16.26667, -24.5833], [16.26667, -19.25], [16.375, -19.25], [16.375, -18.25], [16.26667, -18.25], [16.26667, -8], [15.91667, -8], [15.91667, -3.25], [16.26667, -3.25]]],
+    Ori: [[[4.61667, 0], [4.61667, 15.5], [4.96667, 15.5], [4.96667, 16], [5.33333, 16], [5.33333, 15.5], [5.6, 15.5], [5.6, 12.5], [5.76667, 12.5], [5.76667, 18], [5.7, 18], [5.7, 22.8333], [5.88333, 22.8333], [5.88333, 21.5], [6.21667, 21.5], [6.21667, 17.5], [6.30833, 17.5], [6.30833, 12], [6.30833, 10], [6.24167, 10], [6.24167, 0], [6.24167, -4], [5.83333, -4], [5.83333, -11], [5.08333, -11], [5.08333, -4], [4.66667, -4], [4.66667, 0]]],
+    Pav: [[[18, -75], [21.33333, -75], [21.33333, -60], [20.33333, -60], [20.33333, -57], [18, -57], [17.5, -57], [17.5, -67.5], [18, -67.5]]],
+    Peg: [[[21.33333, 2], [21.33333, 12.5], [21.11667, 12.5], [21.11667, 11.8333], [21.05, 11.8333], [21.05, 19.5], [21.25, 19.5], [21.25, 23.5], [21.41667, 23.5], [21.41667, 28], [21.73333, 28], [21.73333, 36], [21.875, 36], [22, 36], [22, 35], [22.81667, 35], [22.81667, 34.5], [22.86667, 34.5], [23.5, 34.5], [23.5, 32.0833], [23.75, 32.0833], [23.75, 31.3333], [0, 31.3333], [0, 28], [0.06667, 28], [0.06667, 22], [0.14167, 22], [0.14167, 21], [0.14167, 12.5], [0, 12.5], [0, 10], [23.83333, 10], [23.83333, 7.5], [22.75, 7.5], [22.75, 2], [22, 2], [22, 1.75], [21.66667, 1.75], [21.66667, 2.75], [21.46667, 2.75], [21.46667, 2]]],
+    Per: [[[2.71667, 30.6667], [2.71667, 34], [2.56667, 34], [2.56667, 36.75], [2.51667, 36.75], [2.51667, 50.5], [2.04167, 50.5], [2.04167, 47], [1.66667, 47], [1.66667, 50], [1.36667, 50], [1.36667, 54], [1.7, 54], [1.7, 57.5], [1.90833, 57.5], [1.90833, 58.5], [2.43333, 58.5], [2.43333, 57], [3.1, 57], [3.16667, 57], [3.16667, 55], [3.33333, 55], [3.33333, 52.5], [4.69167, 52.5], [4.69167, 36], [4.5, 36], [4.5, 30.6667], [3.36667, 30.6667]]],
+    Phe: [[[23.33333, -40], [23.33333, -57], [23.33333, -58.5], [1.33333, -58.5], [1.33333, -53.5], [1.58333, -53.5], [1.58333, -51.5], [1.83333, -51.5], [1.83333, -48.1667], [2.33333, -48.1667], [2.33333, -40], [1.66667, -40], [23.93333, -40]]],
+    Pic: [[[6, -43], [5, -43], [4.83333, -43], [4.83333, -46.5], [4.5, -46.5], [4.5, -49], [4.5, -54], [5, -54], [5, -57.5], [5.5, -57.5], [5.5, -61], [6, -61], [6, -64], [6.58333, -64], [6.83333, -64], [6.83333, -58], [6.5, -58], [6.5, -55], [6.16667, -55], [6.16667, -52.5], [6, -52.5], [6, -50.75]]],
+    PsA: [[[23, -25.5], [21.86667, -25.5], [21.33333, -25.5], [21.33333, -28], [21.33333, -37], [23, -37]]],
+    Psc: [[[22.75, 0], [22.75, 2], [22.75, 7.5], [23.83333, 7.5], [23.83333, 10], [0, 10], [0, 12.5], [0.14167, 12.5], [0.14167, 21], [0.85, 21], [0.85, 23.75], [0.71667, 23.75], [0.71667, 33], [1.40833, 33], [1.40833, 28], [1.66667, 28], [1.66667, 25], [1.66667, 9.9167], [2, 9.9167], [2, 2], [0.33333, 2], [0.33333, 0], [0.33333, -7], [23.83333, -7], [23.83333, -4], [22.75, -4]]],
+    Pup: [[[7.36667, -11], [7.36667, -33], [6.58333, -33], [6.58333, -43], [6, -43], [6, -50.75], [8, -50.75], [8, -43], [8.36667, -43], [8.36667, -36.75], [8.36667, -17], [8.36667, -11], [8.08333, -11]]],
+    Pyx: [[[8.36667, -17], [8.58333, -17], [8.58333, -19], [9.08333, -19], [9.08333, -24], [9.36667, -24], [9.36667, -36.75], [8.36667, -36.75]]],
+    Ret: [[[3.2, -67.5], [4.58333, -67.5], [4.58333, -59], [4.33333, -59], [4.33333, -56.5], [4, -56.5], [4, -53.1667], [3.83333, -53.1667], [3.5, -53.1667], [3.5, -57.5], [3.2, -57.5]]],
+    Scl: [[[23, -25.5], [23.83333, -25.5], [1.66667, -25.5], [1.66667, -40], [23.93333, -40], [23.33333, -40], [23.33333, -37], [23, -37]]],
+    Sco: [[[15.91667, -8], [16.26667, -8], [16.26667, -18.25], [16.375, -18.25], [16.375, -19.25], [16.26667, -19.25], [16.26667, -24.5833], [16.75, -24.5833], [16.75, -30], [17.6, -30], [17.83333, -30], [17.83333, -37], [17.83333, -45.5], [16.42083, -45.5], [16.42083, -42], [16, -42], [16, -29.5], [15.66667, -29.5], [15.66667, -20], [15.91667, -20]]],
+    Sct: [[[18.25, -16], [18.86667, -16], [18.86667, -12.0333], [18.86667, -4], [18.58333, -4], [18.25, -4]]],
+    Ser: [[[15.08333, 0], [15.08333, 8], [15.08333, 26], [15.18333, 26], [16.03333, 26], [16.03333, 22], [15.91667, 22], [15.91667, 16], [16.08333, 16], [16.08333, 4], [16.26667, 4], [16.26667, 0], [16.26667, -3.25], [15.91667, -3.25], [15.08333, -3.25]], [[18.25, 0], [18.25, 3], [18.425, 3], [18.425, 4.5], [18.25, 4.5], [18.25, 6.25], [18.66222, 6.25], [18.86667, 6.25], [18.86667, 2], [18.58333, 2], [18.58333, 0], [18.58333, -4], [18.25, -4], [18.25, -16], [17.6, -16], [17.16667, -16], [17.16667, -10], [17.58333, -10], [17.58333, -11.6667], [17.66667, -11.6667], [17.66667, -10], [17.96667, -10], [17.96667, -4], [17.83333, -4], [17.83333, 0]]],
+    Sex: [[[9.58333, 0], [9.58333, 7], [10.75, 7], [10.75, 0], [10.75, -6], [10.75, -11], [9.58333, -11]]],
+    Sge: [[[18.86667, 18.5], [18.86667, 21.0833], [19.25, 21.0833], [19.25, 19.1667], [19.83333, 19.1667], [19.83333, 21.25], [20.25, 21.25], [20.25, 20.5], [20.25, 15.75], [20.14167, 15.75], [19.83333, 15.75], [19.83333, 16.1667], [19, 16.1667], [19, 18.5]]],
+    Sgr: [[[18.86667, -12.0333], [18.86667, -16], [18.25, -16], [17.6, -16], [17.6, -30], [17.83333, -30], [17.83333, -37], [19.16667, -37], [19.16667, -45.5], [20.33333, -45.5], [20.33333, -28], [20, -28], [20, -12.0333]]],
+    Tau: [[[3.28333, -1.75], [3.28333, 0], [3.28333, 9.9167], [3.28333, 19], [3.36667, 19], [3.36667, 30.6667], [4.5, 30.6667], [4.5, 30], [4.75, 30], [4.75, 28.5], [5.88333, 28.5], [5.88333, 28], [5.88333, 22.8333], [5.7, 22.8333], [5.7, 18], [5.76667, 18], [5.76667, 12.5], [5.6, 12.5], [5.6, 15.5], [5.33333, 15.5], [5.33333, 16], [4.96667, 16], [4.96667, 15.5], [4.61667, 15.5], [4.61667, 0], [3.58333, 0], [3.58333, -1.75]]],
+    Tel: [[[20.33333, -57], [20.33333, -45.5], [19.16667, -45.5], [18, -45.5], [18, -57]]],
+    TrA: [[[14.75, -70], [14.75, -67.5], [14.91667, -67.5], [14.91667, -63.5833], [15.16667, -63.5833], [15.16667, -61], [15.33333, -61], [15.33333, -60], [16.42083, -60], [16.42083, -61], [16.58333, -61], [16.58333, -63.5833], [16.75, -63.5833], [16.75, -65], [16.83333, -65], [16.83333, -67.5], [17, -67.5], [17, -70]]],
+    Tri: [[[1.66667, 25], [1.66667, 28], [1.40833, 28], [1.40833, 33], [1.40833, 35], [2, 35], [2, 36.75], [2.51667, 36.75], [2.56667, 36.75], [2.56667, 34], [2.71667, 34], [2.71667, 30.6667], [2.41667, 30.6667], [2.41667, 27.25], [1.91667, 27.25], [1.91667, 25]]],
+    Tuc: [[[23.33333, -75], [0, -75], [0.75, -75], [0.75, -76], [1.33333, -76], [1.33333, -58.5], [23.33333, -58.5], [23.33333, -57], [22, -57], [22, -67.5], [23.33333, -67.5]]],
+    UMa: [[[9.58333, 42], [9.16667, 42], [9.16667, 47], [8.41667, 47], [8.41667, 60], [7.96667, 60], [7.96667, 73.5], [9.16667, 73.5], [11.33333, 73.5], [11.33333, 66.5], [12, 66.5], [12, 64], [13.5, 64], [13.5, 63], [14.41667, 63], [14.41667, 55.5], [14.03333, 55.5], [14.03333, 48.5], [13.5, 48.5], [13.5, 53], [12.08333, 53], [12.08333, 45], [12, 45], [12, 34], [12, 29], [11.86667, 29], [11, 29], [11, 34], [10.78333, 34], [10.78333, 40], [10.16667, 40], [10.16667, 42]]],
+    UMi: [[[13, 77], [13, 70], [14, 70], [14, 66], [15.66667, 66], [15.66667, 70], [16.53333, 70], [16.53333, 75], [17.5, 75], [17.5, 80], [18, 80], [18, 86], [21, 86], [21, 86.1667], [23, 86.1667], [23, 88], [8, 88], [8, 86.5], [14.5, 86.5], [14.5, 80], [13.58333, 80], [13.58333, 77]]],
+    Vel: [[[11, -56.5], [11, -39.75], [9.36667, -39.75], [9.36667, -36.75], [8.36667, -36.75], [8.36667, -43], [8, -43], [8, -50.75], [8.16667, -50.75], [8.16667, -53], [8.45, -53], [8.45, -54.5], [8.83333, -54.5], [8.83333, -56.5]]],
+    Vir: [[[11.51667, 0], [11.51667, 11], [11.86667, 11], [11.86667, 14], [12.83333, 14], [12.83333, 15], [13.5, 15], [13.5, 8], [15.08333, 8], [15.08333, 0], [14.66667, 0], [14.66667, -8], [14.25, -8], [14.25, -22], [12.83333, -22], [12.83333, -11], [11.83333, -11], [11.83333, -6], [11.51667, -6]]],
+    Vol: [[[6.58333, -64], [6.58333, -70], [6.58333, -75], [7.66667, -75], [9.03333, -75], [9.03333, -64], [6.83333, -64]]],
+    Vul: [[[18.86667, 21.0833], [18.86667, 25.5], [19.25833, 25.5], [19.25833, 27.5], [19.66667, 27.5], [19.66667, 29], [20.91667, 29], [20.91667, 28], [21.41667, 28], [21.41667, 23.5], [21.25, 23.5], [21.25, 19.5], [21.05, 19.5], [20.56667, 19.5], [20.56667, 20.5], [20.25, 20.5], [20.25, 21.25], [19.83333, 21.25], [19.83333, 19.1667], [19.25, 19.1667], [19.25, 21.0833]]]
+};
+
+const CONSTELLATION_NAMES = {
+    And: { latin: 'Andromeda', french: 'Andromède', labels: [[0.05, 43]] },
+    Ant: { latin: 'Antlia', french: 'Machine pneumatique', labels: [[10.4, -36]] },
+    Aps: { latin: 'Apus', french: 'Oiseau de paradis', labels: [[16, -74]] },
+    Aql: { latin: 'Aquila', french: 'Aigle', labels: [[19.4, 8]] },
+    Aqr: { latin: 'Aquarius', french: 'Verseau', labels: [[22.5, -5]] },
+    Ara: { latin: 'Ara', french: 'Autel', labels: [[17.2, -56]] },
+    Ari: { latin: 'Aries', french: 'Bélier', labels: [[2.8, 22]] },
+    Aur: { latin: 'Auriga', french: 'Cocher', labels: [[5.5, 37]] },
+    Boo: { latin: 'Boötes', french: 'Bouvier', labels: [[14.9, 35]] },
+    Cae: { latin: 'Caelum', french: 'Burin', labels: [[4.9, -42]] },
+    Cam: { latin: 'Camelopardalis', french: 'Girafe', labels: [[5.6, 72]] },
+    Cap: { latin: 'Capricornus', french: 'Capricorne', labels: [[21, -22]] },
+    Car: { latin: 'Carina', french: 'Carène', labels: [[9.6, -66]] },
+    Cas: { latin: 'Cassiopeia', french: 'Cassiopée', labels: [[23.6, 55.5]] },
+    Cen: { latin: 'Centaurus', french: 'Centaure', labels: [[13.3, -40]] },
+    Cep: { latin: 'Cepheus', french: 'Céphée', labels: [[22.5, 71]] },
+    Cet: { latin: 'Cetus', french: 'Baleine', labels: [[1.9, -5]] },
+    Cha: { latin: 'Chamaeleon', french: 'Caméléon', labels: [[12.6, -81]] },
+    Cir: { latin: 'Circinus', french: 'Compas', labels: [[14.5, -67]] },
+    CMa: { latin: 'Canis Major', french: 'Grand Chien', labels: [[6.5, -26]] },
+    CMi: { latin: 'Canis Minor', french: 'Petit Chien', labels: [[7.3, 5]] },
+    Cnc: { latin: 'Cancer', french: 'Cancer', labels: [[8.55, 27]] },
+    Col: { latin: 'Columba', french: 'Colombe', labels: [[5.7, -39]] },
+    Com: { latin: 'Coma Berenices', french: 'Chevelure de Bérénice', labels: [[12.9, 24]] },
+    CrA: { latin: 'Corona Australis', french: 'Couronne australe', labels: [[18.8, -40]] },
+    CrB: { latin: 'Corona Borealis', french: 'Couronne boréale', labels: [[15.9, 32]] },
+    Crt: { latin: 'Crater', french: 'Coupe', labels: [[11.65, -15]] },
+    Cru: { latin: 'Crux', french: 'Croix du Sud', labels: [[12.9, -62]] },
+    Crv: { latin: 'Corvus', french: 'Corbeau', labels: [[12.4, -19.5]] },
+    CVn: { latin: 'Canes Venatici', french: 'Chiens de chasse', labels: [[12.8, 43]] },
+    Cyg: { latin: 'Cygnus', french: 'Cygne', labels: [[20.5, 50]] },
+    Del: { latin: 'Delphinus', french: 'Dauphin', labels: [[20.6, 6]] },
+    Dor: { latin: 'Dorado', french: 'Dorade', labels: [[5.1, -64]] },
+    Dra: { latin: 'Draco', french: 'Dragon', labels: [[17.9, 64]] },
+    Equ: { latin: 'Equuleus', french: 'Petit Cheval', labels: [[21.35, 11.5]] },
+    Eri: { latin: 'Eridanus', french: 'Éridan', labels: [[3.5, -18]] },
+    For: { latin: 'Fornax', french: 'Fourneau', labels: [[2.7, -28]] },
+    Gem: { latin: 'Gemini', french: 'Gémeaux', labels: [[7.15, 23.5]] },
+    Gru: { latin: 'Grus', french: 'Grue', labels: [[22.8, -41.5]] },
+    Her: { latin: 'Hercules', french: 'Hercule', labels: [[16.9, 35]] },
+    Hor: { latin: 'Horologium', french: 'Horloge', labels: [[3.4, -52]] },
+    Hya: { latin: 'Hydra', french: 'Hydre', labels: [[10, -22]] },
+    Hyi: { latin: 'Hydrus', french: 'Hydre mâle', labels: [[2.3, -72]] },
+    Ind: { latin: 'Indus', french: 'Indien', labels: [[21.2, -55.5]] },
+    Lac: { latin: 'Lacerta', french: 'Lézard', labels: [[22.8, 47]] },
+    Leo: { latin: 'Leo', french: 'Lion', labels: [[10.6, 15]] },
+    Lep: { latin: 'Lepus', french: 'Lièvre', labels: [[5.9, -25]] },
+    Lib: { latin: 'Libra', french: 'Balance', labels: [[15.4, -26]] },
+    LMi: { latin: 'Leo Minor', french: 'Petit Lion', labels: [[10.5, 30]] },
+    Lup: { latin: 'Lupus', french: 'Loup', labels: [[15.25, -35]] },
+    Lyn: { latin: 'Lynx', french: 'Lynx', labels: [[8.1, 49]] },
+    Lyr: { latin: 'Lyra', french: 'Lyre', labels: [[18.6, 30]] },
+    Men: { latin: 'Mensa', french: 'Table', labels: [[5.5, -80]] },
+    Mic: { latin: 'Microscopium', french: 'Microscope', labels: [[21.1, -37]] },
+    Mon: { latin: 'Monoceros', french: 'Licorne', labels: [[7.65, -6]] },
+    Mus: { latin: 'Musca', french: 'Mouche', labels: [[13, -73]] },
+    Nor: { latin: 'Norma', french: 'Règle', labels: [[16.2, -52]] },
+    Oct: { latin: 'Octans', french: 'Octant', labels: [[20, -80]] },
+    Oph: { latin: 'Ophiuchus', french: 'Ophiuchus', labels: [[17.2, 3]] },
+    Ori: { latin: 'Orion', french: 'Orion', labels: [[5.6, 13]] },
+    Pav: { latin: 'Pavo', french: 'Paon', labels: [[19.8, -62]] },
+    Peg: { latin: 'Pegasus', french: 'Pégase', labels: [[22.3, 16]] },
+    Per: { latin: 'Perseus', french: 'Persée', labels: [[4.4, 45]] },
+    Phe: { latin: 'Phoenix', french: 'Phénix', labels: [[1.1, -43]] },
+    Pic: { latin: 'Pictor', french: 'Peintre', labels: [[5.5, -50]] },
+    PsA: { latin: 'Piscis Austrinus', french: 'Poisson austral', labels: [[22.2, -29]] },
+    Psc: { latin: 'Pisces', french: 'Poissons', labels: [[1.3, 15]] },
+    Pup: { latin: 'Puppis', french: 'Poupe', labels: [[7.4, -46]] },
+    Pyx: { latin: 'Pyxis', french: 'Boussole', labels: [[8.8, -24]] },
+    Ret: { latin: 'Reticulum', french: 'Réticule', labels: [[3.7, -61]] },
+    Scl: { latin: 'Sculptor', french: 'Sculpteur', labels: [[0.1, -33]] },
+    Sco: { latin: 'Scorpius', french: 'Scorpion', labels: [[16.6, -38]] },
+    Sct: { latin: 'Scutum', french: 'Écu de Sobieski', labels: [[18.8, -12.5]] },
+    Ser: { latin: 'Serpens', french: 'Serpent', labels: [[15.5, 5], [18.7, 3]] },
+    Sex: { latin: 'Sextans', french: 'Sextant', labels: [[10.5, -7]] },
+    Sge: { latin: 'Sagitta', french: 'Flèche', labels: [[19.4, 18]] },
+    Sgr: { latin: 'Sagittarius', french: 'Sagittaire', labels: [[19.5, -34]] },
+    Tau: { latin: 'Taurus', french: 'Taureau', labels: [[3.6, 15]] },
+    Tel: { latin: 'Telescopium', french: 'Télescope', labels: [[18.5, -54]] },
+    TrA: { latin: 'Triangulum Australe', french: 'Triangle austral', labels: [[16, -67.5]] },
+    Tri: { latin: 'Triangulum', french: 'Triangle', labels: [[1.8, 34]] },
+    Tuc: { latin: 'Tucana', french: 'Toucan', labels: [[23.2, -64]] },
+    UMa: { latin: 'Ursa Major', french: 'Grande Ourse', labels: [[11, 48]] },
+    UMi: { latin: 'Ursa Minor', french: 'Petite Ourse', labels: [[15.1, 68]] },
+    Vel: { latin: 'Vela', french: 'Voiles', labels: [[9.55, -46]] },
+    Vir: { latin: 'Virgo', french: 'Vierge', labels: [[13.3, -4]] },
+    Vol: { latin: 'Volans', french: 'Poisson volant', labels: [[7.4, -73]] },
+    Vul: { latin: 'Vulpecula', french: 'Petit Renard', labels: [[19.7, 21]] }
+};
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.CONSTELLATION_BOUNDARIES = CONSTELLATION_BOUNDARIES;
+window.CONSTELLATION_NAMES = CONSTELLATION_NAMES;
@@ -0,0 +1,106 @@
+/**
+ * ==========================================================================
+ * Constellation-lines.js - Tracés des constellations
+ * ==========================================================================
+ *
+ * Figures des 88 constellations : pour chaque abréviation IAU, une liste
+ * de lignes brisées dont les sommets sont des numéros Hipparcos (HIP),
+ * reliés aux étoiles du catalogue par leur colonne `hip`.
+ *
+ * Source : figures de d3-celestial (Olaf Frohn, licence BSD-3-Clause),
+ * sommets identifiés dans le catalogue Hipparcos.
+ */
+
+const CONSTELLATION_LINES = {
+    And: [[9640, 5447, 3092, 677], [4463, 3693, 3031, 3092, 2912, 116631, 113726], [116631, 116805, 116584], [5447, 4436, 3881, 5434, 7607], [116805, 117221]],
+    Ant: [[46515, 51172, 53502]],
+    Aps: [[72370, 80047, 81852, 81065]],
+    Aql: [[97278, 97649, 98036, 99473, 97804, 95501, 93747, 97649, 95501, 93805]],
+    Aqr: [[102618, 103045, 106278, 109074, 110395, 110960, 111497, 112961, 115033, 114341], [106278, 109139], [109074, 110003], [110960, 110672], [115438, 115033, 116901]],
+    Ara: [[85267, 85727, 82363, 83081, 83153, 85792, 85258]],
+    Ari: [[13209, 9884, 8903, 8832]],
+    Aur: [[28360, 24608, 23767, 23015, 25428, 28380, 28360, 28358, 24608, 23416, 23453]],
+    Boo: [[67275, 67927, 69673, 71053, 71075, 73555, 74666, 72105, 69673, 71795], [71075, 69732, 69481, 70497, 69732]],
+    CMa: [[30324, 32349, 33977, 34444, 33856, 33579, 30122], [35904, 34444], [32349, 33347, 34045, 33160, 33347]],
+    CMi: [[37279, 36188]],
+    CVn: [[63121, 61317]],
+    Cae: [[21060, 21770, 21861, 23595]],
+    Cam: [[23040, 23522, 22783, 17959, 17884, 16228], [22783, 29997, 33694]],
+    Cap: [[100027, 100345, 101027, 102485, 102978, 105881, 107556, 106985, 105515, 104139, 100027]],
+    Car: [[31685, 30438, 45238, 50099, 52419, 51576, 50371, 45556, 41037, 38827, 39953, 42913, 45556], [52419, 54301, 54461, 54751, 54463, 53253, 51576]],
+    Cas: [[8886, 6686, 4427, 3179, 746]],
+    Cen: [[55425, 59196, 60823, 61932, 66657, 68002, 67472, 67464, 68933, 71352, 73334], [67464, 65109], [71681, 66657, 68702], [60823, 59449, 56243]],
+    Cep: [[101093, 102422, 105199, 107259, 109857, 109492, 110991, 112724, 116727, 106032, 105199], [106032, 112724]],
+    Cet: [[12706, 12093, 11484, 12828, 13954, 14135, 12706, 12387, 10826, 8645, 8102, 3419, 1562, 5364, 6537, 8645]],
+    Cha: [[40702, 51839, 52595, 60000, 58484, 51839]],
+    Cir: [[74824, 71908, 75323]],
+    Cnc: [[44066, 42911, 42806, 43100], [42911, 40526]],
+    Col: [[30277, 27628, 26634, 25859], [27628, 28328]],
+    Com: [[64241, 64394, 60742]],
+    CrA: [[93174, 93825, 94114, 94160, 94005, 93542, 92382, 90982]],
+    CrB: [[76127, 75695, 76267, 76952, 77512, 78159, 78493]],
+    Crt: [[56633, 55687, 55282, 53740, 54682, 55598, 55705, 57283, 58188], [55282, 55705]],
+    Cru: [[62434, 59747], [60718, 61084]],
+    Crv: [[59199, 59316, 59803, 60965, 61359, 59316]],
+    Cyg: [[104732, 102488, 100453, 97165, 95853, 94779], [102098, 100453, 98110, 95947]],
+    Del: [[101421, 101769, 101958, 102531, 102281, 101769]],
+    Dor: [[19893, 21281, 26069, 27100, 27890, 26069, 23693, 21281]],
+    Dra: [[87585, 87833, 85670, 85829, 87585, 94376, 89908, 83895, 80331, 78527, 75458, 68756, 61281, 56211], [89908, 89937], [94376, 97433]],
+    Equ: [[104987, 104858, 104521]],
+    Eri: [[23875, 22109, 21444, 19587, 18543, 17593, 17378, 16537, 13701, 12770, 12843, 14146, 15474, 16611, 17651, 21393, 20535, 20042, 17874, 16870, 15510, 13847, 12486, 11407, 10602, 9007, 7588]],
+    For: [[14879, 13147, 9677]],
+    Gem: [[29655, 30343, 32246, 34693, 36850, 37826, 36962, 35550, 34088, 31681, 32362], [35550, 35350]],
+    Gru: [[113638, 112623, 112122, 111043, 109268, 112122], [110997, 109908, 109111, 108085]],
+    Her: [[80170, 80816, 81693, 81833, 81126, 79992, 79101, 77760], [81693, 83207], [81833, 84380], [87808, 85112, 84380, 83207, 84379, 86974, 87933, 88794], [84345, 80816]],
+    Hor: [[19747, 12653, 12225, 12484, 14240, 13884]],
+    Hya: [[43109, 43234, 42799, 42402, 42313, 43109, 43813, 45336, 47431, 46390, 48356, 49841, 51069, 52943, 56343, 57936, 64962, 68895, 72571]],
+    Hyi: [[2021, 17678, 12394, 11001, 8928, 9236]],
+    Ind: [[101772, 102333, 103227, 108431, 105319, 101772]],
+    LMi: [[49593, 51056, 53229, 51233, 49593, 46952]],
+    Lac: [[110538, 111169, 111022, 110351, 111104, 111944, 111022, 110609, 110538], [111104, 109754, 109937]],
+    Leo: [[49669, 49583, 50583, 54872, 57632, 54879, 49669], [50583, 50335, 48455, 47908]],
+    Lep: [[28910, 28103, 27288, 25985, 24305, 23685, 25606, 27072, 27654], [24327, 24305, 24845]],
+    Lib: [[73714, 72622, 74785, 76333, 76470, 76600], [72622, 76333]],
+    Lup: [[77634, 76705, 75177, 75141, 73273, 71860, 74395, 74911, 75264, 76297, 78384, 78918], [75141, 76297]],
+    Lyn: [[30060, 33449, 36145, 41075, 44248, 45688, 45860]],
+    Lyr: [[91971, 91926, 91262, 91971, 92791, 93194, 92420, 91971]],
+    Men: [[29271, 25918, 22871, 23467]],
+    Mic: [[102831, 102693, 105382, 105140, 103738, 102831]],
+    Mon: [[37447, 39863, 34769, 30867, 29651], [34769, 32578, 30419, 31216, 31978]],
+    Mus: [[57363, 59929, 61585, 62322, 63613, 61199, 61585]],
+    Nor: [[78914, 80582, 80000, 78639, 78914]],
+    Oct: [[70638, 112405, 107089, 70638]],
+    Oph: [[88048, 87108, 86742, 86032, 83000, 80883, 79593, 79882, 81377, 84012], [83000, 81377, 80894, 80569, 80343, 80473], [86742, 84012, 84970, 85423]],
+    Ori: [[29038, 27913, 28716, 29426, 28614, 27989, 25336, 22845], [23123, 22797, 22549, 22449, 22509, 22845, 22957, 23607, 24010], [24436, 25281, 25930, 25336, 26207, 27989, 26727, 27366], [26727, 26311, 25930]],
+    Pav: [[100751, 102395, 99240, 92609, 90098, 88866, 86929, 91792, 98495, 102395, 105858]],
+    Peg: [[109410, 112158, 113881, 677, 1067, 113963, 112447, 112029, 109427, 107315], [113963, 113881, 112748, 112440, 109176, 107354]],
+    Per: [[17448, 18246, 18614, 18532, 17529, 17358, 16826, 15863, 14328, 13268, 13531, 14632, 14668, 14576, 14817, 14354, 13879, 13949, 14576], [19167, 19812, 19343, 17358], [14632, 12777, 8068]],
+    Phe: [[2081, 5165, 6867, 7083, 5348, 5165, 765, 2081]],
+    Pic: [[32607, 27530, 27321]],
+    PsA: [[111954, 113368, 113246, 112948, 111188, 109285, 107380, 107608, 109285, 111954]],
+    Psc: [[5742, 5586, 6193, 5742, 5571, 7097, 8198, 9487, 8833, 7884, 7007, 5737, 4906, 3786, 118268, 116771, 115830, 115227, 114971, 115738, 116928, 117245, 116771], [114971, 113889]],
+    Pup: [[31685, 35264, 36917, 37229, 38170, 38835, 39757, 39429, 39953], [38170, 38070, 37677, 36917]],
+    Pyx: [[39429, 42515, 42828, 43409]],
+    Ret: [[19780, 19921, 18597, 17440, 19780]],
+    Scl: [[4577, 117452, 115102, 116231]],
+    Sco: [[78265, 78401, 78820], [78401, 80112, 80763, 81266, 82396, 82514, 82729, 84143, 86228, 87073, 86670, 85927]],
+    Sct: [[91117, 92175, 91726, 90595, 91117]],
+    Ser: [[77233, 76852, 77450, 78072, 77233, 76276, 77070, 77622, 79593], [84012, 86263, 88048, 88404, 89962, 92946]],
+    Sex: [[49641, 48437, 51362, 51437]],
+    Sge: [[96757, 97365, 98337], [96837, 97365]],
+    Sgr: [[89642, 90185, 89931, 90496, 89341], [95241, 95347, 93506, 92041, 90496], [98032, 98412, 98066, 96465, 95477, 94643, 92855, 92041, 89931, 88635, 90185, 93506, 93864, 92855, 93683, 94141, 94820, 95168, 95176], [93683, 93085, 92761, 92855]],
+    Tau: [[26451, 21421, 20894, 20205, 20455, 20889, 25428], [20205, 18724, 16083, 18907], [16083, 15900, 16852]],
+    Tel: [[89112, 90422, 90568]],
+    TrA: [[82273, 77952, 74946, 82273]],
+    Tri: [[8796, 10064, 10670, 8796]],
+    Tuc: [[110130, 114996, 2484, 1599, 118322, 110838, 110130]],
+    UMa: [[59774, 54061, 53910, 58001, 59774, 62956, 65378, 67301], [58001, 57399, 55219, 55203], [57399, 54539, 50801], [54539, 50372], [54061, 46733, 41704, 48319, 53910], [53910, 48402, 46853, 44127], [44471, 46853]],
+    UMi: [[77055, 79822, 75097, 72607, 77055, 82080, 85822, 11767]],
+    Vel: [[42913, 45941, 48774, 52727, 50191, 46651, 44816, 39953]],
+    Vir: [[57380, 57757, 60129, 61941, 64238, 65474, 69701, 71957], [63608, 63090, 61941], [64238, 66249, 68520, 72220]],
+    Vol: [[44382, 41312, 39794, 35228, 34481, 39794, 44382]],
+    Vul: [[94703, 95771, 97886, 98543, 99874]]
+};
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.CONSTELLATION_LINES = CONSTELLATION_LINES;
@@ -0,0 +1,380 @@
+/**
+ * ==========================================================================
+ * Constellations.js - Calques des constellations
+ * ==========================================================================
+ *
+ * Ce module prépare les constellations pour le rendu :
+ * - Relie les figures (CONSTELLATION_LINES, numéros HIP) aux étoiles du catalogue
+ * - Calcule la position horizontale des extrémités de chaque segment
+ * - Découpe les limites officielles (CONSTELLATION_BOUNDARIES, B1875.0)
+ *   et les ramène à la date d'observation (précession + nutation)
+ * - Place les noms des constellations
+ * - Retrouve la constellation contenant une direction du ciel
+ *
+ * Les segments dont une étoile manque au catalogue chargé (plus faible que
+ * la magnitude limite) sont ignorés.
+ */
+
+// Époque de définition des limites (B1875.0) en jour julien
+const B1875_JULIAN_DAY = 2405889.258550475;
+
+// Écart angulaire maximal entre deux points d'un côté de limite (degrés)
+const BOUNDARY_MAX_STEP = 2;
+
+/**
+ * Relie les figures des constellations aux étoiles du catalogue
+ *
+ * @param {Array} stars - Étoiles chargées (avec leur numéro hip)
+ * @param {Object} lines - Figures {abréviation: [[hip, hip, ...], ...]}
+ * @returns {Object} {stars: étoiles utilisées, segments: [{constellation, from, to}] (numéros HIP)}
+ */
+function buildConstellationFigures(stars, lines = CONSTELLATION_LINES) {
+    const starsByHip = new Map();
+    for (const star of stars) {
+        if (star.hip) starsByHip.set(star.hip, star);
+    }
+
+    const usedStars = new Map();
+    const segments = [];
+
+    for (const [constellation, polylines] of Object.entries(lines)) {
+        for (const polyline of polylines) {
+            for (let i = 1; i < polyline.length; i++) {
+                const from = starsByHip.get(polyline[i - 1]);
+                const to = starsByHip.get(polyline[i]);
+                if (!from || !to) continue;
+
+                usedStars.set(from.hip, from);
+                usedStars.set(to.hip, to);
+                segments.push({ constellation, from: from.hip, to: to.hip });
+            }
+        }
+    }
+
+    return {
+        stars: Array.from(usedStars.values()),
+        segments
+    };
+}
+
+/**
+ * Calcule la position horizontale des segments des figures
+ * (étoiles au-dessus comme au-dessous de l'horizon)
+ *
+ * @param {Object} figures - Résultat de buildConstellationFigures
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Array} Segments [{constellation, from: {azimut, altitude}, to: {azimut, altitude}}]
+ */
+function calculateConstellationSegments(figures, date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const positions = new Map();
+    for (const star of calculateStarPositions(figures.stars, date, observer, refraction)) {
+        positions.set(star.hip, { azimut: star.azimut, altitude: star.altitude });
+    }
+
+    return figures.segments.map(segment => ({
+        constellation: segment.constellation,
+        from: positions.get(segment.from),
+        to: positions.get(segment.to)
+    }));
+}
+
+// ==========================================================================
+// Limites officielles (UAI, B1875.0)
+// ==========================================================================
+
+/**
+ * Ramène un écart d'ascension droite entre -12 h et +12 h
+ *
+ * @param {number} hours - Écart en heures
+ * @returns {number} Écart équivalent le plus court, en heures
+ */
+function wrapHours(hours) {
+    return hours - 24 * Math.round(hours / 24);
+}
+
+/**
+ * Calcule la matrice de passage des coordonnées vraies de la date
+ * à l'équateur moyen B1875.0 (époque des limites)
+ *
+ * @param {Date} date - Date d'observation
+ * @returns {Array<Array<number>>} Matrice de passage (sa transposée fait l'inverse)
+ */
+function calculateDateToB1875Matrix(date) {
+    return multiplyMatrices(
+        calculatePrecessionMatrix(B1875_JULIAN_DAY),
+        transposeMatrix(calculateJ2000ToDateMatrix(date))
+    );
+}
+
+/**
+ * Indique si un point est à l'intérieur d'un contour de limite
+ *
+ * Les côtés suivent des cercles horaires ou des parallèles de B1875.0 :
+ * on compte les parallèles croisés en remontant le cercle horaire du
+ * point jusqu'au pôle Nord. Un contour qui fait le tour du pôle (Petite
+ * Ourse, Octant) entoure la calotte polaire de son hémisphère.
+ *
+ * @param {Array} ring - Sommets [ascension droite (heures), déclinaison] B1875.0
+ * @param {number} ra - Ascension droite B1875.0 du point en heures
+ * @param {number} dec - Déclinaison B1875.0 du point en degrés
+ * @returns {boolean} true si le point est dans le contour
+ */
+function isInsideBoundary(ring, ra, dec) {
+    let crossings = 0;
+    let winding = 0;
+
+    for (let i = 0; i < ring.length; i++) {
+        const [ra1, dec1] = ring[i];
+        const [ra2, dec2] = ring[(i + 1) % ring.length];
+        if (dec1 !== dec2) continue;
+
+        const span = wrapHours(ra2 - ra1);
+        winding += span;
+
+        // Parallèle au nord du point couvrant son ascension droite
+        const start = span > 0 ? ra1 : ra2;
+        const offset = ((ra - start) % 24 + 24) % 24;
+        if (dec1 > dec && offset < Math.abs(span)) {
+            crossings++;
+        }
+    }
+
+    const containsNorthPole = Math.abs(winding) > 12 && ring[0][1] > 0;
+    return (crossings % 2 === 1) !== containsNorthPole;
+}
+
+/**
+ * Retrouve la constellation contenant une position B1875.0
+ *
+ * @param {number} ra - Ascension droite B1875.0 en heures
+ * @param {number} dec - Déclinaison B1875.0 en degrés
+ * @param {Object} boundaries - Limites {abréviation: [contours]}
+ * @returns {string|null} Abréviation de la constellation
+ */
+function findConstellationB1875(ra, dec, boundaries = CONSTELLATION_BOUNDARIES) {
+    for (const [constellation, rings] of Object.entries(boundaries)) {
+        if (rings.some(ring => isInsideBoundary(ring, ra, dec))) {
+            return constellation;
+        }
+    }
+    return null;
+}
+
+/**
+ * Retrouve la constellation contenant une position de la date
+ *
+ * @param {number} ra - Ascension droite vraie de la date en degrés
+ * @param {number} dec - Déclinaison vraie de la date en degrés
+ * @param {Date} date - Date d'observation
+ * @returns {string|null} Abréviation de la constellation
+ */
+function findConstellation(ra, dec, date) {
+    const b1875 = rotateSpherical(calculateDateToB1875Matrix(date), ra, dec);
+    return findConstellationB1875(b1875.lon / 15, b1875.lat);
+}
+
+/**
+ * Retrouve la constellation dans une direction du ciel (azimut, altitude)
+ *
+ * @param {number} azimut - Azimut en degrés
+ * @param {number} altitude - Altitude apparente en degrés
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {string|null} Abréviation de la constellation
+ */
+function findConstellationAt(azimut, altitude, date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const position = calculateEquatorialPosition(azimut, altitude, date, observer, refraction);
+    return findConstellation(position.ra, position.dec, date);
+}
+
+/**
+ * Découpe un côté de limite en points intermédiaires (les parallèles ne
+ * sont pas des grands cercles et se courbent une fois précessés)
+ *
+ * @param {Array} from - Sommet [ascension droite (heures), déclinaison]
+ * @param {Array} to - Sommet [ascension droite (heures), déclinaison]
+ * @param {number} maxStep - Écart angulaire maximal entre deux points (degrés)
+ * @returns {Array} Points [ascension droite (heures), déclinaison], extrémités comprises
+ */
+function densifyBoundaryEdge(from, to, maxStep = BOUNDARY_MAX_STEP) {
+    const span = wrapHours(to[0] - from[0]);
+    const length = Math.max(
+        Math.abs(span) * 15 * Math.cos(degreesToRadians(from[1])),
+        Math.abs(to[1] - from[1])
+    );
+    const steps = Math.max(1, Math.ceil(length / maxStep));
+
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        points.push([
+            (from[0] + span * t + 24) % 24,
+            from[1] + (to[1] - from[1]) * t
+        ]);
+    }
+    return points;
+}
+
+/**
+ * Prépare les côtés des limites pour le rendu : chaque côté est coupé aux
+ * sommets des constellations voisines puis dessiné une seule fois, même
+ * s'il sépare deux constellations
+ *
+ * @param {Object} boundaries - Limites {abréviation: [contours]}
+ * @returns {Array} Côtés [{constellations, points: [[ra (heures), dec]]}] en B1875.0
+ */
+function buildBoundaryEdges(boundaries = CONSTELLATION_BOUNDARIES) {
+    const vertices = [];
+    for (const rings of Object.values(boundaries)) {
+        for (const ring of rings) vertices.push(...ring);
+    }
+
+    const edges = new Map();
+    for (const [constellation, rings] of Object.entries(boundaries)) {
+        for (const ring of rings) {
+            for (let i = 0; i < ring.length; i++) {
+                const from = ring[i];
+                const to = ring[(i + 1) % ring.length];
+
+                for (const [start, end] of splitBoundaryEdge(from, to, vertices)) {
+                    const key = [start.join(','), end.join(',')].sort().join('|');
+                    const edge = edges.get(key);
+                    if (edge) {
+                        edge.constellations.push(constellation);
+                    } else {
+                        edges.set(key, { constellations: [constellation], points: densifyBoundaryEdge(start, end) });
+                    }
+                }
+            }
+        }
+    }
+    return Array.from(edges.values());
+}
+
+/**
+ * Coupe un côté aux sommets situés dessus
+ *
+ * @param {Array} from - Sommet [ascension droite (heures), déclinaison]
+ * @param {Array} to - Sommet [ascension droite (heures), déclinaison]
+ * @param {Array} vertices - Tous les sommets des limites
+ * @returns {Array} Morceaux [[début, fin], ...] dans l'ordre du côté
+ */
+function splitBoundaryEdge(from, to, vertices) {
+    const span = wrapHours(to[0] - from[0]);
+    const cuts = new Map();
+
+    for (const vertex of vertices) {
+        let t;
+        if (from[1] === to[1] && vertex[1] === from[1] && span !== 0) {
+            t = wrapHours(vertex[0] - from[0]) / span;
+        } else if (span === 0 && vertex[0] === from[0] && to[1] !== from[1]) {
+            t = (vertex[1] - from[1]) / (to[1] - from[1]);
+        } else {
+            continue;
+        }
+        if (t > 0 && t < 1) cuts.set(t, vertex);
+    }
+
+    const points = [from, ...Array.from(cuts.keys()).sort((a, b) => a - b).map(t => cuts.get(t)), to];
+    const pieces = [];
+    for (let i = 1; i < points.length; i++) {
+        pieces.push([points[i - 1], points[i]]);
+    }
+    return pieces;
+}
+
+/**
+ * Calcule la position horizontale des points des limites
+ *
+ * @param {Array} edges - Résultat de buildBoundaryEdges
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Array} Lignes [[{azimut, altitude}, ...], ...]
+ */
+function calculateBoundaryLines(edges, date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const toDateMatrix = transposeMatrix(calculateDateToB1875Matrix(date));
+    const lst = calculateApparentLST(date, observer.longitude);
+
+    return edges.map(edge => edge.points.map(([ra, dec]) => {
+        const ofDate = rotateSpherical(toDateMatrix, ra * 15, dec);
+        const horizontal = equatorialToHorizontal(ofDate.lon, ofDate.lat, lst, observer.latitude);
+        return {
+            azimut: horizontal.azimut,
+            altitude: trueToApparentAltitude(horizontal.altitude, refraction)
+        };
+    }));
+}
+
+// ==========================================================================
+// Noms des constellations
+// ==========================================================================
+
+/**
+ * Formate le nom d'une constellation
+ *
+ * @param {string} constellation - Abréviation UAI
+ * @param {string} language - 'french', 'latin' ou 'both'
+ * @returns {string} Nom (ex : "Lyre", "Lyra" ou "Lyre (Lyra)"), l'abréviation si inconnue
+ */
+function getConstellationName(constellation, language = 'both') {
+    const names = CONSTELLATION_NAMES[constellation];
+    if (!names) {
+        return constellation;
+    }
+    if (language === 'french') {
+        return names.french;
+    }
+    if (language === 'latin') {
+        return names.latin;
+    }
+    return names.french === names.latin ? names.french : `${names.french} (${names.latin})`;
+}
+
+/**
+ * Calcule la position horizontale des étiquettes des constellations
+ *
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Array} Étiquettes [{constellation, french, latin, azimut, altitude}]
+ */
+function calculateConstellationLabels(date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const toDateMatrix = calculateJ2000ToDateMatrix(date);
+    const lst = calculateApparentLST(date, observer.longitude);
+    const labels = [];
+
+    for (const [constellation, names] of Object.entries(CONSTELLATION_NAMES)) {
+        for (const [ra, dec] of names.labels) {
+            const ofDate = rotateSpherical(toDateMatrix, ra * 15, dec);
+            const horizontal = equatorialToHorizontal(ofDate.lon, ofDate.lat, lst, observer.latitude);
+            labels.push({
+                constellation,
+                french: names.french,
+                latin: names.latin,
+                azimut: horizontal.azimut,
+                altitude: trueToApparentAltitude(horizontal.altitude, refraction)
+            });
+        }
+    }
+    return labels;
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.Constellations = {
+    buildConstellationFigures,
+    calculateConstellationSegments,
+    calculateDateToB1875Matrix,
+    isInsideBoundary,
+    findConstellationB1875,
+    findConstellation,
+    findConstellationAt,
+    densifyBoundaryEdge,
+    buildBoundaryEdges,
+    calculateBoundaryLines,
+    getConstellationName,
+    calculateConstellationLabels
+};
@@ -0,0 +1,238 @@
+/**
+ * ==========================================================================
+ * Coordinate-grids.js - Grilles de coordonnées
+ * ==========================================================================
+ *
+ * Ce module prépare les grilles de coordonnées pour le rendu :
+ * - Azimutale (azimut et hauteur apparente)
+ * - Équatoriale (ascension droite et déclinaison vraies de la date)
+ * - Écliptique (écliptique vraie de la date) et galactique
+ *
+ * Chaque grille est une famille de méridiens (longitude constante) et de
+ * parallèles (latitude constante) calculés en coordonnées horizontales,
+ * que chaque vue projette et coupe à l'horizon comme les tracés des
+ * constellations. L'espacement des lignes s'adapte à l'échelle de la vue
+ * et seules les lignes proches du champ affiché sont calculées.
+ */
+
+// Grilles proposées : réglage d'affichage, style et espacements possibles
+// des méridiens (en degrés, du plus fin au plus large)
+const COORDINATE_GRIDS = {
+    altaz: {
+        label: 'Azimutale',
+        setting: 'altazGrid',
+        style: { color: 'rgba(120, 200, 140, 0.3)', width: 0.8, labelColor: 'rgba(120, 200, 140, 0.7)' }
+    },
+    equatorial: {
+        label: 'Équatoriale',
+        setting: 'equatorialGrid',
+        style: { color: 'rgba(100, 160, 255, 0.3)', width: 0.8, labelColor: 'rgba(130, 180, 255, 0.75)' },
+        // Ascension droite : 5 min, 10 min, 20 min, 30 min, 1 h et 2 h
+        meridianSpacings: [1.25, 2.5, 5, 7.5, 15, 30]
+    },
+    ecliptic: {
+        label: 'Écliptique',
+        setting: 'eclipticGrid',
+        style: { color: 'rgba(230, 190, 90, 0.3)', width: 0.8, labelColor: 'rgba(230, 190, 90, 0.7)' }
+    },
+    galactic: {
+        label: 'Galactique',
+        setting: 'galacticGrid',
+        style: { color: 'rgba(200, 130, 220, 0.3)', width: 0.8, labelColor: 'rgba(200, 130, 220, 0.7)' }
+    }
+};
+
+// Espacements possibles des lignes (degrés)
+const GRID_SPACINGS = [1, 2, 5, 10, 15, 30];
+
+// Écart minimal à l'écran entre deux lignes voisines (pixels)
+const GRID_MIN_PIXEL_SPACING = 60;
+
+// Pas d'échantillonnage des lignes (degrés d'arc)
+const GRID_SAMPLE_STEP = 2;
+
+/**
+ * Choisit l'espacement des lignes pour une échelle donnée : le plus fin
+ * qui laisse au moins GRID_MIN_PIXEL_SPACING pixels entre deux lignes
+ *
+ * @param {number} pixelsPerDegree - Échelle de la vue au centre
+ * @param {Array<number>} spacings - Espacements possibles, croissants (degrés)
+ * @returns {number} Espacement en degrés
+ */
+function chooseGridSpacing(pixelsPerDegree, spacings = GRID_SPACINGS) {
+    return spacings.find(spacing => spacing * pixelsPerDegree >= GRID_MIN_PIXEL_SPACING)
+        || spacings[spacings.length - 1];
+}
+
+/**
+ * Prépare le passage entre les coordonnées d'une grille et les
+ * coordonnées horizontales apparentes pour une date
+ *
+ * @param {string} grid - Nom de la grille (clé de COORDINATE_GRIDS)
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Object} {toHorizontal(lon, lat) → {azimut, altitude}, fromHorizontal(azimut, altitude) → {lon, lat}}
+ */
+function createGridTransform(grid, date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    if (grid === 'altaz') {
+        return {
+            toHorizontal: (lon, lat) => ({ azimut: normalizeAngle(lon), altitude: lat }),
+            fromHorizontal: (azimut, altitude) => ({ lon: azimut, lat: altitude })
+        };
+    }
+
+    // Matrice de passage des coordonnées vraies de la date à la grille
+    let fromDate = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    if (grid === 'ecliptic') {
+        fromDate = calculateDateToEclipticMatrix(date);
+    } else if (grid === 'galactic') {
+        fromDate = calculateDateToGalacticMatrix(date);
+    }
+    const toDate = transposeMatrix(fromDate);
+    const lst = calculateApparentLST(date, observer.longitude);
+
+    return {
+        toHorizontal: (lon, lat) => {
+            const ofDate = rotateSpherical(toDate, lon, lat);
+            const horizontal = equatorialToHorizontal(ofDate.lon, ofDate.lat, lst, observer.latitude);
+            return {
+                azimut: horizontal.azimut,
+                altitude: trueToApparentAltitude(horizontal.altitude, refraction)
+            };
+        },
+        fromHorizontal: (azimut, altitude) => {
+            const ofDate = horizontalToEquatorial(azimut, apparentToTrueAltitude(altitude, refraction), lst, observer.latitude);
+            return rotateSpherical(fromDate, ofDate.ra, ofDate.dec);
+        }
+    };
+}
+
+/**
+ * Calcule les valeurs multiples d'un espacement comprises dans un intervalle
+ *
+ * @param {number} min - Borne inférieure
+ * @param {number} max - Borne supérieure
+ * @param {number} spacing - Espacement
+ * @returns {Array<number>} Valeurs k × spacing
+ */
+function gridValuesBetween(min, max, spacing) {
+    const values = [];
+    for (let k = Math.ceil(min / spacing - 1e-9); k * spacing <= max + 1e-9; k++) {
+        values.push(k * spacing);
+    }
+    return values;
+}
+
+/**
+ * Formate le libellé d'une ligne de grille
+ *
+ * @param {string} grid - Nom de la grille
+ * @param {string} kind - 'meridian' (longitude) ou 'parallel' (latitude)
+ * @param {number} value - Valeur en degrés
+ * @returns {string} Ex : "2h30m", "+45°", "120°"
+ */
+function formatGridLabel(grid, kind, value) {
+    if (kind === 'meridian') {
+        const lon = normalizeAngle(Math.round(value * 100) / 100);
+        if (grid === 'equatorial') {
+            const minutes = Math.round(lon * 4);
+            const hours = Math.floor(minutes / 60);
+            const rest = minutes % 60;
+            return rest === 0 ? `${hours}h` : `${hours}h${String(rest).padStart(2, '0')}m`;
+        }
+        return `${lon}°`;
+    }
+    if (grid === 'altaz' || value === 0) {
+        return `${value}°`;
+    }
+    return `${value > 0 ? '+' : '-'}${Math.abs(value)}°`;
+}
+
+/**
+ * Calcule les lignes et les libellés d'une grille autour du champ affiché
+ *
+ * Les méridiens s'arrêtent au dernier parallèle avant les pôles (sauf tous
+ * les 90°) pour ne pas s'entasser autour d'eux. Les libellés sont posés le
+ * long du parallèle et du méridien les plus proches du centre de la vue.
+ *
+ * @param {string} grid - Nom de la grille (clé de COORDINATE_GRIDS)
+ * @param {Date} date - Date d'observation
+ * @param {Object} view - Champ affiché {azimut, altitude (centre), radius (degrés), pixelsPerDegree}
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Object} {spacing, lines: [[{azimut, altitude}, ...], ...], labels: [{kind, text, azimut, altitude}]}
+ */
+function calculateGridLines(grid, date, view, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const latSpacing = chooseGridSpacing(view.pixelsPerDegree);
+    const lonSpacing = chooseGridSpacing(view.pixelsPerDegree, COORDINATE_GRIDS[grid].meridianSpacings);
+    const transform = createGridTransform(grid, date, observer, refraction);
+    const center = transform.fromHorizontal(view.azimut, view.altitude);
+    const radius = Math.min(180, view.radius);
+
+    // Étendue du champ en latitude et en longitude (tout le tour s'il contient un pôle)
+    const latMin = Math.max(-90, center.lat - radius);
+    const latMax = Math.min(90, center.lat + radius);
+    const fullTurn = latMin <= -90 || latMax >= 90 || radius >= 90;
+    let lonMin = 0;
+    let lonMax = 360;
+    if (!fullTurn) {
+        const ratio = Math.sin(degreesToRadians(radius)) / Math.cos(degreesToRadians(center.lat));
+        const halfWidth = radiansToDegrees(Math.asin(Math.min(1, ratio)));
+        lonMin = center.lon - halfWidth;
+        lonMax = center.lon + halfWidth;
+    }
+
+    const lines = [];
+    const labels = [];
+    const labelLat = Math.max(-90 + latSpacing, Math.min(90 - latSpacing, Math.round(center.lat / latSpacing) * latSpacing));
+    const labelLon = Math.round(center.lon / lonSpacing) * lonSpacing;
+
+    // Méridiens
+    const meridians = gridValuesBetween(lonMin, fullTurn ? 360 - lonSpacing : lonMax, lonSpacing);
+    for (const lon of meridians) {
+        const toPole = Math.abs(normalizeAngle(lon) % 90) < 1e-9;
+        const start = toPole ? latMin : Math.max(latMin, -90 + latSpacing);
+        const end = toPole ? latMax : Math.min(latMax, 90 - latSpacing);
+        if (end <= start) continue;
+
+        const line = [];
+        for (let lat = start; lat < end; lat += GRID_SAMPLE_STEP) {
+            line.push(transform.toHorizontal(lon, lat));
+        }
+        line.push(transform.toHorizontal(lon, end));
+        lines.push(line);
+
+        if (labelLat >= start && labelLat <= end) {
+            labels.push({ kind: 'meridian', text: formatGridLabel(grid, 'meridian', lon), ...transform.toHorizontal(lon, labelLat) });
+        }
+    }
+
+    // Parallèles (pas en longitude élargi vers les pôles, où ils rétrécissent)
+    for (const lat of gridValuesBetween(latMin, latMax, latSpacing)) {
+        if (Math.abs(lat) >= 90) continue;
+
+        const step = Math.min(10, GRID_SAMPLE_STEP / Math.cos(degreesToRadians(lat)));
+        const line = [];
+        for (let lon = lonMin; lon < lonMax; lon += step) {
+            line.push(transform.toHorizontal(lon, lat));
+        }
+        line.push(transform.toHorizontal(lonMax, lat));
+        lines.push(line);
+
+        labels.push({ kind: 'parallel', text: formatGridLabel(grid, 'parallel', lat), ...transform.toHorizontal(labelLon, lat) });
+    }
+
+    return { spacing: latSpacing, lines, labels };
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.CoordinateGrids = {
+    COORDINATE_GRIDS,
+    GRID_SPACINGS,
+    chooseGridSpacing,
+    createGridTransform,
+    gridValuesBetween,
+    formatGridLabel,
+    calculateGridLines
+};
@@ -0,0 +1,87 @@
+/**
+ * ==========================================================================
+ * Coordinate-readout.js - Coordonnées du point situé sous le pointeur
+ * ==========================================================================
+ *
+ * Ce module affiche en continu les coordonnées de la direction du ciel
+ * survolée par la souris : azimut et hauteur, ascension droite et
+ * déclinaison (J2000.0 et vraies de la date) et angle horaire, pour régler
+ * des cercles de coordonnées sur une monture.
+ *
+ * La direction est obtenue par la projection inverse de la vue
+ * (Camera.unproject en POV, screenToWorld en télescope) : la hauteur lue
+ * est donc la hauteur apparente, corrigée de la réfraction si elle est
+ * activée avant le passage en coordonnées équatoriales.
+ */
+
+/**
+ * Formate un angle horaire en heures, minutes et secondes
+ * (négatif à l'Est du méridien, positif à l'Ouest)
+ *
+ * @param {number} hourAngle - Angle horaire en degrés (0-360)
+ * @returns {string} Ex : "-1h 23m 45.6s"
+ */
+function formatHourAngle(hourAngle) {
+    const signed = normalizeAngle(hourAngle + 180) - 180;
+    const formatted = formatRightAscension(Math.abs(signed));
+    // Pas de "-0h 00m 00.0s" pour un point arrondi sur le méridien
+    const sign = signed < 0 && formatted !== '0h 00m 00.0s' ? '-' : '+';
+    return `${sign}${formatted}`;
+}
+
+/**
+ * Calcule les coordonnées d'une direction du ciel
+ *
+ * @param {number} azimut - Azimut en degrés
+ * @param {number} altitude - Hauteur apparente en degrés
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Array} Lignes [libellé, valeur]
+ */
+function describeSkyPoint(azimut, altitude, date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const ofDate = calculateEquatorialPosition(azimut, altitude, date, observer, refraction);
+    const j2000 = dateToJ2000(ofDate.ra, ofDate.dec, date);
+
+    return [
+        ['Az / Haut.', `${normalizeAngle(azimut).toFixed(2)}°, ${formatDeclination(altitude)}`],
+        ['AD / Déc. J2000', `${formatRightAscension(j2000.ra)}, ${formatDeclination(j2000.dec)}`],
+        ['AD / Déc. de la date', `${formatRightAscension(ofDate.ra)}, ${formatDeclination(ofDate.dec)}`],
+        ['Angle horaire', formatHourAngle(ofDate.hourAngle)]
+    ];
+}
+
+/**
+ * Classe gérant l'affichage des coordonnées sous le pointeur
+ */
+class CoordinateReadoutController {
+    /**
+     * Crée le contrôleur de l'affichage des coordonnées
+     */
+    constructor() {
+        this.element = document.getElementById('coordinateReadout');
+    }
+
+    /**
+     * Affiche les coordonnées d'une direction, ou masque l'affichage
+     * @param {Object|null} direction - {azimut, altitude} sous le pointeur (null hors du ciel)
+     * @param {Date} date - Date d'observation
+     */
+    update(direction, date) {
+        if (!this.element) return;
+
+        if (!direction || !date) {
+            this.element.hidden = true;
+            return;
+        }
+        renderInfoRows(this.element, describeSkyPoint(direction.azimut, direction.altitude, date));
+        this.element.hidden = false;
+    }
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.CoordinateReadout = {
+    formatHourAngle,
+    describeSkyPoint,
+    CoordinateReadoutController
+};
@@ -0,0 +1,254 @@
+/**
+ * ==========================================================================
+ * Display-settings.js - Réglages des calques affichés
+ * ==========================================================================
+ *
+ * Ce module regroupe les options d'affichage communes aux deux modes
+ * (calques activables et leur style) :
+ * - Tracés des constellations et style des lignes
+ * - Limites officielles des constellations
+ * - Noms des constellations (français, latin ou les deux)
+ * - Étiquettes des étoiles
+ * - Projection de la vue POV (POV_PROJECTIONS, voir projections.js)
+ * - Projection de la carte de la vue Télescope (TELESCOPE_PROJECTIONS)
+ * - Grilles de coordonnées (COORDINATE_GRIDS, voir coordinate-grids.js)
+ * - Lignes et points de repère (REFERENCE_LINES, voir reference-lines.js)
+ *
+ * Les réglages sont appliqués à DISPLAY_CONFIG, lu au moment du rendu, et
+ * mémorisés dans le localStorage, partagé entre les deux modes d'affichage.
+ * Les éléments du formulaire sont reliés par leur attribut
+ * data-display-setting (nom de l'option dans DISPLAY_CONFIG).
+ */
+
+// Clé de sauvegarde dans le localStorage
+const DISPLAY_STORAGE_KEY = 'carteDuCiel.display';
+
+// Styles proposés pour les tracés des constellations
+const CONSTELLATION_LINE_STYLES = {
+    subtle: { label: 'Discret', color: 'rgba(110, 150, 210, 0.25)', width: 0.8 },
+    normal: { label: 'Normal', color: 'rgba(120, 170, 235, 0.5)', width: 1 },
+    bold: { label: 'Marqué', color: 'rgba(150, 200, 255, 0.85)', width: 1.8 }
+};
+
+// Style des limites des constellations (tirets)
+const CONSTELLATION_BOUNDARY_STYLE = { color: 'rgba(200, 170, 100, 0.35)', width: 0.8, dash: [4, 4] };
+
+// Style des noms des constellations
+const CONSTELLATION_NAME_STYLE = { color: 'rgba(150, 180, 230, 0.6)', font: '12px Arial', secondaryFont: 'italic 10px Arial' };
+
+// Langues proposées pour les noms des constellations
+const CONSTELLATION_NAME_LANGUAGES = {
+    french: { label: 'Français' },
+    latin: { label: 'Latin' },
+    both: { label: 'Français et latin' }
+};
+
+// Réglages par défaut
+const DEFAULT_DISPLAY_CONFIG = {
+    constellationLines: true,
+    constellationLineStyle: 'normal',
+    constellationBoundaries: false,
+    constellationNames: true,
+    constellationNameLanguage: 'french',
+    starLabels: true,
+    povProjection: 'gnomonic',
+    telescopeProjection: 'equidistant',
+    altazGrid: false,
+    equatorialGrid: false,
+    eclipticGrid: false,
+    galacticGrid: false,
+    meridianLine: false,
+    celestialEquator: false,
+    eclipticLine: false,
+    galacticEquator: false,
+    zenithNadir: false,
+    celestialPole: false
+};
+
+// Choix possibles pour les réglages à liste (les autres sont des booléens)
+const DISPLAY_CHOICES = {
+    constellationLineStyle: CONSTELLATION_LINE_STYLES,
+    constellationNameLanguage: CONSTELLATION_NAME_LANGUAGES,
+    povProjection: POV_PROJECTIONS,
+    telescopeProjection: TELESCOPE_PROJECTIONS
+};
+
+// Configuration courante, lue par les fonctions de rendu
+const DISPLAY_CONFIG = { ...DEFAULT_DISPLAY_CONFIG };
+
+/**
+ * Valide et normalise des réglages d'affichage
+ *
+ * @param {Object} settings - Réglages partiels {nom: valeur}
+ * @returns {Object} Réglages validés (options connues uniquement)
+ * @throws {Error} Si un choix de liste est inconnu
+ */
+function validateDisplaySettings(settings) {
+    const validated = {};
+
+    for (const [name, value] of Object.entries(settings)) {
+        if (!(name in DEFAULT_DISPLAY_CONFIG)) continue;
+
+        if (DISPLAY_CHOICES[name]) {
+            if (!(value in DISPLAY_CHOICES[name])) {
+                throw new Error(`Valeur inconnue pour ${name} : ${value}`);
+            }
+            validated[name] = value;
+        } else {
+            validated[name] = value === true || value === 'true';
+        }
+    }
+    return validated;
+}
+
+/**
+ * Applique des réglages d'affichage à la configuration globale
+ *
+ * @param {Object} settings - Réglages partiels {nom: valeur}
+ * @returns {Object} La configuration mise à jour (DISPLAY_CONFIG)
+ */
+function setDisplaySettings(settings) {
+    Object.assign(DISPLAY_CONFIG, validateDisplaySettings(settings));
+    return DISPLAY_CONFIG;
+}
+
+/**
+ * Sauvegarde les réglages d'affichage dans le localStorage
+ */
+function saveDisplaySettings() {
+    try {
+        localStorage.setItem(DISPLAY_STORAGE_KEY, JSON.stringify(DISPLAY_CONFIG));
+    } catch (error) {
+        console.warn('Impossible de sauvegarder les réglages d\'affichage:', error);
+    }
+}
+
+/**
+ * Restaure les réglages d'affichage sauvegardés (s'ils existent)
+ *
+ * @returns {boolean} true si des réglages ont été restaurés
+ */
+function loadSavedDisplaySettings() {
+    try {
+        const saved = localStorage.getItem(DISPLAY_STORAGE_KEY);
+        if (!saved) {
+            return false;
+        }
+        setDisplaySettings(JSON.parse(saved));
+        return true;
+    } catch (error) {
+        console.warn('Réglages d\'affichage invalides, utilisation des valeurs par défaut:', error);
+        return false;
+    }
+}
+
+/**
+ * Contrôleur de l'interface des réglages d'affichage
+ *
+ * Relie les éléments du DOM portant un attribut data-display-setting :
+ * - case à cocher pour un calque (booléen)
+ * - liste déroulante pour un choix (remplie automatiquement si vide)
+ */
+class DisplaySettingsController {
+    /**
+     * Crée le contrôleur des réglages d'affichage
+     * @param {Function} onDisplayChange - Callback appelé après un changement de réglage
+     */
+    constructor(onDisplayChange) {
+        this.onDisplayChange = onDisplayChange;
+        this.inputs = Array.from(document.querySelectorAll('[data-display-setting]'));
+
+        this.populateChoices();
+        this.initEventListeners();
+        this.updateDisplay();
+    }
+
+    /**
+     * Remplit les listes déroulantes vides avec les choix disponibles
+     */
+    populateChoices() {
+        for (const input of this.inputs) {
+            const choices = DISPLAY_CHOICES[input.dataset.displaySetting];
+            if (input.tagName !== 'SELECT' || !choices || input.options.length > 0) continue;
+
+            for (const [value, choice] of Object.entries(choices)) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = choice.label;
+                input.appendChild(option);
+            }
+        }
+    }
+
+    /**
+     * Initialise les écouteurs d'événements
+     */
+    initEventListeners() {
+        for (const input of this.inputs) {
+            input.addEventListener('change', () => {
+                const value = input.type === 'checkbox' ? input.checked : input.value;
+                this.applySettings({ [input.dataset.displaySetting]: value });
+            });
+        }
+
+        // Synchronisation avec l'autre mode d'affichage (autre onglet ou iframe)
+        window.addEventListener('storage', (event) => {
+            if (event.key === DISPLAY_STORAGE_KEY && loadSavedDisplaySettings()) {
+                this.updateDisplay();
+                this.notifyChange();
+            }
+        });
+    }
+
+    /**
+     * Applique de nouveaux réglages et prévient l'application
+     * @param {Object} settings - Réglages partiels {nom: valeur}
+     */
+    applySettings(settings) {
+        try {
+            setDisplaySettings(settings);
+            saveDisplaySettings();
+        } catch (error) {
+            console.warn(error.message);
+        }
+        this.updateDisplay();
+        this.notifyChange();
+    }
+
+    /**
+     * Synchronise le formulaire avec la configuration courante
+     */
+    updateDisplay() {
+        for (const input of this.inputs) {
+            const value = DISPLAY_CONFIG[input.dataset.displaySetting];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        }
+    }
+
+    /**
+     * Prévient l'application du changement de réglage
+     */
+    notifyChange() {
+        if (this.onDisplayChange) {
+            this.onDisplayChange(DISPLAY_CONFIG);
+        }
+    }
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.DisplaySettings = {
+    CONSTELLATION_LINE_STYLES,
+    CONSTELLATION_BOUNDARY_STYLE,
+    CONSTELLATION_NAME_STYLE,
+    CONSTELLATION_NAME_LANGUAGES,
+    DISPLAY_CONFIG,
+    validateDisplaySettings,
+    setDisplaySettings,
+    saveDisplaySettings,
+    loadSavedDisplaySettings,
+    DisplaySettingsController
+};
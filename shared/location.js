@@ -0,0 +1,370 @@
+/**
+ * ==========================================================================
+ * Location.js - Gestion de la position d'observation
+ * ==========================================================================
+ *
+ * Ce module permet de choisir la position de l'observateur :
+ * - Saisie manuelle des coordonnées (latitude, longitude, altitude)
+ * - Sélection dans une liste de villes intégrée (fonctionne hors ligne)
+ * - Géolocalisation via l'API du navigateur
+ *
+ * La position choisie est appliquée à OBSERVER_CONFIG (astronomy.js), qui
+ * alimente calculateLST et equatorialToHorizontal. Elle est mémorisée dans
+ * le localStorage, partagé entre les deux modes d'affichage.
+ */
+
+// Clé de sauvegarde dans le localStorage
+const LOCATION_STORAGE_KEY = 'carteDuCiel.location';
+
+// Liste de villes intégrée (latitude/longitude en degrés, altitude en mètres)
+const CITY_LIST = [
+    { name: "Lyon, France", latitude: 45.757814, longitude: 4.832011, elevation: 173 },
+    { name: "Paris, France", latitude: 48.856613, longitude: 2.352222, elevation: 35 },
+    { name: "Marseille, France", latitude: 43.296482, longitude: 5.369780, elevation: 12 },
+    { name: "Toulouse, France", latitude: 43.604652, longitude: 1.444209, elevation: 146 },
+    { name: "Bordeaux, France", latitude: 44.837789, longitude: -0.579180, elevation: 6 },
+    { name: "Nantes, France", latitude: 47.218371, longitude: -1.553621, elevation: 8 },
+    { name: "Lille, France", latitude: 50.629250, longitude: 3.057256, elevation: 20 },
+    { name: "Strasbourg, France", latitude: 48.573405, longitude: 7.752111, elevation: 142 },
+    { name: "Grenoble, France", latitude: 45.188529, longitude: 5.724524, elevation: 212 },
+    { name: "Clermont-Ferrand, France", latitude: 45.777222, longitude: 3.087025, elevation: 358 },
+    { name: "Saint-Étienne, France", latitude: 45.439695, longitude: 4.387178, elevation: 516 },
+    { name: "Nice, France", latitude: 43.710173, longitude: 7.261953, elevation: 10 },
+    { name: "Montpellier, France", latitude: 43.610769, longitude: 3.876716, elevation: 27 },
+    { name: "Rennes, France", latitude: 48.117266, longitude: -1.677793, elevation: 30 },
+    { name: "Brest, France", latitude: 48.390394, longitude: -4.486076, elevation: 52 },
+    { name: "Ajaccio, France", latitude: 41.919229, longitude: 8.738635, elevation: 20 },
+    { name: "Pic du Midi, France", latitude: 42.936389, longitude: 0.142500, elevation: 2877 },
+    { name: "Bruxelles, Belgique", latitude: 50.850340, longitude: 4.351710, elevation: 76 },
+    { name: "Genève, Suisse", latitude: 46.204391, longitude: 6.143158, elevation: 375 },
+    { name: "Montréal, Canada", latitude: 45.501689, longitude: -73.567256, elevation: 36 },
+    { name: "Dakar, Sénégal", latitude: 14.716677, longitude: -17.467686, elevation: 22 },
+    { name: "Saint-Denis, La Réunion", latitude: -20.882057, longitude: 55.450675, elevation: 30 },
+    { name: "Nouméa, Nouvelle-Calédonie", latitude: -22.275800, longitude: 166.458000, elevation: 10 }
+];
+
+/**
+ * Valide et normalise une position d'observation
+ *
+ * @param {Object} location - Position {latitude, longitude, elevation, locationName}
+ * @returns {Object} Position normalisée
+ * @throws {Error} Si les coordonnées sont invalides
+ */
+function validateLocation(location) {
+    const latitude = parseFloat(location.latitude);
+    const longitude = parseFloat(location.longitude);
+    const elevation = parseFloat(location.elevation);
+
+    if (isNaN(latitude) || latitude < -90 || latitude > 90) {
+        throw new Error('La latitude doit être comprise entre -90° et +90°');
+    }
+
+    if (isNaN(longitude) || longitude < -180 || longitude > 180) {
+        throw new Error('La longitude doit être comprise entre -180° et +180°');
+    }
+
+    return {
+        latitude: latitude,
+        longitude: longitude,
+        elevation: isNaN(elevation) ? 0 : elevation,
+        locationName: location.locationName || formatCoordinates(latitude, longitude)
+    };
+}
+
+/**
+ * Applique une position à la configuration de l'observateur
+ *
+ * @param {Object} location - Position {latitude, longitude, elevation, locationName}
+ * @returns {Object} La configuration de l'observateur mise à jour
+ */
+function setObserverLocation(location) {
+    const validated = validateLocation(location);
+
+    OBSERVER_CONFIG.latitude = validated.latitude;
+    OBSERVER_CONFIG.longitude = validated.longitude;
+    OBSERVER_CONFIG.elevation = validated.elevation;
+    OBSERVER_CONFIG.locationName = validated.locationName;
+
+    return OBSERVER_CONFIG;
+}
+
+/**
+ * Recherche une ville de la liste intégrée par son nom
+ *
+ * @param {string} name - Nom de la ville (ex: "Lyon, France")
+ * @returns {Object|null} La ville trouvée ou null
+ */
+function findCity(name) {
+    return CITY_LIST.find(city => city.name === name) || null;
+}
+
+/**
+ * Formate une latitude pour l'affichage
+ * @param {number} latitude - Latitude en degrés
+ * @returns {string} Ex: "45.7578° N"
+ */
+function formatLatitude(latitude) {
+    return `${Math.abs(latitude).toFixed(4)}° ${latitude >= 0 ? 'N' : 'S'}`;
+}
+
+/**
+ * Formate une longitude pour l'affichage
+ * @param {number} longitude - Longitude en degrés (Est positif)
+ * @returns {string} Ex: "4.8320° E"
+ */
+function formatLongitude(longitude) {
+    return `${Math.abs(longitude).toFixed(4)}° ${longitude >= 0 ? 'E' : 'O'}`;
+}
+
+/**
+ * Formate un couple de coordonnées pour l'affichage
+ * @param {number} latitude - Latitude en degrés
+ * @param {number} longitude - Longitude en degrés
+ * @returns {string} Ex: "45.7578° N, 4.8320° E"
+ */
+function formatCoordinates(latitude, longitude) {
+    return `${formatLatitude(latitude)}, ${formatLongitude(longitude)}`;
+}
+
+/**
+ * Sauvegarde la position courante dans le localStorage
+ */
+function saveLocation() {
+    try {
+        localStorage.setItem(LOCATION_STORAGE_KEY, JSON.stringify({
+            latitude: OBSERVER_CONFIG.latitude,
+            longitude: OBSERVER_CONFIG.longitude,
+            elevation: OBSERVER_CONFIG.elevation,
+            locationName: OBSERVER_CONFIG.locationName
+        }));
+    } catch (error) {
+        console.warn('Impossible de sauvegarder la position:', error);
+    }
+}
+
+/**
+ * Restaure la position sauvegardée dans le localStorage (si elle existe)
+ *
+ * @returns {boolean} true si une position a été restaurée
+ */
+function loadSavedLocation() {
+    try {
+        const saved = localStorage.getItem(LOCATION_STORAGE_KEY);
+        if (!saved) {
+            return false;
+        }
+        setObserverLocation(JSON.parse(saved));
+        return true;
+    } catch (error) {
+        console.warn('Position sauvegardée invalide, utilisation de la position par défaut:', error);
+        return false;
+    }
+}
+
+/**
+ * Demande la position de l'utilisateur via l'API de géolocalisation
+ *
+ * @returns {Promise<Object>} Promesse résolvant vers une position {latitude, longitude, elevation, locationName}
+ */
+function requestGeolocation() {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error('La géolocalisation n\'est pas disponible sur ce navigateur'));
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                resolve({
+                    latitude: position.coords.latitude,
+                    longitude: position.coords.longitude,
+                    elevation: position.coords.altitude || 0,
+                    locationName: 'Ma position'
+                });
+            },
+            (error) => {
+                reject(new Error(`Géolocalisation refusée ou impossible: ${error.message}`));
+            },
+            { enableHighAccuracy: false, timeout: 15000, maximumAge: 600000 }
+        );
+    });
+}
+
+/**
+ * Contrôleur de l'interface de choix de la position
+ *
+ * Relie les éléments du DOM (s'ils existent dans la page) :
+ * - #citySelect, #latitudeInput, #longitudeInput, #elevationInput
+ * - #applyLocationBtn, #geolocateBtn, #locationStatus
+ * - Tout élément portant les classes .location-name, .location-latitude,
+ *   .location-longitude, .location-elevation ou .location-coords
+ */
+class LocationController {
+    /**
+     * Crée le contrôleur de position
+     * @param {Function} onLocationChange - Callback appelé après un changement de position
+     */
+    constructor(onLocationChange) {
+        this.onLocationChange = onLocationChange;
+
+        this.citySelect = document.getElementById('citySelect');
+        this.latitudeInput = document.getElementById('latitudeInput');
+        this.longitudeInput = document.getElementById('longitudeInput');
+        this.elevationInput = document.getElementById('elevationInput');
+        this.applyButton = document.getElementById('applyLocationBtn');
+        this.geolocateButton = document.getElementById('geolocateBtn');
+        this.statusElement = document.getElementById('locationStatus');
+
+        this.populateCitySelect();
+        this.initEventListeners();
+        this.updateDisplay();
+    }
+
+    /**
+     * Remplit la liste déroulante des villes
+     */
+    populateCitySelect() {
+        if (!this.citySelect) return;
+
+        const customOption = document.createElement('option');
+        customOption.value = '';
+        customOption.textContent = 'Coordonnées personnalisées';
+        this.citySelect.appendChild(customOption);
+
+        for (const city of CITY_LIST) {
+            const option = document.createElement('option');
+            option.value = city.name;
+            option.textContent = city.name;
+            this.citySelect.appendChild(option);
+        }
+    }
+
+    /**
+     * Initialise les écouteurs d'événements
+     */
+    initEventListeners() {
+        if (this.citySelect) {
+            this.citySelect.addEventListener('change', () => {
+                const city = findCity(this.citySelect.value);
+                if (city) {
+                    this.applyLocation({ ...city, locationName: city.name });
+                }
+            });
+        }
+
+        if (this.applyButton) {
+            this.applyButton.addEventListener('click', () => {
+                this.applyLocation({
+                    latitude: this.latitudeInput.value,
+                    longitude: this.longitudeInput.value,
+                    elevation: this.elevationInput ? this.elevationInput.value : 0
+                });
+            });
+        }
+
+        if (this.geolocateButton) {
+            this.geolocateButton.addEventListener('click', () => this.handleGeolocation());
+        }
+
+        // Synchronisation avec l'autre mode d'affichage (autre onglet ou iframe)
+        window.addEventListener('storage', (event) => {
+            if (event.key === LOCATION_STORAGE_KEY && loadSavedLocation()) {
+                this.updateDisplay();
+                this.notifyChange();
+            }
+        });
+    }
+
+    /**
+     * Applique une nouvelle position et prévient l'application
+     * @param {Object} location - Position à appliquer
+     */
+    applyLocation(location) {
+        try {
+            setObserverLocation(location);
+            saveLocation();
+            this.showStatus('');
+            this.updateDisplay();
+            this.notifyChange();
+        } catch (error) {
+            this.showStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Gère la demande de géolocalisation
+     */
+    async handleGeolocation() {
+        this.showStatus('Localisation en cours...');
+
+        try {
+            const location = await requestGeolocation();
+            this.applyLocation(location);
+        } catch (error) {
+            this.showStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Affiche un message d'état sous le formulaire
+     * @param {string} message - Message à afficher (vide pour effacer)
+     * @param {boolean} isError - true pour un message d'erreur
+     */
+    showStatus(message, isError = false) {
+        if (!this.statusElement) return;
+        this.statusElement.textContent = message;
+        this.statusElement.classList.toggle('error', isError);
+    }
+
+    /**
+     * Met à jour tous les affichages de la position dans la page
+     */
+    updateDisplay() {
+        const displays = {
+            '.location-name': OBSERVER_CONFIG.locationName,
+            '.location-latitude': formatLatitude(OBSERVER_CONFIG.latitude),
+            '.location-longitude': formatLongitude(OBSERVER_CONFIG.longitude),
+            '.location-elevation': `${Math.round(OBSERVER_CONFIG.elevation)} m`,
+            '.location-coords': formatCoordinates(OBSERVER_CONFIG.latitude, OBSERVER_CONFIG.longitude)
+        };
+
+        for (const [selector, text] of Object.entries(displays)) {
+            document.querySelectorAll(selector).forEach(element => {
+                element.textContent = text;
+            });
+        }
+
+        // Synchroniser le formulaire avec la position courante
+        if (this.latitudeInput) this.latitudeInput.value = OBSERVER_CONFIG.latitude.toFixed(4);
+        if (this.longitudeInput) this.longitudeInput.value = OBSERVER_CONFIG.longitude.toFixed(4);
+        if (this.elevationInput) this.elevationInput.value = Math.round(OBSERVER_CONFIG.elevation);
+        if (this.citySelect) {
+            const city = findCity(OBSERVER_CONFIG.locationName);
+            this.citySelect.value = city ? city.name : '';
+        }
+    }
+
+    /**
+     * Prévient l'application du changement de position
+     */
+    notifyChange() {
+        if (this.onLocationChange) {
+            this.onLocationChange(OBSERVER_CONFIG);
+        }
+    }
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.ObserverLocation = {
+    CITY_LIST,
+    validateLocation,
+    setObserverLocation,
+    findCity,
+    formatLatitude,
+    formatLongitude,
+    formatCoordinates,
+    saveLocation,
+    loadSavedLocation,
+    requestGeolocation,
+    LocationController
+};
@@ -0,0 +1,351 @@
+/**
+ * ==========================================================================
+ * Object-details.js - Identification d'un objet cliqué sur la carte
+ * ==========================================================================
+ *
+ * Ce module retrouve l'objet le plus proche d'un clic (ou d'un toucher)
+ * parmi les objets dessinés, puis affiche sa fiche : nom, désignations,
+ * constellation, magnitude, type spectral, distance, position actuelle
+ * (hauteur, azimut, ascension droite et déclinaison) et heures de lever,
+ * de passage et de coucher.
+ *
+ * La sélection s'appuie sur les positions écran enregistrées pendant le
+ * rendu : elle utilise donc exactement la projection de la vue (caméra
+ * POV ou projection azimutale du télescope).
+ */
+
+// Réglages de la sélection au clic
+const OBJECT_PICK_CONFIG = {
+    tolerance: 12,     // Distance max (pixels) entre le clic et le bord de l'objet
+    markerGap: 5       // Écart entre l'objet et le cercle de sélection (pixels)
+};
+
+// Un parsec en années-lumière
+const PARSEC_IN_LIGHT_YEARS = 3.26156;
+
+// Nature des objets affichée sous le nom
+const OBJECT_KIND_LABELS = {
+    star: 'Étoile',
+    planet: 'Planète',
+    moon: 'Satellite naturel de la Terre',
+    sun: 'Étoile du système solaire'
+};
+
+/**
+ * Retrouve l'objet dessiné le plus proche d'un point de l'écran
+ *
+ * La distance est mesurée jusqu'au bord de l'objet (nulle à l'intérieur
+ * de son disque). À égalité, l'objet dessiné en dernier, donc au premier
+ * plan, l'emporte.
+ *
+ * @param {Array} objects - Objets dessinés {type, object, x, y, radius}, dans l'ordre du rendu
+ * @param {number} x - Position X du clic sur le canvas
+ * @param {number} y - Position Y du clic sur le canvas
+ * @param {number} tolerance - Distance maximale en pixels
+ * @returns {Object|null} Objet le plus proche, null si aucun n'est assez près
+ */
+function pickNearestObject(objects, x, y, tolerance = OBJECT_PICK_CONFIG.tolerance) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const candidate of objects) {
+        const distance = Math.max(0, Math.hypot(candidate.x - x, candidate.y - y) - candidate.radius);
+        if (distance <= tolerance && distance <= nearestDistance) {
+            nearest = candidate;
+            nearestDistance = distance;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Retrouve l'entrée de PLANETS d'une planète
+ *
+ * @param {string} id - Identifiant de la planète (ex : "jupiter")
+ * @returns {Object|null} Entrée de PLANETS
+ */
+function findPlanet(id) {
+    return Planets.PLANETS.find(planet => planet.id === id) || null;
+}
+
+/**
+ * Calcule la position actuelle d'un objet
+ *
+ * @param {string} type - Type d'objet ('star', 'planet', 'moon' ou 'sun')
+ * @param {Object} object - Étoile du catalogue ou planète {id}
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Object} {ra, dec (vrais de la date, degrés), altitude, azimut, ...}
+ */
+function calculateObjectPosition(type, object, date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    switch (type) {
+        case 'star': {
+            const star = calculateStarPositions([object], date, observer, refraction)[0];
+            return {
+                ra: star.raOfDate,
+                dec: star.decOfDate,
+                altitude: star.altitude,
+                azimut: star.azimut,
+                magnitude: star.mag
+            };
+        }
+        case 'planet':
+            return calculatePlanetPosition(findPlanet(object.id), date, observer, refraction);
+        case 'moon':
+            return calculateMoonPosition(date, observer, refraction);
+        case 'sun':
+            return calculateSunPosition(date, observer, refraction);
+        default:
+            throw new Error(`Type d'objet inconnu : ${type}`);
+    }
+}
+
+/**
+ * Calcule les heures de lever, de passage au méridien et de coucher d'un objet
+ *
+ * @param {string} type - Type d'objet ('star', 'planet', 'moon' ou 'sun')
+ * @param {Object} object - Étoile du catalogue ou planète {id}
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @returns {Object} Résultat de calculateRiseTransitSet
+ */
+function calculateObjectRiseTransitSet(type, object, date, observer = OBSERVER_CONFIG) {
+    switch (type) {
+        case 'star':
+            return calculateStarRiseTransitSet(object, date, observer);
+        case 'planet':
+            return calculatePlanetRiseTransitSet(findPlanet(object.id), date, observer);
+        case 'moon':
+            return calculateMoonRiseTransitSet(date, observer);
+        case 'sun':
+            return calculateSunRiseTransitSet(date, observer);
+        default:
+            throw new Error(`Type d'objet inconnu : ${type}`);
+    }
+}
+
+/**
+ * Nom affiché d'un objet
+ *
+ * @param {string} type - Type d'objet
+ * @param {Object} object - Étoile du catalogue ou planète
+ * @returns {string} Ex : "Vega", "α Cen", "Jupiter", "Lune"
+ */
+function getObjectName(type, object) {
+    switch (type) {
+        case 'star':
+            return object.name || formatStarDesignation(object) || `Étoile ${object.id}`;
+        case 'moon':
+            return 'Lune';
+        case 'sun':
+            return 'Soleil';
+        default:
+            return object.name;
+    }
+}
+
+/**
+ * Formate la distance d'un objet
+ *
+ * @param {string} type - Type d'objet
+ * @param {Object} object - Étoile du catalogue ou planète
+ * @param {Object} position - Position calculée (distance en UA, ou en km pour la Lune)
+ * @returns {string} Ex : "7.7 pc (25.0 al)", "4.213 UA", "384 400 km"
+ */
+function formatObjectDistance(type, object, position) {
+    switch (type) {
+        case 'star': {
+            const distance = object.distance;
+            if (!(distance > 0 && distance < UNKNOWN_DISTANCE_PC)) {
+                return 'Inconnue';
+            }
+            return `${distance.toFixed(1)} pc (${(distance * PARSEC_IN_LIGHT_YEARS).toFixed(1)} al)`;
+        }
+        case 'moon':
+            return `${Math.round(position.distance).toLocaleString('fr-FR')} km`;
+        default:
+            return `${position.distance.toFixed(3)} UA`;
+    }
+}
+
+/**
+ * Prépare la fiche d'un objet (hors lever et coucher)
+ *
+ * @param {string} type - Type d'objet ('star', 'planet', 'moon' ou 'sun')
+ * @param {Object} object - Étoile du catalogue ou planète
+ * @param {Object} position - Résultat de calculateObjectPosition
+ * @param {Date} date - Date d'observation
+ * @returns {Object} {title, kind, rows} avec rows : lignes [libellé, valeur]
+ */
+function describeObject(type, object, position, date) {
+    const rows = [];
+
+    if (type === 'star') {
+        const designations = listStarDesignations(object);
+        if (designations.length > 0) {
+            rows.push(['Désignations', designations.join(', ')]);
+        }
+    }
+
+    // Constellation du catalogue, ou d'après les limites officielles
+    const constellation = (type === 'star' && object.constellation)
+        || findConstellation(position.ra, position.dec, date);
+    if (constellation) {
+        rows.push(['Constellation', getConstellationName(constellation)]);
+    }
+
+    if (position.magnitude !== undefined) {
+        rows.push(['Magnitude', position.magnitude.toFixed(2)]);
+    }
+    if (type === 'star') {
+        rows.push(['Type spectral', object.spectralType || 'Inconnu']);
+    }
+    if (type === 'moon') {
+        rows.push(['Phase', `${position.phaseName.icon} ${position.phaseName.label} (${Math.round(position.illuminatedFraction * 100)} %)`]);
+    } else if (type === 'planet') {
+        rows.push(['Phase', `${Math.round(position.illuminatedFraction * 100)} % éclairée`]);
+    }
+    rows.push(['Distance', formatObjectDistance(type, object, position)]);
+
+    // Position actuelle : horizontale, puis équatoriale (J2000.0 et vraie de la date)
+    const j2000 = type === 'star'
+        ? { ra: object.ra * 15, dec: object.dec }
+        : dateToJ2000(position.ra, position.dec, date);
+    rows.push(['Hauteur', `${position.altitude.toFixed(1)}°`]);
+    rows.push(['Azimut', `${position.azimut.toFixed(1)}°`]);
+    rows.push(['AD / Déc. J2000', `${formatRightAscension(j2000.ra)}, ${formatDeclination(j2000.dec)}`]);
+    rows.push(['AD / Déc. de la date', `${formatRightAscension(position.ra)}, ${formatDeclination(position.dec)}`]);
+
+    return {
+        title: getObjectName(type, object),
+        kind: OBJECT_KIND_LABELS[type],
+        rows
+    };
+}
+
+/**
+ * Classe gérant le panneau de détails de l'objet sélectionné
+ */
+class ObjectDetailsController {
+    /**
+     * Crée le contrôleur du panneau de détails
+     * @param {Function} onSelectionChange - Callback appelé quand la sélection change (re-rendu du marqueur)
+     */
+    constructor(onSelectionChange) {
+        this.onSelectionChange = onSelectionChange;
+
+        this.panel = document.getElementById('objectDetails');
+        this.titleElement = document.getElementById('objectDetailsTitle');
+        this.kindElement = document.getElementById('objectDetailsKind');
+        this.infoElement = document.getElementById('objectDetailsInfo');
+        this.eventsElement = document.getElementById('objectDetailsEvents');
+        this.closeButton = document.getElementById('objectDetailsClose');
+
+        this.selection = null;  // Objet sélectionné {type, object}
+        this.cacheKey = null;
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialise les écouteurs d'événements
+     */
+    initEventListeners() {
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => this.clear());
+        }
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.clear();
+        });
+    }
+
+    /**
+     * Sélectionne un objet et ouvre sa fiche
+     * @param {string} type - Type d'objet ('star', 'planet', 'moon' ou 'sun')
+     * @param {Object} object - Étoile du catalogue ou planète
+     * @param {Date} date - Date d'observation
+     */
+    select(type, object, date) {
+        this.selection = { type, object };
+        this.cacheKey = null;
+        if (this.panel) this.panel.hidden = false;
+
+        this.update(date);
+        this.notifySelectionChange();
+    }
+
+    /**
+     * Désélectionne l'objet et ferme la fiche
+     */
+    clear() {
+        if (!this.selection) return;
+
+        this.selection = null;
+        if (this.panel) this.panel.hidden = true;
+        this.notifySelectionChange();
+    }
+
+    /**
+     * Indique si un objet dessiné est l'objet sélectionné
+     * @param {string} type - Type d'objet
+     * @param {Object} object - Étoile ou planète (la Lune et le Soleil n'ont pas d'identifiant)
+     * @returns {boolean} true si l'objet est sélectionné
+     */
+    isSelected(type, object) {
+        return this.selection !== null
+            && this.selection.type === type
+            && this.selection.object.id === object.id;
+    }
+
+    /**
+     * Met à jour la fiche pour une date d'observation. Les événements ne
+     * sont recalculés que si la nuit, la position ou la réfraction ont changé.
+     * @param {Date} date - Date d'observation
+     */
+    update(date) {
+        if (!this.selection || !this.infoElement) return;
+
+        const { type, object } = this.selection;
+        const position = calculateObjectPosition(type, object, date);
+        const details = describeObject(type, object, position, date);
+
+        if (this.titleElement) this.titleElement.textContent = details.title;
+        if (this.kindElement) this.kindElement.textContent = details.kind;
+        renderInfoRows(this.infoElement, details.rows);
+
+        if (!this.eventsElement) return;
+
+        const nightStart = getObservingNightStart(date, OBSERVER_CONFIG.longitude).getTime();
+        const cacheKey = [
+            type, object.id, nightStart, OBSERVER_CONFIG.latitude, OBSERVER_CONFIG.longitude,
+            REFRACTION_CONFIG.enabled, REFRACTION_CONFIG.temperature, REFRACTION_CONFIG.pressure
+        ].join('|');
+        if (cacheKey === this.cacheKey) return;
+
+        this.cacheKey = cacheKey;
+        const events = calculateObjectRiseTransitSet(type, object, date);
+        renderInfoRows(this.eventsElement, formatRiseTransitSetRows(events));
+    }
+
+    /**
+     * Signale le changement de sélection
+     */
+    notifySelectionChange() {
+        if (this.onSelectionChange) {
+            this.onSelectionChange();
+        }
+    }
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.ObjectDetails = {
+    OBJECT_PICK_CONFIG,
+    pickNearestObject,
+    calculateObjectPosition,
+    calculateObjectRiseTransitSet,
+    getObjectName,
+    formatObjectDistance,
+    describeObject,
+    ObjectDetailsController
+};
@@ -0,0 +1,273 @@
+/**
+ * ==========================================================================
+ * Object-info.js - Panneau d'informations sur un objet céleste
+ * ==========================================================================
+ *
+ * Ce module affiche, pour l'objet choisi (Soleil, Lune, planète ou étoile
+ * nommée), les heures de lever, de passage au méridien et de coucher sur
+ * la nuit d'observation (de midi à midi), ainsi que sa hauteur maximale.
+ *
+ * Une hauteur minimale réglable (arbres, bâtiments) remplace l'horizon
+ * mathématique pour préparer les listes d'observation.
+ */
+
+// Hauteur minimale par défaut (horizon dégagé, degrés)
+const OBJECT_INFO_DEFAULT_MIN_ALTITUDE = 0;
+
+/**
+ * Formate l'heure d'un événement (jour abrégé + heure locale)
+ *
+ * @param {Date} date - Instant de l'événement
+ * @returns {string} Ex : "sam. 22, 05:33"
+ */
+function formatEventTime(date) {
+    const day = date.toLocaleDateString('fr-FR', { weekday: 'short', day: 'numeric' });
+    const time = date.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+    return `${day}, ${time}`;
+}
+
+/**
+ * Met en forme les événements d'une nuit (lignes libellé / valeur)
+ *
+ * @param {Object} events - Résultat de calculateRiseTransitSet
+ * @param {number} minAltitude - Hauteur minimale utilisée (degrés)
+ * @returns {Array} Lignes [libellé, valeur], dans l'ordre chronologique
+ */
+function formatRiseTransitSetRows(events, minAltitude = 0) {
+    const horizon = minAltitude === 0 ? "l'horizon" : `${minAltitude}°`;
+    const rows = [];
+
+    if (events.circumpolar) {
+        rows.push(['Visibilité', `Toujours au-dessus de ${horizon}`]);
+    } else if (events.neverRises) {
+        rows.push(['Visibilité', `Ne dépasse pas ${horizon} cette nuit`]);
+    }
+
+    // Événements de la nuit, dans l'ordre chronologique
+    const timedEvents = [
+        { label: 'Lever', date: events.rise },
+        { label: 'Passage au méridien', date: events.transit, altitude: events.transitAltitude },
+        { label: 'Coucher', date: events.set }
+    ].filter(event => event.date).sort((a, b) => a.date - b.date);
+
+    for (const event of timedEvents) {
+        const altitude = event.altitude !== undefined ? ` (${event.altitude.toFixed(1)}°)` : '';
+        rows.push([event.label, formatEventTime(event.date) + altitude]);
+    }
+    rows.push(['Hauteur max.', `${events.maxAltitude.toFixed(1)}°`]);
+
+    return rows;
+}
+
+/**
+ * Affiche des lignes "libellé : valeur" dans un élément du panneau
+ *
+ * @param {HTMLElement} element - Conteneur des lignes
+ * @param {Array} rows - Lignes [libellé, valeur]
+ */
+function renderInfoRows(element, rows) {
+    element.innerHTML = '';
+    for (const [label, value] of rows) {
+        const line = document.createElement('p');
+        const strong = document.createElement('strong');
+        strong.textContent = `${label} : `;
+        line.appendChild(strong);
+        line.appendChild(document.createTextNode(value));
+        element.appendChild(line);
+    }
+}
+
+/**
+ * Construit la liste des objets du système solaire
+ *
+ * @returns {Array} Objets {id, name, riseTransitSet(date, observer, options)}
+ */
+function buildSolarSystemTargets() {
+    const targets = [
+        { id: 'sun', name: 'Soleil', riseTransitSet: calculateSunRiseTransitSet },
+        { id: 'moon', name: 'Lune', riseTransitSet: calculateMoonRiseTransitSet }
+    ];
+
+    for (const planet of Planets.PLANETS) {
+        targets.push({
+            id: planet.id,
+            name: planet.name,
+            riseTransitSet: (date, observer, options) => calculatePlanetRiseTransitSet(planet, date, observer, options)
+        });
+    }
+    return targets;
+}
+
+/**
+ * Construit la liste des étoiles nommées, triées par nom
+ *
+ * @param {Array} stars - Étoiles du catalogue
+ * @returns {Array} Objets {id, name, riseTransitSet(date, observer, options)}
+ */
+function buildStarTargets(stars) {
+    return stars
+        .filter(star => star.name)
+        .sort((a, b) => a.name.localeCompare(b.name, 'fr'))
+        .map(star => ({
+            id: `star-${star.id}`,
+            name: star.name,
+            riseTransitSet: (date, observer, options) => calculateStarRiseTransitSet(star, date, observer, options)
+        }));
+}
+
+/**
+ * Classe gérant le panneau d'informations sur un objet
+ */
+class ObjectInfoController {
+    /**
+     * Crée le contrôleur du panneau d'informations
+     */
+    constructor() {
+        this.objectSelect = document.getElementById('objectSelect');
+        this.minAltitudeInput = document.getElementById('objectMinAltitude');
+        this.infoElement = document.getElementById('objectInfo');
+
+        this.solarSystemTargets = buildSolarSystemTargets();
+        this.starTargets = [];
+        this.selectedId = 'moon';
+        this.date = null;
+        this.cacheKey = null;
+
+        this.populateSelect();
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialise les écouteurs d'événements
+     */
+    initEventListeners() {
+        if (this.objectSelect) {
+            this.objectSelect.addEventListener('change', () => this.selectObject(this.objectSelect.value));
+        }
+        if (this.minAltitudeInput) {
+            this.minAltitudeInput.value = OBJECT_INFO_DEFAULT_MIN_ALTITUDE;
+            this.minAltitudeInput.addEventListener('change', () => this.refresh());
+        }
+    }
+
+    /**
+     * Ajoute les étoiles nommées du catalogue à la liste des objets
+     * @param {Array} stars - Étoiles chargées
+     */
+    setStars(stars) {
+        this.starTargets = buildStarTargets(stars);
+        this.populateSelect();
+    }
+
+    /**
+     * Remplit la liste déroulante (système solaire puis étoiles)
+     */
+    populateSelect() {
+        if (!this.objectSelect) return;
+
+        this.objectSelect.innerHTML = '';
+        const groups = [
+            { label: 'Système solaire', targets: this.solarSystemTargets },
+            { label: 'Étoiles', targets: this.starTargets }
+        ];
+
+        for (const group of groups) {
+            if (group.targets.length === 0) continue;
+
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            for (const target of group.targets) {
+                const option = document.createElement('option');
+                option.value = target.id;
+                option.textContent = target.name;
+                optgroup.appendChild(option);
+            }
+            this.objectSelect.appendChild(optgroup);
+        }
+        this.objectSelect.value = this.selectedId;
+    }
+
+    /**
+     * Recherche un objet par identifiant
+     * @param {string} id - Identifiant de l'objet
+     * @returns {Object|null} Objet trouvé
+     */
+    findTarget(id) {
+        return this.solarSystemTargets.find(target => target.id === id)
+            || this.starTargets.find(target => target.id === id)
+            || null;
+    }
+
+    /**
+     * Sélectionne l'objet affiché
+     * @param {string} id - Identifiant de l'objet
+     */
+    selectObject(id) {
+        if (!this.findTarget(id)) return;
+
+        this.selectedId = id;
+        if (this.objectSelect) this.objectSelect.value = id;
+        this.refresh();
+    }
+
+    /**
+     * Lit la hauteur minimale saisie (0 si invalide)
+     * @returns {number} Hauteur minimale en degrés
+     */
+    getMinAltitude() {
+        const value = this.minAltitudeInput ? parseFloat(this.minAltitudeInput.value) : NaN;
+        return isNaN(value) ? OBJECT_INFO_DEFAULT_MIN_ALTITUDE : Math.max(-5, Math.min(89, value));
+    }
+
+    /**
+     * Met à jour le panneau pour une date d'observation.
+     * Les événements ne sont recalculés que si la nuit, la position,
+     * l'objet ou les réglages ont changé.
+     * @param {Date} date - Date d'observation
+     */
+    update(date) {
+        this.date = date;
+
+        const target = this.findTarget(this.selectedId);
+        if (!target || !this.infoElement) return;
+
+        const minAltitude = this.getMinAltitude();
+        const nightStart = getObservingNightStart(date, OBSERVER_CONFIG.longitude).getTime();
+        const cacheKey = [
+            target.id, nightStart, OBSERVER_CONFIG.latitude, OBSERVER_CONFIG.longitude, minAltitude,
+            REFRACTION_CONFIG.enabled, REFRACTION_CONFIG.temperature, REFRACTION_CONFIG.pressure
+        ].join('|');
+        if (cacheKey === this.cacheKey) return;
+
+        this.cacheKey = cacheKey;
+        const events = target.riseTransitSet(date, OBSERVER_CONFIG, { altitude: minAltitude });
+        this.renderEvents(events, minAltitude);
+    }
+
+    /**
+     * Force le recalcul pour la date courante
+     */
+    refresh() {
+        this.cacheKey = null;
+        if (this.date) this.update(this.date);
+    }
+
+    /**
+     * Affiche les événements calculés
+     * @param {Object} events - Résultat de calculateRiseTransitSet
+     * @param {number} minAltitude - Hauteur minimale utilisée (degrés)
+     */
+    renderEvents(events, minAltitude) {
+        renderInfoRows(this.infoElement, formatRiseTransitSetRows(events, minAltitude));
+    }
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.ObjectInfo = {
+    formatEventTime,
+    formatRiseTransitSetRows,
+    renderInfoRows,
+    buildSolarSystemTargets,
+    buildStarTargets,
+    ObjectInfoController
+};
@@ -0,0 +1,347 @@
+/**
+ * ==========================================================================
+ * Object-search.js - Recherche d'objets par nom ou désignation
+ * ==========================================================================
+ *
+ * Ce module indexe les étoiles du catalogue (nom propre, lettre de Bayer,
+ * numéro de Flamsteed, numéros HIP et HD), les objets du système solaire
+ * et les 88 constellations, puis retrouve les objets correspondant à une
+ * saisie :
+ * - Sans tenir compte des accents ni de la casse ("vega", "Véga")
+ * - Lettres grecques en symbole, en abréviation ou en toutes lettres
+ *   ("α Lyr", "Alp Lyr", "alpha Lyr")
+ * - Avec une tolérance aux fautes de frappe ("Betelgeus", "Aldebran")
+ *
+ * La vue se charge ensuite d'amener l'objet choisi au centre de l'écran.
+ */
+
+// Réglages de la recherche
+const SEARCH_CONFIG = {
+    maxResults: 8,         // Nombre maximal de résultats proposés
+    minFuzzyLength: 3,     // Longueur minimale de la saisie pour tolérer des fautes
+    telescopeZoom: 3       // Zoom minimal du télescope pour centrer un objet trouvé
+};
+
+// Noms des lettres grecques → abréviations du catalogue HYG
+const GREEK_LETTER_NAMES = {
+    alpha: 'alp', beta: 'bet', gamma: 'gam', delta: 'del', epsilon: 'eps', zeta: 'zet',
+    eta: 'eta', theta: 'the', iota: 'iot', kappa: 'kap', lambda: 'lam', mu: 'mu',
+    nu: 'nu', xi: 'xi', omicron: 'omi', pi: 'pi', rho: 'rho', sigma: 'sig',
+    tau: 'tau', upsilon: 'ups', phi: 'phi', chi: 'chi', psi: 'psi', omega: 'ome'
+};
+
+// Symboles grecs → abréviations (α → alp), d'après les lettres des étiquettes
+const GREEK_SYMBOL_ABBREVIATIONS = Object.fromEntries(
+    Object.entries(GREEK_LETTERS).map(([abbreviation, symbol]) => [symbol, abbreviation.toLowerCase()])
+);
+
+// Chiffres en exposant → chiffres (α¹ → alp 1)
+const SUPERSCRIPT_VALUES = Object.fromEntries(SUPERSCRIPT_DIGITS.map((digit, value) => [digit, String(value)]));
+
+/**
+ * Normalise un texte pour la comparaison : minuscules sans accents,
+ * lettres grecques abrégées, lettres et chiffres séparés par des espaces
+ *
+ * @param {string} text - Texte saisi ou désignation
+ * @returns {string} Ex : "α¹ Lyr" → "alp 1 lyr", "HIP91262" → "hip 91262"
+ */
+function normalizeSearchText(text) {
+    const replaced = Array.from(String(text))
+        .map(char => GREEK_SYMBOL_ABBREVIATIONS[char] ? ` ${GREEK_SYMBOL_ABBREVIATIONS[char]} `
+                   : SUPERSCRIPT_VALUES[char] ? ` ${SUPERSCRIPT_VALUES[char]}` : char)
+        .join('');
+
+    return replaced
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/([a-z])(\d)/g, '$1 $2')
+        .replace(/(\d)([a-z])/g, '$1 $2')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .map(word => GREEK_LETTER_NAMES[word] || word)
+        .join(' ');
+}
+
+/**
+ * Construit l'index de recherche
+ *
+ * @param {Array} stars - Étoiles du catalogue
+ * @returns {Array} Entrées {type, object, label, detail, magnitude, keys}
+ */
+function buildSearchIndex(stars) {
+    const entries = [];
+
+    const addEntry = (type, object, label, detail, magnitude, names) => {
+        const keys = [...new Set(names.filter(Boolean).map(normalizeSearchText))].filter(Boolean);
+        entries.push({ type, object, label, detail, magnitude, keys });
+    };
+
+    addEntry('sun', {}, 'Soleil', 'Système solaire', -26.7, ['Soleil', 'Sun']);
+    addEntry('moon', {}, 'Lune', 'Système solaire', -12.7, ['Lune', 'Moon']);
+    for (const planet of Planets.PLANETS) {
+        addEntry('planet', planet, planet.name, 'Planète', -5, [planet.name, planet.id]);
+    }
+
+    // Constellations avant les étoiles à pertinence égale ("Lyr" : la Lyre, puis α Lyr...)
+    for (const [id, names] of Object.entries(CONSTELLATION_NAMES)) {
+        addEntry('constellation', { id, ...names }, getConstellationName(id), 'Constellation', -30,
+                 [id, names.latin, names.french]);
+    }
+
+    for (const star of stars) {
+        const designations = listStarDesignations(star);
+        if (!star.name && designations.length === 0) continue;
+
+        // Désignations sous leur forme catalogue (Alp-1 Lyr) et affichée (α¹ Lyr)
+        const catalogNames = star.bayer && star.constellation ? [`${star.bayer} ${star.constellation}`] : [];
+        const label = star.name || designations[0];
+        const others = designations.filter(designation => designation !== label);
+        const detail = [...others.slice(0, 2), `mag ${star.mag.toFixed(1)}`].join(' · ');
+
+        addEntry('star', star, label, detail, star.mag, [star.name, ...designations, ...catalogNames]);
+    }
+
+    return entries;
+}
+
+/**
+ * Distance d'édition entre la saisie et le meilleur début d'une clé
+ * (une saisie incomplète n'est pas pénalisée)
+ *
+ * @param {string} query - Saisie normalisée
+ * @param {string} key - Clé normalisée
+ * @returns {number} Nombre minimal d'insertions, suppressions ou substitutions
+ */
+function prefixEditDistance(query, key) {
+    let previous = Array.from({ length: key.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= query.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= key.length; j++) {
+            const substitution = previous[j - 1] + (query[i - 1] === key[j - 1] ? 0 : 1);
+            current.push(Math.min(substitution, previous[j] + 1, current[j - 1] + 1));
+        }
+        previous = current;
+    }
+    return Math.min(...previous);
+}
+
+/**
+ * Note la correspondance entre une saisie et une clé (0 = identique)
+ *
+ * @param {string} query - Saisie normalisée
+ * @param {string} key - Clé normalisée
+ * @returns {number} Note (plus elle est basse, meilleure est la correspondance), Infinity si aucune
+ */
+function scoreSearchKey(query, key) {
+    if (key === query) return 0;
+    if (key.startsWith(query)) return 1;
+    if (key.includes(` ${query}`)) return 2;
+
+    // Fautes de frappe tolérées sur les noms (pas sur les numéros de catalogue)
+    if (query.length < SEARCH_CONFIG.minFuzzyLength || /\d/.test(query)) {
+        return Infinity;
+    }
+    const maxErrors = query.length < 6 ? 1 : 2;
+    const distance = prefixEditDistance(query, key);
+    return distance <= maxErrors ? 3 + distance : Infinity;
+}
+
+/**
+ * Recherche les objets correspondant à une saisie
+ *
+ * @param {Array} index - Index construit par buildSearchIndex
+ * @param {string} query - Texte saisi
+ * @param {number} limit - Nombre maximal de résultats
+ * @returns {Array} Entrées de l'index, des plus pertinentes aux moins pertinentes
+ *                  (à pertinence égale, les plus brillantes d'abord)
+ */
+function searchObjects(index, query, limit = SEARCH_CONFIG.maxResults) {
+    const normalized = normalizeSearchText(query);
+    if (!normalized) return [];
+
+    const matches = [];
+    for (const entry of index) {
+        const score = Math.min(...entry.keys.map(key => scoreSearchKey(normalized, key)));
+        if (score < Infinity) {
+            matches.push({ entry, score });
+        }
+    }
+
+    matches.sort((a, b) => a.score - b.score || a.entry.magnitude - b.entry.magnitude);
+    return matches.slice(0, limit).map(match => match.entry);
+}
+
+/**
+ * Calcule la position actuelle d'un résultat de recherche
+ *
+ * @param {Object} entry - Entrée de l'index
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Object} {azimut, altitude} (altitude apparente)
+ */
+function calculateSearchResultPosition(entry, date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    if (entry.type === 'constellation') {
+        // Point d'ancrage du nom (J2000.0) ramené à la date
+        const [ra, dec] = entry.object.labels[0];
+        const ofDate = j2000ToDate(ra * 15, dec, date);
+        return calculateHorizontalPosition(ofDate.ra, ofDate.dec, date, observer, refraction);
+    }
+    return calculateObjectPosition(entry.type, entry.object, date, observer, refraction);
+}
+
+/**
+ * Classe gérant le champ de recherche et la liste des résultats
+ */
+class SearchController {
+    /**
+     * Crée le contrôleur de recherche
+     * @param {Function} onSelect - Callback appelé avec l'entrée choisie
+     */
+    constructor(onSelect) {
+        this.onSelect = onSelect;
+
+        this.input = document.getElementById('searchInput');
+        this.resultsElement = document.getElementById('searchResults');
+        this.statusElement = document.getElementById('searchStatus');
+
+        this.index = [];
+        this.results = [];
+        this.activeIndex = -1;
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialise les écouteurs d'événements
+     */
+    initEventListeners() {
+        if (!this.input) return;
+
+        this.input.addEventListener('input', () => this.updateResults());
+        this.input.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        this.input.addEventListener('blur', () => this.hideResults());
+        this.input.addEventListener('focus', () => this.updateResults());
+    }
+
+    /**
+     * Définit les objets recherchables
+     * @param {Array} stars - Étoiles chargées
+     */
+    setStars(stars) {
+        this.index = buildSearchIndex(stars);
+    }
+
+    /**
+     * Met à jour la liste des résultats pour la saisie courante
+     */
+    updateResults() {
+        this.results = searchObjects(this.index, this.input.value);
+        this.activeIndex = this.results.length > 0 ? 0 : -1;
+        this.renderResults();
+    }
+
+    /**
+     * Gère la navigation au clavier dans les résultats
+     * @param {KeyboardEvent} event - Événement clavier
+     */
+    handleKeyDown(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (this.results.length === 0) return;
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            this.activeIndex = (this.activeIndex + step + this.results.length) % this.results.length;
+            this.renderResults();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            if (this.activeIndex >= 0) this.select(this.results[this.activeIndex]);
+        } else if (event.key === 'Escape') {
+            event.stopPropagation();
+            this.hideResults();
+            this.input.blur();
+        }
+    }
+
+    /**
+     * Affiche la liste des résultats
+     */
+    renderResults() {
+        if (!this.resultsElement) return;
+
+        this.resultsElement.innerHTML = '';
+        this.results.forEach((entry, i) => {
+            const item = document.createElement('li');
+            item.className = i === this.activeIndex ? 'active' : '';
+            item.setAttribute('role', 'option');
+
+            const label = document.createElement('span');
+            label.className = 'search-result-label';
+            label.textContent = entry.label;
+            const detail = document.createElement('span');
+            detail.className = 'search-result-detail';
+            detail.textContent = entry.detail;
+            item.appendChild(label);
+            item.appendChild(detail);
+
+            // mousedown plutôt que click : le champ ne doit pas perdre le focus avant la sélection
+            item.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                this.select(entry);
+            });
+            this.resultsElement.appendChild(item);
+        });
+
+        this.resultsElement.hidden = this.results.length === 0;
+        if (this.input.value.trim() && this.results.length === 0) {
+            this.showStatus('Aucun objet trouvé', true);
+        } else if (this.results.length > 0) {
+            this.showStatus('');
+        }
+    }
+
+    /**
+     * Masque la liste des résultats
+     */
+    hideResults() {
+        if (this.resultsElement) this.resultsElement.hidden = true;
+    }
+
+    /**
+     * Choisit un résultat
+     * @param {Object} entry - Entrée de l'index
+     */
+    select(entry) {
+        this.input.value = entry.label;
+        this.hideResults();
+        this.showStatus('');
+        if (this.onSelect) {
+            this.onSelect(entry);
+        }
+    }
+
+    /**
+     * Affiche un message d'état sous le champ de recherche
+     * @param {string} message - Message à afficher (vide pour effacer)
+     * @param {boolean} isError - true pour un avertissement
+     */
+    showStatus(message, isError = false) {
+        if (!this.statusElement) return;
+        this.statusElement.textContent = message;
+        this.statusElement.classList.toggle('error', isError);
+    }
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.ObjectSearch = {
+    SEARCH_CONFIG,
+    normalizeSearchText,
+    buildSearchIndex,
+    prefixEditDistance,
+    scoreSearchKey,
+    searchObjects,
+    calculateSearchResultPosition,
+    SearchController
+};
@@ -0,0 +1,322 @@
+/**
+ * ==========================================================================
+ * Planets.js - Éphémérides des planètes (Mercure à Neptune)
+ * ==========================================================================
+ *
+ * Ce module calcule pour chaque planète :
+ * - La position héliocentrique à partir des éléments képlériens approchés
+ *   du JPL (Standish, « Keplerian Elements for Approximate Positions of the
+ *   Major Planets », table valable de -3000 à +3000), avec les termes
+ *   correctifs de Jupiter à Neptune
+ * - La position géocentrique apparente (temps de lumière, précession, nutation)
+ * - La magnitude apparente, l'angle de phase et la fraction éclairée
+ * - Les heures de lever, de passage au méridien et de coucher
+ *
+ * La précision est de l'ordre de la minute d'arc, largement suffisante
+ * pour une carte du ciel.
+ */
+
+// Obliquité de l'écliptique J2000.0 (degrés)
+const J2000_OBLIQUITY = 23.43928;
+
+// Temps de lumière pour 1 unité astronomique (jours)
+const LIGHT_TIME_DAYS_PER_AU = 0.0057755183;
+
+// Éléments orbitaux à J2000.0 et leurs variations par siècle julien :
+// a (UA), e, I (°), L longitude moyenne (°), ϖ longitude du périhélie (°), Ω nœud ascendant (°)
+// Termes correctifs de l'anomalie moyenne (Jupiter à Neptune) : b, c, s, f
+const PLANET_ELEMENTS = {
+    mercury: {
+        a: [0.38709843, 0.00000000], e: [0.20563661, 0.00002123], I: [7.00559432, -0.00590158],
+        L: [252.25166724, 149472.67486623], varpi: [77.45771895, 0.15940013], node: [48.33961819, -0.12214182]
+    },
+    venus: {
+        a: [0.72332102, -0.00000026], e: [0.00676399, -0.00005107], I: [3.39777545, 0.00043494],
+        L: [181.97970850, 58517.81560260], varpi: [131.76755713, 0.05679648], node: [76.67261496, -0.27274174]
+    },
+    earth: {
+        a: [1.00000018, -0.00000003], e: [0.01673163, -0.00003661], I: [-0.00054346, -0.01337178],
+        L: [100.46691572, 35999.37306329], varpi: [102.93005885, 0.31795260], node: [-5.11260389, -0.24123856]
+    },
+    mars: {
+        a: [1.52371243, 0.00000097], e: [0.09336511, 0.00009149], I: [1.85181869, -0.00724757],
+        L: [-4.56813164, 19140.29934243], varpi: [-23.91744784, 0.45223625], node: [49.71320984, -0.26852431]
+    },
+    jupiter: {
+        a: [5.20248019, -0.00002864], e: [0.04853590, 0.00018026], I: [1.29861416, -0.00322699],
+        L: [34.33479152, 3034.90371757], varpi: [14.27495244, 0.18199196], node: [100.29282654, 0.13024619],
+        b: -0.00012452, c: 0.06064060, s: -0.35635438, f: 38.35125000
+    },
+    saturn: {
+        a: [9.54149883, -0.00003065], e: [0.05550825, -0.00032044], I: [2.49424102, 0.00451969],
+        L: [50.07571329, 1222.11494724], varpi: [92.86136063, 0.54179478], node: [113.63998702, -0.25015002],
+        b: 0.00025899, c: -0.13434469, s: 0.87320147, f: 38.35125000
+    },
+    uranus: {
+        a: [19.18797948, -0.00020455], e: [0.04685740, -0.00001550], I: [0.77298127, -0.00180155],
+        L: [314.20276625, 428.49512595], varpi: [172.43404441, 0.09266985], node: [73.96250215, 0.05739699],
+        b: 0.00058331, c: -0.97731848, s: 0.17689245, f: 7.67025000
+    },
+    neptune: {
+        a: [30.06952752, 0.00006447], e: [0.00895439, 0.00000818], I: [1.77005520, 0.00022400],
+        L: [304.22289287, 218.46515314], varpi: [46.68158724, 0.01009938], node: [131.78635853, -0.00606302],
+        b: -0.00041348, c: 0.68346318, s: -0.10162547, f: 7.67025000
+    }
+};
+
+// Planètes affichées (nom, couleur de rendu, magnitude absolue et coefficients
+// de phase de Meeus, Astronomical Algorithms, chap. 41)
+const PLANETS = [
+    { id: 'mercury', name: 'Mercure', color: '#c9b8a2', magnitude: [-0.42, 0.0380, -0.000273, 0.000002] },
+    { id: 'venus', name: 'Vénus', color: '#fff3c4', magnitude: [-4.40, 0.0009, 0.000239, -0.00000065] },
+    { id: 'mars', name: 'Mars', color: '#e2704a', magnitude: [-1.52, 0.016, 0, 0] },
+    { id: 'jupiter', name: 'Jupiter', color: '#ecd5ab', magnitude: [-9.40, 0.005, 0, 0] },
+    { id: 'saturn', name: 'Saturne', color: '#e6d29a', magnitude: [-8.88, 0, 0, 0] },
+    { id: 'uranus', name: 'Uranus', color: '#a7e1e8', magnitude: [-7.19, 0, 0, 0] },
+    { id: 'neptune', name: 'Neptune', color: '#7f9cf0', magnitude: [-6.87, 0, 0, 0] }
+];
+
+// Pôle des anneaux de Saturne dans le repère écliptique J2000.0 (Meeus, chap. 45)
+const SATURN_RING_INCLINATION = 28.075216;
+const SATURN_RING_NODE = 169.508470;
+
+/**
+ * Résout l'équation de Kepler E - e·sin(E) = M par la méthode de Newton
+ *
+ * @param {number} meanAnomaly - Anomalie moyenne M en radians
+ * @param {number} eccentricity - Excentricité e
+ * @returns {number} Anomalie excentrique E en radians
+ */
+function solveKepler(meanAnomaly, eccentricity) {
+    let E = meanAnomaly + eccentricity * Math.sin(meanAnomaly);
+
+    for (let i = 0; i < 10; i++) {
+        const delta = (E - eccentricity * Math.sin(E) - meanAnomaly) / (1 - eccentricity * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < 1e-12) break;
+    }
+    return E;
+}
+
+/**
+ * Calcule la position héliocentrique d'une planète
+ * (repère écliptique et équinoxe J2000.0)
+ *
+ * @param {string} planetId - Identifiant ('mercury', 'venus', 'earth', ... 'neptune')
+ * @param {number} jd - Jour Julien
+ * @returns {Object} {x, y, z} en unités astronomiques
+ */
+function calculatePlanetHeliocentric(planetId, jd) {
+    const elements = PLANET_ELEMENTS[planetId];
+    if (!elements) {
+        throw new Error(`Planète inconnue : ${planetId}`);
+    }
+
+    const T = julianCenturiesSinceJ2000(jd);
+    const value = ([base, rate]) => base + rate * T;
+
+    const a = value(elements.a);
+    const e = value(elements.e);
+    const I = degreesToRadians(value(elements.I));
+    const L = value(elements.L);
+    const varpi = value(elements.varpi);
+    const node = value(elements.node);
+
+    // Anomalie moyenne (avec termes correctifs pour les planètes géantes)
+    let M = L - varpi;
+    if (elements.f !== undefined) {
+        const fT = degreesToRadians(elements.f * T);
+        M += elements.b * T * T + elements.c * Math.cos(fT) + elements.s * Math.sin(fT);
+    }
+    M = normalizeAngle(M + 180) - 180;
+
+    const E = solveKepler(degreesToRadians(M), e);
+
+    // Position dans le plan de l'orbite
+    const xOrbit = a * (Math.cos(E) - e);
+    const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    // Rotation vers le repère écliptique (argument du périhélie ω, nœud Ω, inclinaison I)
+    const omega = degreesToRadians(varpi - node);
+    const nodeRad = degreesToRadians(node);
+    const cosO = Math.cos(omega), sinO = Math.sin(omega);
+    const cosN = Math.cos(nodeRad), sinN = Math.sin(nodeRad);
+    const cosI = Math.cos(I), sinI = Math.sin(I);
+
+    return {
+        x: (cosO * cosN - sinO * sinN * cosI) * xOrbit + (-sinO * cosN - cosO * sinN * cosI) * yOrbit,
+        y: (cosO * sinN + sinO * cosN * cosI) * xOrbit + (-sinO * sinN + cosO * cosN * cosI) * yOrbit,
+        z: (sinO * sinI) * xOrbit + (cosO * sinI) * yOrbit
+    };
+}
+
+/**
+ * Calcule la magnitude apparente d'une planète (Meeus, chap. 41)
+ *
+ * @param {Object} planet - Entrée de PLANETS
+ * @param {number} r - Distance au Soleil en UA
+ * @param {number} delta - Distance à la Terre en UA
+ * @param {number} phaseAngle - Angle de phase en degrés
+ * @param {Object} saturnRings - Pour Saturne : {B, deltaU} en degrés
+ * @returns {number} Magnitude apparente
+ */
+function calculatePlanetMagnitude(planet, r, delta, phaseAngle, saturnRings = null) {
+    const [h, c1, c2, c3] = planet.magnitude;
+    const i = phaseAngle;
+    let magnitude = h + 5 * Math.log10(r * delta) + c1 * i + c2 * i * i + c3 * i * i * i;
+
+    // Saturne : contribution des anneaux selon leur inclinaison vue de la Terre
+    if (saturnRings) {
+        const sinB = Math.sin(degreesToRadians(Math.abs(saturnRings.B)));
+        magnitude += 0.044 * Math.abs(saturnRings.deltaU) - 2.60 * sinB + 1.25 * sinB * sinB;
+    }
+    return magnitude;
+}
+
+/**
+ * Calcule l'inclinaison des anneaux de Saturne (Meeus, chap. 45, simplifié)
+ *
+ * @param {Object} heliocentric - Position héliocentrique de Saturne {x, y, z}
+ * @param {Object} geocentric - Position géocentrique de Saturne {x, y, z}
+ * @returns {Object} {B, deltaU} en degrés : latitude saturnicentrique de la Terre
+ *                   et écart des longitudes saturnicentriques du Soleil et de la Terre
+ */
+function calculateSaturnRingTilt(heliocentric, geocentric) {
+    const inclination = degreesToRadians(SATURN_RING_INCLINATION);
+
+    const ringAngles = (vector) => {
+        const distance = Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+        const lambda = Math.atan2(vector.y, vector.x) - degreesToRadians(SATURN_RING_NODE);
+        const beta = Math.asin(vector.z / distance);
+        return {
+            latitude: Math.asin(Math.sin(inclination) * Math.cos(beta) * Math.sin(lambda) - Math.cos(inclination) * Math.sin(beta)),
+            longitude: Math.atan2(Math.sin(inclination) * Math.sin(beta) + Math.cos(inclination) * Math.cos(beta) * Math.sin(lambda),
+                                  Math.cos(beta) * Math.cos(lambda))
+        };
+    };
+
+    const fromSun = ringAngles(heliocentric);
+    const fromEarth = ringAngles(geocentric);
+    const deltaU = normalizeAngle(radiansToDegrees(fromSun.longitude - fromEarth.longitude) + 180) - 180;
+
+    return {
+        B: radiansToDegrees(fromEarth.latitude),
+        deltaU
+    };
+}
+
+/**
+ * Calcule la position géocentrique apparente et l'aspect d'une planète
+ *
+ * @param {Object} planet - Entrée de PLANETS
+ * @param {Date} date - Date d'observation
+ * @returns {Object} {id, name, color, ra, dec (vrais de la date), distance, sunDistance,
+ *                    phaseAngle, illuminatedFraction, magnitude}
+ */
+function calculatePlanetEquatorial(planet, date) {
+    const jd = dateToJulianDay(date);
+    const earth = calculatePlanetHeliocentric('earth', jd);
+
+    // Position géocentrique corrigée du temps de lumière (une itération suffit)
+    let heliocentric = calculatePlanetHeliocentric(planet.id, jd);
+    let geocentric = null;
+    let delta = 0;
+    for (let i = 0; i < 2; i++) {
+        geocentric = {
+            x: heliocentric.x - earth.x,
+            y: heliocentric.y - earth.y,
+            z: heliocentric.z - earth.z
+        };
+        delta = Math.sqrt(geocentric.x ** 2 + geocentric.y ** 2 + geocentric.z ** 2);
+        heliocentric = calculatePlanetHeliocentric(planet.id, jd - delta * LIGHT_TIME_DAYS_PER_AU);
+    }
+
+    // Écliptique J2000.0 → équateur J2000.0 → équateur vrai de la date
+    const eps = degreesToRadians(J2000_OBLIQUITY);
+    const equatorial = {
+        x: geocentric.x,
+        y: geocentric.y * Math.cos(eps) - geocentric.z * Math.sin(eps),
+        z: geocentric.y * Math.sin(eps) + geocentric.z * Math.cos(eps)
+    };
+    const raJ2000 = normalizeAngle(radiansToDegrees(Math.atan2(equatorial.y, equatorial.x)));
+    const decJ2000 = radiansToDegrees(Math.asin(equatorial.z / delta));
+    const ofDate = j2000ToDate(raJ2000, decJ2000, date);
+
+    // Angle de phase et fraction éclairée
+    const r = Math.sqrt(heliocentric.x ** 2 + heliocentric.y ** 2 + heliocentric.z ** 2);
+    const R = Math.sqrt(earth.x ** 2 + earth.y ** 2 + earth.z ** 2);
+    const cosPhase = (r * r + delta * delta - R * R) / (2 * r * delta);
+    const phaseAngle = radiansToDegrees(Math.acos(Math.max(-1, Math.min(1, cosPhase))));
+
+    const saturnRings = planet.id === 'saturn' ? calculateSaturnRingTilt(heliocentric, geocentric) : null;
+
+    return {
+        id: planet.id,
+        name: planet.name,
+        color: planet.color,
+        ra: ofDate.ra,
+        dec: ofDate.dec,
+        distance: delta,
+        sunDistance: r,
+        phaseAngle,
+        illuminatedFraction: (1 + Math.cos(degreesToRadians(phaseAngle))) / 2,
+        magnitude: calculatePlanetMagnitude(planet, r, delta, phaseAngle, saturnRings)
+    };
+}
+
+/**
+ * Calcule la position apparente et l'aspect d'une planète dans le ciel de l'observateur
+ *
+ * @param {Object} planet - Entrée de PLANETS
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Object} Voir calculatePlanetEquatorial, plus {altitude (apparente), trueAltitude, azimut}
+ */
+function calculatePlanetPosition(planet, date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const equatorial = calculatePlanetEquatorial(planet, date);
+    const horizontal = calculateHorizontalPosition(equatorial.ra, equatorial.dec, date, observer, refraction);
+
+    return {
+        ...equatorial,
+        ...horizontal
+    };
+}
+
+/**
+ * Calcule la position de toutes les planètes
+ *
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Array} Positions des planètes (voir calculatePlanetPosition)
+ */
+function calculatePlanetPositions(date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    return PLANETS.map(planet => calculatePlanetPosition(planet, date, observer, refraction));
+}
+
+/**
+ * Lever, passage au méridien et coucher d'une planète
+ *
+ * @param {Object} planet - Entrée de PLANETS
+ * @param {Date} date - Date dans la nuit d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} options - Voir calculateRiseTransitSet (astronomy.js)
+ * @returns {Object} Voir calculateRiseTransitSet
+ */
+function calculatePlanetRiseTransitSet(planet, date, observer = OBSERVER_CONFIG, options = {}) {
+    return calculateRiseTransitSet(time => calculatePlanetEquatorial(planet, time), date, observer, options);
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.Planets = {
+    PLANETS,
+    solveKepler,
+    calculatePlanetHeliocentric,
+    calculatePlanetMagnitude,
+    calculateSaturnRingTilt,
+    calculatePlanetEquatorial,
+    calculatePlanetPosition,
+    calculatePlanetPositions,
+    calculatePlanetRiseTransitSet
+};
@@ -0,0 +1,281 @@
+/**
+ * ==========================================================================
+ * Projections.js - Projections de la sphère céleste sur l'écran
+ * ==========================================================================
+ *
+ * Ce module regroupe les projections proposées pour dessiner le ciel :
+ * - Projections azimutales : un point situé à l'écart angulaire θ du centre
+ *   de la carte est dessiné à la distance ρ(θ) du centre, dans la même
+ *   direction (gnomonique, stéréographique, équidistante, équivalente de
+ *   Lambert, orthographique)
+ * - Projection cylindrique équidistante (panorama), propre à la vue POV
+ * - Cartes de la vue Télescope : projection azimutale centrée sur le zénith,
+ *   ou sur le pôle céleste visible (équatoriale polaire, comme un planisphère),
+ *   puis tournée et éventuellement inversée en miroir à l'écran
+ *
+ * En vue POV, chaque projection a des champs de vision adaptés à ses
+ * déformations : la gnomonique étire les bords au-delà de 140°,
+ * l'orthographique ne montre qu'un hémisphère, les autres peuvent couvrir
+ * tout le ciel.
+ */
+
+// Projections azimutales : distance au centre ρ(θ) pour un écart angulaire
+// θ (radians), son inverse θ(ρ), et l'écart maximal dessiné (degrés).
+// Au-delà de 175°, deux points voisins de l'antipode se projettent de part et
+// d'autre de la carte : les tracés y sont coupés.
+const AZIMUTHAL_PROJECTIONS = {
+    gnomonic: {
+        radius: (theta) => Math.tan(theta),
+        angle: (rho) => Math.atan(rho),
+        maxAngle: 89    // ρ infini à 90° (direction perpendiculaire à la visée)
+    },
+    stereographic: {
+        radius: (theta) => 2 * Math.tan(theta / 2),
+        angle: (rho) => 2 * Math.atan(rho / 2),
+        maxAngle: 175
+    },
+    equidistant: {
+        radius: (theta) => theta,
+        angle: (rho) => rho,
+        maxAngle: 175
+    },
+    equalArea: {
+        radius: (theta) => 2 * Math.sin(theta / 2),
+        angle: (rho) => 2 * Math.asin(Math.min(1, rho / 2)),
+        maxAngle: 175
+    },
+    orthographic: {
+        radius: (theta) => Math.sin(theta),
+        angle: (rho) => Math.asin(Math.min(1, rho)),
+        maxAngle: 90
+    }
+};
+
+// Projections proposées en vue POV et limites du champ de vision horizontal (degrés)
+const POV_PROJECTIONS = {
+    gnomonic: { label: 'Perspective (gnomonique)', minFov: 20, maxFov: 140, defaultFov: 90 },
+    stereographic: { label: 'Stéréographique', minFov: 20, maxFov: 235, defaultFov: 120 },
+    equidistant: { label: 'Fisheye (équidistante)', minFov: 20, maxFov: 360, defaultFov: 180 },
+    equalArea: { label: 'Équivalente (Lambert)', minFov: 20, maxFov: 360, defaultFov: 180 },
+    orthographic: { label: 'Orthographique', minFov: 20, maxFov: 180, defaultFov: 150 },
+    cylindrical: { label: 'Panorama (cylindrique)', minFov: 20, maxFov: 360, defaultFov: 180 }
+};
+
+// Projections proposées pour la carte de la vue Télescope : loi radiale
+// (voir AZIMUTHAL_PROJECTIONS) et centre de la carte (zénith ou pôle céleste)
+const TELESCOPE_PROJECTIONS = {
+    equidistant: { label: 'Azimutale équidistante', radial: 'equidistant', polar: false },
+    stereographic: { label: 'Stéréographique', radial: 'stereographic', polar: false },
+    orthographic: { label: 'Orthographique', radial: 'orthographic', polar: false },
+    equalArea: { label: 'Équivalente de Lambert', radial: 'equalArea', polar: false },
+    polar: { label: 'Équatoriale polaire (planisphère)', radial: 'equidistant', polar: true }
+};
+
+/**
+ * Écart angulaire (degrés) entre le centre de la carte et son bord :
+ * l'horizon pour une carte centrée sur le zénith, le point de l'horizon le
+ * plus éloigné du pôle (180° - |latitude|) pour une carte polaire
+ *
+ * @param {Object} projection - Projection de TELESCOPE_PROJECTIONS
+ * @param {number} latitude - Latitude de l'observateur en degrés
+ * @returns {number} Écart en degrés
+ */
+function getChartEdgeAngle(projection, latitude) {
+    return projection.polar ? 180 - Math.abs(latitude) : 90;
+}
+
+/**
+ * Position d'une direction du ciel sur la carte de la vue Télescope
+ * - Carte centrée sur le zénith : Nord en haut, Est à droite
+ * - Carte polaire : pôle visible au centre, méridien vertical (zénith sous
+ *   le pôle Nord, au-dessus du pôle Sud), Est à droite ; le ciel y tourne
+ *   autour du centre au fil des heures
+ *
+ * @param {number} azimut - Azimut en degrés
+ * @param {number} altitude - Hauteur en degrés
+ * @param {string} name - Nom de la projection (clé de TELESCOPE_PROJECTIONS)
+ * @param {number} latitude - Latitude de l'observateur en degrés
+ * @returns {Object} {radius (1 sur le bord de la carte), angle (degrés, sens de l'écran : 0 = droite, 90 = bas)}
+ */
+function projectChartPoint(azimut, altitude, name, latitude = OBSERVER_CONFIG.latitude) {
+    const projection = TELESCOPE_PROJECTIONS[name];
+    const radial = AZIMUTHAL_PROJECTIONS[projection.radial];
+    let distance = 90 - altitude;
+    let angle = azimut - 90;
+
+    if (projection.polar) {
+        // Angle horaire et déclinaison (temps sidéral nul : seul l'angle horaire compte)
+        const equatorial = horizontalToEquatorial(azimut, altitude, 0, latitude);
+        const hourAngle = normalizeAngle(equatorial.hourAngle + 180) - 180;
+        if (latitude >= 0) {
+            distance = 90 - equatorial.dec;
+            angle = 90 + hourAngle;
+        } else {
+            distance = 90 + equatorial.dec;
+            angle = -90 - hourAngle;
+        }
+    }
+
+    const edge = radial.radius(degreesToRadians(getChartEdgeAngle(projection, latitude)));
+    return { radius: radial.radius(degreesToRadians(distance)) / edge, angle };
+}
+
+/**
+ * Inverse de projectChartPoint : direction du ciel en un point de la carte
+ *
+ * @param {number} radius - Distance au centre (1 sur le bord de la carte)
+ * @param {number} angle - Angle en degrés (sens de l'écran : 0 = droite, 90 = bas)
+ * @param {string} name - Nom de la projection (clé de TELESCOPE_PROJECTIONS)
+ * @param {number} latitude - Latitude de l'observateur en degrés
+ * @returns {Object|null} {azimut, altitude} en degrés, ou null hors du domaine de la projection
+ */
+function unprojectChartPoint(radius, angle, name, latitude = OBSERVER_CONFIG.latitude) {
+    const projection = TELESCOPE_PROJECTIONS[name];
+    const radial = AZIMUTHAL_PROJECTIONS[projection.radial];
+    const rho = radius * radial.radius(degreesToRadians(getChartEdgeAngle(projection, latitude)));
+
+    // Au-delà du domaine : la loi radiale n'y est plus inversible
+    // (orthographique hors de l'hémisphère, équidistante au-delà de l'antipode)
+    const theta = radial.angle(rho);
+    if (theta > Math.PI || Math.abs(radial.radius(theta) - rho) > 1e-9) {
+        return null;
+    }
+    const distance = radiansToDegrees(theta);
+
+    if (!projection.polar) {
+        return { azimut: normalizeAngle(angle + 90), altitude: 90 - distance };
+    }
+
+    const dec = latitude >= 0 ? 90 - distance : distance - 90;
+    const hourAngle = latitude >= 0 ? angle - 90 : -90 - angle;
+    return equatorialToHorizontal(normalizeAngle(-hourAngle), dec, 0, latitude);
+}
+
+/**
+ * Convertit un angle de la carte (projectChartPoint) en angle à l'écran :
+ * inversion en miroir (Est et Ouest échangés) puis rotation
+ *
+ * @param {number} chartAngle - Angle sur la carte en degrés
+ * @param {number} rotation - Rotation de la carte à l'écran (degrés, sens horaire, 0 = Nord en haut)
+ * @param {boolean} mirrored - true si la carte est inversée en miroir
+ * @returns {number} Angle à l'écran en degrés (0 = droite, 90 = bas)
+ */
+function chartToScreenAngle(chartAngle, rotation, mirrored) {
+    return (mirrored ? 180 - chartAngle : chartAngle) + rotation;
+}
+
+/**
+ * Inverse de chartToScreenAngle
+ *
+ * @param {number} screenAngle - Angle à l'écran en degrés
+ * @param {number} rotation - Rotation de la carte à l'écran en degrés
+ * @param {boolean} mirrored - true si la carte est inversée en miroir
+ * @returns {number} Angle sur la carte en degrés
+ */
+function screenToChartAngle(screenAngle, rotation, mirrored) {
+    const angle = screenAngle - rotation;
+    return mirrored ? 180 - angle : angle;
+}
+
+/**
+ * Position à l'écran d'une direction du ciel sur la carte de la vue Télescope
+ *
+ * @param {number} azimut - Azimut en degrés
+ * @param {number} altitude - Hauteur en degrés
+ * @param {Object} view - Vue de la carte {projection, latitude, scale (pixels pour
+ *                        un rayon de carte), centerX, centerY, offsetX, offsetY, rotation, mirrored}
+ * @returns {Object} Coordonnées {x, y} en pixels
+ */
+function chartPointToScreen(azimut, altitude, view) {
+    const point = projectChartPoint(azimut, altitude, view.projection, view.latitude);
+    const r = point.radius * view.scale;
+    const angleRad = degreesToRadians(chartToScreenAngle(point.angle, view.rotation, view.mirrored));
+
+    return {
+        x: view.centerX + r * Math.cos(angleRad) + view.offsetX,
+        y: view.centerY + r * Math.sin(angleRad) + view.offsetY
+    };
+}
+
+/**
+ * Inverse de chartPointToScreen : direction du ciel en un point de l'écran
+ *
+ * @param {number} x - Position X en pixels
+ * @param {number} y - Position Y en pixels
+ * @param {Object} view - Vue de la carte (voir chartPointToScreen)
+ * @returns {Object|null} {azimut, altitude} en degrés, ou null hors du domaine de la projection
+ */
+function screenToChartPoint(x, y, view) {
+    const dx = x - view.centerX - view.offsetX;
+    const dy = y - view.centerY - view.offsetY;
+    const angle = screenToChartAngle(radiansToDegrees(Math.atan2(dy, dx)), view.rotation, view.mirrored);
+
+    return unprojectChartPoint(Math.hypot(dx, dy) / view.scale, angle, view.projection, view.latitude);
+}
+
+/**
+ * Tourne la carte autour du centre de l'écran : le décalage tourne avec
+ * elle, pour que la direction visée au centre y reste
+ *
+ * @param {Object} view - Orientation actuelle {rotation, offsetX, offsetY}
+ * @param {number} rotation - Nouvelle rotation en degrés (sens horaire)
+ * @returns {Object} {rotation (0-360), offsetX, offsetY}
+ */
+function rotateChartView(view, rotation) {
+    const newRotation = normalizeAngle(rotation);
+    const delta = degreesToRadians(newRotation - view.rotation);
+
+    return {
+        rotation: newRotation,
+        offsetX: view.offsetX * Math.cos(delta) - view.offsetY * Math.sin(delta),
+        offsetY: view.offsetX * Math.sin(delta) + view.offsetY * Math.cos(delta)
+    };
+}
+
+/**
+ * Inverse la carte en miroir autour de l'axe vertical de l'écran : le haut
+ * et le bas ne changent pas, la direction visée au centre y reste
+ *
+ * @param {Object} view - Orientation actuelle {rotation, mirrored, offsetX}
+ * @param {boolean} mirrored - Nouvel état du miroir
+ * @returns {Object} {rotation, mirrored, offsetX}
+ */
+function mirrorChartView(view, mirrored) {
+    if (mirrored === view.mirrored) {
+        return { rotation: view.rotation, mirrored, offsetX: view.offsetX };
+    }
+    return { rotation: normalizeAngle(-view.rotation), mirrored, offsetX: -view.offsetX };
+}
+
+/**
+ * Rotation qui oriente la carte pour un observateur tourné vers une
+ * direction : l'horizon de cette direction passe en haut de l'écran, comme
+ * une carte posée au sol devant soi, le bord supérieur vers cette direction
+ *
+ * @param {number} azimut - Azimut de la direction regardée en degrés (0 = Nord, 180 = Sud)
+ * @param {string} name - Nom de la projection (clé de TELESCOPE_PROJECTIONS)
+ * @param {number} latitude - Latitude de l'observateur en degrés
+ * @param {boolean} mirrored - true si la carte est inversée en miroir
+ * @returns {number} Rotation en degrés (0-360)
+ */
+function getFacingRotation(azimut, name, latitude, mirrored) {
+    const chartAngle = projectChartPoint(azimut, 0, name, latitude).angle;
+    return normalizeAngle(-90 - (mirrored ? 180 - chartAngle : chartAngle));
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.Projections = {
+    AZIMUTHAL_PROJECTIONS,
+    POV_PROJECTIONS,
+    TELESCOPE_PROJECTIONS,
+    getChartEdgeAngle,
+    projectChartPoint,
+    unprojectChartPoint,
+    chartToScreenAngle,
+    screenToChartAngle,
+    chartPointToScreen,
+    screenToChartPoint,
+    rotateChartView,
+    mirrorChartView,
+    getFacingRotation
+};
@@ -0,0 +1,141 @@
+/**
+ * ==========================================================================
+ * Reference-lines.js - Lignes et points de repère
+ * ==========================================================================
+ *
+ * Ce module calcule les grands cercles et les points de repère du ciel :
+ * - Méridien local (du Nord au Sud en passant par le zénith)
+ * - Équateur céleste, écliptique et équateur galactique
+ * - Zénith, nadir et pôle Nord céleste
+ * - Position du Soleil sur l'écliptique (longitude écliptique)
+ *
+ * Les lignes sont données en coordonnées horizontales apparentes, chaque
+ * vue les projette et les coupe à l'horizon comme les tracés des
+ * constellations. Chaque repère s'active dans la section « Affichage ».
+ */
+
+// Grands cercles : réglage d'affichage, grille d'origine (voir
+// coordinate-grids.js) et cercle de cette grille (parallèle 0° ou
+// méridiens 0° et 180°)
+const REFERENCE_LINES = {
+    meridian: {
+        label: 'Méridien',
+        setting: 'meridianLine',
+        grid: 'altaz',
+        circle: 'meridian',
+        style: { color: 'rgba(255, 130, 130, 0.55)', width: 1.2, dash: [6, 4], labelColor: 'rgba(255, 150, 150, 0.85)' }
+    },
+    equator: {
+        label: 'Équateur céleste',
+        setting: 'celestialEquator',
+        grid: 'equatorial',
+        circle: 'parallel',
+        style: { color: 'rgba(110, 170, 255, 0.6)', width: 1.2, labelColor: 'rgba(140, 190, 255, 0.9)' }
+    },
+    ecliptic: {
+        label: 'Écliptique',
+        setting: 'eclipticLine',
+        grid: 'ecliptic',
+        circle: 'parallel',
+        style: { color: 'rgba(240, 200, 80, 0.6)', width: 1.2, labelColor: 'rgba(240, 200, 80, 0.9)' }
+    },
+    galacticEquator: {
+        label: 'Équateur galactique',
+        setting: 'galacticEquator',
+        grid: 'galactic',
+        circle: 'parallel',
+        style: { color: 'rgba(210, 140, 230, 0.55)', width: 1.2, labelColor: 'rgba(215, 160, 235, 0.9)' }
+    }
+};
+
+// Points de repère : réglage d'affichage et position dans leur grille
+const REFERENCE_POINTS = {
+    zenith: { label: 'Zénith', setting: 'zenithNadir', grid: 'altaz', lon: 0, lat: 90 },
+    nadir: { label: 'Nadir', setting: 'zenithNadir', grid: 'altaz', lon: 0, lat: -90 },
+    northPole: { label: 'Pôle Nord céleste', setting: 'celestialPole', grid: 'equatorial', lon: 0, lat: 90 }
+};
+
+// Style des points de repère
+const REFERENCE_POINT_STYLE = { color: 'rgba(255, 255, 255, 0.75)', size: 6 };
+
+// Positions des libellés le long des grands cercles (degrés)
+const REFERENCE_LABEL_POSITIONS = [45, 135, 225, 315];
+
+/**
+ * Donne le point d'un grand cercle de repère à une position le long du cercle
+ *
+ * Pour le méridien, la position part du nadir, passe par le point Nord de
+ * l'horizon (90°), le zénith (180°) puis le point Sud (270°). Pour les
+ * autres cercles, c'est la longitude dans leur grille.
+ *
+ * @param {string} circle - 'meridian' ou 'parallel'
+ * @param {number} position - Position le long du cercle (degrés, 0-360)
+ * @returns {Object} {lon, lat} dans la grille du cercle
+ */
+function referenceCirclePoint(circle, position) {
+    if (circle === 'meridian') {
+        return position <= 180
+            ? { lon: 0, lat: position - 90 }
+            : { lon: 180, lat: 270 - position };
+    }
+    return { lon: position, lat: 0 };
+}
+
+/**
+ * Calcule les lignes et les points de repère pour une date
+ *
+ * @param {Date} date - Date d'observation
+ * @param {Object} observer - Position de l'observateur {latitude, longitude}
+ * @param {Object} refraction - Configuration de la réfraction {enabled, temperature, pressure}
+ * @returns {Object} {lines: {nom: {points, labels}}, points: {nom: {azimut, altitude}},
+ *                    sun: {longitude, text, azimut, altitude}} — points et libellés en {azimut, altitude}
+ */
+function calculateReferenceLayer(date, observer = OBSERVER_CONFIG, refraction = REFRACTION_CONFIG) {
+    const transforms = {};
+    const transformFor = (grid) => {
+        if (!transforms[grid]) {
+            transforms[grid] = createGridTransform(grid, date, observer, refraction);
+        }
+        return transforms[grid];
+    };
+
+    const lines = {};
+    for (const [name, line] of Object.entries(REFERENCE_LINES)) {
+        const transform = transformFor(line.grid);
+        const toHorizontal = (position) => {
+            const point = referenceCirclePoint(line.circle, position);
+            return transform.toHorizontal(point.lon, point.lat);
+        };
+
+        const points = [];
+        for (let position = 0; position <= 360; position += GRID_SAMPLE_STEP) {
+            points.push(toHorizontal(position));
+        }
+        const labels = REFERENCE_LABEL_POSITIONS.map(position => ({ text: line.label, ...toHorizontal(position) }));
+        lines[name] = { points, labels };
+    }
+
+    const points = {};
+    for (const [name, point] of Object.entries(REFERENCE_POINTS)) {
+        points[name] = transformFor(point.grid).toHorizontal(point.lon, point.lat);
+    }
+
+    // Le Soleil est sur l'écliptique (latitude nulle) à sa longitude apparente
+    const longitude = calculateSunEquatorial(date).eclipticLongitude;
+    const sun = {
+        longitude,
+        text: `☉ λ ${Math.round(longitude) % 360}°`,
+        ...transformFor('ecliptic').toHorizontal(longitude, 0)
+    };
+
+    return { lines, points, sun };
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.ReferenceLines = {
+    REFERENCE_LINES,
+    REFERENCE_POINTS,
+    REFERENCE_POINT_STYLE,
+    referenceCirclePoint,
+    calculateReferenceLayer
+};
@@ -0,0 +1,251 @@
+/**
+ * ==========================================================================
+ * Star-labels.js - Étiquettes des étoiles
+ * ==========================================================================
+ *
+ * Ce module choisit le texte affiché à côté des étoiles et place les
+ * étiquettes à l'écran sans chevauchement :
+ * - Nom propre, lettre grecque de Bayer, numéro de Flamsteed, puis
+ *   numéro de catalogue (HIP ou HD), selon la magnitude et le zoom
+ * - Placement par priorité (étoiles les plus brillantes d'abord) autour
+ *   de l'étoile, avec une grille de collisions en coordonnées écran
+ *
+ * Le placement ne dépend que des positions écran : il sert aux deux
+ * projections (caméra POV et projection azimutale du télescope).
+ */
+
+// Réglages des étiquettes
+const STAR_LABEL_CONFIG = {
+    // Magnitude maximale étiquetée au zoom 1, par type de désignation
+    properMaxMagnitude: 1.5,
+    bayerMaxMagnitude: 3.0,
+    flamsteedMaxMagnitude: 3.5,
+    catalogMaxMagnitude: 0,
+    magnitudePerZoomDoubling: 1,  // Gain de magnitude à chaque doublement du zoom
+    maxLabels: 150,               // Nombre maximal d'étiquettes affichées
+    fontSize: 11,                 // Taille du texte (pixels)
+    padding: 2,                   // Marge autour d'une étiquette (pixels)
+    offset: 4                     // Écart entre l'étoile et son étiquette (pixels)
+};
+
+// Abréviations des lettres grecques du catalogue HYG (colonne bayer)
+const GREEK_LETTERS = {
+    Alp: 'α', Bet: 'β', Gam: 'γ', Del: 'δ', Eps: 'ε', Zet: 'ζ', Eta: 'η', The: 'θ',
+    Iot: 'ι', Kap: 'κ', Lam: 'λ', Mu: 'μ', Nu: 'ν', Xi: 'ξ', Omi: 'ο', Pi: 'π',
+    Rho: 'ρ', Sig: 'σ', Tau: 'τ', Ups: 'υ', Phi: 'φ', Chi: 'χ', Psi: 'ψ', Ome: 'ω'
+};
+
+// Chiffres en exposant (α¹, α² ...)
+const SUPERSCRIPT_DIGITS = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+
+/**
+ * Convertit une lettre de Bayer du catalogue en symbole
+ *
+ * @param {string} bayer - Lettre du catalogue HYG (ex : "Alp", "Alp-1", "Kap2", "b")
+ * @returns {string|null} Lettre affichée (ex : "α", "α¹", "κ²", "b")
+ */
+function formatBayerLetter(bayer) {
+    if (!bayer) {
+        return null;
+    }
+
+    const match = bayer.match(/^([A-Za-z]+)-?(\d*)$/);
+    if (!match) {
+        return bayer;
+    }
+
+    const letter = GREEK_LETTERS[match[1]] || match[1];
+    const index = match[2].split('').map(digit => SUPERSCRIPT_DIGITS[digit]).join('');
+    return letter + index;
+}
+
+/**
+ * Formate la désignation complète d'une étoile (hors nom propre)
+ *
+ * @param {Object} star - Étoile {bayer, flamsteed, constellation, hip, hd}
+ * @returns {string|null} Ex : "α Lyr", "61 Cyg", "HIP 91262", "HD 172167"
+ */
+function formatStarDesignation(star) {
+    const bayer = formatBayerLetter(star.bayer);
+    if (bayer && star.constellation) {
+        return `${bayer} ${star.constellation}`;
+    }
+    if (star.flamsteed && star.constellation) {
+        return `${star.flamsteed} ${star.constellation}`;
+    }
+    if (star.hip) {
+        return `HIP ${star.hip}`;
+    }
+    if (star.hd) {
+        return `HD ${star.hd}`;
+    }
+    return null;
+}
+
+/**
+ * Liste toutes les désignations connues d'une étoile (hors nom propre)
+ *
+ * @param {Object} star - Étoile {bayer, flamsteed, constellation, hip, hd}
+ * @returns {Array<string>} Ex : ["α Lyr", "3 Lyr", "HIP 91262", "HD 172167"]
+ */
+function listStarDesignations(star) {
+    const designations = [];
+    const bayer = formatBayerLetter(star.bayer);
+    if (bayer && star.constellation) designations.push(`${bayer} ${star.constellation}`);
+    if (star.flamsteed && star.constellation) designations.push(`${star.flamsteed} ${star.constellation}`);
+    if (star.hip) designations.push(`HIP ${star.hip}`);
+    if (star.hd) designations.push(`HD ${star.hd}`);
+    return designations;
+}
+
+/**
+ * Choisit l'étiquette d'une étoile pour un niveau de zoom : plus le zoom
+ * est fort, plus les étoiles faibles et les désignations secondaires
+ * apparaissent
+ *
+ * @param {Object} star - Étoile {mag, name, bayer, flamsteed, hip, hd}
+ * @param {number} zoomLevel - Niveau de zoom (1 = vue par défaut)
+ * @param {Object} config - Réglages des étiquettes
+ * @returns {string|null} Texte de l'étiquette, ou null si l'étoile n'est pas étiquetée
+ */
+function getStarLabel(star, zoomLevel = 1, config = STAR_LABEL_CONFIG) {
+    const gain = Math.log2(Math.max(1, zoomLevel)) * config.magnitudePerZoomDoubling;
+
+    if (star.name && star.mag <= config.properMaxMagnitude + gain) {
+        return star.name;
+    }
+    if (star.bayer && star.mag <= config.bayerMaxMagnitude + gain) {
+        return formatBayerLetter(star.bayer);
+    }
+    if (star.flamsteed && star.mag <= config.flamsteedMaxMagnitude + gain) {
+        return String(star.flamsteed);
+    }
+    if (star.mag <= config.catalogMaxMagnitude + gain) {
+        if (star.hip) return `HIP ${star.hip}`;
+        if (star.hd) return `HD ${star.hd}`;
+    }
+    return null;
+}
+
+/**
+ * Placement des étiquettes sans chevauchement
+ *
+ * Les rectangles déjà occupés sont rangés dans une grille de cellules
+ * (hachage spatial) : seules les cellules couvertes par une nouvelle
+ * étiquette sont testées. Les étiquettes doivent être proposées par ordre
+ * de priorité décroissante.
+ */
+class LabelPlacer {
+    /**
+     * Crée un placeur d'étiquettes vide
+     * @param {Object} config - Réglages des étiquettes (padding, offset)
+     * @param {number} cellSize - Taille des cellules de la grille (pixels)
+     */
+    constructor(config = STAR_LABEL_CONFIG, cellSize = 64) {
+        this.config = config;
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.count = 0;
+    }
+
+    /**
+     * Réserve une zone sans étiquette (disque d'un astre, autre texte)
+     * @param {Object} box - Rectangle {left, top, right, bottom} en pixels
+     */
+    reserve(box) {
+        this.forEachCell(box, (key) => {
+            if (!this.cells.has(key)) this.cells.set(key, []);
+            this.cells.get(key).push(box);
+        });
+    }
+
+    /**
+     * Indique si un rectangle chevauche une zone occupée
+     * @param {Object} box - Rectangle {left, top, right, bottom} en pixels
+     * @returns {boolean} true si le rectangle est libre
+     */
+    isFree(box) {
+        let free = true;
+        this.forEachCell(box, (key) => {
+            if (!free) return;
+            const boxes = this.cells.get(key);
+            if (boxes && boxes.some(other => boxesOverlap(box, other))) {
+                free = false;
+            }
+        });
+        return free;
+    }
+
+    /**
+     * Cherche une place libre pour l'étiquette d'un astre : à droite, à
+     * gauche, au-dessus puis au-dessous
+     *
+     * @param {number} x - Position X de l'astre
+     * @param {number} y - Position Y de l'astre
+     * @param {number} radius - Rayon de l'astre à l'écran
+     * @param {number} width - Largeur du texte
+     * @param {number} height - Hauteur du texte
+     * @returns {Object|null} {x, y, align} point d'ancrage du texte (ligne médiane), null si aucune place
+     */
+    place(x, y, radius, width, height) {
+        const gap = radius + this.config.offset;
+        const candidates = [
+            { x: x + gap, y, align: 'left', left: x + gap, top: y - height / 2 },
+            { x: x - gap, y, align: 'right', left: x - gap - width, top: y - height / 2 },
+            { x, y: y - gap - height / 2, align: 'center', left: x - width / 2, top: y - gap - height },
+            { x, y: y + gap + height / 2, align: 'center', left: x - width / 2, top: y + gap }
+        ];
+
+        const padding = this.config.padding;
+        for (const candidate of candidates) {
+            const box = {
+                left: candidate.left - padding,
+                top: candidate.top - padding,
+                right: candidate.left + width + padding,
+                bottom: candidate.top + height + padding
+            };
+            if (this.isFree(box)) {
+                this.reserve(box);
+                this.count++;
+                return { x: candidate.x, y: candidate.y, align: candidate.align };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parcourt les cellules de la grille couvertes par un rectangle
+     * @param {Object} box - Rectangle {left, top, right, bottom}
+     * @param {Function} callback - Appelé avec la clé de chaque cellule
+     */
+    forEachCell(box, callback) {
+        const size = this.cellSize;
+        for (let i = Math.floor(box.left / size); i <= Math.floor(box.right / size); i++) {
+            for (let j = Math.floor(box.top / size); j <= Math.floor(box.bottom / size); j++) {
+                callback(`${i},${j}`);
+            }
+        }
+    }
+}
+
+/**
+ * Indique si deux rectangles se chevauchent
+ *
+ * @param {Object} a - Rectangle {left, top, right, bottom}
+ * @param {Object} b - Rectangle {left, top, right, bottom}
+ * @returns {boolean} true si les rectangles se chevauchent
+ */
+function boxesOverlap(a, b) {
+    return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.StarLabels = {
+    STAR_LABEL_CONFIG,
+    formatBayerLetter,
+    formatStarDesignation,
+    listStarDesignations,
+    getStarLabel,
+    LabelPlacer,
+    boxesOverlap
+};
@@ -0,0 +1,357 @@
+/**
+ * ==========================================================================
+ * Time-controller.js - Contrôle du temps de la simulation
+ * ==========================================================================
+ *
+ * Ce module gère la date d'observation utilisée par les deux modes :
+ * - Mode direct : le temps suit l'horloge réelle (mode par défaut)
+ * - Choix d'une date/heure arbitraire (passé ou futur)
+ * - Retour à l'instant présent
+ * - Lecture / pause avec multiplicateur de vitesse
+ * - Pas de temps (±1 min, ±1 h, ±1 jour, ±1 jour sidéral)
+ *
+ * Pendant la lecture, le temps avance à chaque image (requestAnimationFrame)
+ * et le callback de changement est appelé pour recalculer et redessiner.
+ * En mode direct, les positions sont recalculées à intervalle régulier
+ * (updateInterval) et l'horloge affichée avance chaque seconde.
+ */
+
+// Durée d'un jour sidéral en secondes
+const SIDEREAL_DAY_SECONDS = 86164.0905;
+
+// Vitesses de lecture disponibles (secondes simulées par seconde réelle)
+const TIME_SPEEDS = [
+    { label: '1x', value: 1 },
+    { label: '60x', value: 60 },
+    { label: '3600x', value: 3600 },
+    { label: '1 jour sidéral/s', value: SIDEREAL_DAY_SECONDS }
+];
+
+// Pas de temps disponibles (en secondes)
+const TIME_STEPS = {
+    minute: 60,
+    hour: 3600,
+    day: 86400,
+    siderealDay: SIDEREAL_DAY_SECONDS
+};
+
+/**
+ * Formate une date pour un champ <input type="datetime-local">
+ * @param {Date} date - Date à formater (heure locale)
+ * @returns {string} Ex: "2024-06-15T22:30"
+ */
+function formatDateTimeLocalInput(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+           `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+class TimeController {
+    /**
+     * Crée le contrôleur de temps
+     * @param {Function} onTimeChange - Callback appelé avec la nouvelle date à chaque changement
+     * @param {Object} options - Options du mode direct
+     * @param {number} options.updateInterval - Intervalle de recalcul des positions en mode direct (ms)
+     * @param {number} options.clockInterval - Intervalle de mise à jour de l'horloge (ms)
+     * @param {Function} options.onClockTick - Callback appelé avec la date à chaque tic d'horloge
+     */
+    constructor(onTimeChange, options = {}) {
+        this.onTimeChange = onTimeChange;
+        this.onClockTick = options.onClockTick || null;
+        this.updateInterval = options.updateInterval || null;
+        this.clockInterval = options.clockInterval || 1000;
+
+        // Temps simulé (millisecondes depuis l'epoch Unix)
+        this.simulatedTime = Date.now();
+
+        // État de la lecture
+        this.isPlaying = false;
+        this.speed = 1;
+        this.lastFrameTime = null;
+        this.animationFrameId = null;
+
+        // État du mode direct (temps réel)
+        this.isLive = false;
+        this.clockTimerId = null;
+        this.updateTimerId = null;
+
+        // Éléments de l'interface (optionnels)
+        this.datetimeInput = document.getElementById('datetimeInput');
+        this.nowButton = document.getElementById('nowBtn');
+        this.playPauseButton = document.getElementById('playPauseBtn');
+        this.speedSelect = document.getElementById('speedSelect');
+
+        this.populateSpeedSelect();
+        this.initEventListeners();
+        this.updateControls();
+    }
+
+    /**
+     * Remplit la liste déroulante des vitesses
+     */
+    populateSpeedSelect() {
+        if (!this.speedSelect) return;
+
+        for (const speed of TIME_SPEEDS) {
+            const option = document.createElement('option');
+            option.value = speed.value;
+            option.textContent = speed.label;
+            this.speedSelect.appendChild(option);
+        }
+    }
+
+    /**
+     * Initialise les écouteurs d'événements des contrôles
+     */
+    initEventListeners() {
+        if (this.datetimeInput) {
+            this.datetimeInput.addEventListener('change', () => {
+                const date = new Date(this.datetimeInput.value);
+                if (!isNaN(date.getTime())) {
+                    this.setDate(date);
+                }
+            });
+        }
+
+        if (this.nowButton) {
+            this.nowButton.addEventListener('click', () => this.resetToNow());
+        }
+
+        if (this.playPauseButton) {
+            this.playPauseButton.addEventListener('click', () => this.togglePlay());
+        }
+
+        if (this.speedSelect) {
+            this.speedSelect.addEventListener('change', () => {
+                this.setSpeed(parseFloat(this.speedSelect.value));
+            });
+        }
+
+        // Boutons de pas : data-time-step="hour" data-time-direction="-1"
+        document.querySelectorAll('[data-time-step]').forEach(button => {
+            button.addEventListener('click', () => {
+                const seconds = TIME_STEPS[button.dataset.timeStep];
+                const direction = parseFloat(button.dataset.timeDirection) || 1;
+                if (seconds) {
+                    this.step(seconds * direction);
+                }
+            });
+        });
+
+        // Les minuteries sont ralenties dans un onglet en arrière-plan :
+        // resynchroniser dès que la page redevient visible
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && this.isLive) {
+                this.liveUpdate();
+            }
+        });
+    }
+
+    /**
+     * Obtient la date simulée courante
+     * @returns {Date} Date d'observation
+     */
+    getDate() {
+        return new Date(this.simulatedTime);
+    }
+
+    /**
+     * Définit la date simulée (quitte le mode direct)
+     * @param {Date} date - Nouvelle date d'observation
+     */
+    setDate(date) {
+        this.stopLive();
+        this.simulatedTime = date.getTime();
+        this.notifyChange();
+    }
+
+    /**
+     * Revient à l'instant présent et suit l'horloge réelle
+     */
+    resetToNow() {
+        this.startLive();
+    }
+
+    /**
+     * Avance ou recule le temps d'un pas (quitte le mode direct)
+     * @param {number} seconds - Décalage en secondes (négatif pour reculer)
+     */
+    step(seconds) {
+        this.stopLive();
+        this.simulatedTime += seconds * 1000;
+        this.notifyChange();
+    }
+
+    /**
+     * Active le mode direct : le temps suit l'horloge réelle,
+     * l'horloge avance à chaque clockInterval et les positions
+     * sont recalculées à chaque updateInterval
+     */
+    startLive() {
+        this.pause();
+        this.clearLiveTimers();
+
+        this.isLive = true;
+        this.clockTimerId = setInterval(() => this.clockTick(), this.clockInterval);
+        if (this.updateInterval) {
+            this.updateTimerId = setInterval(() => this.liveUpdate(), this.updateInterval);
+        }
+
+        this.liveUpdate();
+    }
+
+    /**
+     * Désactive le mode direct (la date courante est conservée)
+     */
+    stopLive() {
+        if (!this.isLive) return;
+
+        this.isLive = false;
+        this.clearLiveTimers();
+        this.updateControls();
+    }
+
+    /**
+     * Arrête les minuteries du mode direct
+     */
+    clearLiveTimers() {
+        if (this.clockTimerId !== null) {
+            clearInterval(this.clockTimerId);
+            this.clockTimerId = null;
+        }
+        if (this.updateTimerId !== null) {
+            clearInterval(this.updateTimerId);
+            this.updateTimerId = null;
+        }
+    }
+
+    /**
+     * Tic d'horloge du mode direct : met à jour la date affichée
+     * sans recalculer les positions
+     */
+    clockTick() {
+        this.simulatedTime = Date.now();
+        this.updateControls();
+
+        if (this.onClockTick) {
+            this.onClockTick(this.getDate());
+        }
+    }
+
+    /**
+     * Recalcul périodique du mode direct : synchronise le temps
+     * sur l'horloge réelle et prévient l'application
+     */
+    liveUpdate() {
+        this.simulatedTime = Date.now();
+        this.notifyChange();
+    }
+
+    /**
+     * Définit la vitesse de lecture
+     * @param {number} speed - Secondes simulées par seconde réelle
+     */
+    setSpeed(speed) {
+        if (isNaN(speed) || speed <= 0) return;
+        this.speed = speed;
+        this.updateControls();
+    }
+
+    /**
+     * Démarre la lecture (le temps avance)
+     */
+    play() {
+        if (this.isPlaying) return;
+
+        this.stopLive();
+        this.isPlaying = true;
+        this.lastFrameTime = null;
+        this.animationFrameId = requestAnimationFrame((timestamp) => this.tick(timestamp));
+        this.updateControls();
+    }
+
+    /**
+     * Met la lecture en pause
+     */
+    pause() {
+        this.isPlaying = false;
+
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Bascule entre lecture et pause
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Fait avancer le temps d'une image
+     * @param {number} timestamp - Horodatage fourni par requestAnimationFrame (ms)
+     */
+    tick(timestamp) {
+        if (!this.isPlaying) return;
+
+        if (this.lastFrameTime !== null) {
+            const elapsed = timestamp - this.lastFrameTime;
+            this.simulatedTime += elapsed * this.speed;
+            this.notifyChange();
+        }
+
+        this.lastFrameTime = timestamp;
+        this.animationFrameId = requestAnimationFrame((t) => this.tick(t));
+    }
+
+    /**
+     * Met à jour l'état visuel des contrôles
+     */
+    updateControls() {
+        if (this.datetimeInput && document.activeElement !== this.datetimeInput) {
+            this.datetimeInput.value = formatDateTimeLocalInput(this.getDate());
+        }
+
+        if (this.playPauseButton) {
+            this.playPauseButton.textContent = this.isPlaying ? '⏸' : '▶';
+            this.playPauseButton.title = this.isPlaying ? 'Pause' : 'Lecture';
+        }
+
+        if (this.speedSelect) {
+            this.speedSelect.value = this.speed;
+        }
+
+        if (this.nowButton) {
+            this.nowButton.classList.toggle('active', this.isLive);
+            this.nowButton.textContent = this.isLive ? '● Direct' : 'Maintenant';
+            this.nowButton.title = this.isLive ? 'Le ciel suit l\'heure réelle' : 'Revenir à maintenant (mode direct)';
+        }
+    }
+
+    /**
+     * Prévient l'application du changement de date
+     */
+    notifyChange() {
+        this.updateControls();
+
+        if (this.onTimeChange) {
+            this.onTimeChange(this.getDate());
+        }
+    }
+}
+
+// Exposé global (compatible avec l'usage existant non-modulaire)
+window.TimeControl = {
+    SIDEREAL_DAY_SECONDS,
+    TIME_SPEEDS,
+    TIME_STEPS,
+    formatDateTimeLocalInput,
+    TimeController
+};
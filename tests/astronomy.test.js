@@ -153,6 +153,103 @@ const astronomyTests = (runner) => {
         assert.approximately(diff, 15, 0.01);
     });
     
+    // ========================================================================
+    // Tests de précession et nutation
+    // ========================================================================
+    
+    runner.test('calculatePrecessionMatrix - identité à J2000.0', () => {
+        const matrix = Astronomy.calculatePrecessionMatrix(2451545.0);
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                assert.approximately(matrix[i][j], i === j ? 1 : 0, 1e-12);
+            }
+        }
+    });
+    
+    runner.test('precessEquatorial - θ Persei en 2028 (Meeus, ex. 21.b)', () => {
+        // Équinoxe J2000.0, corrigée du mouvement propre : 2h44m12.975s, +49°13'39.90" → JD 2462088.69
+        const result = Astronomy.precessEquatorial(41.054063, 49.227750, 2462088.69);
+        assert.approximately(result.ra, 41.547214, 0.0001, 'RA précessée');
+        assert.approximately(result.dec, 49.348483, 0.0001, 'Dec précessée');
+    });
+    
+    runner.test('calculateNutation - 10 avril 1987 (Meeus, ex. 22.a)', () => {
+        const nutation = Astronomy.calculateNutation(2446895.5);
+        assert.approximately(nutation.deltaPsi * 3600, -3.788, 0.01, 'Nutation en longitude (")');
+        assert.approximately(nutation.deltaEpsilon * 3600, 9.443, 0.01, 'Nutation en obliquité (")');
+        // ε0 IAU 2006 (84381.406") diffère de 0.04" de la valeur IAU 1980 utilisée par Meeus
+        assert.approximately(nutation.meanObliquity, 23.4409464, 0.00005, 'Obliquité moyenne');
+        assert.approximately(nutation.trueObliquity, 23.4435694, 0.00005, 'Obliquité vraie');
+    });
+    
+    runner.test('j2000ToDate - θ Persei, position vraie en 2028', () => {
+        // Position moyenne (ex. 21.b) + nutation Δα = +15.843", Δδ = +6.218" (Meeus, ex. 23.a)
+        const date = new Date(Date.UTC(2028, 10, 13, 4, 33, 36));
+        const result = Astronomy.j2000ToDate(41.054063, 49.227750, date);
+        assert.approximately(result.ra, 41.547214 + 15.843 / 3600, 0.0001, 'RA vraie');
+        assert.approximately(result.dec, 49.348483 + 6.218 / 3600, 0.0001, 'Dec vraie');
+    });
+    
+    runner.test('dateToJ2000 - inverse de j2000ToDate', () => {
+        const date = new Date(Date.UTC(2028, 10, 13, 4, 33, 36));
+        const ofDate = Astronomy.j2000ToDate(41.054063, 49.227750, date);
+        const result = Astronomy.dateToJ2000(ofDate.ra, ofDate.dec, date);
+        assert.approximately(result.ra, 41.054063, 1e-9, 'RA J2000');
+        assert.approximately(result.dec, 49.227750, 1e-9, 'Dec J2000');
+    });
+    
+    runner.test('calculateApparentLST - proche du LST moyen (équation des équinoxes)', () => {
+        const date = new Date('2024-06-15T22:00:00Z');
+        const mean = Astronomy.calculateLST(date, 4.83);
+        const apparent = Astronomy.calculateApparentLST(date, 4.83);
+        const diff = Math.abs(Astronomy.normalizeAngle(apparent - mean + 180) - 180);
+        assert.isTrue(diff < 0.005, 'L\'équation des équinoxes reste inférieure à ~1.2 s');
+    });
+    
+    // ========================================================================
+    // Tests de applyProperMotion
+    // ========================================================================
+    
+    runner.test('applyProperMotion - sans mouvement propre, position inchangée', () => {
+        const result = Astronomy.applyProperMotion(100, 20, 0, 0, 1000);
+        assert.equals(result.ra, 100);
+        assert.equals(result.dec, 20);
+    });
+    
+    runner.test('applyProperMotion - θ Persei en 2028 (Meeus, ex. 21.a)', () => {
+        // α0 = 2h44m11.986s, δ0 = +49°13'42.48", μα = +0.03425 s/an, μδ = -0.0895"/an
+        const dec0 = 49.228467;
+        const pmra = 0.03425 * 15 * 1000 * Math.cos(Astronomy.degreesToRadians(dec0));
+        const years = (2462088.69 - 2451545.0) / 365.25;
+        const result = Astronomy.applyProperMotion(41.049942, dec0, pmra, -89.5, years);
+        assert.approximately(result.ra, 41.054063, 0.00001, 'RA : 2h44m12.975s');
+        assert.approximately(result.dec, 49.227750, 0.00001, 'Dec : +49°13\'39.90"');
+    });
+    
+    runner.test('applyProperMotion - étoile de Barnard sur un siècle', () => {
+        // μδ ≈ 10.3"/an : ~0.29° de déplacement vers le nord en 100 ans
+        const result = Astronomy.applyProperMotion(269.452083, 4.693364, -798.58, 10328.12, 100);
+        assert.approximately(result.dec - 4.693364, 10328.12 * 100 / 3600000, 0.001);
+        assert.isTrue(result.ra < 269.452083, 'La RA diminue (μα négatif)');
+    });
+    
+    runner.test('applyProperMotion - effet de perspective avec distance et vitesse radiale', () => {
+        // L'étoile de Barnard s'approche (rv < 0) : son mouvement propre s'accélère
+        const flat = Astronomy.applyProperMotion(269.452083, 4.693364, -798.58, 10328.12, 100);
+        const spatial = Astronomy.applyProperMotion(269.452083, 4.693364, -798.58, 10328.12, 100, 1.8266, -110.6);
+        assert.isTrue(spatial.dec > flat.dec, 'Le déplacement devrait être plus grand');
+        assert.approximately(spatial.dec, flat.dec, 0.01, 'Correction de second ordre');
+    });
+    
+    runner.test('calculateVisibleStars - applique le mouvement propre à la date', () => {
+        const observer = { latitude: 90, longitude: 0 };
+        const star = { id: 'test', ra: 12, dec: 45, mag: 1, pmra: 0, pmdec: 3600000 };
+        const now = Astronomy.calculateVisibleStars([star], new Date('2000-01-01T12:00:00Z'), observer)[0];
+        const later = Astronomy.calculateVisibleStars([star], new Date('2010-01-01T12:00:00Z'), observer)[0];
+        // 1°/an vers le nord : au pôle, l'altitude suit la déclinaison
+        assert.approximately(later.altitude - now.altitude, 10, 0.2);
+    });
+    
     // ========================================================================
     // Tests de equatorialToHorizontal
     // ========================================================================
@@ -200,6 +297,76 @@ const astronomyTests = (runner) => {
         assert.isTrue(azNormalized < 10 || azNormalized > 350, 'Polaris devrait être au Nord');
     });
     
+    runner.test('horizontalToEquatorial - inverse de equatorialToHorizontal', () => {
+        const lst = 123.4;
+        const horizontal = Astronomy.equatorialToHorizontal(279.23, 38.78, lst, 45.76);
+        const result = Astronomy.horizontalToEquatorial(horizontal.azimut, horizontal.altitude, lst, 45.76);
+        assert.approximately(result.ra, 279.23, 1e-6);
+        assert.approximately(result.dec, 38.78, 1e-6);
+        assert.approximately(result.hourAngle, Astronomy.normalizeAngle(lst - 279.23), 1e-6);
+    });
+    
+    runner.test('horizontalToEquatorial - le zénith a pour déclinaison la latitude', () => {
+        const result = Astronomy.horizontalToEquatorial(0, 90, 200, 45);
+        assert.approximately(result.dec, 45, 1e-9);
+        assert.approximately(result.ra, 200, 1e-6);
+    });
+    
+    runner.test('calculateEquatorialPosition - retire la réfraction', () => {
+        const date = new Date('2024-03-20T21:00:00Z');
+        const observer = { latitude: 45, longitude: 5 };
+        const refraction = { enabled: true, temperature: 10, pressure: 1010 };
+        const horizontal = Astronomy.calculateHorizontalPosition(100, 10, date, observer, refraction);
+        const result = Astronomy.calculateEquatorialPosition(horizontal.azimut, horizontal.altitude, date, observer, refraction);
+        assert.approximately(result.ra, 100, 0.001);
+        assert.approximately(result.dec, 10, 0.001);
+    });
+    
+    // ========================================================================
+    // Tests de la réfraction atmosphérique
+    // ========================================================================
+    
+    runner.test('calculateRefraction - environ 29\' à l\'horizon (Saemundsson)', () => {
+        const refraction = Astronomy.calculateRefraction(0, 10, 1010);
+        assert.approximately(refraction * 60, 29, 0.5, 'Réfraction à l\'horizon en minutes d\'arc');
+    });
+    
+    runner.test('calculateRefraction - décroît avec l\'altitude, nulle au zénith', () => {
+        const low = Astronomy.calculateRefraction(5, 10, 1010);
+        const high = Astronomy.calculateRefraction(45, 10, 1010);
+        assert.isTrue(low > high, 'Plus forte près de l\'horizon');
+        assert.approximately(high * 60, 1, 0.05, 'Environ 1\' à 45°');
+        assert.approximately(Astronomy.calculateRefraction(90, 10, 1010), 0, 0.0001);
+    });
+    
+    runner.test('calculateRefraction - dépend de la température et de la pression', () => {
+        const standard = Astronomy.calculateRefraction(2, 10, 1010);
+        const cold = Astronomy.calculateRefraction(2, -20, 1010);
+        const altitudeSite = Astronomy.calculateRefraction(2, 10, 700);
+        assert.isTrue(cold > standard, 'Air froid : réfraction plus forte');
+        assert.approximately(altitudeSite / standard, 700 / 1010, 0.0001, 'Proportionnelle à la pression');
+    });
+    
+    runner.test('calculateInverseRefraction - Bennett : 34.5\' pour une altitude apparente nulle', () => {
+        const refraction = Astronomy.calculateInverseRefraction(0, 10, 1010);
+        assert.approximately(refraction * 60, 34.5, 0.2);
+    });
+    
+    runner.test('apparentToTrueAltitude - inverse de trueToApparentAltitude', () => {
+        const config = { enabled: true, temperature: 10, pressure: 1010 };
+        for (const altitude of [0, 0.5, 2, 10, 30, 60]) {
+            const apparent = Astronomy.trueToApparentAltitude(altitude, config);
+            const back = Astronomy.apparentToTrueAltitude(apparent, config);
+            assert.approximately(back, altitude, 0.005, `Aller-retour à ${altitude}°`);
+        }
+    });
+    
+    runner.test('trueToApparentAltitude - désactivée, altitude inchangée', () => {
+        const config = { enabled: false, temperature: 10, pressure: 1010 };
+        assert.equals(Astronomy.trueToApparentAltitude(-0.3, config), -0.3);
+        assert.equals(Astronomy.apparentToTrueAltitude(0.2, config), 0.2);
+    });
+    
     // ========================================================================
     // Tests de isStarVisible
     // ========================================================================
@@ -274,6 +441,234 @@ const astronomyTests = (runner) => {
         assert.isTrue(sizeDim >= 0.5, 'Taille min = 0.5');
     });
     
+    // ========================================================================
+    // Tests du Soleil et du crépuscule
+    // ========================================================================
+    
+    runner.test('calculateSunEquatorial - 13 octobre 1992 (Meeus, ex. 25.a)', () => {
+        const sun = Astronomy.calculateSunEquatorial(new Date(Date.UTC(1992, 9, 13, 0, 0, 0)));
+        assert.approximately(sun.ra, 198.38083, 0.002, 'Ascension droite apparente');
+        assert.approximately(sun.dec, -7.78507, 0.002, 'Déclinaison apparente');
+        assert.approximately(sun.distance, 0.99766, 0.00001, 'Distance en UA');
+    });
+    
+    runner.test('calculateSunEquatorial - déclinaison aux solstices', () => {
+        const summer = Astronomy.calculateSunEquatorial(new Date('2024-06-20T20:51:00Z'));
+        const winter = Astronomy.calculateSunEquatorial(new Date('2024-12-21T09:20:00Z'));
+        assert.approximately(summer.dec, 23.44, 0.01, 'Solstice de juin');
+        assert.approximately(winter.dec, -23.44, 0.01, 'Solstice de décembre');
+    });
+    
+    runner.test('eclipticToEquatorial - point vernal et solstice', () => {
+        const vernal = Astronomy.eclipticToEquatorial(0, 0, 23.44);
+        assert.approximately(vernal.ra, 0, 0.0001);
+        assert.approximately(vernal.dec, 0, 0.0001);
+        
+        const solstice = Astronomy.eclipticToEquatorial(90, 0, 23.44);
+        assert.approximately(solstice.ra, 90, 0.0001);
+        assert.approximately(solstice.dec, 23.44, 0.0001);
+    });
+
+    runner.test('equatorialToEcliptic - inverse de eclipticToEquatorial', () => {
+        const equatorial = Astronomy.eclipticToEquatorial(123, 17, 23.44);
+        const ecliptic = Astronomy.equatorialToEcliptic(equatorial.ra, equatorial.dec, 23.44);
+        assert.approximately(ecliptic.longitude, 123, 1e-9);
+        assert.approximately(ecliptic.latitude, 17, 1e-9);
+    });
+
+    runner.test('galacticToEquatorial - centre et pôle Nord galactiques (J2000.0)', () => {
+        const j2000 = new Date(Date.UTC(2000, 0, 1, 12, 0, 0));
+        // Précession nulle à J2000.0, seule la nutation (< 0.01°) subsiste
+        const center = Astronomy.galacticToEquatorial(0, 0, j2000);
+        assert.approximately(center.ra, 266.405, 0.01);
+        assert.approximately(center.dec, -28.936, 0.01);
+
+        const pole = Astronomy.galacticToEquatorial(0, 90, j2000);
+        assert.approximately(pole.ra, 192.859, 0.01);
+        assert.approximately(pole.dec, 27.128, 0.01);
+    });
+
+    runner.test('equatorialToGalactic - inverse de galacticToEquatorial', () => {
+        const date = new Date(Date.UTC(2024, 6, 15, 22, 0, 0));
+        const equatorial = Astronomy.galacticToEquatorial(75, -20, date);
+        const galactic = Astronomy.equatorialToGalactic(equatorial.ra, equatorial.dec, date);
+        assert.approximately(galactic.longitude, 75, 1e-9);
+        assert.approximately(galactic.latitude, -20, 1e-9);
+    });
+
+    runner.test('getTwilightPhase - seuils du jour et des crépuscules', () => {
+        assert.equals(Astronomy.getTwilightPhase(10).id, 'day');
+        assert.equals(Astronomy.getTwilightPhase(-0.5).id, 'day');
+        assert.equals(Astronomy.getTwilightPhase(-3).id, 'civil');
+        assert.equals(Astronomy.getTwilightPhase(-9).id, 'nautical');
+        assert.equals(Astronomy.getTwilightPhase(-15).id, 'astronomical');
+        assert.equals(Astronomy.getTwilightPhase(-25).id, 'night');
+    });
+    
+    runner.test('calculateSkyState - nuit noire et plein jour', () => {
+        const night = Astronomy.calculateSkyState(-30);
+        assert.equals(night.zenithColor, 'rgb(0, 8, 20)', 'Même fond que le ciel nocturne');
+        assert.isTrue(night.limitingMagnitude >= 6, 'Toutes les étoiles à l\'œil nu visibles');
+        
+        const day = Astronomy.calculateSkyState(40);
+        assert.isTrue(day.limitingMagnitude < -1.5, 'Même Sirius est invisible en plein jour');
+    });
+    
+    runner.test('calculateSkyState - la magnitude limite baisse quand le Soleil monte', () => {
+        let previous = Infinity;
+        for (let altitude = -20; altitude <= 20; altitude += 2) {
+            const limit = Astronomy.calculateSkyState(altitude).limitingMagnitude;
+            assert.isTrue(limit <= previous, `Décroissante à ${altitude}°`);
+            previous = limit;
+        }
+    });
+    
+    runner.test('calculateStarFade - estompe les étoiles proches de la magnitude limite', () => {
+        assert.equals(Astronomy.calculateStarFade(1, 6.5), 1);
+        assert.equals(Astronomy.calculateStarFade(3, 2), 0);
+        assert.inRange(Astronomy.calculateStarFade(1.8, 2), 0.01, 0.99);
+    });
+    
+    // ========================================================================
+    // Tests de la Lune
+    // ========================================================================
+    
+    runner.test('calculateMoonEquatorial - 12 avril 1992 (Meeus, ex. 47.a)', () => {
+        const moon = Astronomy.calculateMoonEquatorial(new Date(Date.UTC(1992, 3, 12, 0, 0, 0)));
+        assert.approximately(moon.eclipticLongitude, 133.167265, 0.0001, 'Longitude apparente');
+        assert.approximately(moon.eclipticLatitude, -3.229126, 0.0001, 'Latitude');
+        assert.approximately(moon.distance, 368409.7, 0.5, 'Distance en km');
+        assert.approximately(moon.ra, 134.688470, 0.0001, 'Ascension droite apparente');
+        assert.approximately(moon.dec, 13.768368, 0.0001, 'Déclinaison apparente');
+    });
+    
+    runner.test('calculateMoonPosition - phase et limbe éclairé (Meeus, ex. 48.a)', () => {
+        const moon = Astronomy.calculateMoonPosition(new Date(Date.UTC(1992, 3, 12, 0, 0, 0)));
+        assert.approximately(moon.illuminatedFraction, 0.6786, 0.0005, 'Fraction éclairée');
+        assert.approximately(moon.brightLimbAngle, 285.0, 0.1, 'Angle de position du limbe éclairé');
+        assert.isTrue(moon.elongation < 180, 'Lune croissante');
+    });
+    
+    runner.test('calculateMoonPosition - diamètre apparent d\'environ un demi-degré', () => {
+        const moon = Astronomy.calculateMoonPosition(new Date('2024-06-15T22:00:00Z'));
+        assert.inRange(moon.angularDiameter, 0.48, 0.57);
+        assert.inRange(moon.distance, 350000, 410000);
+    });
+    
+    runner.test('geocentricToTopocentric - parallaxe d\'environ 1° à l\'horizon', () => {
+        const observer = { latitude: 0, longitude: 0, elevation: 0 };
+        const date = new Date('2024-03-20T12:00:00Z');
+        const lst = Astronomy.calculateApparentLST(date, 0);
+        const noRefraction = { enabled: false, temperature: 10, pressure: 1010 };
+        
+        // Astre à 384 400 km sur l'horizon Ouest (angle horaire de 90°)
+        const ra = Astronomy.normalizeAngle(lst - 90);
+        const topo = Astronomy.geocentricToTopocentric(ra, 0, 384400, date, observer);
+        const geocentric = Astronomy.calculateHorizontalPosition(ra, 0, date, observer, noRefraction);
+        const topocentric = Astronomy.calculateHorizontalPosition(topo.ra, topo.dec, date, observer, noRefraction);
+        
+        assert.approximately(geocentric.altitude - topocentric.altitude, 0.951, 0.01, 'Parallaxe horizontale');
+        
+        // Au zénith, la parallaxe est nulle mais la distance diminue d'un rayon terrestre
+        const zenith = Astronomy.geocentricToTopocentric(lst, 0, 384400, date, observer);
+        assert.approximately(zenith.dec, 0, 0.001);
+        assert.approximately(zenith.distance, 384400 - 6378.14, 1);
+    });
+    
+    runner.test('offsetByPositionAngle - cohérent avec calculatePositionAngle', () => {
+        for (const pa of [0, 45, 90, 200, 300]) {
+            const target = Astronomy.offsetByPositionAngle(120, 30, pa, 2);
+            assert.approximately(Astronomy.calculatePositionAngle(120, 30, target.ra, target.dec), pa, 0.01,
+                `Angle de position ${pa}°`);
+        }
+        // Vers le nord, seule la déclinaison augmente
+        const north = Astronomy.offsetByPositionAngle(120, 30, 0, 2);
+        assert.approximately(north.ra, 120, 1e-9);
+        assert.approximately(north.dec, 32, 1e-9);
+    });
+    
+    runner.test('calculateMoonGlare - nulle sous l\'horizon, maximale pour la pleine Lune haute', () => {
+        assert.equals(Astronomy.calculateMoonGlare({ altitude: -5, illuminatedFraction: 1 }), 0);
+        assert.approximately(Astronomy.calculateMoonGlare({ altitude: 60, illuminatedFraction: 1 }), 2, 0.001);
+        assert.isTrue(Astronomy.calculateMoonGlare({ altitude: 60, illuminatedFraction: 0.1 }) < 0.1, 'Fin croissant');
+        
+        const withMoon = Astronomy.calculateSkyState(-30, 2);
+        assert.approximately(withMoon.limitingMagnitude, 4.5, 0.001, 'Ciel de pleine Lune');
+    });
+    
+    // ========================================================================
+    // Tests du lever, du passage au méridien et du coucher
+    // ========================================================================
+    
+    const lyon = { latitude: 45.757814, longitude: 4.832011, elevation: 173 };
+    const refractionOn = { enabled: true, temperature: 10, pressure: 1010 };
+    
+    runner.test('getObservingNightStart - midi solaire moyen précédant la date', () => {
+        // Longitude 0 : la nuit du 21 au 22 juin commence le 21 à 12h UT
+        const evening = Astronomy.getObservingNightStart(new Date('2024-06-21T23:00:00Z'), 0);
+        const morning = Astronomy.getObservingNightStart(new Date('2024-06-22T03:00:00Z'), 0);
+        assert.equals(evening.toISOString(), '2024-06-21T12:00:00.000Z');
+        assert.equals(morning.toISOString(), '2024-06-21T12:00:00.000Z');
+        // 90° Est : midi local à 6h UT
+        const east = Astronomy.getObservingNightStart(new Date('2024-06-21T23:00:00Z'), 90);
+        assert.equals(east.toISOString(), '2024-06-21T06:00:00.000Z');
+    });
+    
+    runner.test('calculateSunRiseTransitSet - solstice d\'été à Lyon', () => {
+        const events = Astronomy.calculateSunRiseTransitSet(new Date('2024-06-21T22:00:00Z'), lyon,
+                                                            { refraction: refractionOn });
+        const minutes = (date) => date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+        // Éphémérides : coucher 19h32 UT le 21, lever 3h50 UT le 22, midi vrai 11h42 UT
+        assert.approximately(minutes(events.set), 19 * 60 + 32, 3, 'Coucher');
+        assert.approximately(minutes(events.rise), 3 * 60 + 50, 3, 'Lever');
+        assert.approximately(minutes(events.transit), 11 * 60 + 42, 2, 'Passage');
+        assert.approximately(events.maxAltitude, 90 - 45.758 + 23.44, 0.1, 'Hauteur à midi');
+        assert.isFalse(events.circumpolar);
+        assert.isFalse(events.neverRises);
+    });
+    
+    runner.test('calculateRiseTransitSet - étoile circumpolaire (Polaris à Lyon)', () => {
+        const events = Astronomy.calculateRiseTransitSet({ ra: 37.95, dec: 89.26 },
+                                                         new Date('2024-06-21T22:00:00Z'), lyon);
+        assert.isTrue(events.circumpolar);
+        assert.isFalse(events.neverRises);
+        assert.isNull(events.rise);
+        assert.isNull(events.set);
+        assert.isDefined(events.transit);
+    });
+    
+    runner.test('calculateRiseTransitSet - étoile qui ne se lève pas (Canopus à Lyon)', () => {
+        const events = Astronomy.calculateRiseTransitSet({ ra: 95.99, dec: -52.70 },
+                                                         new Date('2024-06-21T22:00:00Z'), lyon);
+        assert.isTrue(events.neverRises);
+        assert.isFalse(events.circumpolar);
+        assert.isTrue(events.maxAltitude < 0, 'Toujours sous l\'horizon');
+    });
+    
+    runner.test('calculateRiseTransitSet - hauteur de culmination et hauteur minimale', () => {
+        // Véga (δ = 38.8°) culmine à 90 - |φ - δ| ≈ 83°
+        const vega = { ra: 279.23, dec: 38.78 };
+        const date = new Date('2024-06-21T22:00:00Z');
+        const noRefraction = { enabled: false };
+        const events = Astronomy.calculateRiseTransitSet(vega, date, lyon, { refraction: noRefraction });
+        assert.approximately(events.transitAltitude, 90 - Math.abs(45.758 - 38.78), 0.01);
+        
+        // Derrière des arbres de 20°, Véga se lève plus tard et se couche plus tôt
+        const trees = Astronomy.calculateRiseTransitSet(vega, date, lyon, { altitude: 20, refraction: noRefraction });
+        assert.isTrue(trees.rise > events.rise, 'Lever retardé');
+        assert.isTrue(trees.set < events.set, 'Coucher avancé');
+        assert.equals(trees.transit.getTime(), events.transit.getTime(), 'Passage inchangé');
+    });
+    
+    runner.test('calculateMoonRiseTransitSet - lever et coucher de la Lune', () => {
+        // Pleine Lune du 21-22 juin 2024 à Lyon : lever ~19h45 UT, coucher ~3h33 UT
+        const events = Astronomy.calculateMoonRiseTransitSet(new Date('2024-06-21T22:00:00Z'), lyon,
+                                                             { refraction: refractionOn });
+        assert.equals(events.rise.toISOString().slice(0, 13), '2024-06-21T19');
+        assert.equals(events.set.toISOString().slice(0, 13), '2024-06-22T03');
+        assert.inRange(events.transitAltitude, 13, 18, 'Pleine Lune basse en été');
+    });
+    
     // ========================================================================
     // Tests de formatDateTime
     // ========================================================================
@@ -290,6 +685,18 @@ const astronomyTests = (runner) => {
         assert.isTrue(formatted.includes('2024'), 'Devrait contenir l\'année');
     });
     
+    runner.test('formatRightAscension - heures, minutes, secondes', () => {
+        assert.equals(Astronomy.formatRightAscension(279.2347), '18h 36m 56.3s');
+        assert.equals(Astronomy.formatRightAscension(0), '0h 00m 00.0s');
+        assert.equals(Astronomy.formatRightAscension(359.99999), '0h 00m 00.0s', 'Arrondi à 24h ramené à 0h');
+    });
+    
+    runner.test('formatDeclination - signe, degrés, minutes, secondes', () => {
+        assert.equals(Astronomy.formatDeclination(38.78369), '+38° 47′ 01″');
+        assert.equals(Astronomy.formatDeclination(-16.7161), '-16° 42′ 58″');
+        assert.equals(Astronomy.formatDeclination(-0.0001), '+0° 00′ 00″', 'Pas de zéro négatif');
+    });
+    
     // ========================================================================
     // Tests de getStarColor
     // ========================================================================
@@ -304,6 +711,42 @@ const astronomyTests = (runner) => {
         const color2 = Astronomy.getStarColor(1.5);  // Étoile rouge
         assert.isDefined(color1);
         assert.isDefined(color2);
+    });    
+    runner.test('colorIndexToTemperature - le Soleil (B-V = 0.65) est à ~5800 K', () => {
+        assert.approximately(Astronomy.colorIndexToTemperature(0.65), 5800, 150);
+        assert.isTrue(Astronomy.colorIndexToTemperature(-0.2) > Astronomy.colorIndexToTemperature(1.5),
+                      'Les étoiles bleues sont plus chaudes');
+    });
+    
+    runner.test('blackbodyToLinearRGB - un corps noir à 6500 K est presque blanc', () => {
+        const [r, g, b] = Astronomy.blackbodyToLinearRGB(6500);
+        assert.approximately(r, 1, 0.06);
+        assert.approximately(g, 1, 0.06);
+        assert.approximately(b, 1, 0.1);
+    });
+    
+    runner.test('getStarColor - Rigel bleutée, Bételgeuse orangée', () => {
+        const channels = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+        const rigel = channels(Astronomy.getStarColor(-0.03, 1));
+        const betelgeuse = channels(Astronomy.getStarColor(1.85, 1));
+        assert.isTrue(rigel[2] > rigel[0], 'Rigel : plus de bleu que de rouge');
+        assert.isTrue(betelgeuse[0] > betelgeuse[2], 'Bételgeuse : plus de rouge que de bleu');
+        assert.isTrue(betelgeuse[2] < 160, 'Bételgeuse nettement orangée');
+    });
+    
+    runner.test('getStarColor - saturation nulle et indice inconnu', () => {
+        assert.equals(Astronomy.getStarColor(1.85, 0), '#ffffff');
+        assert.equals(Astronomy.getStarColor(null), '#FFFEF0');
+        assert.equals(Astronomy.getStarColor(NaN), '#FFFEF0');
+    });
+    
+    runner.test('getStarColor - une saturation plus forte accentue la couleur', () => {
+        const blue = (hex) => parseInt(hex.slice(5, 7), 16);
+        assert.isTrue(blue(Astronomy.getStarColor(1.5, 2)) < blue(Astronomy.getStarColor(1.5, 1)));
+    });
+    
+    runner.test('colorWithAlpha - convertit une couleur hexadécimale', () => {
+        assert.equals(Astronomy.colorWithAlpha('#ff8040', 0.3), 'rgba(255, 128, 64, 0.3)');
     });
 };
 
@@ -93,6 +93,40 @@ const cameraTests = (runner) => {
             'Distance du centre devrait être ~0 pour étoile centrée');
     });
     
+    runner.test('Camera - unproject est l\'inverse de project', () => {
+        camera = new Camera(800, 600);
+        camera.azimuth = 120;
+        camera.altitude = 35;
+        camera.fov = 70;
+        
+        for (const [x, y] of [[400, 300], [50, 40], [760, 580], [123, 456]]) {
+            const direction = camera.unproject(x, y);
+            const point = camera.project(direction.azimuth, direction.altitude);
+            assert.approximately(point.x, x, 1e-6);
+            assert.approximately(point.y, y, 1e-6);
+        }
+        
+        const center = camera.unproject(400, 300);
+        assert.approximately(center.azimuth, 120, 1e-9);
+        assert.approximately(center.altitude, 35, 1e-9);
+    });
+    
+    runner.test('Camera - placeAtScreenPoint amène une direction sous un point de l\'écran', () => {
+        camera = new Camera(800, 600);
+        assert.isTrue(camera.placeAtScreenPoint(250, 20, 600, 150));
+        const point = camera.project(250, 20);
+        assert.approximately(point.x, 600, 1e-6);
+        assert.approximately(point.y, 150, 1e-6);
+        
+        // Près du zénith : la solution retenue est la plus proche de la visée actuelle
+        camera.altitude = 80;
+        const direction = camera.unproject(400, 20);
+        camera.zoom(0.8);
+        assert.isTrue(camera.placeAtScreenPoint(direction.azimuth, direction.altitude, 400, 20));
+        assert.inRange(camera.altitude, 70, 90);
+        assert.approximately(camera.project(direction.azimuth, direction.altitude).y, 20, 1e-6);
+    });
+    
     // ========================================================================
     // Tests de getVerticalFov
     // ========================================================================
@@ -113,6 +147,42 @@ const cameraTests = (runner) => {
         assert.approximately(vFov, 67.5, 0.1);
     });
     
+    runner.test('Camera - getPixelsPerDegree cohérent avec la projection', () => {
+        camera = new Camera(800, 600);
+        camera.azimuth = 180;
+        camera.altitude = 30;
+        // Un point 1° au-dessus du centre de vue est à ppd pixels du centre
+        const above = camera.project(180, 31);
+        assert.approximately(300 - above.y, camera.getPixelsPerDegree(), 0.001);
+    });
+    
+    runner.test('Camera - projectSegment coïncide avec project aux extrémités visibles', () => {
+        camera = new Camera(800, 600);
+        camera.azimuth = 180;
+        camera.altitude = 30;
+        const a = camera.project(170, 25);
+        const b = camera.project(195, 40);
+        const segment = camera.projectSegment(170, 25, 195, 40);
+        assert.approximately(segment[0].x, a.x, 0.001);
+        assert.approximately(segment[0].y, a.y, 0.001);
+        assert.approximately(segment[1].x, b.x, 0.001);
+        assert.approximately(segment[1].y, b.y, 0.001);
+    });
+    
+    runner.test('Camera - projectSegment coupe la partie derrière la caméra', () => {
+        camera = new Camera(800, 600);
+        camera.azimuth = 180;
+        camera.altitude = 0;
+        // Segment du Sud (devant) vers le Nord (derrière), en passant par l'Ouest
+        const segment = camera.projectSegment(200, 10, 340, 10);
+        assert.isDefined(segment);
+        assert.approximately(segment[0].x, camera.project(200, 10).x, 0.001);
+        assert.isTrue(segment[1].x > 800, 'L\'extrémité coupée sort par la droite (Ouest)');
+        
+        // Segment entièrement derrière la caméra
+        assert.isNull(camera.projectSegment(340, 10, 20, 10));
+    });
+    
     // ========================================================================
     // Tests de rotation
     // ========================================================================
@@ -182,6 +252,17 @@ const cameraTests = (runner) => {
         assert.equals(camera.fov, camera.maxFov);
     });
     
+    runner.test('Camera - zoomAt garde fixe le point sous le curseur', () => {
+        camera = new Camera(800, 600);
+        const direction = camera.unproject(650, 120);
+        
+        camera.zoomAt(0.5, 650, 120);
+        assert.equals(camera.fov, 45);
+        const point = camera.project(direction.azimuth, direction.altitude);
+        assert.approximately(point.x, 650, 1e-6);
+        assert.approximately(point.y, 120, 1e-6);
+    });
+    
     runner.test('Camera - setFov définit directement le FOV', () => {
         camera = new Camera(800, 600);
         camera.setFov(60);
@@ -315,6 +396,49 @@ const cameraTests = (runner) => {
         assert.isDefined(horizonY);
         assert.isTrue(horizonY >= 0 && horizonY <= camera.height);
     });
+
+    runner.test('Camera - getHorizonY exact en perspective', () => {
+        camera = new Camera(800, 600);
+        camera.altitude = 20;
+        camera.fov = 90;
+        // Horizon à tan(20°) sous le centre, 400 px valant tan(45°)
+        assert.approximately(camera.getHorizonY(), 300 + 400 * Math.tan(degreesToRadians(20)), 1e-6);
+
+        camera.altitude = 60;
+        assert.isNull(camera.getHorizonY());
+    });
+
+    runner.test('Camera - horizon visible en portrait', () => {
+        camera = new Camera(400, 800);
+        camera.altitude = 50;
+        camera.fov = 90;
+        // Le bas de l'écran portrait descend sous l'horizon
+        assert.isTrue(camera.unproject(200, 800).altitude < 0);
+        assert.isTrue(camera.isHorizonVisible());
+
+        const horizon = camera.projectHorizon();
+        const horizonY = 400 + 200 * Math.tan(degreesToRadians(50));
+        assert.approximately(camera.getHorizonY(), horizonY, 1e-6);
+        for (const point of horizon.points) {
+            assert.approximately(point.y, horizonY, 1e-6);
+        }
+        // La ligne traverse tout l'écran
+        const xs = horizon.points.map(point => point.x);
+        assert.isTrue(Math.min(...xs) < 0 && Math.max(...xs) > 400);
+    });
+
+    runner.test('Camera - projectHorizon : cercle de hauteur', () => {
+        camera = new Camera(400, 800);
+        camera.setProjection('equidistant');
+        camera.altitude = 90;
+        // Vu du zénith, le cercle de hauteur 60° est à 30° du centre
+        const circle = camera.projectHorizon(60);
+        assert.isTrue(circle.closed);
+        assert.equals(circle.altitude, 60);
+        for (const point of circle.points) {
+            assert.approximately(Math.hypot(point.x - 200, point.y - 400), 30 * camera.getPixelsPerDegree(), 1e-6);
+        }
+    });
     
     // ========================================================================
     // Tests de getState / setState
@@ -353,6 +477,302 @@ const cameraTests = (runner) => {
         // Le Nord devrait être visible et proche du centre horizontal
         assert.isDefined(northPoint);
     });
+    
+    // ========================================================================
+    // Tests des projections
+    // ========================================================================
+    
+    const projectionNames = Object.keys(POV_PROJECTIONS);
+    
+    runner.test('Camera - setProjection adopte les limites et le champ par défaut', () => {
+        camera = new Camera(800, 600);
+        assert.equals(camera.projection, 'gnomonic');
+        assert.isTrue(camera.setProjection('equidistant'));
+        assert.equals(camera.maxFov, 360);
+        assert.equals(camera.fov, POV_PROJECTIONS.equidistant.defaultFov);
+        assert.approximately(camera.getZoomLevel(), 1, 1e-12);
+        
+        camera.zoom(0.5);
+        assert.isFalse(camera.setProjection('equidistant'), 'Même projection : rien ne change');
+        assert.equals(camera.fov, 90);
+        assert.throws(() => camera.setProjection('mercator'));
+    });
+    
+    runner.test('Camera - la moitié du champ de vision atteint le bord de l\'écran', () => {
+        for (const name of projectionNames) {
+            camera = new Camera(800, 600);
+            camera.setProjection(name);
+            camera.azimuth = 180;
+            camera.altitude = 0;
+            const fov = Math.min(camera.maxFov, 170);
+            camera.setFov(fov);
+            const edge = camera.project(180 + fov / 2, 0);
+            assert.approximately(edge.x, 800, 1e-6, name);
+            assert.approximately(edge.y, 300, 1e-6, name);
+        }
+    });
+    
+    runner.test('Camera - unproject est l\'inverse de project dans chaque projection', () => {
+        for (const name of projectionNames) {
+            camera = new Camera(800, 600);
+            camera.setProjection(name);
+            camera.azimuth = 120;
+            camera.altitude = 35;
+            
+            // Points à l'intérieur du disque de la projection orthographique
+            for (const [x, y] of [[400, 300], [150, 120], [700, 500], [123, 456]]) {
+                const direction = camera.unproject(x, y);
+                const point = camera.project(direction.azimuth, direction.altitude);
+                assert.approximately(point.x, x, 1e-6, name);
+                assert.approximately(point.y, y, 1e-6, name);
+            }
+        }
+    });
+    
+    runner.test('Camera - getPixelsPerDegree cohérent dans chaque projection', () => {
+        for (const name of projectionNames) {
+            camera = new Camera(800, 600);
+            camera.setProjection(name);
+            camera.altitude = 30;
+            const above = camera.project(180, 31);
+            assert.approximately(300 - above.y, camera.getPixelsPerDegree(), 1e-6, name);
+        }
+    });
+    
+    runner.test('Camera - fisheye au-delà de l\'hémisphère, orthographique limitée au disque', () => {
+        camera = new Camera(800, 600);
+        camera.azimuth = 180;
+        camera.altitude = 0;
+        
+        // Étoile derrière l'observateur : visible en fisheye à 360°
+        camera.setProjection('equidistant');
+        camera.setFov(360);
+        assert.isTrue(camera.project(0, 10) !== null, 'Visible en fisheye');
+        
+        camera.setProjection('orthographic');
+        assert.isNull(camera.project(0, 10));
+        assert.isNull(camera.unproject(0, 0), 'Coin hors de l\'hémisphère dessiné');
+    });
+    
+    runner.test('Camera - placeAtScreenPoint en fisheye et en panorama', () => {
+        for (const name of ['equidistant', 'cylindrical']) {
+            camera = new Camera(800, 600);
+            camera.setProjection(name);
+            assert.isTrue(camera.placeAtScreenPoint(250, 40, 600, 150), name);
+            const point = camera.project(250, 40);
+            assert.approximately(point.x, 600, 1e-6, name);
+            assert.approximately(point.y, 150, 1e-6, name);
+        }
+    });
+    
+    runner.test('Camera - projectArc en panorama coupe l\'arc au bord arrière', () => {
+        camera = new Camera(800, 600);
+        camera.setProjection('cylindrical');
+        camera.setFov(360);
+        camera.azimuth = 180;
+        camera.altitude = 0;
+        
+        // Arc qui passe par le Nord, dans le dos de l'observateur
+        const lines = camera.projectArc(350, 10, 10, 10);
+        assert.arrayLength(lines, 2);
+        assert.approximately(lines[0][lines[0].length - 1].x, 800, 1e-6);
+        assert.approximately(lines[1][0].x, 0, 1e-6);
+    });
+    
+    runner.test('Camera - projectArc s\'arrête au bord du ciel dessiné', () => {
+        camera = new Camera(800, 600);
+        camera.setProjection('stereographic');
+        camera.azimuth = 180;
+        camera.altitude = 0;
+        
+        // Du Sud (devant) vers le Nord (derrière), en passant par l'Ouest
+        const lines = camera.projectArc(200, 10, 340, 10);
+        assert.arrayLength(lines, 1);
+        const start = camera.project(200, 10);
+        assert.approximately(lines[0][0].x, start.x, 1e-6);
+        const end = lines[0][lines[0].length - 1];
+        assert.approximately(Math.hypot(end.x - 400, end.y - 300), camera.getVisibleRadius(), 1e-3);
+    });
+    
+    runner.test('Camera - projectHorizon : droite en gnomonique, cercle vu du zénith', () => {
+        camera = new Camera(800, 600);
+        camera.altitude = 20;
+        const line = camera.projectHorizon();
+        assert.isFalse(line.closed);
+        const horizonY = 300 + camera.getPixelScale() * Math.tan(degreesToRadians(20));
+        for (const point of line.points) {
+            assert.approximately(point.y, horizonY, 1e-6);
+        }
+        
+        camera.setProjection('equidistant');
+        camera.altitude = 90;
+        const circle = camera.projectHorizon();
+        assert.isTrue(circle.closed);
+        for (const point of circle.points) {
+            assert.approximately(Math.hypot(point.x - 400, point.y - 300), 400, 1e-6);
+        }
+    });
+    
+    // ========================================================================
+    // Tests des animations
+    // ========================================================================
+    
+    // Angle (degrés) entre deux directions horizontales
+    const separation = (az1, alt1, az2, alt2) => {
+        const a = horizontalToVector(az1, alt1);
+        const b = horizontalToVector(az2, alt2);
+        return radiansToDegrees(Math.acos(Math.min(1, a.x * b.x + a.y * b.y + a.z * b.z)));
+    };
+    
+    runner.test('Camera - animateTo rejoint la cible par le plus court chemin', () => {
+        camera = new Camera(800, 600);
+        camera.azimuth = 350;
+        camera.altitude = 20;
+        
+        camera.animateTo({ azimuth: 10, altitude: 20 });
+        assert.isTrue(camera.update(1000), 'Déplacement en cours');
+        assert.isTrue(camera.update(1000 + camera.animationDuration / 2));
+        // À mi-parcours : passage par le Nord plutôt que par le Sud
+        assert.approximately(normalizeAngle(camera.azimuth + 180) - 180, 0, 1e-9);
+        
+        assert.isFalse(camera.update(1000 + camera.animationDuration), 'Déplacement terminé');
+        assert.approximately(camera.azimuth, 10, 1e-9);
+        assert.approximately(camera.altitude, 20, 1e-9);
+        assert.isFalse(camera.isAnimating());
+    });
+    
+    runner.test('Camera - animateTo suit un grand cercle à vitesse régulière', () => {
+        camera = new Camera(800, 600);
+        camera.azimuth = 90;
+        camera.altitude = 40;
+        camera.animateTo({ azimuth: 200, altitude: 60 });
+        
+        const total = separation(90, 40, 200, 60);
+        camera.update(0);
+        camera.update(camera.animationDuration / 2);
+        // Le point milieu est à mi-distance des deux extrémités (sur le grand cercle)
+        assert.approximately(separation(90, 40, camera.azimuth, camera.altitude), total / 2, 1e-6);
+        assert.approximately(separation(camera.azimuth, camera.altitude, 200, 60), total / 2, 1e-6);
+    });
+    
+    runner.test('Camera - animateTo par le zénith et vers la direction opposée', () => {
+        camera = new Camera(800, 600);
+        camera.azimuth = 0;
+        camera.altitude = 60;
+        camera.animateTo({ azimuth: 180, altitude: 60 });
+        camera.update(0);
+        camera.update(camera.animationDuration / 2);
+        assert.approximately(camera.altitude, 90, 1e-6);
+        assert.isFalse(isNaN(camera.azimuth));
+        
+        // Directions opposées sur l'horizon : pivotement le long de l'horizon
+        camera = new Camera(800, 600);
+        camera.azimuth = 0;
+        camera.altitude = 0;
+        camera.animateTo({ azimuth: 180, altitude: 0 });
+        camera.update(0);
+        camera.update(camera.animationDuration / 2);
+        assert.approximately(camera.altitude, 0, 1e-6);
+        assert.approximately(Math.abs(normalizeAngle(camera.azimuth + 180) - 180), 90, 1e-6);
+    });
+    
+    runner.test('Camera - animateTo limite l\'altitude et anime le champ de vision', () => {
+        camera = new Camera(800, 600);
+        camera.fov = 40;
+        camera.animateTo({ azimuth: 90, altitude: -40, fov: 160 });
+        assert.equals(camera.animation.toAltitude, camera.minAltitude);
+        
+        camera.update(0);
+        camera.update(camera.animationDuration / 2);
+        // Interpolation logarithmique : moyenne géométrique à mi-parcours
+        assert.approximately(camera.fov, Math.sqrt(40 * camera.maxFov), 1e-9);
+        camera.update(camera.animationDuration);
+        assert.equals(camera.fov, camera.maxFov);
+    });
+    
+    runner.test('Camera - animateReset revient en douceur à la vue par défaut', () => {
+        camera = new Camera(800, 600);
+        camera.azimuth = 30;
+        camera.altitude = 70;
+        camera.fov = 25;
+        
+        camera.animateReset();
+        camera.update(0);
+        assert.approximately(camera.azimuth, 30, 1e-9, 'Pas de saut à la première image');
+        camera.update(camera.animationDuration);
+        assert.approximately(camera.azimuth, camera.defaultAzimuth, 1e-9);
+        assert.approximately(camera.altitude, camera.defaultAltitude, 1e-9);
+        assert.approximately(camera.fov, camera.defaultFov, 1e-9);
+    });
+    
+    runner.test('Camera - startInertia prolonge la rotation puis s\'arrête', () => {
+        camera = new Camera(800, 600);
+        camera.azimuth = 100;
+        camera.startInertia(60, 0);
+        
+        let time = 0;
+        camera.update(time);
+        while (camera.update(time += 16) && time < 10000) { /* images successives */ }
+        
+        // Distance totale ≈ vitesse × temps d'amortissement
+        const travelled = camera.azimuth - 100;
+        assert.inRange(travelled, 15, 60 * camera.inertiaTimeConstant / 1000 + 1e-9);
+        assert.isNull(camera.inertia);
+        assert.isTrue(time < 10000, 'L\'inertie finit par s\'arrêter');
+    });
+    
+    runner.test('Camera - startInertia ignore un relâchement lent et bute au zénith', () => {
+        camera = new Camera(800, 600);
+        camera.startInertia(0.5, 0.5);
+        assert.isFalse(camera.isAnimating());
+        
+        camera.altitude = 89;
+        camera.startInertia(0, 100);
+        camera.update(0);
+        camera.update(50);
+        assert.equals(camera.altitude, camera.maxAltitude);
+        assert.isNull(camera.inertia);
+    });
+    
+    runner.test('Camera - zoomSmoothly cumule les crans et converge', () => {
+        camera = new Camera(800, 600);
+        camera.zoomSmoothly(0.5);
+        camera.zoomSmoothly(0.5);
+        assert.equals(camera.targetFov, 22.5);
+        assert.equals(camera.fov, 90, 'Le champ de vision change progressivement');
+        
+        let time = 0;
+        camera.update(time);
+        camera.update(time += 16);
+        assert.inRange(camera.fov, 22.5, 90);
+        while (camera.update(time += 16) && time < 5000) { /* images successives */ }
+        assert.equals(camera.fov, 22.5);
+        assert.isNull(camera.targetFov);
+    });
+    
+    runner.test('Camera - zoomSmoothly vers le curseur garde le point fixe à chaque image', () => {
+        camera = new Camera(800, 600);
+        const direction = camera.unproject(100, 500);
+        camera.zoomSmoothly(0.6, 100, 500);
+        
+        let time = 0;
+        camera.update(time);
+        while (camera.update(time += 16) && time < 5000) {
+            const point = camera.project(direction.azimuth, direction.altitude);
+            assert.approximately(point.x, 100, 1e-6);
+            assert.approximately(point.y, 500, 1e-6);
+        }
+        assert.equals(camera.fov, 54);
+        assert.isNull(camera.zoomAnchor);
+    });
+    
+    runner.test('Camera - stopMotion interrompt le déplacement', () => {
+        camera = new Camera(800, 600);
+        camera.animateTo({ azimuth: 90, altitude: 45 });
+        camera.stopMotion();
+        assert.isFalse(camera.update(0));
+        assert.equals(camera.azimuth, camera.defaultAzimuth);
+    });
 };
 
 // Export pour utilisation dans le navigateur
@@ -0,0 +1,244 @@
+/**
+ * ==========================================================================
+ * Tests Unitaires - Modules Constellations.js et Display-settings.js
+ * ==========================================================================
+ *
+ * Tests pour valider les figures des constellations, le découpage des
+ * segments à l'horizon et les réglages d'affichage
+ */
+
+const constellationsTests = (runner) => {
+
+    // Étoiles fictives (ra en heures, dec en degrés)
+    const makeStar = (hip, ra, dec) => ({ id: String(hip), hip, ra, dec, mag: 2 });
+
+    // ========================================================================
+    // Tests des données
+    // ========================================================================
+
+    runner.test('CONSTELLATION_LINES - 88 constellations', () => {
+        assert.equals(Object.keys(CONSTELLATION_LINES).length, 88);
+    });
+
+    runner.test('CONSTELLATION_LINES - lignes brisées de numéros HIP', () => {
+        for (const polylines of Object.values(CONSTELLATION_LINES)) {
+            for (const polyline of polylines) {
+                assert.isTrue(polyline.length >= 2, 'Au moins deux étoiles par ligne');
+                assert.isTrue(polyline.every(hip => Number.isInteger(hip) && hip > 0), 'Numéros HIP entiers');
+            }
+        }
+    });
+
+    // ========================================================================
+    // Tests des tracés sur la sphère céleste
+    // ========================================================================
+
+    runner.test('horizontalToVector / vectorToHorizontal - aller-retour', () => {
+        const position = Astronomy.vectorToHorizontal(Astronomy.horizontalToVector(237.5, 41.2));
+        assert.approximately(position.azimut, 237.5, 1e-9);
+        assert.approximately(position.altitude, 41.2, 1e-9);
+    });
+
+    runner.test('clipSegmentToHorizon - segment au-dessus de l\'horizon inchangé', () => {
+        const from = { azimut: 10, altitude: 20 };
+        const to = { azimut: 30, altitude: 40 };
+        const clipped = Astronomy.clipSegmentToHorizon(from, to);
+        assert.equals(clipped[0], from);
+        assert.equals(clipped[1], to);
+    });
+
+    runner.test('clipSegmentToHorizon - segment sous l\'horizon rejeté', () => {
+        assert.isNull(Astronomy.clipSegmentToHorizon({ azimut: 10, altitude: -5 }, { azimut: 50, altitude: -20 }));
+    });
+
+    runner.test('clipSegmentToHorizon - segment traversant coupé sur l\'horizon', () => {
+        const clipped = Astronomy.clipSegmentToHorizon({ azimut: 90, altitude: 10 }, { azimut: 90, altitude: -10 });
+        assert.approximately(clipped[0].altitude, 10, 1e-9);
+        assert.approximately(clipped[1].altitude, 0, 1e-9);
+        assert.approximately(clipped[1].azimut, 90, 1e-9);
+    });
+
+    runner.test('subdivideGreatCircle - pas limité et extrémités conservées', () => {
+        const from = { azimut: 0, altitude: 0 };
+        const to = { azimut: 90, altitude: 0 };
+        const points = Astronomy.subdivideGreatCircle(from, to, 10);
+        assert.arrayLength(points, 10);
+        assert.approximately(points[0].azimut, 0, 1e-9);
+        assert.approximately(points[points.length - 1].azimut, 90, 1e-9);
+        assert.approximately(points[1].azimut, 10, 1e-9);
+        assert.isTrue(points.every(point => Math.abs(point.altitude) < 1e-9), 'Le long de l\'horizon');
+    });
+
+    // ========================================================================
+    // Tests des figures
+    // ========================================================================
+
+    runner.test('buildConstellationFigures - ignore les étoiles absentes du catalogue', () => {
+        const stars = [makeStar(1, 0, 10), makeStar(2, 1, 20), makeStar(3, 2, 30)];
+        const figures = Constellations.buildConstellationFigures(stars, { Tst: [[1, 2, 99, 3]] });
+
+        assert.arrayLength(figures.segments, 1);
+        assert.equals(figures.segments[0].constellation, 'Tst');
+        assert.equals(figures.segments[0].from, 1);
+        assert.equals(figures.segments[0].to, 2);
+        assert.arrayLength(figures.stars, 2);
+    });
+
+    runner.test('calculateConstellationSegments - extrémités en coordonnées horizontales', () => {
+        const stars = [makeStar(1, 5.5, 10), makeStar(2, 6, -5)];
+        const figures = Constellations.buildConstellationFigures(stars, { Tst: [[1, 2]] });
+        const date = new Date(Date.UTC(2024, 0, 1, 22, 0, 0));
+        const observer = { latitude: 45, longitude: 5 };
+        const refraction = { enabled: false };
+
+        const segments = Constellations.calculateConstellationSegments(figures, date, observer, refraction);
+        const expected = Astronomy.calculateStarPositions(stars, date, observer, refraction);
+
+        assert.arrayLength(segments, 1);
+        assert.approximately(segments[0].from.azimut, expected[0].azimut, 1e-9);
+        assert.approximately(segments[0].to.altitude, expected[1].altitude, 1e-9);
+    });
+
+    // ========================================================================
+    // Tests des limites officielles
+    // ========================================================================
+
+    // Position J2000.0 (ra en heures) ramenée à la date
+    const ofDate = (ra, dec, date) => Astronomy.j2000ToDate(ra * 15, dec, date);
+
+    runner.test('CONSTELLATION_BOUNDARIES - 88 constellations, côtés en cercles horaires ou parallèles', () => {
+        assert.equals(Object.keys(CONSTELLATION_BOUNDARIES).length, 88);
+        for (const rings of Object.values(CONSTELLATION_BOUNDARIES)) {
+            for (const ring of rings) {
+                ring.forEach((vertex, i) => {
+                    const next = ring[(i + 1) % ring.length];
+                    assert.isTrue(vertex[0] === next[0] || vertex[1] === next[1], 'Côté aligné sur B1875.0');
+                });
+            }
+        }
+    });
+
+    runner.test('isInsideBoundary - rectangle simple', () => {
+        const ring = [[1, 10], [3, 10], [3, 20], [1, 20]];
+        assert.isTrue(Constellations.isInsideBoundary(ring, 2, 15));
+        assert.isFalse(Constellations.isInsideBoundary(ring, 2, 25));
+        assert.isFalse(Constellations.isInsideBoundary(ring, 4, 15));
+    });
+
+    runner.test('isInsideBoundary - contour traversant 0 h', () => {
+        const ring = [[23, -5], [1, -5], [1, 5], [23, 5]];
+        assert.isTrue(Constellations.isInsideBoundary(ring, 23.5, 0));
+        assert.isTrue(Constellations.isInsideBoundary(ring, 0.5, 0));
+        assert.isFalse(Constellations.isInsideBoundary(ring, 12, 0));
+    });
+
+    runner.test('findConstellation - étoiles connues', () => {
+        const date = new Date(Date.UTC(2024, 0, 1));
+        const stars = [
+            ['Lyr', 18.6156, 38.7837],   // Véga
+            ['UMi', 2.5303, 89.2641],    // Étoile polaire
+            ['Oct', 21.1465, -88.9565],  // σ Octantis
+            ['Ori', 5.9195, 7.4071],     // Bételgeuse
+            ['And', 0.1398, 29.0904],    // Alphératz
+            ['PsA', 22.9608, -29.6222]   // Fomalhaut
+        ];
+        for (const [constellation, ra, dec] of stars) {
+            const position = ofDate(ra, dec, date);
+            assert.equals(Constellations.findConstellation(position.ra, position.dec, date), constellation);
+        }
+    });
+
+    runner.test('findConstellation - chaque étiquette est dans sa constellation', () => {
+        const date = new Date(Date.UTC(2024, 0, 1));
+        for (const [constellation, names] of Object.entries(CONSTELLATION_NAMES)) {
+            for (const [ra, dec] of names.labels) {
+                const position = ofDate(ra, dec, date);
+                assert.equals(Constellations.findConstellation(position.ra, position.dec, date), constellation);
+            }
+        }
+    });
+
+    runner.test('findConstellationAt - direction du zénith', () => {
+        const date = new Date(Date.UTC(2024, 6, 15, 22, 0, 0));
+        const observer = { latitude: 45.76, longitude: 4.83 };
+        const refraction = { enabled: false };
+        const zenith = Astronomy.calculateEquatorialPosition(0, 90, date, observer, refraction);
+        assert.equals(
+            Constellations.findConstellationAt(0, 90, date, observer, refraction),
+            Constellations.findConstellation(zenith.ra, zenith.dec, date)
+        );
+    });
+
+    runner.test('buildBoundaryEdges - chaque côté sépare deux constellations', () => {
+        const edges = Constellations.buildBoundaryEdges();
+        assert.isTrue(edges.length > 0);
+        assert.isTrue(edges.every(edge => edge.constellations.length === 2), 'Côtés dessinés une seule fois');
+    });
+
+    runner.test('densifyBoundaryEdge - parallèle découpé par pas de 2° au plus', () => {
+        const points = Constellations.densifyBoundaryEdge([23, 0], [1, 0]);
+        assert.arrayLength(points, 16);
+        assert.equals(points[0][0], 23);
+        assert.approximately(points[points.length - 1][0], 1, 1e-9);
+        assert.isTrue(points.every(point => point[1] === 0), 'Déclinaison constante');
+    });
+
+    runner.test('calculateBoundaryLines - points en coordonnées horizontales', () => {
+        const edges = Constellations.buildBoundaryEdges({ Tst: [[[1, 10], [3, 10], [3, 20], [1, 20]]] });
+        const lines = Constellations.calculateBoundaryLines(edges, new Date(Date.UTC(2024, 0, 1)),
+                                                            { latitude: 45, longitude: 5 }, { enabled: false });
+        assert.arrayLength(lines, 4);
+        assert.isTrue(lines.every(line => line.every(point => point.azimut >= 0 && point.azimut < 360)));
+    });
+
+    runner.test('getConstellationName - français, latin ou les deux', () => {
+        assert.equals(Constellations.getConstellationName('Lyr', 'french'), 'Lyre');
+        assert.equals(Constellations.getConstellationName('Lyr', 'latin'), 'Lyra');
+        assert.equals(Constellations.getConstellationName('Lyr'), 'Lyre (Lyra)');
+        assert.equals(Constellations.getConstellationName('Ori'), 'Orion');
+    });
+
+    runner.test('calculateConstellationLabels - une étiquette par partie (Serpent en deux)', () => {
+        const labels = Constellations.calculateConstellationLabels(new Date(Date.UTC(2024, 0, 1)));
+        assert.arrayLength(labels, 89);
+        assert.arrayLength(labels.filter(label => label.constellation === 'Ser'), 2);
+    });
+
+    // ========================================================================
+    // Tests des réglages d'affichage
+    // ========================================================================
+
+    runner.test('validateDisplaySettings - convertit les booléens et ignore les inconnus', () => {
+        const settings = DisplaySettings.validateDisplaySettings({
+            constellationLines: 'false',
+            constellationLineStyle: 'bold',
+            inconnu: 42
+        });
+        assert.isFalse(settings.constellationLines);
+        assert.equals(settings.constellationLineStyle, 'bold');
+        assert.isFalse('inconnu' in settings);
+    });
+
+    runner.test('validateDisplaySettings - style inconnu refusé', () => {
+        assert.throws(() => DisplaySettings.validateDisplaySettings({ constellationLineStyle: 'fluo' }));
+    });
+
+    runner.test('saveDisplaySettings / loadSavedDisplaySettings - aller-retour', () => {
+        const previous = { ...DisplaySettings.DISPLAY_CONFIG };
+        try {
+            DisplaySettings.setDisplaySettings({ constellationLines: false, constellationLineStyle: 'subtle' });
+            DisplaySettings.saveDisplaySettings();
+            DisplaySettings.setDisplaySettings({ constellationLines: true, constellationLineStyle: 'normal' });
+
+            assert.isTrue(DisplaySettings.loadSavedDisplaySettings());
+            assert.isFalse(DisplaySettings.DISPLAY_CONFIG.constellationLines);
+            assert.equals(DisplaySettings.DISPLAY_CONFIG.constellationLineStyle, 'subtle');
+        } finally {
+            DisplaySettings.setDisplaySettings(previous);
+            DisplaySettings.saveDisplaySettings();
+        }
+    });
+};
+
+// Export pour utilisation dans le navigateur
+window.constellationsTests = constellationsTests;
@@ -0,0 +1,101 @@
+/**
+ * ==========================================================================
+ * Tests Unitaires - Module Coordinate-grids.js
+ * ==========================================================================
+ *
+ * Tests pour valider les grilles de coordonnées : espacement selon
+ * l'échelle, libellés et position des lignes dans le ciel
+ */
+
+const coordinateGridsTests = (runner) => {
+
+    const date = new Date(Date.UTC(2024, 6, 15, 22, 0, 0));
+    const observer = { latitude: 45.76, longitude: 4.83 };
+    const refraction = { enabled: false };
+
+    // Écart angulaire maximal entre les points d'une ligne et un cercle de hauteur
+    const maxAltitudeError = (line, altitude) =>
+        Math.max(...line.map(point => Math.abs(point.altitude - altitude)));
+
+    // ========================================================================
+    // Tests de l'espacement et des libellés
+    // ========================================================================
+
+    runner.test('chooseGridSpacing - plus fin quand on zoome', () => {
+        assert.equals(CoordinateGrids.chooseGridSpacing(2), 30);
+        assert.equals(CoordinateGrids.chooseGridSpacing(10), 10);
+        assert.equals(CoordinateGrids.chooseGridSpacing(100), 1);
+        // Ascension droite : espacements en heures et minutes
+        assert.equals(CoordinateGrids.chooseGridSpacing(10, CoordinateGrids.COORDINATE_GRIDS.equatorial.meridianSpacings), 7.5);
+    });
+
+    runner.test('gridValuesBetween - multiples compris dans l\'intervalle', () => {
+        const values = CoordinateGrids.gridValuesBetween(-25, 40, 15);
+        assert.arrayLength(values, 4);
+        assert.equals(values[0], -15);
+        assert.equals(values[3], 30);
+    });
+
+    runner.test('formatGridLabel - heures pour l\'AD, déclinaison signée', () => {
+        assert.equals(CoordinateGrids.formatGridLabel('equatorial', 'meridian', 30), '2h');
+        assert.equals(CoordinateGrids.formatGridLabel('equatorial', 'meridian', 37.5), '2h30m');
+        assert.equals(CoordinateGrids.formatGridLabel('equatorial', 'meridian', -15), '23h');
+        assert.equals(CoordinateGrids.formatGridLabel('equatorial', 'parallel', 45), '+45°');
+        assert.equals(CoordinateGrids.formatGridLabel('galactic', 'parallel', -15), '-15°');
+        assert.equals(CoordinateGrids.formatGridLabel('ecliptic', 'parallel', 0), '0°');
+        assert.equals(CoordinateGrids.formatGridLabel('altaz', 'parallel', 30), '30°');
+        assert.equals(CoordinateGrids.formatGridLabel('altaz', 'meridian', 270), '270°');
+    });
+
+    // ========================================================================
+    // Tests des lignes
+    // ========================================================================
+
+    runner.test('calculateGridLines - parallèles azimutaux à hauteur constante', () => {
+        const view = { azimut: 180, altitude: 45, radius: 180, pixelsPerDegree: 2 };
+        const grid = CoordinateGrids.calculateGridLines('altaz', date, view, observer, refraction);
+
+        assert.equals(grid.spacing, 30);
+        const parallels = grid.labels.filter(label => label.kind === 'parallel');
+        assert.arrayLength(parallels, 5);
+        // Le libellé du parallèle est posé le long du méridien le plus proche du centre
+        assert.approximately(parallels[0].azimut, 180, 1e-9);
+        // Dernière ligne : le parallèle +60°
+        const last = grid.lines[grid.lines.length - 1];
+        assert.approximately(maxAltitudeError(last, 60), 0, 1e-9);
+    });
+
+    runner.test('calculateGridLines - les parallèles équatoriaux gardent leur déclinaison', () => {
+        const view = { azimut: 160, altitude: 30, radius: 40, pixelsPerDegree: 6 };
+        const grid = CoordinateGrids.calculateGridLines('equatorial', date, view, observer, refraction);
+        const transform = CoordinateGrids.createGridTransform('equatorial', date, observer, refraction);
+
+        for (const label of grid.labels.filter(label => label.kind === 'parallel')) {
+            const dec = parseFloat(label.text);
+            const back = transform.fromHorizontal(label.azimut, label.altitude);
+            assert.approximately(back.lat, dec, 1e-6, `Déclinaison ${label.text}`);
+        }
+    });
+
+    runner.test('calculateGridLines - seules les lignes proches du champ sont calculées', () => {
+        const wide = { azimut: 90, altitude: 20, radius: 180, pixelsPerDegree: 6 };
+        const narrow = { ...wide, radius: 15 };
+        const all = CoordinateGrids.calculateGridLines('galactic', date, wide, observer, refraction);
+        const near = CoordinateGrids.calculateGridLines('galactic', date, narrow, observer, refraction);
+
+        assert.equals(near.spacing, all.spacing);
+        assert.isTrue(near.lines.length < all.lines.length, `${near.lines.length} lignes au lieu de ${all.lines.length}`);
+        assert.isTrue(near.lines.length > 0);
+    });
+
+    runner.test('createGridTransform - aller-retour écliptique', () => {
+        const transform = CoordinateGrids.createGridTransform('ecliptic', date, observer, { enabled: true, temperature: 10, pressure: 1010 });
+        const horizontal = transform.toHorizontal(100, 5);
+        const back = transform.fromHorizontal(horizontal.azimut, horizontal.altitude);
+        assert.approximately(back.lon, 100, 1e-6);
+        assert.approximately(back.lat, 5, 1e-6);
+    });
+};
+
+// Export pour utilisation dans le navigateur
+window.coordinateGridsTests = coordinateGridsTests;
@@ -0,0 +1,77 @@
+/**
+ * ==========================================================================
+ * Tests Unitaires - Module Coordinate-readout.js
+ * ==========================================================================
+ *
+ * Tests pour valider les coordonnées affichées sous le pointeur
+ * (angle horaire, coordonnées équatoriales d'une direction du ciel)
+ */
+
+const coordinateReadoutTests = (runner) => {
+
+    const date = new Date(Date.UTC(2024, 6, 15, 22, 0, 0));
+    const observer = { latitude: 45.76, longitude: 4.83 };
+    const refraction = { enabled: false };
+
+    const vega = {
+        id: '91262', hip: 91262, name: 'Vega', ra: 18.615649, dec: 38.783692, mag: 0.03,
+        constellation: 'Lyr', pmra: 201.02, pmdec: 287.46
+    };
+
+    // Lignes de l'affichage sous forme d'objet {libellé: valeur}
+    const rowsOf = (rows) => Object.fromEntries(rows);
+
+    // ========================================================================
+    // Tests de l'angle horaire
+    // ========================================================================
+
+    runner.test('formatHourAngle - négatif à l\'Est, positif à l\'Ouest', () => {
+        assert.equals(CoordinateReadout.formatHourAngle(15), '+1h 00m 00.0s');
+        assert.equals(CoordinateReadout.formatHourAngle(345), '-1h 00m 00.0s');
+        assert.equals(CoordinateReadout.formatHourAngle(37.5), '+2h 30m 00.0s');
+    });
+
+    runner.test('formatHourAngle - méridien sans zéro négatif', () => {
+        assert.equals(CoordinateReadout.formatHourAngle(0), '+0h 00m 00.0s');
+        assert.equals(CoordinateReadout.formatHourAngle(359.99999), '+0h 00m 00.0s');
+        assert.equals(CoordinateReadout.formatHourAngle(180), '-12h 00m 00.0s');
+    });
+
+    // ========================================================================
+    // Tests des coordonnées d'une direction
+    // ========================================================================
+
+    runner.test('describeSkyPoint - retrouve les coordonnées d\'une étoile', () => {
+        const position = ObjectDetails.calculateObjectPosition('star', vega, date, observer, refraction);
+        const rows = rowsOf(CoordinateReadout.describeSkyPoint(position.azimut, position.altitude, date, observer, refraction));
+        const details = rowsOf(ObjectDetails.describeObject('star', vega, position, date).rows);
+        const j2000 = dateToJ2000(position.ra, position.dec, date);
+
+        assert.equals(rows['AD / Déc. de la date'], details['AD / Déc. de la date']);
+        // J2000.0 de la position actuelle (mouvement propre compris, contrairement au catalogue)
+        assert.equals(rows['AD / Déc. J2000'], `${formatRightAscension(j2000.ra)}, ${formatDeclination(j2000.dec)}`);
+        assert.hasProperty(rows, 'Angle horaire');
+        assert.hasProperty(rows, 'Az / Haut.');
+    });
+
+    runner.test('describeSkyPoint - le zénith est au méridien, à la déclinaison de la latitude', () => {
+        const rows = rowsOf(CoordinateReadout.describeSkyPoint(0, 90, date, observer, refraction));
+        assert.isTrue(rows['AD / Déc. de la date'].endsWith(', +45° 45′ 36″'));
+        assert.equals(rows['Angle horaire'], '+0h 00m 00.0s');
+    });
+
+    runner.test('describeSkyPoint - la réfraction est retirée avant le calcul', () => {
+        const withRefraction = { enabled: true, temperature: 10, pressure: 1010 };
+        const apparent = trueToApparentAltitude(20, withRefraction);
+        const ofDate = (altitude, config) =>
+            rowsOf(CoordinateReadout.describeSkyPoint(180, altitude, date, observer, config))['AD / Déc. de la date'];
+        // Déclinaison à la minute d'arc près (l'inversion de la réfraction est approchée)
+        const toArcminute = (text) => text.slice(0, text.indexOf('′'));
+
+        assert.equals(toArcminute(ofDate(apparent, withRefraction)), toArcminute(ofDate(20, refraction)));
+        assert.isFalse(toArcminute(ofDate(apparent, refraction)) === toArcminute(ofDate(20, refraction)));
+    });
+};
+
+// Export pour utilisation dans le navigateur
+window.coordinateReadoutTests = coordinateReadoutTests;
@@ -190,6 +190,74 @@ const integrationTests = (runner) => {
         }
     });
     
+    runner.test('Intégration - Contrôleur de temps : pas de temps et date arbitraire', () => {
+        const dates = [];
+        const controller = new TimeControl.TimeController(date => dates.push(date));
+        controller.setDate(new Date(Date.UTC(2024, 5, 15, 22, 0, 0)));
+        
+        controller.step(TimeControl.TIME_STEPS.hour);
+        assert.equals(controller.getDate().getTime(), Date.UTC(2024, 5, 15, 23, 0, 0));
+        
+        controller.step(-TimeControl.TIME_STEPS.day);
+        assert.equals(controller.getDate().getTime(), Date.UTC(2024, 5, 14, 23, 0, 0));
+        
+        assert.equals(dates.length, 3, 'Chaque changement de date devrait être notifié');
+    });
+    
+    runner.test('Intégration - Contrôleur de temps : un jour sidéral ramène le même LST', () => {
+        const controller = new TimeControl.TimeController(null);
+        controller.setDate(new Date(Date.UTC(2024, 5, 15, 22, 0, 0)));
+        const lst1 = Astronomy.calculateLST(controller.getDate());
+        
+        controller.step(TimeControl.SIDEREAL_DAY_SECONDS);
+        const lst2 = Astronomy.calculateLST(controller.getDate());
+        
+        // La précision de dateToJulianDay est la seconde (≈ 0.004°)
+        const diff = Astronomy.normalizeAngle(lst2 - lst1 + 180) - 180;
+        assert.approximately(diff, 0, 0.01, 'Le LST devrait être identique après un jour sidéral');
+    });
+    
+    runner.test('Intégration - Contrôleur de temps : la lecture applique la vitesse', () => {
+        const controller = new TimeControl.TimeController(null);
+        const start = Date.UTC(2024, 5, 15, 22, 0, 0);
+        controller.setDate(new Date(start));
+        controller.setSpeed(3600);
+        
+        // Simuler deux images espacées d'une seconde réelle
+        controller.isPlaying = true;
+        controller.tick(1000);
+        controller.tick(2000);
+        controller.pause();
+        
+        assert.equals(controller.getDate().getTime(), start + 3600 * 1000, '1 s réelle à 3600x = 1 h simulée');
+        assert.isFalse(controller.isPlaying);
+    });
+    
+    runner.test('Intégration - Contrôleur de temps : le mode direct suit l\'horloge réelle', () => {
+        let notified = 0;
+        const controller = new TimeControl.TimeController(() => notified++, { updateInterval: 10000 });
+        controller.setDate(new Date(Date.UTC(2000, 0, 1, 12, 0, 0)));
+        
+        controller.startLive();
+        try {
+            assert.isTrue(controller.isLive, 'Le mode direct devrait être actif');
+            assert.approximately(controller.getDate().getTime(), Date.now(), 1000, 'La date devrait être l\'instant présent');
+            assert.equals(notified, 2, 'Le passage en direct devrait déclencher un recalcul');
+        } finally {
+            controller.stopLive();
+        }
+    });
+    
+    runner.test('Intégration - Contrôleur de temps : un pas de temps quitte le mode direct', () => {
+        const controller = new TimeControl.TimeController(null, { updateInterval: 10000 });
+        controller.startLive();
+        controller.step(TimeControl.TIME_STEPS.hour);
+        
+        assert.isFalse(controller.isLive, 'Le mode direct devrait être désactivé');
+        assert.isNull(controller.clockTimerId, 'L\'horloge du mode direct devrait être arrêtée');
+        assert.isNull(controller.updateTimerId, 'Le recalcul périodique devrait être arrêté');
+    });
+    
     // ========================================================================
     // Tests de robustesse
     // ========================================================================
@@ -256,6 +324,88 @@ const integrationTests = (runner) => {
         assert.approximately(Astronomy.OBSERVER_CONFIG.longitude, 4.83, 0.1);
     });
     
+    runner.test('Intégration - Changement de position appliqué au LST et à la visibilité', () => {
+        const saved = { ...Astronomy.OBSERVER_CONFIG };
+        const date = new Date(Date.UTC(2024, 5, 15, 22, 0, 0));
+        const lstLyon = Astronomy.calculateLST(date);
+        
+        // Nouméa : hémisphère Sud, longitude 166.458° E
+        ObserverLocation.setObserverLocation(ObserverLocation.findCity('Nouméa, Nouvelle-Calédonie'));
+        
+        try {
+            const lstNoumea = Astronomy.calculateLST(date);
+            const diff = Astronomy.normalizeAngle(lstNoumea - lstLyon);
+            assert.approximately(diff, 166.458 - 4.832011, 0.01, 'LST devrait suivre la longitude');
+            
+            // Le pôle Sud céleste est toujours visible depuis Nouméa
+            const visible = Astronomy.calculateVisibleStars([{ ra: 12, dec: -89, mag: 2 }], date);
+            assert.equals(visible.length, 1, 'Étoile du pôle Sud visible depuis Nouméa');
+        } finally {
+            ObserverLocation.setObserverLocation(saved);
+        }
+    });
+    
+    runner.test('Intégration - Position d\'observation invalide rejetée', () => {
+        assert.throws(() => ObserverLocation.validateLocation({ latitude: 95, longitude: 0 }));
+        assert.throws(() => ObserverLocation.validateLocation({ latitude: 45, longitude: 200 }));
+        assert.throws(() => ObserverLocation.validateLocation({ latitude: 'abc', longitude: 0 }));
+    });
+    
+    runner.test('Intégration - Formatage des coordonnées de la position', () => {
+        assert.equals(ObserverLocation.formatCoordinates(45.757814, 4.832011), '45.7578° N, 4.8320° E');
+        assert.equals(ObserverLocation.formatCoordinates(-22.2758, -73.5), '22.2758° S, 73.5000° O');
+    });
+    
+    runner.test('Intégration - Réfraction : une étoile juste sous l\'horizon devient visible', () => {
+        // Au pôle Nord, l'altitude vraie d'une étoile est égale à sa déclinaison
+        const observer = { latitude: 90, longitude: 0 };
+        const date = new Date('2000-01-01T12:00:00Z');
+        const star = { ra: 6, dec: -0.3, mag: 1 };
+        
+        const withoutRefraction = Astronomy.calculateVisibleStars([star], date, observer,
+            { enabled: false, temperature: 10, pressure: 1010 });
+        const withRefraction = Astronomy.calculateVisibleStars([star], date, observer,
+            { enabled: true, temperature: 10, pressure: 1010 });
+        
+        assert.arrayLength(withoutRefraction, 0, 'Sous l\'horizon géométrique');
+        assert.arrayLength(withRefraction, 1, 'Relevée par la réfraction');
+        assert.isTrue(withRefraction[0].altitude > 0, 'Altitude apparente positive');
+        assert.isTrue(withRefraction[0].trueAltitude < 0, 'Altitude vraie négative');
+    });
+    
+    runner.test('Intégration - Réglages atmosphériques appliqués et validés', () => {
+        const saved = { ...Astronomy.REFRACTION_CONFIG };
+        
+        try {
+            Atmosphere.setRefractionConfig({ enabled: false, temperature: '25', pressure: '950' });
+            assert.isFalse(Astronomy.REFRACTION_CONFIG.enabled);
+            assert.equals(Astronomy.REFRACTION_CONFIG.temperature, 25);
+            assert.equals(Astronomy.REFRACTION_CONFIG.pressure, 950);
+            assert.throws(() => Atmosphere.setRefractionConfig({ pressure: 'abc' }));
+            assert.throws(() => Atmosphere.setRefractionConfig({ temperature: 120 }));
+        } finally {
+            Atmosphere.setRefractionConfig(saved);
+        }
+    });
+    
+    runner.test('Intégration - Soleil haut l\'après-midi en été, couché à minuit', () => {
+        const observer = { latitude: 45.757814, longitude: 4.832011 };
+        
+        // 15 h à Lyon (13 h UTC) le 21 juin : plein jour, étoiles invisibles
+        const afternoon = Astronomy.calculateSunPosition(new Date('2024-06-21T13:00:00Z'), observer);
+        const afternoonSky = Astronomy.calculateSkyState(afternoon.trueAltitude);
+        assert.isTrue(afternoon.altitude > 50, 'Soleil haut dans le ciel');
+        assert.equals(afternoonSky.phase.id, 'day');
+        assert.equals(Astronomy.calculateStarFade(-1.46, afternoonSky.limitingMagnitude), 0, 'Sirius invisible');
+        
+        // Minuit en hiver : nuit noire, toutes les étoiles visibles
+        const midnight = Astronomy.calculateSunPosition(new Date('2024-12-21T23:00:00Z'), observer);
+        const midnightSky = Astronomy.calculateSkyState(midnight.trueAltitude);
+        assert.isTrue(midnight.altitude < -18, 'Soleil sous l\'horizon');
+        assert.equals(midnightSky.phase.id, 'night');
+        assert.equals(Astronomy.calculateStarFade(5.9, midnightSky.limitingMagnitude), 1);
+    });
+    
     // ========================================================================
     // Tests du pipeline de rendu
     // ========================================================================
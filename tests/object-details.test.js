@@ -0,0 +1,123 @@
+/**
+ * ==========================================================================
+ * Tests Unitaires - Module Object-details.js
+ * ==========================================================================
+ *
+ * Tests pour valider la sélection de l'objet cliqué et le contenu de sa
+ * fiche (désignations, constellation, distance, coordonnées)
+ */
+
+const objectDetailsTests = (runner) => {
+
+    const date = new Date(Date.UTC(2024, 6, 15, 22, 0, 0));
+    const observer = { latitude: 45.76, longitude: 4.83 };
+    const refraction = { enabled: false };
+
+    const vega = {
+        id: '91262', hip: 91262, hd: 172167, name: 'Vega', bayer: 'Alp', flamsteed: 3,
+        ra: 18.615649, dec: 38.783692, mag: 0.03, constellation: 'Lyr',
+        distance: 7.6787, spectralType: 'A0V', pmra: 201.02, pmdec: 287.46, radialVelocity: -13.9
+    };
+
+    // Lignes de la fiche sous forme d'objet {libellé: valeur}
+    const rowsOf = (details) => Object.fromEntries(details.rows);
+
+    // ========================================================================
+    // Tests de la sélection
+    // ========================================================================
+
+    runner.test('pickNearestObject - objet le plus proche dans la tolérance', () => {
+        const objects = [
+            { type: 'star', x: 100, y: 100, radius: 2 },
+            { type: 'star', x: 120, y: 100, radius: 2 }
+        ];
+        assert.equals(ObjectDetails.pickNearestObject(objects, 104, 101), objects[0]);
+        assert.equals(ObjectDetails.pickNearestObject(objects, 117, 100), objects[1]);
+    });
+
+    runner.test('pickNearestObject - clic trop loin : aucun objet', () => {
+        const objects = [{ type: 'star', x: 100, y: 100, radius: 2 }];
+        assert.isNull(ObjectDetails.pickNearestObject(objects, 130, 100));
+        assert.isNull(ObjectDetails.pickNearestObject([], 100, 100));
+    });
+
+    runner.test('pickNearestObject - distance mesurée au bord du disque', () => {
+        // Clic à 25 px du centre de la Lune (rayon 20) : plus proche que l'étoile à 8 px
+        const star = { type: 'star', x: 133, y: 100, radius: 1 };
+        const moon = { type: 'moon', x: 100, y: 100, radius: 20 };
+        assert.equals(ObjectDetails.pickNearestObject([star, moon], 125, 100), moon);
+    });
+
+    runner.test('pickNearestObject - à égalité, l\'objet au premier plan l\'emporte', () => {
+        const star = { type: 'star', x: 100, y: 100, radius: 2 };
+        const planet = { type: 'planet', x: 101, y: 100, radius: 4 };
+        assert.equals(ObjectDetails.pickNearestObject([star, planet], 100, 100), planet);
+    });
+
+    // ========================================================================
+    // Tests de la fiche
+    // ========================================================================
+
+    runner.test('getObjectName - nom propre, désignation ou astre', () => {
+        assert.equals(ObjectDetails.getObjectName('star', vega), 'Vega');
+        assert.equals(ObjectDetails.getObjectName('star', { ...vega, name: null }), 'α Lyr');
+        assert.equals(ObjectDetails.getObjectName('moon', {}), 'Lune');
+        assert.equals(ObjectDetails.getObjectName('planet', { id: 'mars', name: 'Mars' }), 'Mars');
+    });
+
+    runner.test('formatObjectDistance - parsecs et années-lumière, ou inconnue', () => {
+        assert.equals(ObjectDetails.formatObjectDistance('star', vega, {}), '7.7 pc (25.0 al)');
+        assert.equals(ObjectDetails.formatObjectDistance('star', { distance: 100000 }, {}), 'Inconnue');
+        assert.equals(ObjectDetails.formatObjectDistance('star', { distance: null }, {}), 'Inconnue');
+        assert.equals(ObjectDetails.formatObjectDistance('planet', {}, { distance: 4.2128 }), '4.213 UA');
+    });
+
+    runner.test('calculateObjectPosition - étoile identique au rendu', () => {
+        const position = ObjectDetails.calculateObjectPosition('star', vega, date, observer, refraction);
+        const rendered = Astronomy.calculateStarPositions([vega], date, observer, refraction)[0];
+        assert.approximately(position.altitude, rendered.altitude, 1e-12);
+        assert.approximately(position.azimut, rendered.azimut, 1e-12);
+        assert.approximately(position.ra, rendered.raOfDate, 1e-12);
+    });
+
+    runner.test('describeObject - fiche complète d\'une étoile', () => {
+        const position = ObjectDetails.calculateObjectPosition('star', vega, date, observer, refraction);
+        const details = ObjectDetails.describeObject('star', vega, position, date);
+        const rows = rowsOf(details);
+
+        assert.equals(details.title, 'Vega');
+        assert.equals(details.kind, 'Étoile');
+        assert.equals(rows['Désignations'], 'α Lyr, 3 Lyr, HIP 91262, HD 172167');
+        assert.equals(rows['Constellation'], 'Lyre (Lyra)');
+        assert.equals(rows['Magnitude'], '0.03');
+        assert.equals(rows['Type spectral'], 'A0V');
+        assert.equals(rows['AD / Déc. J2000'], '18h 36m 56.3s, +38° 47′ 01″');
+        assert.isDefined(rows['AD / Déc. de la date']);
+        assert.hasProperty(rows, 'Hauteur');
+        assert.hasProperty(rows, 'Azimut');
+    });
+
+    runner.test('describeObject - planète : constellation d\'après les limites officielles', () => {
+        const jupiter = Planets.PLANETS.find(planet => planet.id === 'jupiter');
+        const position = ObjectDetails.calculateObjectPosition('planet', jupiter, date, observer, refraction);
+        const rows = rowsOf(ObjectDetails.describeObject('planet', jupiter, position, date));
+
+        // Jupiter dans le Taureau à la mi-juillet 2024
+        assert.equals(rows['Constellation'], 'Taureau (Taurus)');
+        assert.hasProperty(rows, 'Phase');
+        assert.isTrue(rows['Distance'].endsWith(' UA'));
+    });
+
+    runner.test('calculateObjectRiseTransitSet - même résultat que pour l\'étoile seule', () => {
+        const events = ObjectDetails.calculateObjectRiseTransitSet('star', vega, date, observer);
+        const expected = Astronomy.calculateStarRiseTransitSet(vega, date, observer);
+        assert.equals(events.transit.getTime(), expected.transit.getTime());
+    });
+
+    runner.test('calculateObjectPosition - type inconnu refusé', () => {
+        assert.throws(() => ObjectDetails.calculateObjectPosition('comet', {}, date, observer, refraction));
+    });
+};
+
+// Export pour utilisation dans le navigateur
+window.objectDetailsTests = objectDetailsTests;
@@ -0,0 +1,128 @@
+/**
+ * ==========================================================================
+ * Tests Unitaires - Module Object-search.js
+ * ==========================================================================
+ *
+ * Tests pour valider la normalisation de la saisie, la recherche par nom,
+ * désignation ou numéro de catalogue et la tolérance aux fautes de frappe
+ */
+
+const objectSearchTests = (runner) => {
+
+    const date = new Date(Date.UTC(2024, 6, 15, 22, 0, 0));
+    const observer = { latitude: 45.76, longitude: 4.83 };
+    const refraction = { enabled: false };
+
+    const stars = [
+        { id: '91262', hip: 91262, hd: 172167, name: 'Vega', bayer: 'Alp', flamsteed: 3,
+          ra: 18.615649, dec: 38.783692, mag: 0.03, constellation: 'Lyr' },
+        { id: '91919', hip: 91919, hd: 173582, name: null, bayer: 'Eps-1', flamsteed: 4,
+          ra: 18.739, dec: 39.670, mag: 4.6, constellation: 'Lyr' },
+        { id: '21421', hip: 21421, hd: 29139, name: 'Aldebaran', bayer: 'Alp', flamsteed: 87,
+          ra: 4.598677, dec: 16.509301, mag: 0.87, constellation: 'Tau' },
+        { id: '69673', hip: 69673, hd: 124897, name: 'Arcturus', bayer: 'Alp', flamsteed: 16,
+          ra: 14.261020, dec: 19.182410, mag: -0.05, constellation: 'Boo' }
+    ];
+    const index = ObjectSearch.buildSearchIndex(stars);
+
+    // Libellé du premier résultat
+    const firstLabel = (query) => {
+        const results = ObjectSearch.searchObjects(index, query);
+        return results.length > 0 ? results[0].label : null;
+    };
+
+    // ========================================================================
+    // Tests de la normalisation
+    // ========================================================================
+
+    runner.test('normalizeSearchText - accents, casse et ponctuation', () => {
+        assert.equals(ObjectSearch.normalizeSearchText('  Bételgeuse '), 'betelgeuse');
+        assert.equals(ObjectSearch.normalizeSearchText('Grande-Ourse'), 'grande ourse');
+    });
+
+    runner.test('normalizeSearchText - lettres grecques en symbole ou en toutes lettres', () => {
+        assert.equals(ObjectSearch.normalizeSearchText('α¹ Lyr'), 'alp 1 lyr');
+        assert.equals(ObjectSearch.normalizeSearchText('alpha Lyr'), 'alp lyr');
+        assert.equals(ObjectSearch.normalizeSearchText('Alp-1 Lyr'), 'alp 1 lyr');
+    });
+
+    runner.test('normalizeSearchText - numéros de catalogue collés ou non', () => {
+        assert.equals(ObjectSearch.normalizeSearchText('HIP91262'), 'hip 91262');
+        assert.equals(ObjectSearch.normalizeSearchText('HD 172167'), 'hd 172167');
+    });
+
+    runner.test('prefixEditDistance - début de clé et fautes de frappe', () => {
+        assert.equals(ObjectSearch.prefixEditDistance('veg', 'vega'), 0);
+        assert.equals(ObjectSearch.prefixEditDistance('aldebran', 'aldebaran'), 1);
+        assert.equals(ObjectSearch.prefixEditDistance('xyz', 'vega'), 3);
+    });
+
+    // ========================================================================
+    // Tests de la recherche
+    // ========================================================================
+
+    runner.test('searchObjects - nom propre, Bayer, Flamsteed et catalogues', () => {
+        assert.equals(firstLabel('Vega'), 'Vega');
+        assert.equals(firstLabel('α Lyr'), 'Vega');
+        assert.equals(firstLabel('alpha lyr'), 'Vega');
+        assert.equals(firstLabel('3 Lyr'), 'Vega');
+        assert.equals(firstLabel('HIP 91262'), 'Vega');
+        assert.equals(firstLabel('hd172167'), 'Vega');
+    });
+
+    runner.test('searchObjects - étoile sans nom propre et lettre indicée', () => {
+        assert.equals(firstLabel('ε¹ Lyr'), 'ε¹ Lyr');
+        assert.equals(firstLabel('eps 1 lyr'), 'ε¹ Lyr');
+    });
+
+    runner.test('searchObjects - accents et fautes de frappe tolérés', () => {
+        assert.equals(firstLabel('VÉGA'), 'Vega');
+        assert.equals(firstLabel('Aldebran'), 'Aldebaran');
+        assert.equals(firstLabel('arcturs'), 'Arcturus');
+    });
+
+    runner.test('searchObjects - pas de fautes tolérées sur les numéros', () => {
+        assert.arrayLength(ObjectSearch.searchObjects(index, 'HIP 91263'), 0);
+        assert.arrayLength(ObjectSearch.searchObjects(index, ''), 0);
+    });
+
+    runner.test('searchObjects - constellation, planètes et astres', () => {
+        const lyr = ObjectSearch.searchObjects(index, 'Lyr');
+        assert.equals(lyr[0].type, 'constellation');
+        assert.equals(lyr[0].object.id, 'Lyr');
+        assert.equals(firstLabel('Lyre'), 'Lyre (Lyra)');
+        assert.equals(ObjectSearch.searchObjects(index, 'Mars')[0].type, 'planet');
+        assert.equals(ObjectSearch.searchObjects(index, 'lune')[0].type, 'moon');
+    });
+
+    runner.test('searchObjects - nombre de résultats limité, les plus brillants d\'abord', () => {
+        const results = ObjectSearch.searchObjects(index, 'a', 3);
+        assert.arrayLength(results, 3);
+        for (let i = 1; i < results.length; i++) {
+            assert.isTrue(results[i - 1].magnitude <= results[i].magnitude);
+        }
+    });
+
+    // ========================================================================
+    // Tests de la position
+    // ========================================================================
+
+    runner.test('calculateSearchResultPosition - étoile identique à la fiche', () => {
+        const entry = ObjectSearch.searchObjects(index, 'Vega')[0];
+        const position = ObjectSearch.calculateSearchResultPosition(entry, date, observer, refraction);
+        const expected = ObjectDetails.calculateObjectPosition('star', stars[0], date, observer, refraction);
+        assert.approximately(position.altitude, expected.altitude, 1e-12);
+        assert.approximately(position.azimut, expected.azimut, 1e-12);
+    });
+
+    runner.test('calculateSearchResultPosition - constellation au point de son nom', () => {
+        const entry = ObjectSearch.searchObjects(index, 'Lyra')[0];
+        const position = ObjectSearch.calculateSearchResultPosition(entry, date, observer, refraction);
+        // La Lyre est haute dans le ciel d'été en soirée
+        assert.inRange(position.altitude, 40, 90);
+        assert.inRange(position.azimut, 0, 360);
+    });
+};
+
+// Export pour utilisation dans le navigateur
+window.objectSearchTests = objectSearchTests;
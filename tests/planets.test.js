@@ -0,0 +1,134 @@
+/**
+ * ==========================================================================
+ * Tests Unitaires - Module Planets.js
+ * ==========================================================================
+ *
+ * Tests pour valider les éphémérides planétaires
+ * (valeurs de référence : Meeus, Astronomical Algorithms)
+ */
+
+const planetsTests = (runner) => {
+
+    const findPlanet = (id) => Planets.PLANETS.find(planet => planet.id === id);
+
+    // Séparation angulaire entre deux positions équatoriales (degrés)
+    const separation = (a, b) => {
+        const toRad = Astronomy.degreesToRadians;
+        const cosSep = Math.sin(toRad(a.dec)) * Math.sin(toRad(b.dec)) +
+                       Math.cos(toRad(a.dec)) * Math.cos(toRad(b.dec)) * Math.cos(toRad(a.ra - b.ra));
+        return Astronomy.radiansToDegrees(Math.acos(Math.min(1, cosSep)));
+    };
+
+    // ========================================================================
+    // Tests de l'équation de Kepler et des positions héliocentriques
+    // ========================================================================
+
+    runner.test('solveKepler - exemple Meeus 30.a (M = 5°, e = 0.1)', () => {
+        const E = Planets.solveKepler(Astronomy.degreesToRadians(5), 0.1);
+        assert.approximately(Astronomy.radiansToDegrees(E), 5.554589, 0.000001);
+    });
+
+    runner.test('solveKepler - orbite circulaire : E = M', () => {
+        assert.approximately(Planets.solveKepler(1.234, 0), 1.234, 1e-12);
+    });
+
+    runner.test('calculatePlanetHeliocentric - la Terre est à ~1 UA du Soleil', () => {
+        const jd = Astronomy.dateToJulianDay(new Date(Date.UTC(2024, 0, 3)));
+        const earth = Planets.calculatePlanetHeliocentric('earth', jd);
+        const r = Math.sqrt(earth.x ** 2 + earth.y ** 2 + earth.z ** 2);
+        // Périhélie début janvier : ~0.983 UA
+        assert.approximately(r, 0.9833, 0.001);
+    });
+
+    runner.test('calculatePlanetHeliocentric - planète inconnue rejetée', () => {
+        assert.throws(() => Planets.calculatePlanetHeliocentric('pluto', 2451545));
+    });
+
+    // ========================================================================
+    // Tests des positions apparentes
+    // ========================================================================
+
+    runner.test('calculatePlanetPosition - Vénus, exemple Meeus 33.a', () => {
+        // 1992-12-20 0h : α = 316.17273°, δ = -18.88801°, Δ = 0.910947 UA
+        const venus = Planets.calculatePlanetPosition(findPlanet('venus'), new Date(Date.UTC(1992, 11, 20)));
+        assert.approximately(venus.ra, 316.17273, 0.02, 'Ascension droite');
+        assert.approximately(venus.dec, -18.88801, 0.02, 'Déclinaison');
+        assert.approximately(venus.distance, 0.910947, 0.0005, 'Distance');
+    });
+
+    runner.test('calculatePlanetPosition - grande conjonction Jupiter-Saturne (21/12/2020)', () => {
+        const date = new Date('2020-12-21T18:00:00Z');
+        const jupiter = Planets.calculatePlanetPosition(findPlanet('jupiter'), date);
+        const saturn = Planets.calculatePlanetPosition(findPlanet('saturn'), date);
+        // Séparation minimale observée : 6.1'
+        assert.inRange(separation(jupiter, saturn), 0.05, 0.15);
+    });
+
+    runner.test('calculatePlanetPositions - retourne les 7 planètes avec leur aspect', () => {
+        const planets = Planets.calculatePlanetPositions(new Date('2024-06-15T22:00:00Z'));
+        assert.arrayLength(planets, 7);
+        for (const planet of planets) {
+            assert.hasProperty(planet, 'name');
+            assert.hasProperty(planet, 'azimut');
+            assert.inRange(planet.illuminatedFraction, 0, 1);
+            assert.inRange(planet.altitude, -90, 90);
+        }
+    });
+
+    // ========================================================================
+    // Tests des magnitudes et des phases
+    // ========================================================================
+
+    runner.test('Vénus - phase et magnitude, exemple Meeus 41.a', () => {
+        // 1992-12-20 : k = 0.647, m = -4.2
+        const venus = Planets.calculatePlanetPosition(findPlanet('venus'), new Date(Date.UTC(1992, 11, 20)));
+        assert.approximately(venus.illuminatedFraction, 0.647, 0.005);
+        assert.approximately(venus.magnitude, -4.2, 0.1);
+    });
+
+    runner.test('Mars - magnitude à l\'opposition du 13/10/2020 (~ -2.6)', () => {
+        const mars = Planets.calculatePlanetPosition(findPlanet('mars'), new Date('2020-10-13T23:00:00Z'));
+        assert.approximately(mars.magnitude, -2.6, 0.15);
+        assert.isTrue(mars.phaseAngle < 5, 'Quasi pleine phase à l\'opposition');
+    });
+
+    runner.test('calculateSaturnRingTilt - exemple Meeus 45.a (B = 16.442°)', () => {
+        const jd = Astronomy.dateToJulianDay(new Date(Date.UTC(1992, 11, 16)));
+        const saturn = Planets.calculatePlanetHeliocentric('saturn', jd);
+        const earth = Planets.calculatePlanetHeliocentric('earth', jd);
+        const tilt = Planets.calculateSaturnRingTilt(saturn, {
+            x: saturn.x - earth.x, y: saturn.y - earth.y, z: saturn.z - earth.z
+        });
+        // Pôle des anneaux J2000 (Meeus utilise l'équinoxe de la date) : ~0.1° d'écart
+        assert.approximately(tilt.B, 16.442, 0.15);
+        assert.approximately(tilt.deltaU, 4.198, 0.1);
+    });
+
+    runner.test('Uranus et Neptune - magnitudes (Uranus à la limite de l\'œil nu)', () => {
+        const planets = Planets.calculatePlanetPositions(new Date('2024-06-15T22:00:00Z'));
+        const uranus = planets.find(planet => planet.id === 'uranus');
+        const neptune = planets.find(planet => planet.id === 'neptune');
+        assert.inRange(uranus.magnitude, 5.3, 6.1);
+        assert.inRange(neptune.magnitude, 7.7, 8.0);
+    });
+    // ========================================================================
+    // Tests du lever, du passage et du coucher
+    // ========================================================================
+
+    runner.test('calculatePlanetRiseTransitSet - Vénus à Boston, exemple Meeus 15.a', () => {
+        // 1988-03-20 : coucher 2h55, lever 12h25 ; passage 19h40 (UT)
+        const boston = { latitude: 42.3333, longitude: -71.0833, elevation: 0 };
+        const venus = findPlanet('venus');
+        const minutes = (date) => date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+
+        const morning = Planets.calculatePlanetRiseTransitSet(venus, new Date('1988-03-20T12:00:00Z'), boston);
+        assert.approximately(minutes(morning.rise), 12 * 60 + 25.4, 2, 'Lever');
+        assert.approximately(minutes(morning.set), 2 * 60 + 54.7, 2, 'Coucher');
+
+        const evening = Planets.calculatePlanetRiseTransitSet(venus, new Date('1988-03-20T22:00:00Z'), boston);
+        assert.approximately(minutes(evening.transit), 19 * 60 + 40.3, 2, 'Passage');
+    });
+};
+
+// Export pour utilisation dans le navigateur
+window.planetsTests = planetsTests;
@@ -0,0 +1,206 @@
+/**
+ * ==========================================================================
+ * Tests Unitaires - Module Projections.js
+ * ==========================================================================
+ *
+ * Tests pour valider les projections de la carte de la vue Télescope :
+ * position des repères (zénith, horizon, pôle céleste), orientation,
+ * rotation et miroir à l'écran, aller-retour avec la projection inverse
+ */
+
+const projectionsTests = (runner) => {
+
+    const zenithCentred = ['equidistant', 'stereographic', 'orthographic', 'equalArea'];
+    const directions = [
+        { azimut: 0, altitude: 90 },
+        { azimut: 30, altitude: 60 },
+        { azimut: 135, altitude: 20 },
+        { azimut: 250, altitude: 5 },
+        { azimut: 340, altitude: 45 }
+    ];
+
+    // Écart entre deux azimuts (degrés, 0-180)
+    const azimutGap = (a, b) => Math.abs(normalizeAngle(a - b + 180) - 180);
+
+    // Vue de la carte à l'écran, Nord en haut et centrée par défaut
+    const chartView = (projection, overrides = {}) => ({
+        projection, latitude: 45, scale: 300, centerX: 400, centerY: 300,
+        offsetX: 0, offsetY: 0, rotation: 0, mirrored: false, ...overrides
+    });
+
+    // Vérifie l'aller-retour projection / projection inverse
+    const assertRoundTrip = (name, latitude) => {
+        for (const direction of directions) {
+            const point = Projections.projectChartPoint(direction.azimut, direction.altitude, name, latitude);
+            const back = Projections.unprojectChartPoint(point.radius, point.angle, name, latitude);
+            assert.approximately(back.altitude, direction.altitude, 1e-6, `${name} : hauteur`);
+            if (direction.altitude < 90) {
+                const azimutError = azimutGap(back.azimut, direction.azimut);
+                assert.isTrue(azimutError < 1e-6, `${name} : azimut ${back.azimut} au lieu de ${direction.azimut}`);
+            }
+        }
+    };
+
+    // ========================================================================
+    // Tests des cartes centrées sur le zénith
+    // ========================================================================
+
+    runner.test('projectChartPoint - zénith au centre et horizon sur le bord', () => {
+        for (const name of zenithCentred) {
+            assert.approximately(Projections.projectChartPoint(120, 90, name, 45).radius, 0, 1e-12, name);
+            assert.approximately(Projections.projectChartPoint(120, 0, name, 45).radius, 1, 1e-12, name);
+        }
+    });
+
+    runner.test('projectChartPoint - Nord en haut, Est à droite', () => {
+        assert.approximately(Projections.projectChartPoint(0, 30, 'stereographic', 45).angle, -90, 1e-12);
+        assert.approximately(Projections.projectChartPoint(90, 30, 'stereographic', 45).angle, 0, 1e-12);
+    });
+
+    runner.test('projectChartPoint - loi radiale propre à chaque projection', () => {
+        // Hauteur 45° : à mi-rayon en équidistante, plus près du centre en
+        // stéréographique, plus loin en orthographique et équivalente
+        const radius = (name) => Projections.projectChartPoint(0, 45, name, 45).radius;
+        assert.approximately(radius('equidistant'), 0.5, 1e-12);
+        assert.approximately(radius('stereographic'), Math.tan(Math.PI / 8), 1e-12);
+        assert.approximately(radius('orthographic'), Math.SQRT1_2, 1e-12);
+        assert.approximately(radius('equalArea'), Math.sin(Math.PI / 8) / Math.sin(Math.PI / 4), 1e-12);
+    });
+
+    runner.test('unprojectChartPoint - aller-retour centré sur le zénith', () => {
+        for (const name of zenithCentred) {
+            assertRoundTrip(name, 45);
+        }
+    });
+
+    runner.test('unprojectChartPoint - null hors du domaine de la projection', () => {
+        // Au-delà de l'horizon, l'orthographique ne montre plus rien
+        assert.isNull(Projections.unprojectChartPoint(1.2, 0, 'orthographic', 45));
+        assert.approximately(Projections.unprojectChartPoint(1.2, 0, 'equidistant', 45).altitude, -18, 1e-9);
+        // Au-delà de l'antipode du zénith
+        assert.isNull(Projections.unprojectChartPoint(2.1, 0, 'equidistant', 45));
+    });
+
+    // ========================================================================
+    // Tests de la carte équatoriale polaire
+    // ========================================================================
+
+    runner.test('getChartEdgeAngle - horizon ou point le plus éloigné du pôle', () => {
+        const polar = Projections.TELESCOPE_PROJECTIONS.polar;
+        assert.equals(Projections.getChartEdgeAngle(Projections.TELESCOPE_PROJECTIONS.equidistant, 45), 90);
+        assert.equals(Projections.getChartEdgeAngle(polar, 45), 135);
+        assert.equals(Projections.getChartEdgeAngle(polar, -30), 150);
+    });
+
+    runner.test('projectChartPoint polaire - pôle Nord au centre, zénith au-dessous', () => {
+        assert.approximately(Projections.projectChartPoint(0, 45, 'polar', 45).radius, 0, 1e-9);
+
+        const zenith = Projections.projectChartPoint(0, 90, 'polar', 45);
+        assert.approximately(zenith.radius, 45 / 135, 1e-9);
+        assert.approximately(zenith.angle, 90, 1e-9);
+
+        // Le point Sud de l'horizon est sur le bord, l'Est à droite
+        assert.approximately(Projections.projectChartPoint(180, 0, 'polar', 45).radius, 1, 1e-9);
+        assert.approximately(Projections.projectChartPoint(90, 0, 'polar', 45).angle, 0, 1e-9);
+    });
+
+    runner.test('projectChartPoint polaire - hémisphère Sud, zénith au-dessus du pôle', () => {
+        assert.approximately(Projections.projectChartPoint(180, 30, 'polar', -30).radius, 0, 1e-9);
+
+        const zenith = Projections.projectChartPoint(0, 90, 'polar', -30);
+        assert.approximately(zenith.radius, 60 / 150, 1e-9);
+        assert.approximately(zenith.angle, -90, 1e-9);
+
+        assert.approximately(Projections.projectChartPoint(0, 0, 'polar', -30).radius, 1, 1e-9);
+        assert.approximately(Projections.projectChartPoint(90, 0, 'polar', -30).angle, 0, 1e-9);
+    });
+
+    runner.test('unprojectChartPoint polaire - aller-retour dans les deux hémisphères', () => {
+        assertRoundTrip('polar', 45);
+        assertRoundTrip('polar', -30);
+    });
+
+    // ========================================================================
+    // Tests de l'orientation à l'écran (rotation et miroir)
+    // ========================================================================
+
+    runner.test('getFacingRotation - carte posée au sol : direction regardée en haut de l\'écran', () => {
+        for (const name of ['equidistant', 'polar']) {
+            for (const mirrored of [false, true]) {
+                for (const azimut of [0, 90, 180, 270]) {
+                    const rotation = Projections.getFacingRotation(azimut, name, 45, mirrored);
+                    const view = chartView(name, { rotation, mirrored });
+                    const faced = Projections.chartPointToScreen(azimut, 0, view);
+                    const label = `${name}${mirrored ? ' miroir' : ''}, face à ${azimut}°`;
+                    assert.approximately(faced.x, view.centerX, 1e-6, label);
+                    assert.isTrue(faced.y < view.centerY, `${label} : horizon regardé sous le centre`);
+
+                    // Face au Sud, l'Est est à gauche de l'observateur (à droite en miroir)
+                    const left = Projections.chartPointToScreen(azimut - 90, 0, view);
+                    assert.isTrue(mirrored ? left.x > view.centerX : left.x < view.centerX,
+                        `${label} : horizon à ${normalizeAngle(azimut - 90)}° du mauvais côté`);
+                }
+            }
+        }
+    });
+
+    runner.test('chartPointToScreen - le miroir échange l\'Est et l\'Ouest, pas le haut et le bas', () => {
+        const normal = chartView('stereographic');
+        const mirrored = chartView('stereographic', { mirrored: true });
+
+        const east = Projections.chartPointToScreen(90, 30, normal);
+        const eastMirrored = Projections.chartPointToScreen(90, 30, mirrored);
+        assert.isTrue(east.x > normal.centerX, 'Est à droite');
+        assert.isTrue(eastMirrored.x < normal.centerX, 'Est à gauche en miroir');
+        assert.approximately(eastMirrored.y, east.y, 1e-9);
+
+        const north = Projections.chartPointToScreen(0, 30, normal);
+        const northMirrored = Projections.chartPointToScreen(0, 30, mirrored);
+        assert.isTrue(north.y < normal.centerY, 'Nord en haut');
+        assert.approximately(northMirrored.x, north.x, 1e-9);
+        assert.approximately(northMirrored.y, north.y, 1e-9);
+    });
+
+    runner.test('rotateChartView / mirrorChartView - la direction au centre de l\'écran y reste', () => {
+        let view = chartView('equidistant', { offsetX: 120, offsetY: -80, rotation: 20 });
+        const center = Projections.screenToChartPoint(view.centerX, view.centerY, view);
+
+        const assertCentered = (label) => {
+            const point = Projections.screenToChartPoint(view.centerX, view.centerY, view);
+            assert.approximately(point.altitude, center.altitude, 1e-9, label);
+            assert.approximately(azimutGap(point.azimut, center.azimut), 0, 1e-9, label);
+        };
+
+        view = { ...view, ...Projections.rotateChartView(view, 95) };
+        assert.equals(view.rotation, 95);
+        assertCentered('Après rotation');
+
+        view = { ...view, ...Projections.mirrorChartView(view, true) };
+        assert.isTrue(view.mirrored);
+        assertCentered('Après miroir');
+
+        view = { ...view, ...Projections.rotateChartView(view, -400) };
+        assert.approximately(view.rotation, 320, 1e-9);
+        assertCentered('Après rotation en miroir');
+    });
+
+    runner.test('screenToChartPoint - aller-retour avec rotation et miroir', () => {
+        for (const name of [...zenithCentred, 'polar']) {
+            for (const mirrored of [false, true]) {
+                const view = chartView(name, { rotation: 130, mirrored, offsetX: -60, offsetY: 45 });
+                for (const direction of directions) {
+                    const point = Projections.chartPointToScreen(direction.azimut, direction.altitude, view);
+                    const back = Projections.screenToChartPoint(point.x, point.y, view);
+                    const label = `${name}${mirrored ? ' miroir' : ''}`;
+                    assert.approximately(back.altitude, direction.altitude, 1e-6, label);
+                    if (direction.altitude < 90) {
+                        assert.approximately(azimutGap(back.azimut, direction.azimut), 0, 1e-6, label);
+                    }
+                }
+            }
+        }
+    });
+};
+
+// Export pour utilisation dans le navigateur
+window.projectionsTests = projectionsTests;
@@ -0,0 +1,85 @@
+/**
+ * ==========================================================================
+ * Tests Unitaires - Module Reference-lines.js
+ * ==========================================================================
+ *
+ * Tests pour valider les lignes et les points de repère : méridien local,
+ * équateur céleste, écliptique, zénith et pôle céleste
+ */
+
+const referenceLinesTests = (runner) => {
+
+    const date = new Date(Date.UTC(2024, 6, 15, 22, 0, 0));
+    const observer = { latitude: 45.76, longitude: 4.83 };
+    const refraction = { enabled: false };
+    const layer = ReferenceLines.calculateReferenceLayer(date, observer, refraction);
+
+    // ========================================================================
+    // Tests des grands cercles
+    // ========================================================================
+
+    runner.test('referenceCirclePoint - méridien du nadir au zénith par le Nord puis le Sud', () => {
+        const north = ReferenceLines.referenceCirclePoint('meridian', 90);
+        assert.equals(north.lon, 0);
+        assert.equals(north.lat, 0);
+        assert.equals(ReferenceLines.referenceCirclePoint('meridian', 180).lat, 90);
+        const south = ReferenceLines.referenceCirclePoint('meridian', 270);
+        assert.equals(south.lon, 180);
+        assert.equals(south.lat, 0);
+    });
+
+    runner.test('calculateReferenceLayer - le méridien passe par le Nord et le Sud', () => {
+        for (const point of layer.lines.meridian.points) {
+            const fromMeridian = Math.min(Math.abs(normalizeAngle(point.azimut + 180) - 180),
+                                          Math.abs(normalizeAngle(point.azimut) - 180));
+            // Près du zénith et du nadir l'azimut n'est pas défini
+            if (Math.abs(point.altitude) < 89.9) {
+                assert.approximately(fromMeridian, 0, 1e-9, `Azimut ${point.azimut}`);
+            }
+        }
+    });
+
+    runner.test('calculateReferenceLayer - l\'équateur céleste est à déclinaison nulle', () => {
+        const lst = calculateApparentLST(date, observer.longitude);
+        for (const point of layer.lines.equator.points.slice(0, 20)) {
+            const equatorial = horizontalToEquatorial(point.azimut, point.altitude, lst, observer.latitude);
+            assert.approximately(equatorial.dec, 0, 1e-6);
+        }
+        // Il coupe l'horizon aux points Est et Ouest
+        const crossing = layer.lines.equator.points.find(point => Math.abs(point.altitude) < 1);
+        const fromEastWest = Math.abs(normalizeAngle(crossing.azimut + 90) % 180 - 90);
+        assert.isTrue(fromEastWest > 80, `Azimut ${crossing.azimut}`);
+    });
+
+    runner.test('calculateReferenceLayer - libellés posés sur chaque ligne', () => {
+        for (const name of Object.keys(ReferenceLines.REFERENCE_LINES)) {
+            assert.arrayLength(layer.lines[name].labels, 4);
+            assert.equals(layer.lines[name].labels[0].text, ReferenceLines.REFERENCE_LINES[name].label);
+        }
+    });
+
+    // ========================================================================
+    // Tests des points de repère
+    // ========================================================================
+
+    runner.test('calculateReferenceLayer - zénith, nadir et pôle Nord céleste', () => {
+        assert.equals(layer.points.zenith.altitude, 90);
+        assert.equals(layer.points.nadir.altitude, -90);
+        // Le pôle est au Nord, à une hauteur égale à la latitude
+        assert.approximately(layer.points.northPole.altitude, observer.latitude, 1e-6);
+        assert.approximately(Math.abs(normalizeAngle(layer.points.northPole.azimut + 180) - 180), 0, 1e-4);
+    });
+
+    runner.test('calculateReferenceLayer - longitude du Soleil sur l\'écliptique', () => {
+        const sun = calculateSunPosition(date, observer, refraction);
+        assert.approximately(layer.sun.longitude, sun.eclipticLongitude, 1e-9);
+        assert.approximately(layer.sun.altitude, sun.altitude, 1e-6);
+        assert.approximately(layer.sun.azimut, sun.azimut, 1e-6);
+        // Mi-juillet : le Soleil est dans le Cancer, vers 113°
+        assert.equals(layer.sun.text, `☉ λ ${Math.round(sun.eclipticLongitude)}°`);
+        assert.inRange(sun.eclipticLongitude, 110, 116);
+    });
+};
+
+// Export pour utilisation dans le navigateur
+window.referenceLinesTests = referenceLinesTests;
@@ -0,0 +1,111 @@
+/**
+ * ==========================================================================
+ * Tests Unitaires - Module Star-labels.js
+ * ==========================================================================
+ *
+ * Tests pour valider le choix des étiquettes des étoiles et leur
+ * placement sans chevauchement
+ */
+
+const starLabelsTests = (runner) => {
+
+    const vega = { mag: 0.03, name: 'Vega', bayer: 'Alp', flamsteed: 3, constellation: 'Lyr', hip: 91262, hd: 172167 };
+    const faint = { mag: 5.2, name: null, bayer: null, flamsteed: null, constellation: 'Lyr', hip: 91919, hd: 173582 };
+
+    // ========================================================================
+    // Tests des désignations
+    // ========================================================================
+
+    runner.test('formatBayerLetter - lettres grecques et exposants', () => {
+        assert.equals(StarLabels.formatBayerLetter('Alp'), 'α');
+        assert.equals(StarLabels.formatBayerLetter('Ome'), 'ω');
+        assert.equals(StarLabels.formatBayerLetter('Alp-1'), 'α¹');
+        assert.equals(StarLabels.formatBayerLetter('Kap2'), 'κ²');
+        assert.equals(StarLabels.formatBayerLetter('b'), 'b');
+        assert.isNull(StarLabels.formatBayerLetter(null));
+    });
+
+    runner.test('formatStarDesignation - Bayer, Flamsteed puis catalogues', () => {
+        assert.equals(StarLabels.formatStarDesignation(vega), 'α Lyr');
+        assert.equals(StarLabels.formatStarDesignation({ ...vega, bayer: null }), '3 Lyr');
+        assert.equals(StarLabels.formatStarDesignation(faint), 'HIP 91919');
+        assert.equals(StarLabels.formatStarDesignation({ hd: 42 }), 'HD 42');
+        assert.isNull(StarLabels.formatStarDesignation({}));
+    });
+
+    runner.test('listStarDesignations - toutes les désignations connues', () => {
+        const designations = StarLabels.listStarDesignations(vega);
+        assert.arrayLength(designations, 4);
+        assert.equals(designations.join(', '), 'α Lyr, 3 Lyr, HIP 91262, HD 172167');
+        assert.arrayLength(StarLabels.listStarDesignations({}), 0);
+    });
+
+    runner.test('getStarLabel - nom propre pour une étoile brillante', () => {
+        assert.equals(StarLabels.getStarLabel(vega, 1), 'Vega');
+    });
+
+    runner.test('getStarLabel - lettre de Bayer sans nom propre', () => {
+        assert.equals(StarLabels.getStarLabel({ ...vega, name: null }, 1), 'α');
+    });
+
+    runner.test('getStarLabel - les étoiles faibles n\'apparaissent qu\'en zoomant', () => {
+        assert.isNull(StarLabels.getStarLabel(faint, 1));
+        assert.isNull(StarLabels.getStarLabel(faint, 8));
+        assert.equals(StarLabels.getStarLabel(faint, 64), 'HIP 91919');
+    });
+
+    // ========================================================================
+    // Tests du placement
+    // ========================================================================
+
+    runner.test('boxesOverlap - rectangles disjoints ou superposés', () => {
+        const a = { left: 0, top: 0, right: 10, bottom: 10 };
+        assert.isTrue(StarLabels.boxesOverlap(a, { left: 5, top: 5, right: 15, bottom: 15 }));
+        assert.isFalse(StarLabels.boxesOverlap(a, { left: 10, top: 0, right: 20, bottom: 10 }));
+    });
+
+    runner.test('LabelPlacer - première étiquette à droite de l\'étoile', () => {
+        const placer = new StarLabels.LabelPlacer();
+        const position = placer.place(100, 100, 3, 40, 11);
+        assert.equals(position.align, 'left');
+        assert.approximately(position.x, 100 + 3 + StarLabels.STAR_LABEL_CONFIG.offset, 1e-9);
+        assert.equals(position.y, 100);
+    });
+
+    runner.test('LabelPlacer - une étiquette voisine passe à gauche, puis au-dessous', () => {
+        const placer = new StarLabels.LabelPlacer();
+        placer.place(100, 100, 3, 40, 11);
+        assert.equals(placer.place(110, 100, 3, 40, 11).align, 'right');
+
+        const third = placer.place(104, 112, 3, 40, 11);
+        assert.equals(third.align, 'center');
+        assert.isTrue(third.y > 112, 'Au-dessous de l\'étoile');
+    });
+
+    runner.test('LabelPlacer - aucune place libre : étiquette ignorée', () => {
+        const placer = new StarLabels.LabelPlacer();
+        placer.reserve({ left: 0, top: 0, right: 400, bottom: 400 });
+        assert.isNull(placer.place(200, 200, 3, 40, 11));
+        assert.equals(placer.count, 0);
+    });
+
+    runner.test('LabelPlacer - les étiquettes placées ne se chevauchent jamais', () => {
+        const placer = new StarLabels.LabelPlacer();
+        const boxes = [];
+        for (let i = 0; i < 200; i++) {
+            const x = (i * 37) % 300;
+            const y = (i * 53) % 200;
+            const position = placer.place(x, y, 2, 30, 11);
+            if (!position) continue;
+
+            const left = position.align === 'left' ? position.x : position.align === 'right' ? position.x - 30 : position.x - 15;
+            const box = { left, top: position.y - 5.5, right: left + 30, bottom: position.y + 5.5 };
+            assert.isTrue(boxes.every(other => !StarLabels.boxesOverlap(box, other)), 'Chevauchement');
+            boxes.push(box);
+        }
+        assert.equals(boxes.length, placer.count);
+    });
+};
+
+// Export pour utilisation dans le navigateur
+window.starLabelsTests = starLabelsTests;